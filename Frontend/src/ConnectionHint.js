@@ -0,0 +1,47 @@
+// ConnectionHint.js
+// -----------------------------------------------------------------------------
+// Tooltip next to the cursor while dragging a connection onto a handle that
+// refuses it, saying why (cycle, type conflict, …; see engine/connections.js).
+// Rendered inside <ReactFlow> so it can read the connection in progress.
+// -----------------------------------------------------------------------------
+
+import { useStore } from 'reactflow';
+
+/**
+ * ConnectionHint Component
+ * `hint` is `{ reason, handleIds }` for the last handle that was checked;
+ * it shows only while that handle is the one under the cursor.
+ */
+export const ConnectionHint = ({ hint }) => {
+    const status = useStore((state) => state.connectionStatus);
+    const x = useStore((state) => state.connectionPosition.x);
+    const y = useStore((state) => state.connectionPosition.y);
+    const endHandleId = useStore((state) => state.connectionEndHandle?.handleId);
+
+    if (status !== 'invalid' || !hint || !hint.handleIds.includes(endHandleId)) {
+        return null;
+    }
+
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                left: x + 14,
+                top: y + 14,
+                zIndex: 10,
+                maxWidth: 260,
+                padding: '6px 10px',
+                borderRadius: 6,
+                background: '#1e293b',
+                color: '#ffffff',
+                fontSize: 11,
+                lineHeight: 1.4,
+                boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+                pointerEvents: 'none',
+            }}
+        >
+            <span style={{ color: '#fca5a5', fontWeight: 600 }}>Can't connect: </span>
+            {hint.reason}
+        </div>
+    );
+};
@@ -6,6 +6,7 @@
 // - Provides a centered 'delete' button for intuitive connection removal.
 // - Integrates with the global Zustand store to manage edge state changes.
 // - Includes hover effects for improved user feedback.
+// - Shows the edge's label (e.g. a port type conflict) above the button.
 // -----------------------------------------------------------------------------
 
 import { getBezierPath, EdgeLabelRenderer, BaseEdge } from 'reactflow';
@@ -26,6 +27,8 @@ export const CustomEdge = ({
     targetPosition,
     style = {},
     markerEnd,
+    label,
+    labelStyle = {},
 }) => {
     // Access dispatch for edge actions
     const dispatch = useDispatch();
@@ -62,6 +65,29 @@ export const CustomEdge = ({
                         pointerEvents: 'all', // Ensure the button is clickable
                     }}
                 >
+                    {/* Label above the button, e.g. which port types conflict */}
+                    {label && (
+                        <div
+                            style={{
+                                position: 'absolute',
+                                bottom: '100%',
+                                left: '50%',
+                                transform: 'translateX(-50%)',
+                                marginBottom: 4,
+                                padding: '2px 6px',
+                                borderRadius: 4,
+                                background: '#ffffff',
+                                border: '1px solid #e2e8f0',
+                                fontSize: 10,
+                                whiteSpace: 'nowrap',
+                                color: labelStyle.fill || '#64748b',
+                                fontWeight: labelStyle.fontWeight,
+                            }}
+                        >
+                            {label}
+                        </div>
+                    )}
+
                     {/* Delete button centered on the edge path */}
                     <button
                         onClick={handleDeleteEdge}
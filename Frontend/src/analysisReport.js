@@ -0,0 +1,183 @@
+// analysisReport.js
+// -----------------------------------------------------------------------------
+// Non-blocking panel showing the backend's pipeline analysis.
+// Purpose:
+// - Summarizes node / edge counts and whether the graph is a DAG.
+// - Lists every cycle by its nodes; their edges are highlighted in red on
+//   the canvas while the panel is open (see ui.js).
+// - Shows the execution order, entry / exit nodes and unreachable nodes.
+// -----------------------------------------------------------------------------
+
+import { useDispatch, useSelector } from "react-redux";
+import { analyzePipeline, closeAnalysis } from "./store/analysisSlice";
+
+const sectionTitleStyle = {
+  fontSize: 11,
+  fontWeight: 600,
+  color: "#64748b",
+  textTransform: "uppercase",
+  letterSpacing: 0.4,
+  marginBottom: 4,
+};
+
+const chipStyle = {
+  display: "inline-block",
+  margin: "0 4px 4px 0",
+  padding: "2px 8px",
+  borderRadius: 10,
+  background: "#f1f5f9",
+  color: "#1e293b",
+  fontFamily: "monospace",
+  fontSize: 11,
+};
+
+/**
+ * NodeList
+ * A titled row of node id chips, or "None".
+ */
+const NodeList = ({ title, ids = [], color }) => (
+  <div style={{ marginBottom: 10 }}>
+    <div style={sectionTitleStyle}>{title}</div>
+    {ids.length === 0 && <span style={{ fontSize: 12, color: "#94a3b8" }}>None</span>}
+    {ids.map((id) => (
+      <span key={id} style={{ ...chipStyle, ...(color && { color, background: "#fee2e2" }) }}>
+        {id}
+      </span>
+    ))}
+  </div>
+);
+
+/**
+ * AnalysisReport Component
+ * Rendered by SubmitButton while an analysis is open.
+ */
+export const AnalysisReport = () => {
+  const dispatch = useDispatch();
+  const { status, report, error } = useSelector((state) => state.analysis);
+
+  const cycles = report?.cycles || [];
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        left: 50,
+        bottom: 100,
+        width: 340,
+        maxHeight: "60vh",
+        zIndex: 1100,
+        background: "#fff",
+        border: "1px solid #e2e8f0",
+        borderRadius: 12,
+        boxShadow: "0 12px 24px -6px rgba(0,0,0,0.15)",
+        display: "flex",
+        flexDirection: "column",
+        overflow: "hidden",
+      }}
+    >
+      {/* Panel Header */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          padding: "12px 16px",
+          borderBottom: "1px solid #e2e8f0",
+          fontWeight: 600,
+          fontSize: 14,
+          color: "#1e293b",
+        }}
+      >
+        <span>Pipeline Analysis</span>
+        <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+          <span
+            style={{ fontSize: 12, color: "#6366f1", cursor: "pointer", fontWeight: 500 }}
+            onClick={() => dispatch(analyzePipeline())}
+          >
+            ↻ Re-run
+          </span>
+          <span onClick={() => dispatch(closeAnalysis())} style={{ cursor: "pointer", fontSize: 16 }}>
+            ✕
+          </span>
+        </div>
+      </div>
+
+      <div style={{ overflowY: "auto", padding: 16, fontSize: 12 }}>
+        {status === "loading" && <div style={{ color: "#64748b" }}>Analyzing…</div>}
+
+        {status === "failed" && <div style={{ color: "#ef4444" }}>{error}</div>}
+
+        {status === "done" && report && (
+          <>
+            {/* Summary */}
+            <div style={{ display: "flex", gap: 12, marginBottom: 12, color: "#1e293b" }}>
+              <span>📊 {report.num_nodes} nodes</span>
+              <span>🔗 {report.num_edges} edges</span>
+              <span style={{ color: report.is_dag ? "#16a34a" : "#ef4444", fontWeight: 600 }}>
+                {report.is_dag ? "✅ DAG" : "❌ Not a DAG"}
+              </span>
+            </div>
+
+            {/* Cycles */}
+            {cycles.length > 0 && (
+              <div style={{ marginBottom: 10 }}>
+                <div style={sectionTitleStyle}>Cycles (highlighted on the canvas)</div>
+                {cycles.map((cycle, index) => (
+                  <div
+                    key={cycle.nodes.join()}
+                    style={{
+                      marginBottom: 4,
+                      padding: "6px 8px",
+                      borderRadius: 6,
+                      background: "#fef2f2",
+                      border: "1px solid #fecaca",
+                      color: "#b91c1c",
+                      fontFamily: "monospace",
+                      fontSize: 11,
+                    }}
+                  >
+                    {index + 1}. {[...cycle.nodes, cycle.nodes[0]].join(" → ")}
+                  </div>
+                ))}
+                <div style={{ color: "#64748b", marginTop: 4 }}>
+                  To repeat steps on purpose, use a Loop node instead.
+                </div>
+              </div>
+            )}
+
+            {/* Execution order */}
+            <div style={{ marginBottom: 10 }}>
+              <div style={sectionTitleStyle}>Topological order</div>
+              {(report.topological_order || []).length === 0 ? (
+                <span style={{ color: "#94a3b8" }}>None</span>
+              ) : (
+                <ol
+                  style={{
+                    margin: 0,
+                    paddingLeft: 20,
+                    color: "#1e293b",
+                    fontFamily: "monospace",
+                    fontSize: 11,
+                  }}
+                >
+                  {report.topological_order.map((id) => (
+                    <li key={id}>{id}</li>
+                  ))}
+                </ol>
+              )}
+              {!report.is_dag && (
+                <div style={{ color: "#64748b", marginTop: 4 }}>
+                  Nodes in or after a cycle have no order.
+                </div>
+              )}
+            </div>
+
+            <NodeList title="Entry nodes" ids={report.entry_nodes} />
+            <NodeList title="Exit nodes" ids={report.exit_nodes} />
+            <NodeList title="Unreachable nodes" ids={report.unreachable_nodes} color="#b91c1c" />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
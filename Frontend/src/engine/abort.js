@@ -0,0 +1,36 @@
+// abort.js
+// -----------------------------------------------------------------------------
+// AbortSignal helpers for cancelling runs (and nodes within a run).
+// Older environments lack `signal.reason` / `signal.throwIfAborted()`, so the
+// engine goes through these instead of calling them directly.
+// -----------------------------------------------------------------------------
+
+export const abortReason = (signal) =>
+  signal?.reason ?? new DOMException("The pipeline run was cancelled", "AbortError");
+
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw abortReason(signal);
+  }
+};
+
+/**
+ * sleep
+ * Resolves after `ms` milliseconds; rejects early if the run is aborted.
+ */
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
@@ -0,0 +1,70 @@
+// clock.js
+// -----------------------------------------------------------------------------
+// Time source for the engine. Every wait (Delay node, retry backoff) goes
+// through a clock so tests can swap in a fake one and advance time by hand:
+//
+//   const clock = createFakeClock();
+//   const run = runPipeline(pipeline, { clock });
+//   await clock.advance(5000);
+//   await run;
+// -----------------------------------------------------------------------------
+
+import { abortReason, sleep } from "./abort";
+
+export const systemClock = {
+  now: () => Date.now(),
+  sleep,
+};
+
+/**
+ * createFakeClock
+ * Manual clock: `sleep` only resolves when `advance` moves time past it.
+ */
+export const createFakeClock = (start = 0) => {
+  let current = start;
+  let timers = [];
+
+  const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  return {
+    now: () => current,
+
+    sleep: (ms, signal) =>
+      new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(abortReason(signal));
+          return;
+        }
+        const timer = { at: current + Math.max(0, ms), resolve };
+        timers.push(timer);
+        signal?.addEventListener(
+          "abort",
+          () => {
+            timers = timers.filter((item) => item !== timer);
+            reject(abortReason(signal));
+          },
+          { once: true }
+        );
+      }),
+
+    // Moves time forward, resolving due sleeps in order. Pending promise
+    // callbacks run between timers so chained waits are picked up too.
+    advance: async (ms) => {
+      const target = current + ms;
+      await flushPromises();
+      for (;;) {
+        const due = timers
+          .filter((timer) => timer.at <= target)
+          .sort((a, b) => a.at - b.at)[0];
+        if (!due) break;
+        timers = timers.filter((timer) => timer !== due);
+        current = due.at;
+        due.resolve();
+        await flushPromises();
+      }
+      current = target;
+    },
+
+    pendingTimers: () => timers.length,
+  };
+};
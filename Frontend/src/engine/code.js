@@ -0,0 +1,103 @@
+// code.js
+// -----------------------------------------------------------------------------
+// Sandboxed execution for the Code node.
+//
+// Node data shape:
+//   code:      body of an async function called as `(input, inputs)`;
+//              whatever it returns is emitted on `output`
+//              (returning undefined emits nothing)
+//   timeoutMs: the worker is terminated after this long (default 1000)
+//
+// The code runs in a throwaway Web Worker: no DOM, no access to the page or
+// the Redux store, and it can be killed mid-loop. Inputs and the returned
+// value cross the worker boundary by structured clone, so functions and
+// class instances cannot be passed in or out.
+// -----------------------------------------------------------------------------
+
+import { abortReason, throwIfAborted } from "./abort";
+
+export const DEFAULT_CODE_TIMEOUT_MS = 1000;
+
+// Kept as a string so the build does not transpile it into code that relies
+// on helpers the worker does not have
+const WORKER_SOURCE = `
+const format = (value) => {
+  if (typeof value === "string") return value;
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (error) {
+    return String(value);
+  }
+};
+
+["log", "info", "warn", "error", "debug"].forEach((level) => {
+  const prefix = level === "log" || level === "info" ? "" : "[" + level + "] ";
+  console[level] = (...args) =>
+    self.postMessage({ type: "log", line: prefix + args.map(format).join(" ") });
+});
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+self.onmessage = async ({ data: { code, input, inputs } }) => {
+  let value;
+  try {
+    value = await new AsyncFunction("input", "inputs", code)(input, inputs);
+  } catch (error) {
+    const message = error instanceof Error ? error.name + ": " + error.message : format(error);
+    self.postMessage({ type: "error", message });
+    return;
+  }
+  try {
+    self.postMessage({ type: "result", value });
+  } catch (error) {
+    self.postMessage({
+      type: "error",
+      message: "The returned value cannot be passed on (functions and class instances are not supported)",
+    });
+  }
+};
+`;
+
+/**
+ * runCode
+ * Runs the Code node's function body in a Web Worker and resolves with its
+ * return value. `onLog(line)` receives console output as it happens.
+ */
+export const runCode = (code, { input, inputs }, { timeoutMs, signal, onLog } = {}) =>
+  new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+
+    const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: "text/javascript" }));
+    const worker = new Worker(url);
+    const limit = Number(timeoutMs) > 0 ? Number(timeoutMs) : DEFAULT_CODE_TIMEOUT_MS;
+
+    const settle = (callback) => (value) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      callback(value);
+    };
+    const done = settle(resolve);
+    const fail = settle(reject);
+
+    const timer = setTimeout(() => fail(new Error(`Timed out after ${limit} ms`)), limit);
+    const onAbort = () => fail(abortReason(signal));
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "log") onLog?.(data.line);
+      if (data.type === "result") done(data.value);
+      if (data.type === "error") fail(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      fail(new Error(event.message || "The code could not be run"));
+    };
+
+    try {
+      worker.postMessage({ code, input, inputs });
+    } catch (error) {
+      fail(new Error(`Inputs cannot be sent to the worker: ${error.message}`));
+    }
+  });
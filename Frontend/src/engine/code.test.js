@@ -0,0 +1,158 @@
+import v8 from "v8";
+import { runCode } from "./code";
+import { runPipeline } from "./runPipeline";
+
+// -----------------------------------------------------------------------------
+// Fake Worker
+// Runs the worker source against its own `self` on the same thread; messages
+// are delivered asynchronously and structured-cloned like the real thing,
+// and nothing arrives once the worker is terminated. The user's function
+// sees the global `console`, so the worker's capture is installed there and
+// undone after each test.
+// -----------------------------------------------------------------------------
+const clone = (value) => v8.deserialize(v8.serialize(value));
+const sources = new Map();
+const workers = [];
+
+class FakeBlob {
+  constructor(parts) {
+    this.source = parts.join("");
+  }
+}
+
+class FakeWorker {
+  constructor(url) {
+    this.terminated = false;
+    this.scope = {
+      postMessage: (data) => {
+        const copy = clone(data);
+        setTimeout(() => !this.terminated && this.onmessage?.({ data: copy }), 0);
+      },
+    };
+    // eslint-disable-next-line no-new-func
+    new Function("self", sources.get(url))(this.scope);
+    workers.push(this);
+  }
+
+  postMessage(data) {
+    const copy = clone(data);
+    setTimeout(() => !this.terminated && this.scope.onmessage({ data: copy }), 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const CONSOLE_LEVELS = ["log", "info", "warn", "error", "debug"];
+const originals = {};
+beforeEach(() => {
+  Object.assign(originals, {
+    console: Object.fromEntries(CONSOLE_LEVELS.map((level) => [level, console[level]])),
+    Worker: global.Worker,
+    Blob: global.Blob,
+    createObjectURL: URL.createObjectURL,
+    revokeObjectURL: URL.revokeObjectURL,
+  });
+  global.Worker = FakeWorker;
+  global.Blob = FakeBlob;
+  URL.createObjectURL = jest.fn((blob) => {
+    const url = `blob:code-${sources.size}`;
+    sources.set(url, blob.source);
+    return url;
+  });
+  URL.revokeObjectURL = jest.fn();
+  workers.length = 0;
+});
+
+afterEach(() => {
+  Object.assign(console, originals.console);
+  global.Worker = originals.Worker;
+  global.Blob = originals.Blob;
+  URL.createObjectURL = originals.createObjectURL;
+  URL.revokeObjectURL = originals.revokeObjectURL;
+});
+
+describe("runCode", () => {
+  test("resolves with the returned value and cleans up the worker", async () => {
+    const value = await runCode("return { doubled: input * 2, keys: Object.keys(inputs) };", {
+      input: 21,
+      inputs: { input: 21 },
+    });
+    expect(value).toEqual({ doubled: 42, keys: ["input"] });
+    expect(workers[0].terminated).toBe(true);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:code-0");
+  });
+
+  test("passes console output on as it happens", async () => {
+    const lines = [];
+    await runCode(
+      'console.log("count", 2, { a: 1 }); console.warn("careful"); return null;',
+      { input: undefined, inputs: {} },
+      { onLog: (line) => lines.push(line) }
+    );
+    expect(lines).toEqual(['count 2 {"a":1}', "[warn] careful"]);
+  });
+
+  test("rejects with the error the code threw", async () => {
+    await expect(
+      runCode('throw new TypeError("bad input");', { input: 1, inputs: {} })
+    ).rejects.toThrow("TypeError: bad input");
+    await expect(runCode('throw "plain";', { input: 1, inputs: {} })).rejects.toThrow("plain");
+    expect(workers.every((worker) => worker.terminated)).toBe(true);
+  });
+
+  test("refuses return values that cannot be cloned", async () => {
+    await expect(runCode("return () => 1;", { input: 1, inputs: {} })).rejects.toThrow(
+      /returned value cannot be passed on/
+    );
+  });
+
+  test("terminates code that runs past the timeout", async () => {
+    const lines = [];
+    const run = runCode(
+      'console.log("started"); await new Promise(() => {});',
+      { input: 1, inputs: {} },
+      { timeoutMs: 30, onLog: (line) => lines.push(line) }
+    );
+    await expect(run).rejects.toThrow("Timed out after 30 ms");
+    expect(workers[0].terminated).toBe(true);
+    expect(lines).toEqual(["started"]);
+  });
+
+  test("terminates the worker when the run is cancelled", async () => {
+    const controller = new AbortController();
+    const run = runCode("await new Promise(() => {});", { input: 1, inputs: {} }, {
+      signal: controller.signal,
+    });
+    controller.abort();
+    await expect(run).rejects.toThrow();
+    expect(workers[0].terminated).toBe(true);
+  });
+});
+
+describe("Code node in a run", () => {
+  test("emits the return value and keeps the log on the node", async () => {
+    const { results } = await runPipeline({
+      nodes: [
+        { id: "customInput-1", type: "customInput", data: { value: "ada" } },
+        {
+          id: "code-1",
+          type: "code",
+          data: { code: 'console.log("got", input); return input.toUpperCase();' },
+        },
+      ],
+      edges: [
+        {
+          id: "e1",
+          source: "customInput-1",
+          sourceHandle: "customInput-1-value",
+          target: "code-1",
+          targetHandle: "code-1-input",
+        },
+      ],
+    });
+    expect(results["code-1"]).toMatchObject({ status: "success", outputs: { output: "ADA" } });
+    expect(results["code-1"].logs).toEqual(["got ada"]);
+  });
+});
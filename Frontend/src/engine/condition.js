@@ -0,0 +1,78 @@
+// condition.js
+// -----------------------------------------------------------------------------
+// Branch routing for the Condition node.
+//
+// Node data shape:
+//   mode: 'check' | 'switch'
+//   check mode:  conditionType: 'boolean' | 'exists' | 'empty' | 'expression'
+//                expression: source for the 'expression' type (see
+//                            expression.js), evaluated with `input` in scope
+//                → the input leaves on the `true` or `false` handle
+//   switch mode: switchField: path into the input (empty = the input itself)
+//                cases: [{ id, value }]
+//                → the input leaves on the first matching case's handle
+//                  (`${nodeId}-${case.id}`), otherwise on `default`
+//
+// Only the chosen handle emits a value, so the engine skips every other
+// downstream branch.
+// -----------------------------------------------------------------------------
+
+import { getPath } from "./path";
+import { isEmptyValue, valuesEqual } from "./filter";
+import { evaluateExpression } from "./expression";
+
+const CONDITION_CHECKS = {
+  boolean: (value) => Boolean(value) && value !== "false",
+  exists: (value) => value !== undefined && value !== null,
+  empty: (value) => isEmptyValue(value),
+};
+
+/**
+ * createSwitchCase
+ * A new case with the next free `caseN` id (ids name the case handles, so
+ * they never change once created).
+ */
+export const createSwitchCase = (cases = []) => {
+  const used = cases.map((item) => Number(item.id.replace("case", "")) || 0);
+  return { id: `case${Math.max(0, ...used) + 1}`, value: "" };
+};
+
+/**
+ * getBranches
+ * The node's source handles, in display order: `[{ name, label }]`.
+ */
+export const getBranches = (data = {}) =>
+  data.mode === "switch"
+    ? [
+        ...(data.cases || []).map((item) => ({ name: item.id, label: item.value || item.id })),
+        { name: "default", label: "default" },
+      ]
+    : [
+        { name: "true", label: "true" },
+        { name: "false", label: "false" },
+      ];
+
+/**
+ * routeCondition
+ * Returns the name of the output handle the input should leave on.
+ */
+export const routeCondition = (data = {}, input) => {
+  if (data.mode === "switch") {
+    const actual = data.switchField ? getPath(input, data.switchField) : input;
+    const match = (data.cases || []).find((item) =>
+      valuesEqual(actual, String(item.value ?? ""))
+    );
+    return match ? match.id : "default";
+  }
+
+  const conditionType = data.conditionType || "boolean";
+  if (conditionType === "expression") {
+    return evaluateExpression(data.expression || "", { input }) ? "true" : "false";
+  }
+
+  const check = CONDITION_CHECKS[conditionType];
+  if (!check) {
+    throw new Error(`Condition type "${conditionType}" is not supported`);
+  }
+  return check(input) ? "true" : "false";
+};
@@ -0,0 +1,143 @@
+import { routeCondition, getBranches, createSwitchCase } from "./condition";
+import { runPipeline } from "./runPipeline";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}-${sourceHandle}->${target}-${targetHandle}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`,
+});
+
+describe("routeCondition: check mode", () => {
+  test.each([
+    ["boolean", true, "true"],
+    ["boolean", "false", "false"],
+    ["boolean", 0, "false"],
+    ["exists", 0, "true"],
+    ["exists", null, "false"],
+    ["empty", [], "true"],
+    ["empty", { a: 1 }, "false"],
+  ])("%s on %j routes to %s", (conditionType, input, branch) => {
+    expect(routeCondition({ conditionType }, input)).toBe(branch);
+  });
+
+  test("defaults to the boolean check", () => {
+    expect(routeCondition({}, "yes")).toBe("true");
+  });
+
+  test("evaluates expressions with the input in scope", () => {
+    const data = { conditionType: "expression", expression: "input.score > 0.5" };
+    expect(routeCondition(data, { score: 0.9 })).toBe("true");
+    expect(routeCondition(data, { score: 0.1 })).toBe("false");
+  });
+
+  test("rejects unknown checks", () => {
+    expect(() => routeCondition({ conditionType: "odd" }, 1)).toThrow(
+      'Condition type "odd" is not supported'
+    );
+  });
+});
+
+describe("routeCondition: switch mode", () => {
+  const data = {
+    mode: "switch",
+    switchField: "plan",
+    cases: [
+      { id: "case1", value: "free" },
+      { id: "case2", value: "pro" },
+      { id: "case3", value: "pro" },
+    ],
+  };
+
+  test("takes the first matching case", () => {
+    expect(routeCondition(data, { plan: "pro" })).toBe("case2");
+    expect(routeCondition(data, { plan: "free" })).toBe("case1");
+  });
+
+  test("falls back to default", () => {
+    expect(routeCondition(data, { plan: "team" })).toBe("default");
+    expect(routeCondition(data, {})).toBe("default");
+    expect(routeCondition({ mode: "switch" }, "x")).toBe("default");
+  });
+
+  test("compares numbers by value and reads the input itself without a field", () => {
+    const byNumber = { mode: "switch", cases: [{ id: "case1", value: "10" }] };
+    expect(routeCondition(byNumber, 10.0)).toBe("case1");
+  });
+});
+
+describe("branches", () => {
+  test("lists true / false, or the cases then default", () => {
+    expect(getBranches({}).map((branch) => branch.name)).toEqual(["true", "false"]);
+    expect(
+      getBranches({ mode: "switch", cases: [{ id: "case1", value: "a" }, { id: "case2", value: "" }] })
+    ).toEqual([
+      { name: "case1", label: "a" },
+      { name: "case2", label: "case2" },
+      { name: "default", label: "default" },
+    ]);
+  });
+
+  test("new cases take the next free id", () => {
+    expect(createSwitchCase()).toEqual({ id: "case1", value: "" });
+    expect(createSwitchCase([{ id: "case1" }, { id: "case4" }]).id).toBe("case5");
+  });
+});
+
+describe("Condition node in a run", () => {
+  const switchPipeline = (value) => ({
+    nodes: [
+      node("customInput-1", "customInput", { value }),
+      node("condition-1", "condition", {
+        mode: "switch",
+        cases: [
+          { id: "case1", value: "a" },
+          { id: "case2", value: "b" },
+        ],
+      }),
+      node("customOutput-1", "customOutput"),
+      node("customOutput-2", "customOutput"),
+      node("customOutput-3", "customOutput"),
+    ],
+    edges: [
+      edge("customInput-1", "value", "condition-1", "input"),
+      edge("condition-1", "case1", "customOutput-1", "value"),
+      edge("condition-1", "case2", "customOutput-2", "value"),
+      edge("condition-1", "default", "customOutput-3", "value"),
+    ],
+  });
+
+  const statuses = (results) =>
+    ["customOutput-1", "customOutput-2", "customOutput-3"].map((id) => results[id].status);
+
+  test("only the matching case's branch runs", async () => {
+    const { results } = await runPipeline(switchPipeline("b"));
+    expect(statuses(results)).toEqual(["skipped", "success", "skipped"]);
+    expect(results["customOutput-2"].outputs.value).toBe("b");
+  });
+
+  test("unmatched input leaves on default", async () => {
+    const { results } = await runPipeline(switchPipeline("z"));
+    expect(statuses(results)).toEqual(["skipped", "skipped", "success"]);
+  });
+
+  test("check mode passes the input through on true", async () => {
+    const { results } = await runPipeline({
+      nodes: [
+        node("customInput-1", "customInput", { value: "x" }),
+        node("condition-1", "condition", { conditionType: "exists" }),
+        node("customOutput-1", "customOutput"),
+        node("customOutput-2", "customOutput"),
+      ],
+      edges: [
+        edge("customInput-1", "value", "condition-1", "input"),
+        edge("condition-1", "true", "customOutput-1", "value"),
+        edge("condition-1", "false", "customOutput-2", "value"),
+      ],
+    });
+    expect(results["customOutput-1"].outputs.value).toBe("x");
+    expect(results["customOutput-2"].status).toBe("skipped");
+  });
+});
@@ -0,0 +1,125 @@
+// connections.js
+// -----------------------------------------------------------------------------
+// Rules for drawing a new edge. The canvas refuses a connection (and says
+// why next to the cursor) when it would:
+//   - connect a node to itself, or repeat an existing edge
+//   - join incompatible port types (see portTypes.js)
+//   - exceed the target handle's connection limit
+//   - close a cycle; repeating steps is what the Loop node's
+//     `item` → … → `result` path is for, and that edge is always allowed
+// -----------------------------------------------------------------------------
+
+import { getHandleName, isLoopReturnEdge, topologicalSort } from "./graph";
+import { getEdgeTypeCheck, describeTypeCheck } from "./portTypes";
+
+// Target handles taking a single edge; others collect an array of values
+const MAX_CONNECTIONS = {
+  customOutput: { value: 1 },
+  condition: { input: 1 },
+  delay: { input: 1 },
+  loop: { input: 1, result: 1 },
+  merge: { "*": 1 },
+  code: { input: 1 },
+};
+
+const LOOP_HINT =
+  "To repeat steps, use a Loop node and wire the last step back into its result handle";
+
+const getMaxConnections = (node, handleName) => {
+  const limits = MAX_CONNECTIONS[node.type] || {};
+  return limits[handleName] ?? limits["*"] ?? Infinity;
+};
+
+/**
+ * findPath
+ * Node ids from `fromId` to `toId` following edges downstream, or null.
+ */
+const findPath = (fromId, toId, edges) => {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === toId) {
+      const path = [];
+      for (let id = toId; id !== null; id = previous.get(id)) path.unshift(id);
+      return path;
+    }
+    edges
+      .filter((edge) => edge.source === current && !previous.has(edge.target))
+      .forEach((edge) => {
+        previous.set(edge.target, current);
+        queue.push(edge.target);
+      });
+  }
+
+  return null;
+};
+
+/**
+ * validateConnection
+ * Why `connection` may not be added to the graph, or null when it may.
+ */
+export const validateConnection = (connection, nodes, edges) => {
+  const { source, sourceHandle, target, targetHandle } = connection;
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const targetNode = nodeById.get(target);
+  if (!nodeById.has(source) || !targetNode) return null;
+
+  if (source === target) {
+    return `A node can't connect to itself. ${LOOP_HINT}.`;
+  }
+
+  const isDuplicate = edges.some(
+    (edge) =>
+      edge.source === source &&
+      edge.sourceHandle === sourceHandle &&
+      edge.target === target &&
+      edge.targetHandle === targetHandle
+  );
+  if (isDuplicate) return "These handles are already connected";
+
+  const check = getEdgeTypeCheck(connection, nodes, edges);
+  if (check.status === "mismatch") return describeTypeCheck(check);
+
+  const handleName = getHandleName(target, targetHandle, "input");
+  const limit = getMaxConnections(targetNode, handleName);
+  const connected = edges.filter(
+    (edge) =>
+      edge.target === target && getHandleName(target, edge.targetHandle, "input") === handleName
+  ).length;
+  if (connected >= limit) {
+    return `"${handleName}" on ${target} accepts only ${limit} connection${limit === 1 ? "" : "s"}`;
+  }
+
+  if (!isLoopReturnEdge(connection, nodeById)) {
+    const forward = edges.filter((edge) => !isLoopReturnEdge(edge, nodeById));
+    const path = findPath(target, source, forward);
+    if (path) {
+      return `This would create a cycle (${[...path, target].join(" → ")}). ${LOOP_HINT}.`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * findCycle
+ * Node ids around a cycle in the graph (first id repeated at the end), or
+ * null when there is none. Loop return edges don't count.
+ */
+export const findCycle = (nodes, edges) => {
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const forward = edges.filter((edge) => !isLoopReturnEdge(edge, nodeById));
+  try {
+    topologicalSort(nodes, forward);
+    return null;
+  } catch (error) {
+    // Only a cyclic graph gets here; name the first edge that closes it
+    for (const edge of forward) {
+      const path = nodeById.has(edge.source) && findPath(edge.target, edge.source, forward);
+      if (path) return [edge.source, ...path];
+    }
+    return null;
+  }
+};
@@ -0,0 +1,75 @@
+import { validateConnection } from "./connections";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const connection = (source, sourceHandle, target, targetHandle) => ({
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`,
+});
+const edge = (...args) => ({ id: args.join("/"), ...connection(...args) });
+
+const nodes = [
+  node("customInput-1", "customInput"),
+  node("customInput-2", "customInput", { inputType: "Number" }),
+  node("text-1", "text", { text: "{{input}}" }),
+  node("text-2", "text", { text: "{{input}}" }),
+  node("math-1", "math"),
+  node("customOutput-1", "customOutput"),
+  node("loop-1", "loop"),
+];
+
+// Why the connection is refused, or null
+const check = (conn, edges = []) => validateConnection(conn, nodes, edges);
+
+describe("validateConnection", () => {
+  test("allows compatible connections", () => {
+    expect(check(connection("customInput-1", "value", "text-1", "input"))).toBeNull();
+    expect(check(connection("customInput-2", "value", "math-1", "a"))).toBeNull();
+  });
+
+  test("refuses a connection to the same node", () => {
+    expect(check(connection("text-1", "output", "text-1", "input"))).toMatch(
+      /can't connect to itself/
+    );
+  });
+
+  test("refuses a repeated edge", () => {
+    const edges = [edge("customInput-1", "value", "text-1", "input")];
+    expect(check(connection("customInput-1", "value", "text-1", "input"), edges)).toBe(
+      "These handles are already connected"
+    );
+  });
+
+  test("refuses incompatible types", () => {
+    expect(check(connection("customInput-1", "value", "math-1", "a"))).toBe(
+      "Text → Number or Array: incompatible types"
+    );
+  });
+
+  test("refuses more edges than the handle takes", () => {
+    const edges = [edge("text-1", "output", "customOutput-1", "value")];
+    expect(check(connection("text-2", "output", "customOutput-1", "value"), edges)).toBe(
+      '"value" on customOutput-1 accepts only 1 connection'
+    );
+  });
+
+  test("refuses cycles and names the path", () => {
+    const edges = [edge("text-1", "output", "text-2", "input")];
+    const reason = check(connection("text-2", "output", "text-1", "input"), edges);
+    expect(reason).toMatch(/^This would create a cycle \(text-1 → text-2 → text-1\)\./);
+    expect(reason).toMatch(/use a Loop node/);
+  });
+
+  test("always allows the loop's return edge", () => {
+    const edges = [
+      edge("customInput-1", "value", "loop-1", "input"),
+      edge("loop-1", "item", "text-1", "input"),
+    ];
+    expect(check(connection("text-1", "output", "loop-1", "result"), edges)).toBeNull();
+  });
+
+  test("ignores connections to unknown nodes", () => {
+    expect(check(connection("text-1", "output", "gone-1", "input"))).toBeNull();
+  });
+});
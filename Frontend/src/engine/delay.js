@@ -0,0 +1,71 @@
+// delay.js
+// -----------------------------------------------------------------------------
+// Scheduling for the Delay node.
+//
+// Node data shape:
+//   mode: 'wait' | 'until' | 'jitter' | 'debounce' | 'retry'
+//   wait:   duration, unit ('ms' | 's' | 'm')
+//   until:  until (date-time string); waits until then, or not at all if it
+//           has passed
+//   jitter: minDuration, maxDuration, unit; waits a random time in between
+//   debounce: duration, unit; waits like `wait`, but a value that arrives
+//           while an earlier one is still waiting replaces it, and the
+//           earlier one emits nothing. Arrivals are counted per node for
+//           the whole run, so inside a Loop body every element but the last
+//           is dropped from the loop's result; lint.js reports that as an
+//           error. Elsewhere it is a plain wait.
+//   retry:  retries, duration + unit (first backoff), factor, maxDuration;
+//           the *upstream* node is retried with exponential backoff when it
+//           fails, and the Delay node itself passes the value straight on
+// -----------------------------------------------------------------------------
+
+export const UNIT_TO_MS = { ms: 1, s: 1000, m: 60 * 1000 };
+
+const toMs = (value, unit) => Number(value ?? 0) * (UNIT_TO_MS[unit] || 1);
+
+/**
+ * getDelayMs
+ * How long a Delay node waits before passing its input on.
+ */
+export const getDelayMs = (data = {}, now = Date.now(), random = Math.random) => {
+  switch (data.mode || "wait") {
+    case "until": {
+      const target = Date.parse(data.until);
+      if (Number.isNaN(target)) {
+        throw new Error(`Invalid date "${data.until || ""}" for wait-until`);
+      }
+      return Math.max(0, target - now);
+    }
+    case "jitter": {
+      const min = toMs(data.minDuration, data.unit);
+      const max = toMs(data.maxDuration, data.unit);
+      if (max < min) {
+        throw new Error("Jitter range is inverted: max is below min");
+      }
+      return Math.round(min + random() * (max - min));
+    }
+    case "retry":
+      return 0;
+    default:
+      return toMs(data.duration ?? 1000, data.unit);
+  }
+};
+
+/**
+ * getRetryPolicy
+ * Retry settings a Delay node in retry mode applies to its upstream node.
+ */
+export const getRetryPolicy = (data = {}) => ({
+  retries: Math.max(0, Number(data.retries ?? 3)),
+  baseMs: toMs(data.duration ?? 1000, data.unit),
+  factor: Number(data.factor ?? 2),
+  maxMs: data.maxDuration ? toMs(data.maxDuration, data.unit) : Infinity,
+});
+
+/**
+ * backoffDelay
+ * Wait before retry number `attempt` (1-based): base · factor^(attempt-1),
+ * capped at the policy's maximum.
+ */
+export const backoffDelay = ({ baseMs, factor, maxMs }, attempt) =>
+  Math.min(baseMs * factor ** (attempt - 1), maxMs);
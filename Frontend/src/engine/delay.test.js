@@ -0,0 +1,216 @@
+import { getDelayMs, getRetryPolicy, backoffDelay } from "./delay";
+import { createFakeClock } from "./clock";
+import { registerExecutor } from "./registry";
+import { runPipeline } from "./runPipeline";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}->${target}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`,
+});
+
+// Resolves with the run's result; `done()` tells whether it has settled yet
+const startRun = (pipeline, options) => {
+  let settled = false;
+  const run = runPipeline(pipeline, options).finally(() => {
+    settled = true;
+  });
+  return { run, done: () => settled };
+};
+
+describe("getDelayMs", () => {
+  test("converts the duration to milliseconds", () => {
+    expect(getDelayMs({ duration: 2, unit: "s" })).toBe(2000);
+    expect(getDelayMs({ duration: 1, unit: "m" })).toBe(60000);
+    expect(getDelayMs({})).toBe(1000);
+  });
+
+  test("waits until a date, or not at all once it has passed", () => {
+    const now = Date.parse("2024-01-01T00:00:00Z");
+    expect(getDelayMs({ mode: "until", until: "2024-01-01T00:00:05Z" }, now)).toBe(5000);
+    expect(getDelayMs({ mode: "until", until: "2023-12-31T00:00:00Z" }, now)).toBe(0);
+    expect(() => getDelayMs({ mode: "until", until: "soon" }, now)).toThrow(/Invalid date/);
+  });
+
+  test("picks a jitter within the range", () => {
+    const data = { mode: "jitter", minDuration: 1, maxDuration: 3, unit: "s" };
+    expect(getDelayMs(data, 0, () => 0)).toBe(1000);
+    expect(getDelayMs(data, 0, () => 0.5)).toBe(2000);
+    expect(() => getDelayMs({ ...data, maxDuration: 0 })).toThrow(/inverted/);
+  });
+
+  test("debounce waits for its duration; retry does not wait itself", () => {
+    expect(getDelayMs({ mode: "debounce", duration: 300 })).toBe(300);
+    expect(getDelayMs({ mode: "retry", duration: 300 })).toBe(0);
+  });
+});
+
+describe("backoffDelay", () => {
+  test("grows by the factor and stops at the maximum", () => {
+    const policy = getRetryPolicy({ retries: 5, duration: 1, unit: "s", factor: 2, maxDuration: 5 });
+    expect([1, 2, 3, 4, 5].map((attempt) => backoffDelay(policy, attempt))).toEqual([
+      1000, 2000, 4000, 5000, 5000,
+    ]);
+  });
+});
+
+describe("Delay node in a run", () => {
+  test("holds its branch for the configured time", async () => {
+    const clock = createFakeClock();
+    const { run, done } = startRun(
+      {
+        nodes: [
+          node("customInput-1", "customInput", { value: "hi" }),
+          node("delay-1", "delay", { mode: "wait", duration: 2, unit: "s" }),
+          node("customOutput-1", "customOutput"),
+        ],
+        edges: [
+          edge("customInput-1", "value", "delay-1", "input"),
+          edge("delay-1", "output", "customOutput-1", "value"),
+        ],
+      },
+      { clock }
+    );
+
+    await clock.advance(1999);
+    expect(done()).toBe(false);
+    await clock.advance(1);
+    const { results } = await run;
+    expect(results["customOutput-1"].outputs.value).toBe("hi");
+    expect(results["delay-1"].duration).toBe(2000);
+  });
+
+  test("does not hold up other branches", async () => {
+    const clock = createFakeClock();
+    const completed = [];
+    const { run } = startRun(
+      {
+        nodes: [
+          node("customInput-1", "customInput", { value: "hi" }),
+          node("delay-1", "delay", { duration: 5000 }),
+          node("customOutput-1", "customOutput"),
+          node("text-1", "text", { text: "{{input}}!" }),
+          node("customOutput-2", "customOutput"),
+        ],
+        edges: [
+          edge("customInput-1", "value", "delay-1", "input"),
+          edge("delay-1", "output", "customOutput-1", "value"),
+          edge("customInput-1", "value", "text-1", "input"),
+          edge("text-1", "output", "customOutput-2", "value"),
+        ],
+      },
+      { clock, onNodeComplete: (nodeId) => completed.push(nodeId) }
+    );
+
+    await clock.advance(0);
+    expect(completed).toContain("customOutput-2");
+    expect(completed).not.toContain("customOutput-1");
+
+    await clock.advance(5000);
+    await run;
+    expect(completed.slice(-2)).toEqual(["delay-1", "customOutput-1"]);
+  });
+
+  test("debounce lets only the latest of overlapping values through", async () => {
+    const clock = createFakeClock();
+    const { run } = startRun(
+      {
+        nodes: [
+          node("customInput-1", "customInput", { inputType: "Array", value: "[1, 2, 3]" }),
+          node("loop-1", "loop", { concurrency: 3 }),
+          node("delay-1", "delay", { mode: "debounce", duration: 1000 }),
+        ],
+        edges: [
+          edge("customInput-1", "value", "loop-1", "input"),
+          edge("loop-1", "item", "delay-1", "input"),
+          edge("delay-1", "output", "loop-1", "result"),
+        ],
+      },
+      { clock }
+    );
+
+    await clock.advance(1000);
+    const { results } = await run;
+    expect(results["loop-1"].outputs.output).toEqual([3]);
+  });
+});
+
+describe("retry with backoff", () => {
+  // Fails `failures` times per run, then succeeds
+  let calls = 0;
+  registerExecutor("testFlaky", async ({ data }) => {
+    calls += 1;
+    if (calls <= data.failures) throw new Error(`Failure ${calls}`);
+    return { output: `ok after ${calls}` };
+  });
+
+  const flakyPipeline = (failures) => ({
+    nodes: [
+      node("testFlaky-1", "testFlaky", { failures }),
+      node("delay-1", "delay", { mode: "retry", retries: 3, duration: 1000, factor: 2 }),
+      node("customOutput-1", "customOutput"),
+    ],
+    edges: [
+      edge("testFlaky-1", "output", "delay-1", "input"),
+      edge("delay-1", "output", "customOutput-1", "value"),
+    ],
+  });
+
+  beforeEach(() => {
+    calls = 0;
+  });
+
+  test("retries the upstream node after each backoff", async () => {
+    const clock = createFakeClock();
+    const waits = [];
+    const { run, done } = startRun(flakyPipeline(2), {
+      clock,
+      onNodeWait: (nodeId, wait) => wait && waits.push({ nodeId, ...wait }),
+    });
+
+    await clock.advance(999);
+    expect(calls).toBe(1);
+    await clock.advance(1);
+    expect(calls).toBe(2);
+    await clock.advance(1999);
+    expect(done()).toBe(false);
+    await clock.advance(1);
+
+    const { results } = await run;
+    expect(calls).toBe(3);
+    expect(results["testFlaky-1"]).toMatchObject({ status: "success", attempts: 3 });
+    expect(results["customOutput-1"].outputs.value).toBe("ok after 3");
+    expect(waits).toEqual([
+      { nodeId: "testFlaky-1", until: 1000, label: "Retry 1/3" },
+      { nodeId: "testFlaky-1", until: 3000, label: "Retry 2/3" },
+    ]);
+  });
+
+  test("fails once the retries are used up", async () => {
+    const clock = createFakeClock();
+    const { run } = startRun(flakyPipeline(10), { clock });
+
+    await clock.advance(1000 + 2000 + 4000);
+    const { results } = await run;
+    expect(results["testFlaky-1"]).toMatchObject({
+      status: "error",
+      error: "Failure 4",
+      attempts: 4,
+    });
+    expect(results["customOutput-1"].status).toBe("skipped");
+  });
+
+  test("stops waiting when the run is cancelled", async () => {
+    const clock = createFakeClock();
+    const controller = new AbortController();
+    const { run } = startRun(flakyPipeline(10), { clock, signal: controller.signal });
+
+    await clock.advance(500);
+    controller.abort();
+    await expect(run).rejects.toThrow(/cancelled/);
+    expect(clock.pendingTimers()).toBe(0);
+  });
+});
@@ -0,0 +1,196 @@
+// executors.js
+// -----------------------------------------------------------------------------
+// Built-in executors for every node type on the canvas.
+// Each executor reads its configuration from `node.data` (the same fields the
+// node components persist to Redux) and the values arriving on its handles.
+// -----------------------------------------------------------------------------
+
+import { registerExecutor } from "./registry";
+import { stringifyValue, renderTemplate } from "./template";
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  resolveProvider,
+  streamWithProvider,
+} from "./llmProviders";
+import {
+  sendRequest,
+  isSuccessStatus,
+  mapResponse,
+  withCredentials,
+} from "./httpRequest";
+import { filterItems, matchesGroup, getFilterGroup } from "./filter";
+import { routeCondition } from "./condition";
+import { computeMath } from "./math";
+import { getDelayMs } from "./delay";
+import { runLoop } from "./loop";
+import { mergeValues } from "./merge";
+import { runCode } from "./code";
+import { parsePortValue } from "./portTypes";
+
+// -----------------------------------------------------------------------------
+// Input / Output
+// Typed inputs parse their text (`42`, `true`, `[1, 2]`) into that type.
+// -----------------------------------------------------------------------------
+registerExecutor("customInput", async ({ node, data, context }) => {
+  const inputName = data.inputName || node.id.replace("customInput-", "input_");
+  const value =
+    inputName in context.inputs ? context.inputs[inputName] : data.value ?? "";
+  return { value: parsePortValue(value, data.inputType || "Text") };
+});
+
+registerExecutor("customOutput", async ({ inputs }) => ({ value: inputs.value }));
+
+// -----------------------------------------------------------------------------
+// Text: renders the template (placeholders, filters, #if / #each blocks)
+// from the values on the matching handles (see template.js)
+// -----------------------------------------------------------------------------
+registerExecutor("text", async ({ data, inputs }) => ({
+  output: renderTemplate(data.text || "", inputs),
+}));
+
+// -----------------------------------------------------------------------------
+// LLM: renders both prompts as templates (their variables are the node's
+// handles) and streams them through the selected provider.
+// Without a user prompt the value on `input` itself is sent.
+// -----------------------------------------------------------------------------
+registerExecutor("llm", async ({ data, inputs, context }) => {
+  const model = data.model || "gpt-4";
+  const provider = resolveProvider(context.providers, { provider: data.provider, model });
+  if (!provider) {
+    throw new Error(`No LLM provider is configured for model "${model}"`);
+  }
+
+  // Tokens are reported as they arrive so the canvas can render them live
+  let partial = "";
+  const output = await streamWithProvider(
+    provider,
+    {
+      model,
+      systemPrompt: renderTemplate(data.systemPrompt || DEFAULT_SYSTEM_PROMPT, inputs),
+      userPrompt: data.userPrompt
+        ? renderTemplate(data.userPrompt, inputs)
+        : stringifyValue(inputs.input),
+      signal: context.signal,
+    },
+    (token) => {
+      partial += token;
+      context.reportProgress(partial);
+    }
+  );
+  return { output };
+});
+
+// -----------------------------------------------------------------------------
+// API: renders the configured request with the incoming values, then passes
+// on the mapped part of the response (see httpRequest.js). Auth secrets come
+// from the run's credentials. When the run replays fixtures, the node's
+// recorded response stands in for the network.
+// -----------------------------------------------------------------------------
+registerExecutor("api", async ({ data, inputs, context }) => {
+  let result;
+  if (context.useFixtures) {
+    if (!data.fixture) {
+      throw new Error("No fixture recorded for this API node");
+    }
+    result = data.fixture;
+  } else {
+    result = await sendRequest(
+      withCredentials(data, context.credentials),
+      inputs,
+      context.signal
+    );
+  }
+
+  if (!isSuccessStatus(result.status)) {
+    throw new Error(`HTTP error! status: ${result.status}`);
+  }
+  return { output: mapResponse(result, data.responseMapping) };
+});
+
+// -----------------------------------------------------------------------------
+// Filter: keeps array items (or a single value) that match the rule groups
+// (see filter.js)
+// -----------------------------------------------------------------------------
+registerExecutor("filter", async ({ data, inputs }) => {
+  const input = inputs.input;
+  if (Array.isArray(input)) {
+    return { output: filterItems(input, data) };
+  }
+  return matchesGroup(input, getFilterGroup(data)) ? { output: input } : {};
+});
+
+// -----------------------------------------------------------------------------
+// Math: applies the operation or formula to the operands (see math.js)
+// -----------------------------------------------------------------------------
+registerExecutor("math", async ({ data, inputs }) => ({
+  output: computeMath(data, inputs),
+}));
+
+// -----------------------------------------------------------------------------
+// Delay: pauses this branch, then passes the value through (see delay.js).
+// In retry mode the engine does the waiting, between upstream retries.
+// -----------------------------------------------------------------------------
+const DELAY_LABELS = { until: "Waiting until", debounce: "Debouncing" };
+
+registerExecutor("delay", async ({ node, data, inputs, context }) => {
+  // Debounce: each arrival is numbered; only the latest one passes on
+  const arrival = (context.nodeState.get(node.id) || 0) + 1;
+  context.nodeState.set(node.id, arrival);
+
+  const ms = getDelayMs(data, context.clock.now());
+  if (ms > 0) {
+    await context.wait(ms, DELAY_LABELS[data.mode] || "Waiting");
+  }
+  if (data.mode === "debounce" && context.nodeState.get(node.id) !== arrival) {
+    return {};
+  }
+  return { output: inputs.input };
+});
+
+// -----------------------------------------------------------------------------
+// Condition: passes the value through on the matching branch only (`true` /
+// `false`, or a switch case); the other branches are skipped
+// -----------------------------------------------------------------------------
+registerExecutor("condition", async ({ data, inputs }) => ({
+  [routeCondition(data, inputs.input)]: inputs.input,
+}));
+
+// -----------------------------------------------------------------------------
+// Loop: runs the body wired to `item` once per array element and collects
+// what comes back on `result` (see loop.js)
+// -----------------------------------------------------------------------------
+registerExecutor("loop", async ({ data, inputs, context }) => {
+  if (!Array.isArray(inputs.input)) {
+    throw new Error("Loop node expects an array input");
+  }
+  return runLoop(inputs.input, data, context);
+});
+
+// -----------------------------------------------------------------------------
+// Merge: combines the values arriving on its handles (see merge.js)
+// -----------------------------------------------------------------------------
+registerExecutor("merge", async ({ data, inputs, context }) => ({
+  output: mergeValues(data, inputs, context.arrivalOrder),
+}));
+
+// -----------------------------------------------------------------------------
+// Code: runs the user's function body in a Web Worker (see code.js).
+// Console output is streamed as progress and kept on the result.
+// -----------------------------------------------------------------------------
+registerExecutor("code", async ({ data, inputs, context }) => {
+  const lines = [];
+  const output = await runCode(
+    data.code || "",
+    { input: inputs.input, inputs },
+    {
+      timeoutMs: data.timeoutMs,
+      signal: context.signal,
+      onLog: (line) => {
+        lines.push(line);
+        context.log(line);
+        context.reportProgress(lines.join("\n"));
+      },
+    }
+  );
+  return { output };
+});
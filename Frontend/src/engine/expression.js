@@ -0,0 +1,422 @@
+// expression.js
+// -----------------------------------------------------------------------------
+// Small, sandboxed expression language for ConditionNode "Custom Expression".
+//
+//   input.status == "active" && input.score > 0.7
+//   lower(input.name) startsWith "a" || input.tags contains "vip"
+//   input.plan in ["pro", "team"] ? true : input.trial
+//
+// Supported:
+//   literals      numbers, "strings" / 'strings', true, false, null, [lists]
+//   access        names from the scope, `a.b`, `a[0]`, `a["key"]`
+//   operators     ! - (unary)  * / %  + -  < <= > >=  == !=
+//                 contains startsWith endsWith in  &&  ||  ?:
+//   functions     see FUNCTIONS below
+//
+// Expressions are parsed into a tree and walked by `evaluate`; nothing is
+// ever handed to `eval` / `Function`. Names resolve only against the scope
+// passed in (never browser globals), member access only reads own
+// properties, and only the whitelisted functions can be called.
+// -----------------------------------------------------------------------------
+
+import { compilePattern } from "./pattern";
+
+// -----------------------------------------------------------------------------
+// Functions callable from expressions
+// -----------------------------------------------------------------------------
+
+// `matches` runs user patterns through the non-backtracking matcher in
+// pattern.js, so no pattern can hang the page.
+const matchPattern = (value, pattern) => {
+  let compiled;
+  try {
+    compiled = compilePattern(pattern);
+  } catch (error) {
+    throw new Error(`matches: ${error.message}`);
+  }
+  return compiled.test(String(value ?? ""));
+};
+
+const FUNCTIONS = {
+  len: (value) => {
+    if (value === null || value === undefined) return 0;
+    if (Array.isArray(value)) return value.length;
+    if (typeof value === "object") return Object.keys(value).length;
+    return String(value).length;
+  },
+  lower: (value) => String(value ?? "").toLowerCase(),
+  upper: (value) => String(value ?? "").toUpperCase(),
+  trim: (value) => String(value ?? "").trim(),
+  number: (value) => Number(value),
+  string: (value) =>
+    typeof value === "object" && value !== null ? JSON.stringify(value) : String(value ?? ""),
+  abs: (value) => Math.abs(value),
+  pow: (base, exponent) => base ** exponent,
+  sqrt: (value) => Math.sqrt(value),
+  round: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits,
+  min: (...values) => Math.min(...values),
+  max: (...values) => Math.max(...values),
+  sum: (values) => [].concat(values).reduce((total, value) => total + Number(value), 0),
+  avg: (values) => FUNCTIONS.sum(values) / [].concat(values).length,
+  matches: matchPattern,
+  isEmpty: (value) =>
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (typeof value === "object" && Object.keys(value).length === 0),
+};
+
+const WORD_OPERATORS = ["contains", "startsWith", "endsWith", "in"];
+const KEYWORDS = new Map([
+  ["true", true],
+  ["false", false],
+  ["null", null],
+]);
+
+// -----------------------------------------------------------------------------
+// Tokenizer
+// -----------------------------------------------------------------------------
+const PUNCTUATION = ["&&", "||", "==", "!=", "<=", ">=", "<", ">", "!", "+", "-", "*", "/", "%", "(", ")", "[", "]", ".", ",", "?", ":"];
+
+const punctuationAt = (source, position) =>
+  PUNCTUATION.find((op) => source.startsWith(op, position));
+
+const syntaxError = (message, position) => {
+  const error = new Error(`${message} at position ${position + 1}`);
+  error.position = position;
+  return error;
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(source[i + 1]))) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      tokens.push({ type: "number", value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = "";
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === "\\") {
+          const escaped = source[j + 1];
+          value += { n: "\n", t: "\t" }[escaped] ?? escaped ?? "";
+          j += 2;
+        } else {
+          value += source[j];
+          j += 1;
+        }
+      }
+      if (j >= source.length) {
+        throw syntaxError("Unterminated string", i);
+      }
+      tokens.push({ type: "string", value, position: i });
+      i = j + 1;
+    } else if (/[a-zA-Z_$]/.test(char)) {
+      const name = source.slice(i).match(/^[a-zA-Z_$][a-zA-Z0-9_$]*/)[0];
+      tokens.push({
+        type: WORD_OPERATORS.includes(name) ? "operator" : "name",
+        value: name,
+        position: i,
+      });
+      i += name.length;
+    } else {
+      const operator = punctuationAt(source, i);
+      if (!operator) {
+        throw syntaxError(`Unexpected character "${char}"`, i);
+      }
+      tokens.push({ type: "operator", value: operator, position: i });
+      i += operator.length;
+    }
+  }
+
+  tokens.push({ type: "end", value: "", position: source.length });
+  return tokens;
+};
+
+// -----------------------------------------------------------------------------
+// Parser (precedence climbing) → plain-object syntax tree
+// -----------------------------------------------------------------------------
+const BINARY_PRECEDENCE = {
+  "||": 1,
+  "&&": 2,
+  "==": 3,
+  "!=": 3,
+  "<": 4,
+  "<=": 4,
+  ">": 4,
+  ">=": 4,
+  contains: 4,
+  startsWith: 4,
+  endsWith: 4,
+  in: 4,
+  "+": 5,
+  "-": 5,
+  "*": 6,
+  "/": 6,
+  "%": 6,
+};
+
+/**
+ * parseExpression
+ * Parses `source` into a syntax tree. Throws an Error whose message names
+ * the offending position (and sets `error.position`) on invalid input.
+ */
+export const parseExpression = (source = "") => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (value) => peek().type === "operator" && peek().value === value;
+
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw syntaxError(
+        token.type === "end" ? `Expected "${value}" but the expression ended` : `Expected "${value}"`,
+        token.position
+      );
+    }
+    return next();
+  };
+
+  const parseList = (closing) => {
+    const items = [];
+    if (!isOperator(closing)) {
+      do {
+        items.push(parseTernary());
+      } while (isOperator(",") && next());
+    }
+    expect(closing);
+    return items;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === "number" || token.type === "string") {
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "name") {
+      if (KEYWORDS.has(token.value)) {
+        return { type: "literal", value: KEYWORDS.get(token.value) };
+      }
+      if (isOperator("(")) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw syntaxError(`Unknown function "${token.value}"`, token.position);
+        }
+        next();
+        return { type: "call", name: token.value, args: parseList(")") };
+      }
+      return { type: "name", name: token.value, position: token.position };
+    }
+
+    if (token.type === "operator" && token.value === "(") {
+      const inner = parseTernary();
+      expect(")");
+      return inner;
+    }
+
+    if (token.type === "operator" && token.value === "[") {
+      return { type: "list", items: parseList("]") };
+    }
+
+    throw syntaxError(
+      token.type === "end" ? "Unexpected end of expression" : `Unexpected "${token.value}"`,
+      token.position
+    );
+  };
+
+  const parseMember = () => {
+    let node = parsePrimary();
+    for (;;) {
+      if (isOperator(".")) {
+        next();
+        const property = next();
+        // Word operators are fine as property names: `input.in`
+        if (property.type !== "name" && !WORD_OPERATORS.includes(property.value)) {
+          throw syntaxError("Expected a property name", property.position);
+        }
+        node = { type: "member", object: node, property: { type: "literal", value: property.value } };
+      } else if (isOperator("[")) {
+        next();
+        const property = parseTernary();
+        expect("]");
+        node = { type: "member", object: node, property };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    if (isOperator("!") || isOperator("-")) {
+      const operator = next().value;
+      return { type: "unary", operator, argument: parseUnary() };
+    }
+    return parseMember();
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      const precedence = token.type === "operator" ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) {
+        return left;
+      }
+      next();
+      const right = parseBinary(precedence + 1);
+      left = { type: "binary", operator: token.value, left, right };
+    }
+  };
+
+  const parseTernary = () => {
+    const test = parseBinary(1);
+    if (!isOperator("?")) return test;
+    next();
+    const consequent = parseTernary();
+    expect(":");
+    return { type: "conditional", test, consequent, alternate: parseTernary() };
+  };
+
+  if (peek().type === "end") {
+    throw syntaxError("Expression is empty", 0);
+  }
+
+  const tree = parseTernary();
+  if (peek().type !== "end") {
+    throw syntaxError(`Unexpected "${peek().value}"`, peek().position);
+  }
+  return tree;
+};
+
+// -----------------------------------------------------------------------------
+// Evaluator
+// -----------------------------------------------------------------------------
+const readProperty = (object, key) => {
+  if (object === null || object === undefined) return undefined;
+  if (typeof object === "string" || Array.isArray(object)) {
+    if (key === "length") return object.length;
+  }
+  // Own properties only: `constructor`, `__proto__` etc. are never reachable
+  return Object.prototype.hasOwnProperty.call(Object(object), key) ? object[key] : undefined;
+};
+
+const containsValue = (container, item) => {
+  if (Array.isArray(container)) return container.some((entry) => entry === item);
+  if (typeof container === "string") return container.includes(String(item));
+  return false;
+};
+
+const BINARY_OPERATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+  contains: (a, b) => containsValue(a, b),
+  startsWith: (a, b) => String(a ?? "").startsWith(String(b ?? "")),
+  endsWith: (a, b) => String(a ?? "").endsWith(String(b ?? "")),
+  in: (a, b) => containsValue(b, a),
+};
+
+const evaluate = (node, scope) => {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "list":
+      return node.items.map((item) => evaluate(item, scope));
+    case "name":
+      if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+        throw new Error(`Unknown name "${node.name}"`);
+      }
+      return scope[node.name];
+    case "member":
+      return readProperty(evaluate(node.object, scope), evaluate(node.property, scope));
+    case "call":
+      return FUNCTIONS[node.name](...node.args.map((arg) => evaluate(arg, scope)));
+    case "unary": {
+      const value = evaluate(node.argument, scope);
+      return node.operator === "!" ? !value : -value;
+    }
+    case "binary":
+      // Short-circuit like JavaScript
+      if (node.operator === "&&") {
+        return evaluate(node.left, scope) && evaluate(node.right, scope);
+      }
+      if (node.operator === "||") {
+        return evaluate(node.left, scope) || evaluate(node.right, scope);
+      }
+      return BINARY_OPERATORS[node.operator](
+        evaluate(node.left, scope),
+        evaluate(node.right, scope)
+      );
+    case "conditional":
+      return evaluate(node.test, scope)
+        ? evaluate(node.consequent, scope)
+        : evaluate(node.alternate, scope);
+    default:
+      throw new Error(`Unsupported expression node "${node.type}"`);
+  }
+};
+
+/**
+ * evaluateExpression
+ * Parses and evaluates `source` with the names in `scope` (e.g. `{ input }`).
+ */
+export const evaluateExpression = (source, scope = {}) =>
+  evaluate(parseExpression(source), scope);
+
+/**
+ * evaluateTree
+ * Evaluates an already parsed tree, for callers that evaluate it repeatedly
+ * (e.g. inside a template loop).
+ */
+export const evaluateTree = (tree, scope = {}) => evaluate(tree, scope);
+
+/**
+ * collectNames
+ * The scope names an expression reads (function names excluded).
+ */
+export const collectNames = (tree) => {
+  const names = new Set();
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (node.type === "name") names.add(node.name);
+    Object.values(node).forEach((child) =>
+      Array.isArray(child) ? child.forEach(visit) : visit(child)
+    );
+  };
+  visit(tree);
+  return Array.from(names);
+};
+
+/**
+ * validateExpression
+ * Returns the error message for `source`, or null when it parses. With
+ * `names`, reading any other name is reported too.
+ */
+export const validateExpression = (source, names) => {
+  try {
+    const tree = parseExpression(source);
+    const unknown = names && collectNames(tree).find((name) => !names.includes(name));
+    return unknown ? `Unknown name "${unknown}"` : null;
+  } catch (error) {
+    return error.message;
+  }
+};
@@ -0,0 +1,132 @@
+import {
+  evaluateExpression,
+  parseExpression,
+  collectNames,
+  validateExpression,
+} from "./expression";
+
+const input = {
+  status: "active",
+  score: 0.8,
+  name: "Ada",
+  plan: "pro",
+  tags: ["vip", "beta"],
+  nested: { list: [{ id: 7 }] },
+};
+
+describe("evaluateExpression", () => {
+  test("compares and combines values", () => {
+    expect(evaluateExpression('input.status == "active" && input.score > 0.7', { input })).toBe(
+      true
+    );
+    expect(evaluateExpression("input.score >= 1 || !input.trial", { input })).toBe(true);
+    expect(evaluateExpression('input.plan in ["pro", "team"] ? "paid" : "free"', { input })).toBe(
+      "paid"
+    );
+  });
+
+  test("follows operator precedence", () => {
+    expect(evaluateExpression("1 + 2 * 3 - -4 % 3")).toBe(8);
+    expect(evaluateExpression("(1 + 2) * 3")).toBe(9);
+    expect(evaluateExpression("1 < 2 == true")).toBe(true);
+  });
+
+  test("handles the word operators", () => {
+    expect(evaluateExpression('input.tags contains "vip"', { input })).toBe(true);
+    expect(evaluateExpression('lower(input.name) startsWith "a"', { input })).toBe(true);
+    expect(evaluateExpression('input.name endsWith "da"', { input })).toBe(true);
+    expect(evaluateExpression('"b" in input.name', { input })).toBe(false);
+  });
+
+  test("reads members, indexes and lengths", () => {
+    expect(evaluateExpression("input.nested.list[0].id", { input })).toBe(7);
+    expect(evaluateExpression('input["tags"].length', { input })).toBe(2);
+    expect(evaluateExpression("input.missing.deeper", { input })).toBeUndefined();
+  });
+
+  test("calls the whitelisted functions", () => {
+    expect(evaluateExpression("len(input.tags) + len(input.name)", { input })).toBe(5);
+    expect(evaluateExpression("round(2.345, 2)")).toBe(2.35);
+    expect(evaluateExpression("avg([1, 2, 6])")).toBe(3);
+    expect(evaluateExpression('upper(trim("  hi "))')).toBe("HI");
+    expect(evaluateExpression("isEmpty(input.missing) && !isEmpty(input)", { input })).toBe(
+      true
+    );
+    expect(evaluateExpression("string(input.nested)", { input })).toBe('{"list":[{"id":7}]}');
+  });
+
+  test("short-circuits like JavaScript", () => {
+    expect(evaluateExpression("false && unknown")).toBe(false);
+    expect(() => evaluateExpression("true && unknown")).toThrow('Unknown name "unknown"');
+  });
+});
+
+describe("sandboxing", () => {
+  test("never reaches globals or inherited properties", () => {
+    expect(() => evaluateExpression("window")).toThrow('Unknown name "window"');
+    expect(evaluateExpression("input.constructor", { input })).toBeUndefined();
+    expect(evaluateExpression('input["__proto__"]', { input })).toBeUndefined();
+    expect(() => evaluateExpression("alert(1)")).toThrow('Unknown function "alert"');
+  });
+});
+
+describe("parseExpression", () => {
+  test("reports the offending position", () => {
+    expect(() => parseExpression("input ==")).toThrow("Unexpected end of expression at position 9");
+    expect(() => parseExpression('"open')).toThrow("Unterminated string at position 1");
+    expect(() => parseExpression("a # b")).toThrow('Unexpected character "#" at position 3');
+    expect(() => parseExpression("")).toThrow("Expression is empty");
+
+    let error;
+    try {
+      parseExpression("(a");
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.position).toBe(2);
+  });
+
+  test("allows word operators as property names", () => {
+    expect(evaluateExpression("input.in", { input: { in: 1 } })).toBe(1);
+  });
+});
+
+describe("collectNames / validateExpression", () => {
+  test("lists the scope names read, not function names", () => {
+    expect(collectNames(parseExpression("max(a, b.c) + a"))).toEqual(["a", "b"]);
+  });
+
+  test("returns the error message, or null", () => {
+    expect(validateExpression("a + b")).toBeNull();
+    expect(validateExpression("a +")).toBe("Unexpected end of expression at position 4");
+    expect(validateExpression("a + c", ["a", "b"])).toBe('Unknown name "c"');
+  });
+});
+
+describe("matches", () => {
+  test("tests the value against the pattern", () => {
+    expect(evaluateExpression('matches(input, "^a.c$")', { input: "abc" })).toBe(true);
+    expect(evaluateExpression('matches(input, "^a.c$")', { input: "abd" })).toBe(false);
+  });
+
+  test("answers quickly for patterns that backtrack exponentially in RegExp", () => {
+    const input = `${"a".repeat(29)}!`;
+    const started = Date.now();
+    expect(evaluateExpression('matches(input, "((a+))+$")', { input })).toBe(false);
+    expect(evaluateExpression('matches(input, "(a|a)*$")', { input })).toBe(true);
+    expect(evaluateExpression('matches(input, "^(a|a)*$")', { input })).toBe(false);
+    expect(evaluateExpression('matches(input, "^(\\\\w*){2}$")', { input })).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test("reports unusable patterns", () => {
+    const scope = { input: "a", pattern: "a".repeat(201) };
+    expect(() => evaluateExpression("matches(input, pattern)", scope)).toThrow(
+      "matches: Pattern is longer than 200 characters"
+    );
+    expect(() => evaluateExpression('matches(input, "(a)\\\\1")', scope)).toThrow(
+      "matches: Backreferences and octal escapes are not supported in patterns"
+    );
+    expect(() => evaluateExpression('matches(input, "(")', scope)).toThrow(/^matches: Invalid/);
+  });
+});
@@ -0,0 +1,195 @@
+// filter.js
+// -----------------------------------------------------------------------------
+// Rule evaluation for the Filter node.
+//
+// Node data shape:
+//   filter: { combinator: 'and' | 'or', rules: [rule | group] }
+//   rule:   { field, operator, value }
+//
+// `field` is a path into each item (`user.age`, `tags[0]`, `$.meta.id`);
+// empty means the item itself. Groups nest, so `(a AND b) OR c` is a group
+// holding a sub-group and a rule. Pipelines saved before groups existed keep
+// their single `field` / `operator` / `value` rule (see getFilterGroup).
+// -----------------------------------------------------------------------------
+
+import { getPath } from "./path";
+import { stringifyValue } from "./template";
+import { compilePattern } from "./pattern";
+
+// -----------------------------------------------------------------------------
+// Operators
+// `needsValue: false` hides the value input in the node.
+// -----------------------------------------------------------------------------
+export const FILTER_OPERATORS = [
+  { id: "equals", label: "Equals" },
+  { id: "notEquals", label: "Not Equals" },
+  { id: "contains", label: "Contains" },
+  { id: "startsWith", label: "Starts With" },
+  { id: "greaterThan", label: "Greater Than" },
+  { id: "lessThan", label: "Less Than" },
+  { id: "in", label: "In List" },
+  { id: "regex", label: "Matches Regex" },
+  { id: "isEmpty", label: "Is Empty", needsValue: false },
+  { id: "isNotEmpty", label: "Is Not Empty", needsValue: false },
+  { id: "before", label: "Date Before" },
+  { id: "after", label: "Date After" },
+];
+
+export const operatorNeedsValue = (operatorId) =>
+  FILTER_OPERATORS.find((op) => op.id === operatorId)?.needsValue !== false;
+
+export const createFilterRule = () => ({ field: "", operator: "equals", value: "" });
+
+export const createFilterGroup = (combinator = "and") => ({
+  combinator,
+  rules: [createFilterRule()],
+});
+
+export const isFilterGroup = (rule) => Array.isArray(rule?.rules);
+
+/**
+ * getFilterGroup
+ * The node's root rule group, upgrading the legacy single rule if needed.
+ */
+export const getFilterGroup = (data = {}) =>
+  data.filter || {
+    combinator: "and",
+    rules: [
+      {
+        field: data.field || "",
+        operator: data.operator || "equals",
+        value: data.value || "",
+      },
+    ],
+  };
+
+// -----------------------------------------------------------------------------
+// Type-aware comparison
+// Numbers compare as numbers and booleans as booleans; only text falls back
+// to string comparison, so "10" > "9" holds and 10 equals "10.0".
+// -----------------------------------------------------------------------------
+const isNumeric = (value) =>
+  typeof value === "number" ||
+  (typeof value === "string" && value.trim() !== "" && !Number.isNaN(Number(value)));
+
+export const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" && Object.keys(value).length === 0);
+
+export const valuesEqual = (actual, expected) => {
+  if (typeof actual === "boolean") {
+    return actual === (expected.trim().toLowerCase() === "true");
+  }
+  if (isNumeric(actual) && isNumeric(expected)) {
+    return Number(actual) === Number(expected);
+  }
+  return stringifyValue(actual) === expected;
+};
+
+const compareValues = (actual, expected) => {
+  if (isNumeric(actual) && isNumeric(expected)) {
+    return Number(actual) - Number(expected);
+  }
+  return stringifyValue(actual).localeCompare(expected);
+};
+
+const compareDates = (actual, expected) => {
+  const left = actual instanceof Date ? actual.getTime() : Date.parse(actual);
+  const right = Date.parse(expected);
+  return Number.isNaN(left) || Number.isNaN(right) ? NaN : left - right;
+};
+
+// Regex rules use the non-backtracking matcher, so a pattern like `(a+)+$`
+// cannot hang a run or the node's live preview
+const toPattern = (pattern) => {
+  try {
+    return compilePattern(pattern);
+  } catch (error) {
+    throw new Error(`Invalid filter regex /${pattern}/: ${error.message}`);
+  }
+};
+
+const testRule = (actual, operator, expected, pattern) => {
+  switch (operator) {
+    case "equals":
+      return valuesEqual(actual, expected);
+    case "notEquals":
+      return !valuesEqual(actual, expected);
+    case "contains":
+      return Array.isArray(actual)
+        ? actual.some((entry) => valuesEqual(entry, expected))
+        : stringifyValue(actual).includes(expected);
+    case "startsWith":
+      return stringifyValue(actual).startsWith(expected);
+    case "greaterThan":
+      return actual !== undefined && compareValues(actual, expected) > 0;
+    case "lessThan":
+      return actual !== undefined && compareValues(actual, expected) < 0;
+    case "in":
+      return expected
+        .split(",")
+        .map((entry) => entry.trim())
+        .some((entry) => valuesEqual(actual, entry));
+    case "regex":
+      return actual !== undefined && pattern.test(stringifyValue(actual));
+    case "isEmpty":
+      return isEmptyValue(actual);
+    case "isNotEmpty":
+      return !isEmptyValue(actual);
+    case "before":
+      return compareDates(actual, expected) < 0;
+    case "after":
+      return compareDates(actual, expected) > 0;
+    default:
+      throw new Error(`Unknown filter operator "${operator}"`);
+  }
+};
+
+/**
+ * compileRule
+ * Turns one rule into an `item => boolean` test. Regex patterns are
+ * compiled here, once, rather than for every item.
+ */
+export const compileRule = ({ field = "", operator = "equals", value = "" }) => {
+  const expected = String(value ?? "");
+  const pattern = operator === "regex" ? toPattern(expected) : null;
+  return (item) => testRule(field ? getPath(item, field) : item, operator, expected, pattern);
+};
+
+/**
+ * compileGroup
+ * Turns a rule group into an `item => boolean` test. An empty group lets
+ * everything through.
+ */
+export const compileGroup = ({ combinator = "and", rules = [] }) => {
+  const tests = rules.map((rule) => (isFilterGroup(rule) ? compileGroup(rule) : compileRule(rule)));
+  if (tests.length === 0) return () => true;
+
+  return combinator === "or"
+    ? (item) => tests.some((test) => test(item))
+    : (item) => tests.every((test) => test(item));
+};
+
+/**
+ * matchesRule
+ * Evaluates one rule against an item.
+ */
+export const matchesRule = (item, rule) => compileRule(rule)(item);
+
+/**
+ * matchesGroup
+ * Evaluates a rule group against an item.
+ */
+export const matchesGroup = (item, group) => compileGroup(group)(item);
+
+/**
+ * filterItems
+ * Keeps the items of an array that match the node's rules.
+ */
+export const filterItems = (items, data) => {
+  const matches = compileGroup(getFilterGroup(data));
+  return items.filter((item) => matches(item));
+};
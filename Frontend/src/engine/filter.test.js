@@ -0,0 +1,123 @@
+import * as pattern from "./pattern";
+import {
+  getFilterGroup,
+  matchesRule,
+  matchesGroup,
+  filterItems,
+  valuesEqual,
+  operatorNeedsValue,
+} from "./filter";
+
+const rule = (field, operator, value) => ({ field, operator, value });
+
+describe("valuesEqual", () => {
+  test("compares numbers and booleans by value", () => {
+    expect(valuesEqual(10, "10.0")).toBe(true);
+    expect(valuesEqual("7", "7")).toBe(true);
+    expect(valuesEqual(true, " TRUE ")).toBe(true);
+    expect(valuesEqual(false, "true")).toBe(false);
+    expect(valuesEqual("abc", "abc")).toBe(true);
+  });
+});
+
+describe("matchesRule", () => {
+  const user = { name: "Ada", age: 36, tags: ["admin", "ops"], joined: "2020-05-01", note: "" };
+
+  test("reads the field by path; empty means the item itself", () => {
+    expect(matchesRule(user, rule("tags[0]", "equals", "admin"))).toBe(true);
+    expect(matchesRule("x", rule("", "equals", "x"))).toBe(true);
+  });
+
+  test("compares numbers numerically", () => {
+    expect(matchesRule({ n: "10" }, rule("n", "greaterThan", "9"))).toBe(true);
+    expect(matchesRule(user, rule("age", "lessThan", "30"))).toBe(false);
+    expect(matchesRule(user, rule("missing", "greaterThan", "0"))).toBe(false);
+  });
+
+  test("handles text, list and membership operators", () => {
+    expect(matchesRule(user, rule("tags", "contains", "ops"))).toBe(true);
+    expect(matchesRule(user, rule("name", "contains", "d"))).toBe(true);
+    expect(matchesRule(user, rule("name", "startsWith", "A"))).toBe(true);
+    expect(matchesRule(user, rule("age", "in", "35, 36"))).toBe(true);
+    expect(matchesRule(user, rule("name", "notEquals", "Ada"))).toBe(false);
+  });
+
+  test("matches regexes and reports invalid ones", () => {
+    expect(matchesRule(user, rule("name", "regex", "^A.a$"))).toBe(true);
+    expect(matchesRule(user, rule("missing", "regex", ".*"))).toBe(false);
+    expect(() => matchesRule(user, rule("name", "regex", "("))).toThrow("Invalid filter regex /(/");
+    expect(() => matchesRule(user, rule("name", "regex", "(a)\\1"))).toThrow(
+      "Invalid filter regex /(a)\\1/: Backreferences and octal escapes are not supported"
+    );
+  });
+
+  test("does not hang on patterns that make RegExp backtrack", () => {
+    const item = { text: `${"a".repeat(30)}!` };
+    const started = Date.now();
+    expect(matchesRule(item, rule("text", "regex", "((a+))+$"))).toBe(false);
+    expect(matchesRule(item, rule("text", "regex", "^(a|a)*$"))).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test("checks emptiness and dates", () => {
+    expect(matchesRule(user, rule("note", "isEmpty"))).toBe(true);
+    expect(matchesRule(user, rule("tags", "isNotEmpty"))).toBe(true);
+    expect(matchesRule(user, rule("joined", "before", "2021-01-01"))).toBe(true);
+    expect(matchesRule(user, rule("joined", "after", "2021-01-01"))).toBe(false);
+    expect(matchesRule(user, rule("name", "after", "2021-01-01"))).toBe(false);
+  });
+
+  test("rejects unknown operators", () => {
+    expect(() => matchesRule(user, rule("name", "near", "x"))).toThrow(/Unknown filter operator/);
+  });
+});
+
+describe("rule groups", () => {
+  const items = [
+    { name: "a", score: 1, vip: true },
+    { name: "b", score: 5, vip: false },
+    { name: "c", score: 9, vip: false },
+  ];
+
+  test("nests groups: (score > 4 AND score < 8) OR vip", () => {
+    const data = {
+      filter: {
+        combinator: "or",
+        rules: [
+          {
+            combinator: "and",
+            rules: [rule("score", "greaterThan", "4"), rule("score", "lessThan", "8")],
+          },
+          rule("vip", "equals", "true"),
+        ],
+      },
+    };
+    expect(filterItems(items, data).map((item) => item.name)).toEqual(["a", "b"]);
+  });
+
+  test("compiles each regex once, not once per item", () => {
+    const compile = jest.spyOn(pattern, "compilePattern");
+    const data = { filter: { combinator: "and", rules: [rule("name", "regex", "^[ab]$")] } };
+    expect(filterItems(items, data).map((item) => item.name)).toEqual(["a", "b"]);
+    expect(compile).toHaveBeenCalledTimes(1);
+    compile.mockRestore();
+  });
+
+  test("an empty group lets everything through", () => {
+    expect(matchesGroup(items[0], { combinator: "and", rules: [] })).toBe(true);
+  });
+
+  test("upgrades the legacy single rule", () => {
+    const data = { field: "name", operator: "equals", value: "c" };
+    expect(getFilterGroup(data)).toEqual({
+      combinator: "and",
+      rules: [rule("name", "equals", "c")],
+    });
+    expect(filterItems(items, data)).toEqual([items[2]]);
+  });
+});
+
+test("operatorNeedsValue hides the value for emptiness checks", () => {
+  expect(operatorNeedsValue("isEmpty")).toBe(false);
+  expect(operatorNeedsValue("equals")).toBe(true);
+});
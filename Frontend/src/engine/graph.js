@@ -0,0 +1,102 @@
+// graph.js
+// -----------------------------------------------------------------------------
+// Pure graph helpers shared by the in-browser execution engine.
+//
+// Responsibilities:
+//  - Topological ordering of pipeline nodes (Kahn's algorithm, mirroring the
+//    backend's check_dag)
+//  - Resolving handle ids into the short handle names executors work with
+//  - Finding Loop node bodies and their return edges
+// -----------------------------------------------------------------------------
+
+/**
+ * topologicalSort
+ * Returns node ids in an order where every node comes after all of its
+ * upstream nodes. Edges pointing at unknown nodes are ignored.
+ * Throws if the graph contains a cycle.
+ */
+export const topologicalSort = (nodes, edges) => {
+  const nodeIds = nodes.map((node) => node.id);
+  const inDegree = new Map(nodeIds.map((id) => [id, 0]));
+  const adjacency = new Map(nodeIds.map((id) => [id, []]));
+
+  edges.forEach(({ source, target }) => {
+    if (adjacency.has(source) && inDegree.has(target)) {
+      adjacency.get(source).push(target);
+      inDegree.set(target, inDegree.get(target) + 1);
+    }
+  });
+
+  // Entry points keep canvas order so runs are deterministic
+  const queue = nodeIds.filter((id) => inDegree.get(id) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    order.push(current);
+
+    adjacency.get(current).forEach((neighbor) => {
+      inDegree.set(neighbor, inDegree.get(neighbor) - 1);
+      if (inDegree.get(neighbor) === 0) {
+        queue.push(neighbor);
+      }
+    });
+  }
+
+  if (order.length !== nodeIds.length) {
+    throw new Error("Pipeline contains a cycle and cannot be executed");
+  }
+
+  return order;
+};
+
+/**
+ * getHandleName
+ * Handle ids follow the `${nodeId}-${name}` convention used by every node
+ * (e.g. `text-1-output`, `text-1-city`). Returns the `name` part, or the
+ * fallback when React Flow connected the default (unnamed) handle.
+ */
+export const getHandleName = (nodeId, handleId, fallback) => {
+  if (!handleId) return fallback;
+  const prefix = `${nodeId}-`;
+  return handleId.startsWith(prefix) ? handleId.slice(prefix.length) : handleId;
+};
+
+// -----------------------------------------------------------------------------
+// Loop nodes
+// A Loop node sends each array element out of `${id}-item`; the nodes
+// downstream of that handle form its body, and the body hands each item's
+// result back into `${id}-result`. That return edge closes a cycle on
+// purpose, so ordering ignores it and the body runs once per element.
+// -----------------------------------------------------------------------------
+
+/**
+ * isLoopReturnEdge
+ * True for an edge feeding a Loop node's `result` handle.
+ */
+export const isLoopReturnEdge = (edge, nodeById) =>
+  nodeById.get(edge.target)?.type === "loop" &&
+  edge.targetHandle === `${edge.target}-result`;
+
+/**
+ * findLoopBody
+ * Ids of the nodes reachable from a Loop node's `item` handle (the loop
+ * itself excluded).
+ */
+export const findLoopBody = (loopId, edges) => {
+  const body = new Set();
+  const queue = edges
+    .filter((edge) => edge.source === loopId && edge.sourceHandle === `${loopId}-item`)
+    .map((edge) => edge.target);
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === loopId || body.has(current)) continue;
+    body.add(current);
+    edges
+      .filter((edge) => edge.source === current)
+      .forEach((edge) => queue.push(edge.target));
+  }
+
+  return body;
+};
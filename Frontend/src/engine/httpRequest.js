@@ -0,0 +1,250 @@
+// httpRequest.js
+// -----------------------------------------------------------------------------
+// Request building and response mapping for the API node.
+//
+// Node data shape (all optional):
+//   url, method
+//   queryParams: [{ key, value }]      headers: [{ key, value }]
+//   bodyType: 'none' | 'json' | 'form' | 'raw'
+//   body: string (json / raw)          formFields: [{ key, value }]
+//   auth: { type: 'none' | 'bearer' | 'basic' | 'apiKey',
+//           username, keyName, keyIn, credentialId }
+//   responseMapping: { source: 'body' | 'status' | 'headers' | 'full', path }
+//   fixture: recorded response `{ status, statusText, headers, body,
+//            duration, recordedAt }`, used instead of the network when runs
+//            replay fixtures
+//
+// The secret auth fields (AUTH_SECRET_FIELDS) are not part of the node data:
+// they live in the apiCredentials slice under `auth.credentialId` and are
+// put back with withCredentials right before a request is built.
+//
+// Every other text field may contain `{{variable}}` placeholders, filled
+// from the values arriving on the node's handles. Secrets are sent exactly as
+// typed: handles come from the node data, which never holds them.
+// -----------------------------------------------------------------------------
+
+import { extractVariables, interpolate, stringifyValue } from "./template";
+import { getPath } from "./path";
+
+export const DEFAULT_API_URL = "https://api.example.com";
+
+export const AUTH_SECRET_FIELDS = ["token", "password", "keyValue"];
+
+const activeRows = (rows = []) => rows.filter((row) => row.key);
+
+/**
+ * withCredentials
+ * The node data with its stored secrets (`credentials` keyed by id, as in
+ * the apiCredentials slice) filled into `auth`.
+ */
+export const withCredentials = (data = {}, credentials = {}) => {
+  const secrets = credentials[data.auth?.credentialId];
+  return secrets ? { ...data, auth: { ...data.auth, ...secrets } } : data;
+};
+
+// -----------------------------------------------------------------------------
+// Variables
+// -----------------------------------------------------------------------------
+
+/**
+ * extractRequestVariables
+ * Every `{{variable}}` referenced in the request configuration, secrets
+ * excepted.
+ */
+export const extractRequestVariables = (data = {}) => {
+  const auth = data.auth || {};
+  const texts = [
+    data.url,
+    data.body,
+    auth.username,
+    auth.keyName,
+    ...[data.queryParams, data.headers, data.formFields].flatMap((rows = []) =>
+      rows.flatMap((row) => [row.key, row.value])
+    ),
+  ];
+  return extractVariables(texts.filter(Boolean).join("\n"));
+};
+
+// The secret each auth type sends
+const SECRET_FIELD_BY_TYPE = { bearer: "token", basic: "password", apiKey: "keyValue" };
+
+/**
+ * hasSecretVariables
+ * True when the secret of the selected auth type contains `{{variable}}`
+ * placeholders, which are not filled in.
+ */
+export const hasSecretVariables = (auth = {}) =>
+  extractVariables(auth[SECRET_FIELD_BY_TYPE[auth.type]] || "").length > 0;
+
+// -----------------------------------------------------------------------------
+// JSON bodies
+// Placeholders inside a string literal are inserted as escaped text; bare
+// placeholders are inserted as JSON, so `{"tags": {{tags}}}` sends an array.
+// -----------------------------------------------------------------------------
+const isInsideString = (text, offset) => {
+  let inside = false;
+  for (let i = 0; i < offset; i += 1) {
+    if (text[i] === "\\") {
+      i += 1;
+    } else if (text[i] === '"') {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const interpolateJson = (text, values) =>
+  interpolate(text, values, (value, offset) =>
+    isInsideString(text, offset)
+      ? JSON.stringify(stringifyValue(value)).slice(1, -1)
+      : JSON.stringify(value ?? null)
+  );
+
+// -----------------------------------------------------------------------------
+// Request
+// -----------------------------------------------------------------------------
+
+/**
+ * buildRequest
+ * Renders the node configuration into a `fetch` call: `{ url, init }`.
+ * Throws with a readable message when the URL or JSON body is invalid.
+ */
+export const buildRequest = (data = {}, values = {}) => {
+  const render = (text) => interpolate(text || "", values);
+  const method = data.method || "GET";
+  const auth = data.auth || {};
+
+  let url;
+  try {
+    url = new URL(render(data.url || DEFAULT_API_URL), window.location.href);
+  } catch (error) {
+    throw new Error(`Invalid URL "${render(data.url)}"`);
+  }
+
+  activeRows(data.queryParams).forEach(({ key, value }) => {
+    url.searchParams.append(render(key), render(value));
+  });
+
+  const headers = {};
+  activeRows(data.headers).forEach(({ key, value }) => {
+    headers[render(key)] = render(value);
+  });
+
+  // Auth; secrets are sent as typed (see hasSecretVariables)
+  switch (auth.type) {
+    case "bearer":
+      headers.Authorization = `Bearer ${auth.token || ""}`;
+      break;
+    case "basic":
+      headers.Authorization = `Basic ${btoa(`${render(auth.username)}:${auth.password || ""}`)}`;
+      break;
+    case "apiKey":
+      if (auth.keyIn === "query") {
+        url.searchParams.set(render(auth.keyName), auth.keyValue || "");
+      } else {
+        headers[render(auth.keyName) || "X-API-Key"] = auth.keyValue || "";
+      }
+      break;
+    default:
+      break;
+  }
+
+  // Body
+  const init = { method, headers };
+  if (method !== "GET") {
+    switch (data.bodyType) {
+      case "json": {
+        const body = interpolateJson(data.body || "", values);
+        try {
+          JSON.parse(body);
+        } catch (error) {
+          throw new Error(`Request body is not valid JSON: ${error.message}`);
+        }
+        headers["Content-Type"] = headers["Content-Type"] || "application/json";
+        init.body = body;
+        break;
+      }
+      case "form": {
+        const form = new URLSearchParams();
+        activeRows(data.formFields).forEach(({ key, value }) => {
+          form.append(render(key), render(value));
+        });
+        headers["Content-Type"] =
+          headers["Content-Type"] || "application/x-www-form-urlencoded";
+        init.body = form.toString();
+        break;
+      }
+      case "raw":
+        init.body = render(data.body);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { url: url.toString(), init };
+};
+
+// -----------------------------------------------------------------------------
+// Response
+// -----------------------------------------------------------------------------
+
+/**
+ * readResponse
+ * Reads a fetch Response into plain data: `{ status, statusText, headers, body }`.
+ * JSON bodies are parsed; anything else is returned as text.
+ */
+export const readResponse = async (response) => {
+  const headers = {};
+  response.headers.forEach((value, key) => {
+    headers[key] = value;
+  });
+
+  const text = await response.text();
+  let body = text;
+  if ((headers["content-type"] || "").includes("json") && text) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Mislabelled response: keep the raw text
+    }
+  }
+
+  return { status: response.status, statusText: response.statusText, headers, body };
+};
+
+/**
+ * sendRequest
+ * Builds, sends and reads the request in one go. The result also carries
+ * the round-trip `duration` in ms.
+ */
+export const sendRequest = async (data, values, signal) => {
+  const { url, init } = buildRequest(data, values);
+  const startedAt = Date.now();
+  const response = await fetch(url, { ...init, signal });
+  const result = await readResponse(response);
+  return { ...result, duration: Date.now() - startedAt };
+};
+
+/**
+ * isSuccessStatus
+ * Same range as `Response.ok`.
+ */
+export const isSuccessStatus = (status) => status >= 200 && status < 300;
+
+/**
+ * mapResponse
+ * Picks the part of the response that flows out of the node's output handle.
+ */
+export const mapResponse = (response, { source = "body", path = "" } = {}) => {
+  switch (source) {
+    case "status":
+      return response.status;
+    case "headers":
+      return getPath(response.headers, path.toLowerCase());
+    case "full":
+      return getPath(response, path);
+    default:
+      return getPath(response.body, path);
+  }
+};
@@ -0,0 +1,27 @@
+import { buildRequest, extractRequestVariables, hasSecretVariables } from "./httpRequest";
+
+describe("request variables", () => {
+  const data = {
+    url: "https://api.example.com/{{path}}",
+    headers: [{ key: "X-User", value: "{{user}}" }],
+    auth: { type: "basic", username: "{{name}}", password: "{{password}}" },
+  };
+
+  test("come from every text field but the secrets", () => {
+    expect(extractRequestVariables(data)).toEqual(["path", "name", "user"]);
+  });
+
+  test("are not filled into secrets", () => {
+    const { init } = buildRequest(data, { path: "items", user: "ada", name: "ada", password: "x" });
+    expect(init.headers).toEqual({
+      "X-User": "ada",
+      Authorization: `Basic ${btoa("ada:{{password}}")}`,
+    });
+  });
+
+  test("in the secret of the selected auth type are flagged", () => {
+    expect(hasSecretVariables(data.auth)).toBe(true);
+    expect(hasSecretVariables({ ...data.auth, type: "bearer" })).toBe(false);
+    expect(hasSecretVariables({ type: "apiKey", keyName: "{{key}}", keyValue: "abc" })).toBe(false);
+  });
+});
@@ -0,0 +1,195 @@
+// lint.js
+// -----------------------------------------------------------------------------
+// Static checks over the pipeline, re-run on every edit (Problems panel and
+// the badges in node headers).
+//
+// A diagnostic is `{ id, severity, nodeId, message }`:
+//   severity  'error' (the run would fail or misbehave) or 'warning'
+//   nodeId    the node to jump to; missing for pipeline-wide problems
+// -----------------------------------------------------------------------------
+
+import { extractTemplateVariables, findTemplateProblems } from "./template";
+import { collectNames, parseExpression } from "./expression";
+import { DEFAULT_API_URL } from "./httpRequest";
+import { DEFAULT_OPERANDS } from "./math";
+import { getHandleName, findLoopBody } from "./graph";
+import { getEdgeTypeCheck, describeTypeCheck } from "./portTypes";
+import { SUBFLOW_TYPE } from "./subflow";
+
+// Target handles a node cannot run without (LLM: only without a user prompt)
+const REQUIRED_INPUTS = {
+  customOutput: () => ["value"],
+  llm: (data) => (data.userPrompt ? [] : ["input"]),
+  filter: () => ["input"],
+  delay: () => ["input"],
+  condition: () => ["input"],
+  loop: () => ["input"],
+};
+
+const inputNameOf = (node) =>
+  node.data?.inputName || node.id.replace("customInput-", "input_");
+
+// Texts rendered with the template language (template.js)
+const templateTextsOf = (node) => {
+  const data = node.data || {};
+  if (node.type === "text") return [data.text];
+  if (node.type === "llm") return [data.systemPrompt, data.userPrompt];
+  return [];
+};
+
+// Template variables become target handles on these nodes
+const templateVariablesOf = (node) => [
+  ...new Set(templateTextsOf(node).flatMap((text) => extractTemplateVariables(text))),
+];
+
+// Operand names a formula uses; an unparsable formula is reported by the node
+const formulaNames = (formula) => {
+  try {
+    return collectNames(parseExpression(formula || ""));
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * checkApiUrl
+ * Problem with an API node's URL, or null. `{{variables}}` count as valid
+ * text, and a URL that starts with one is only known at run time.
+ */
+const checkApiUrl = (url) => {
+  if (!url.trim()) return "URL is empty";
+  if (/^\s*\{\{/.test(url)) return null;
+
+  try {
+    const parsed = new URL(url.replace(/\{\{[\s\S]*?\}\}/g, "x"));
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return `URL must start with http:// or https:// (got "${parsed.protocol}")`;
+    }
+    return null;
+  } catch (error) {
+    return `"${url}" is not a valid URL`;
+  }
+};
+
+/**
+ * lintPipeline
+ * Every problem found in the graph, errors first.
+ */
+export const lintPipeline = (nodes, edges) => {
+  const diagnostics = [];
+  const report = (severity, rule, nodeId, message) =>
+    diagnostics.push({ id: `${rule}:${nodeId || ""}:${message}`, severity, nodeId, message });
+
+  // Subflow containers only hold nodes; their members are checked instead
+  const pipelineNodes = nodes.filter((node) => node.type !== SUBFLOW_TYPE);
+
+  // Nodes that run once per element of some Loop node
+  const loopBodyIds = new Set(
+    pipelineNodes
+      .filter((node) => node.type === "loop")
+      .flatMap((loop) => Array.from(findLoopBody(loop.id, edges)))
+  );
+
+  const connectedHandles = (node) =>
+    new Set(
+      edges
+        .filter((edge) => edge.target === node.id)
+        .map((edge) => getHandleName(node.id, edge.targetHandle, "input"))
+    );
+
+  pipelineNodes.forEach((node) => {
+    const data = node.data || {};
+    const connected = connectedHandles(node);
+
+    // Required inputs
+    (REQUIRED_INPUTS[node.type]?.(data) || [])
+      .filter((name) => !connected.has(name))
+      .forEach((name) => report("error", "required-input", node.id, `Input "${name}" is not connected`));
+
+    // Template variables without a value
+    templateVariablesOf(node)
+      .filter((name) => !connected.has(name))
+      .forEach((name) =>
+        report("warning", "unbound-variable", node.id, `Variable "${name}" has no incoming connection`)
+      );
+
+    // Template tags that don't parse are rendered as typed
+    templateTextsOf(node)
+      .flatMap((text) => findTemplateProblems(text))
+      .forEach((problem) => report("warning", "template-text", node.id, `Shown as text: ${problem}`));
+
+    // Math operands without a value
+    if (node.type === "math") {
+      const operands = data.operands || DEFAULT_OPERANDS;
+      const hasValue = (operand) =>
+        connected.has(operand.name) || String(operand.constant ?? "").trim() !== "";
+
+      if (data.mode === "formula") {
+        formulaNames(data.formula)
+          .filter((name) => {
+            const operand = operands.find((item) => item.name === name);
+            return !operand || !hasValue(operand);
+          })
+          .forEach((name) =>
+            report("error", "required-input", node.id, `Operand "${name}" has no input or constant`)
+          );
+      } else if (!connected.has("input") && !operands.some(hasValue)) {
+        report("error", "required-input", node.id, "No operand has an input or constant");
+      }
+    }
+
+    // API URL
+    if (node.type === "api") {
+      const problem = checkApiUrl(data.url ?? DEFAULT_API_URL);
+      if (problem) report("error", "api-url", node.id, problem);
+    }
+
+    // Debounce in a Loop body keeps only the last element (see delay.js)
+    if (node.type === "delay" && data.mode === "debounce" && loopBodyIds.has(node.id)) {
+      report(
+        "error",
+        "loop-debounce",
+        node.id,
+        "Debounce inside a Loop body drops every element but the last; use Wait instead"
+      );
+    }
+
+    // Orphans
+    if (!edges.some((edge) => edge.source === node.id || edge.target === node.id)) {
+      report("warning", "orphan", node.id, "Node is not connected to anything");
+    }
+  });
+
+  // Duplicate input names
+  const inputs = pipelineNodes.filter((node) => node.type === "customInput");
+  inputs.forEach((node) => {
+    const name = inputNameOf(node);
+    const others = inputs.filter((other) => other !== node && inputNameOf(other) === name);
+    if (others.length > 0) {
+      report(
+        "error",
+        "duplicate-input",
+        node.id,
+        `Input name "${name}" is also used by ${others.map((other) => other.id).join(", ")}`
+      );
+    }
+  });
+
+  // Type conflicts
+  edges.forEach((edge) => {
+    const check = getEdgeTypeCheck(edge, nodes, edges);
+    if (check.status === "mismatch") {
+      report("error", "type-mismatch", edge.target, `From ${edge.source}: ${describeTypeCheck(check)}`);
+    }
+  });
+
+  // Pipeline-wide
+  if (pipelineNodes.length > 0 && !pipelineNodes.some((node) => node.type === "customOutput")) {
+    report("warning", "no-output", undefined, "The pipeline has no Output node");
+  }
+
+  return [
+    ...diagnostics.filter((item) => item.severity === "error"),
+    ...diagnostics.filter((item) => item.severity === "warning"),
+  ];
+};
@@ -0,0 +1,176 @@
+import { lintPipeline } from "./lint";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, sourceName, target, targetName) => ({
+  source,
+  sourceHandle: `${source}-${sourceName}`,
+  target,
+  targetHandle: `${target}-${targetName}`,
+});
+
+// Input → <node under test> → Output, so only the node's own problems show
+const around = (subject, inputName = "input", inputData = {}) => ({
+  nodes: [
+    node("customInput-1", "customInput", inputData),
+    subject,
+    node("customOutput-1", "customOutput"),
+  ],
+  edges: [
+    edge("customInput-1", "value", subject.id, inputName),
+    edge(subject.id, "output", "customOutput-1", "value"),
+  ],
+});
+
+const lint = ({ nodes, edges }) =>
+  lintPipeline(nodes, edges).map(({ severity, nodeId, message }) => [severity, nodeId, message]);
+
+describe("lintPipeline", () => {
+  test("a wired pipeline has no problems", () => {
+    expect(lint(around(node("text-1", "text", { text: "{{input}}" })))).toEqual([]);
+  });
+
+  describe("required-input", () => {
+    test.each([
+      ["customOutput", "value"],
+      ["filter", "input"],
+      ["delay", "input"],
+      ["condition", "input"],
+      ["loop", "input"],
+      ["llm", "input"],
+    ])("%s needs %s", (type, name) => {
+      const nodes = [node(`${type}-1`, type), node("customOutput-9", "customOutput")];
+      const edges = [edge(`${type}-1`, "output", "customOutput-9", "value")];
+      expect(lint({ nodes, edges })).toContainEqual([
+        "error",
+        `${type}-1`,
+        `Input "${name}" is not connected`,
+      ]);
+    });
+
+    test("an LLM with a user prompt runs without input", () => {
+      const graph = around(node("llm-1", "llm", { userPrompt: "Hi" }), "other");
+      expect(lint(graph)).toEqual([]);
+    });
+  });
+
+  test("unbound-variable: template variables without an edge", () => {
+    const graph = around(node("text-1", "text", { text: "{{input}} {{city}}" }));
+    expect(lint(graph)).toEqual([
+      ["warning", "text-1", 'Variable "city" has no incoming connection'],
+    ]);
+  });
+
+  test("template-text: tags that don't parse", () => {
+    const graph = around(node("text-1", "text", { text: "{{input}} {{#if}}" }));
+    expect(lint(graph)).toContainEqual([
+      "warning",
+      "text-1",
+      expect.stringMatching(/^Shown as text: /),
+    ]);
+  });
+
+  describe("math operands", () => {
+    const NUMBER = { inputType: "Number" };
+
+    test("a formula names operands that have no value", () => {
+      const math = node("math-1", "math", {
+        mode: "formula",
+        formula: "a + b * c",
+        operands: [
+          { name: "a", constant: "" },
+          { name: "b", constant: "2" },
+        ],
+      });
+      expect(lint(around(math, "a", NUMBER))).toEqual([
+        ["error", "math-1", 'Operand "c" has no input or constant'],
+      ]);
+    });
+
+    test("an operation needs at least one operand with a value", () => {
+      const math = node("math-1", "math", { operation: "add" });
+      expect(lint(around(math, "missing", NUMBER))).toContainEqual([
+        "error",
+        "math-1",
+        "No operand has an input or constant",
+      ]);
+      expect(lint(around(math, "a", NUMBER))).toEqual([]);
+    });
+  });
+
+  test.each([
+    ["", "URL is empty"],
+    ["ftp://example.com", 'URL must start with http:// or https:// (got "ftp:")'],
+    ["not a url", '"not a url" is not a valid URL'],
+  ])("api-url: %j", (url, message) => {
+    expect(lint(around(node("api-1", "api", { url })))).toEqual([["error", "api-1", message]]);
+  });
+
+  test("api-url: variables count as valid text", () => {
+    const graph = around(node("api-1", "api", { url: "https://x.dev/{{input}}" }));
+    expect(lint(graph)).toEqual([]);
+    expect(lint(around(node("api-1", "api", { url: "{{input}}" })))).toEqual([]);
+  });
+
+  test("orphan: nodes connected to nothing", () => {
+    const graph = around(node("text-1", "text", { text: "{{input}}" }));
+    graph.nodes.push(node("text-2", "text"));
+    expect(lint(graph)).toEqual([["warning", "text-2", "Node is not connected to anything"]]);
+  });
+
+  test("duplicate-input: two inputs with one name", () => {
+    const graph = around(node("text-1", "text", { text: "{{input}} {{other}}" }));
+    graph.nodes.push(node("customInput-2", "customInput", { inputName: "input_1" }));
+    graph.edges.push(edge("customInput-2", "value", "text-1", "other"));
+
+    expect(lint(graph)).toEqual([
+      ["error", "customInput-1", 'Input name "input_1" is also used by customInput-2'],
+      ["error", "customInput-2", 'Input name "input_1" is also used by customInput-1'],
+    ]);
+  });
+
+  test("type-mismatch: reported on the target node", () => {
+    const graph = around(node("math-1", "math"), "a", { inputType: "File" });
+    expect(lint(graph)).toEqual([
+      [
+        "error",
+        "math-1",
+        "From customInput-1: File → Number or Array: incompatible types",
+      ],
+    ]);
+  });
+
+  test("loop-debounce: a debouncing Delay node inside a Loop body", () => {
+    const debounce = node("delay-1", "delay", { mode: "debounce" });
+    expect(lint(around(debounce))).toEqual([]);
+
+    const graph = around(node("loop-1", "loop"), "input", { inputType: "Array" });
+    graph.nodes.push(debounce);
+    graph.edges.push(edge("loop-1", "item", "delay-1", "input"));
+    graph.edges.push(edge("delay-1", "output", "loop-1", "result"));
+    expect(lint(graph)).toEqual([
+      [
+        "error",
+        "delay-1",
+        "Debounce inside a Loop body drops every element but the last; use Wait instead",
+      ],
+    ]);
+  });
+
+  test("no-output: pipeline-wide, without a node", () => {
+    const nodes = [node("customInput-1", "customInput"), node("text-1", "text", { text: "{{input}}" })];
+    const edges = [edge("customInput-1", "value", "text-1", "input")];
+    expect(lint({ nodes, edges })).toEqual([
+      ["warning", undefined, "The pipeline has no Output node"],
+    ]);
+  });
+
+  test("skips subflow containers and lists errors first", () => {
+    const nodes = [node("subflow-1", "subflow"), node("text-1", "text"), node("filter-1", "filter")];
+    expect(lint({ nodes, edges: [] }).map(([severity, nodeId]) => [severity, nodeId])).toEqual([
+      ["error", "filter-1"],
+      ["warning", "text-1"],
+      ["warning", "filter-1"],
+      ["warning", undefined],
+    ]);
+  });
+});
@@ -0,0 +1,241 @@
+// llmProviders.js
+// -----------------------------------------------------------------------------
+// Pluggable LLM provider layer used by the LLM node executor.
+//
+// A provider is plain, serializable configuration:
+//   { id, kind, name, baseUrl, apiKey, models: [] }
+//
+// `kind` selects the implementation:
+//  - openai: any OpenAI-compatible `/chat/completions` HTTP endpoint,
+//            streamed as server-sent events
+//  - mock:   deterministic local responses for tests and offline demos
+// -----------------------------------------------------------------------------
+
+import { sleep } from "./abort";
+
+// System prompt LLMNode shows (and sends) until the user edits it
+export const DEFAULT_SYSTEM_PROMPT =
+  "Answer the Question based on Context in a professional manner.";
+
+export const MOCK_PROVIDER = {
+  id: "mock",
+  kind: "mock",
+  name: "Offline Mock",
+  baseUrl: "",
+  apiKey: "",
+  models: ["mock-echo"],
+};
+
+export const DEFAULT_PROVIDERS = [
+  {
+    id: "openai",
+    kind: "openai",
+    name: "OpenAI",
+    baseUrl: "https://api.openai.com/v1",
+    apiKey: "",
+    models: ["gpt-4", "gpt-3.5-turbo", "gpt-4-turbo"],
+  },
+  MOCK_PROVIDER,
+];
+
+// -----------------------------------------------------------------------------
+// Implementations
+// -----------------------------------------------------------------------------
+const buildMessages = ({ systemPrompt, userPrompt }) => [
+  ...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []),
+  { role: "user", content: userPrompt },
+];
+
+const openAIRequest = (provider, { model, systemPrompt, userPrompt, signal }, stream) => {
+  const baseUrl = (provider.baseUrl || "").replace(/\/+$/, "");
+  return fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(provider.apiKey && { Authorization: `Bearer ${provider.apiKey}` }),
+    },
+    body: JSON.stringify({
+      model,
+      messages: buildMessages({ systemPrompt, userPrompt }),
+      ...(stream && { stream: true }),
+    }),
+    signal,
+  });
+};
+
+/**
+ * readServerSentEvents
+ * Reads a `text/event-stream` body and calls `onData` with the payload of
+ * every `data:` line, stopping at the `[DONE]` sentinel. A last line
+ * without a trailing newline is still read when the stream ends.
+ */
+const readServerSentEvents = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  // True once the `[DONE]` sentinel has been seen
+  const readLines = (lines) =>
+    lines.some((line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) return false;
+
+      const payload = trimmed.slice("data:".length).trim();
+      if (payload === "[DONE]") return true;
+      onData(payload);
+      return false;
+    });
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        readLines([buffer + decoder.decode()]);
+        return;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      if (readLines(lines)) {
+        reader.cancel();
+        return;
+      }
+    }
+  } catch (error) {
+    // Stop the download when a chunk could not be handled
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * parseStreamEvent
+ * Parses one streamed chunk. Malformed chunks and error events become a
+ * readable provider error.
+ */
+const parseStreamEvent = (provider, payload) => {
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (error) {
+    throw new Error(
+      `${provider.name} sent an unreadable stream event: ${payload.slice(0, 100)}`
+    );
+  }
+  if (event?.error) {
+    const message = event.error.message || JSON.stringify(event.error);
+    throw new Error(`${provider.name} error: ${message}`);
+  }
+  return event;
+};
+
+const openAICompatible = {
+  complete: async (provider, request) => {
+    const response = await openAIRequest(provider, request, false);
+    if (!response.ok) {
+      throw new Error(`${provider.name} request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content ?? "";
+  },
+
+  stream: async (provider, request, onToken) => {
+    const response = await openAIRequest(provider, request, true);
+    if (!response.ok) {
+      throw new Error(`${provider.name} request failed with status ${response.status}`);
+    }
+
+    let text = "";
+    await readServerSentEvents(response, (payload) => {
+      const token = parseStreamEvent(provider, payload).choices?.[0]?.delta?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    });
+    return text;
+  },
+};
+
+const MOCK_TOKEN_DELAY = 40;
+
+const mockResponse = ({ model, systemPrompt, userPrompt }) =>
+  `[${model}] ${systemPrompt ? `(${systemPrompt}) ` : ""}${userPrompt}`;
+
+const mock = {
+  // Same prompts always give the same answer
+  complete: async (provider, request) => mockResponse(request),
+
+  // Streams the same answer word by word, like a slow endpoint would
+  stream: async (provider, request, onToken) => {
+    const tokens = mockResponse(request).match(/\S+\s*/g) || [];
+    for (const token of tokens) {
+      await sleep(MOCK_TOKEN_DELAY, request.signal);
+      onToken(token);
+    }
+    return tokens.join("");
+  },
+};
+
+const IMPLEMENTATIONS = {
+  openai: openAICompatible,
+  mock,
+};
+
+export const PROVIDER_KINDS = Object.keys(IMPLEMENTATIONS);
+
+// -----------------------------------------------------------------------------
+// Model selection helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * getModelOptions
+ * Flattens configured providers into dropdown options. Option values are
+ * `${providerId}/${model}`; provider ids never contain a slash.
+ */
+export const getModelOptions = (providers) =>
+  providers.flatMap((provider) =>
+    provider.models.map((model) => ({
+      value: `${provider.id}/${model}`,
+      label: model,
+      providerId: provider.id,
+      providerName: provider.name,
+    }))
+  );
+
+export const parseModelOption = (value) => {
+  const index = value.indexOf("/");
+  return { provider: value.slice(0, index), model: value.slice(index + 1) };
+};
+
+/**
+ * resolveProvider
+ * Finds the provider for a node's `provider`/`model` fields. Nodes saved
+ * before providers existed only have a `model`, so fall back to the first
+ * provider offering it.
+ */
+export const resolveProvider = (providers, { provider, model }) =>
+  (provider && providers.find((p) => p.id === provider)) ||
+  providers.find((p) => p.models.includes(model));
+
+/**
+ * streamWithProvider
+ * Sends a prompt to the given provider, calls `onToken` with each chunk of
+ * text as it arrives and resolves with the whole generated text. Providers
+ * without streaming deliver the whole text at once.
+ */
+export const streamWithProvider = async (provider, request, onToken) => {
+  const implementation = IMPLEMENTATIONS[provider.kind];
+  if (!implementation) {
+    throw new Error(`Unknown LLM provider kind "${provider.kind}"`);
+  }
+  if (!implementation.stream) {
+    const text = await implementation.complete(provider, request);
+    onToken(text);
+    return text;
+  }
+  return implementation.stream(provider, request, onToken);
+};
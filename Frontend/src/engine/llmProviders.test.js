@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+
+import { streamWithProvider, resolveProvider, DEFAULT_PROVIDERS } from "./llmProviders";
+
+const provider = {
+  id: "test",
+  kind: "openai",
+  name: "Test",
+  baseUrl: "https://llm.example.com/v1/",
+  apiKey: "",
+  models: ["test-model"],
+};
+
+// A streamed response whose body arrives in the given text chunks
+const streamResponse = (chunks) => {
+  const encoded = chunks.map((chunk) => new TextEncoder().encode(chunk));
+  const cancel = jest.fn(() => Promise.resolve());
+  return {
+    ok: true,
+    status: 200,
+    cancel,
+    body: {
+      getReader: () => ({
+        read: async () =>
+          encoded.length > 0 ? { done: false, value: encoded.shift() } : { done: true },
+        cancel,
+      }),
+    },
+  };
+};
+
+const event = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}`;
+
+const stream = async (chunks) => {
+  const response = streamResponse(chunks);
+  global.fetch = jest.fn(async () => response);
+  const tokens = [];
+  const text = await streamWithProvider(
+    provider,
+    { model: "test-model", userPrompt: "hi" },
+    (token) => tokens.push(token)
+  );
+  return { text, tokens, response };
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe("streamWithProvider (OpenAI-compatible)", () => {
+  test("joins the streamed tokens, across chunk boundaries", async () => {
+    const lines = `${event("Hel")}\n\n${event("lo")}\n\ndata: [DONE]\n\n`;
+    const { text, tokens, response } = await stream([lines.slice(0, 20), lines.slice(20)]);
+    expect(tokens).toEqual(["Hel", "lo"]);
+    expect(text).toBe("Hello");
+    expect(response.cancel).toHaveBeenCalled();
+    expect(global.fetch).toHaveBeenCalledWith(
+      "https://llm.example.com/v1/chat/completions",
+      expect.objectContaining({ method: "POST" })
+    );
+  });
+
+  test("reads a last event without a trailing newline", async () => {
+    const { text } = await stream([`${event("a")}\n`, event("b")]);
+    expect(text).toBe("ab");
+  });
+
+  test("reports malformed events as a provider error", async () => {
+    await expect(stream([`${event("a")}\ndata: {oops\n`])).rejects.toThrow(
+      "Test sent an unreadable stream event: {oops"
+    );
+  });
+
+  test("reports error events from the provider", async () => {
+    await expect(
+      stream([`data: ${JSON.stringify({ error: { message: "quota exceeded" } })}\n`])
+    ).rejects.toThrow("Test error: quota exceeded");
+  });
+
+  test("fails on an unsuccessful status", async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 401 }));
+    await expect(streamWithProvider(provider, { userPrompt: "hi" }, () => {})).rejects.toThrow(
+      "Test request failed with status 401"
+    );
+  });
+});
+
+describe("resolveProvider", () => {
+  test("prefers the node's provider, then any provider offering the model", () => {
+    expect(resolveProvider(DEFAULT_PROVIDERS, { provider: "mock", model: "gpt-4" }).id).toBe(
+      "mock"
+    );
+    expect(resolveProvider(DEFAULT_PROVIDERS, { model: "gpt-4" }).id).toBe("openai");
+    expect(resolveProvider(DEFAULT_PROVIDERS, { model: "unknown" })).toBeUndefined();
+  });
+});
@@ -0,0 +1,89 @@
+// loop.js
+// -----------------------------------------------------------------------------
+// Per-element execution for the Loop node.
+//
+// Node data shape:
+//   concurrency: how many elements run their body at once (default 1)
+//   onError: 'stop' | 'continue'
+//     stop:     the first failing element cancels the rest and fails the node
+//     continue: failures are collected on the `errors` handle
+//               as `[{ index, error }]`
+//
+// `output` lists, in input order, the values each element's body handed back
+// to the `result` handle. Elements whose body emitted nothing (e.g. routed
+// away by a Condition) or failed are left out.
+// -----------------------------------------------------------------------------
+
+import { abortReason, throwIfAborted } from "./abort";
+
+/**
+ * runLoop
+ * Runs `runBody(item, index, signal)` for every element with a concurrency
+ * limit and returns the Loop node's outputs.
+ */
+export const runLoop = async (items, data, { runBody, signal, reportProgress }) => {
+  const concurrency = Math.max(1, Math.floor(Number(data.concurrency) || 1));
+  const stopOnError = (data.onError || "stop") === "stop";
+
+  // Aborted with the node, or by the first failure in stop mode
+  const controller = new AbortController();
+  const abortLoop = () => controller.abort(abortReason(signal));
+  signal?.addEventListener("abort", abortLoop, { once: true });
+
+  const returned = new Map();
+  const errors = [];
+  let nextIndex = 0;
+  let finished = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length && !controller.signal.aborted) {
+      const index = nextIndex;
+      nextIndex += 1;
+
+      let outcome;
+      try {
+        outcome = await runBody(items[index], index, controller.signal);
+      } catch (error) {
+        // Cancelled because another element failed first
+        if (controller.signal.aborted) return;
+        outcome = { error: error.message };
+      }
+
+      if (outcome.error) {
+        errors.push({ index, error: outcome.error });
+        if (stopOnError) {
+          controller.abort();
+          return;
+        }
+      } else if (outcome.emitted) {
+        returned.set(index, outcome.value);
+      }
+
+      finished += 1;
+      reportProgress?.(`${finished}/${items.length} items`);
+    }
+  };
+
+  try {
+    const workers = Math.min(concurrency, items.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+  } finally {
+    signal?.removeEventListener("abort", abortLoop);
+  }
+
+  throwIfAborted(signal);
+  errors.sort((a, b) => a.index - b.index);
+
+  if (stopOnError && errors.length > 0) {
+    throw new Error(`Item ${errors[0].index} failed: ${errors[0].error}`);
+  }
+
+  const output = Array.from(returned.keys())
+    .sort((a, b) => a - b)
+    .map((index) => returned.get(index));
+
+  return {
+    output,
+    errors: errors.length > 0 ? errors : undefined,
+  };
+};
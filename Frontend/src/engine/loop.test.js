@@ -0,0 +1,117 @@
+import { runPipeline } from "./runPipeline";
+import { registerExecutor } from "./registry";
+import { runLoop } from "./loop";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}-${sourceHandle}->${target}-${targetHandle}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`,
+});
+
+// Upper-cases its input, failing on "b"
+registerExecutor("testShout", async ({ inputs }) => {
+  if (inputs.input === "b") throw new Error("No b allowed");
+  return { output: inputs.input.toUpperCase() };
+});
+
+const loopPipeline = (value, loopData = {}) => ({
+  nodes: [
+    node("customInput-1", "customInput", { inputType: "Array", value }),
+    node("loop-1", "loop", loopData),
+    node("testShout-1", "testShout"),
+    node("customOutput-1", "customOutput", { outputType: "Array" }),
+    node("customOutput-2", "customOutput", { outputType: "Array" }),
+  ],
+  edges: [
+    edge("customInput-1", "value", "loop-1", "input"),
+    edge("loop-1", "item", "testShout-1", "input"),
+    edge("testShout-1", "output", "loop-1", "result"),
+    edge("loop-1", "output", "customOutput-1", "value"),
+    edge("loop-1", "errors", "customOutput-2", "value"),
+  ],
+});
+
+describe("Loop node", () => {
+  test("collects each element's result in input order", async () => {
+    const { results } = await runPipeline(loopPipeline('["a", "c"]'));
+    expect(results["customOutput-1"].outputs.value).toEqual(["A", "C"]);
+    expect(results["customOutput-2"].status).toBe("skipped");
+  });
+
+  test("an empty array runs no body and returns an empty list", async () => {
+    const { results } = await runPipeline(loopPipeline("[]"));
+    expect(results["loop-1"].outputs).toEqual({ output: [] });
+    expect(results["customOutput-1"].outputs.value).toEqual([]);
+    expect(results["customOutput-2"].status).toBe("skipped");
+  });
+
+  test("fails on input that is not an array", async () => {
+    const { results } = await runPipeline({
+      nodes: [node("customInput-1", "customInput", { value: "abc" }), node("loop-1", "loop")],
+      edges: [edge("customInput-1", "value", "loop-1", "input")],
+    });
+    expect(results["loop-1"]).toMatchObject({
+      status: "error",
+      error: "Loop node expects an array input",
+    });
+  });
+
+  test("stops at the first failing element by default", async () => {
+    const { results } = await runPipeline(loopPipeline('["a", "b", "c"]'));
+    expect(results["loop-1"]).toMatchObject({
+      status: "error",
+      error: "Item 1 failed: No b allowed",
+    });
+    expect(results["customOutput-1"].status).toBe("skipped");
+  });
+
+  test("in continue mode, collects failures on the errors handle", async () => {
+    const { results } = await runPipeline(loopPipeline('["a", "b", "c"]', { onError: "continue" }));
+    expect(results["customOutput-1"].outputs.value).toEqual(["A", "C"]);
+    expect(results["customOutput-2"].outputs.value).toEqual([
+      { index: 1, error: "No b allowed" },
+    ]);
+  });
+});
+
+describe("runLoop", () => {
+  test("runs no more elements at once than the concurrency allows", async () => {
+    let running = 0;
+    let peak = 0;
+    const runBody = async (item) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await Promise.resolve();
+      running -= 1;
+      return { emitted: true, value: item * 2 };
+    };
+
+    const result = await runLoop([1, 2, 3, 4, 5], { concurrency: 2 }, { runBody });
+    expect(result).toEqual({ output: [2, 4, 6, 8, 10], errors: undefined });
+    expect(peak).toBe(2);
+  });
+
+  test("leaves out elements whose body emitted nothing", async () => {
+    const runBody = async (item) => (item % 2 ? { emitted: true, value: item } : {});
+    const { output } = await runLoop([1, 2, 3], {}, { runBody });
+    expect(output).toEqual([1, 3]);
+  });
+
+  test("stop mode cancels the elements still running", async () => {
+    const signals = [];
+    const runBody = async (item, index, signal) => {
+      signals.push(signal);
+      if (item === "bad") throw new Error("Broken");
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return { emitted: true, value: item };
+    };
+
+    await expect(runLoop(["ok", "bad"], { concurrency: 2 }, { runBody })).rejects.toThrow(
+      "Item 1 failed: Broken"
+    );
+    expect(signals[0].aborted).toBe(true);
+  });
+});
@@ -0,0 +1,141 @@
+// math.js
+// -----------------------------------------------------------------------------
+// Computation for the Math node.
+//
+// Node data shape:
+//   mode: 'operation' | 'formula'
+//   operation: key of MATH_OPERATIONS (operation mode)
+//   formula: expression over the operand names, e.g. `(a + b) / c`
+//            (formula mode, evaluated with expression.js)
+//   operands: [{ name, constant }]
+//
+// Every operand is a target handle (`${nodeId}-${name}`). When nothing
+// arrives on it, its `constant` is used instead. Values on the legacy
+// `input` handle (pipelines saved before operands existed) are prepended to
+// the operands in operation mode; MathNode draws that handle only while an
+// edge uses it.
+// -----------------------------------------------------------------------------
+
+import { parseExpression, evaluateExpression, collectNames } from "./expression";
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const foldWithZeroCheck = (label) => (operation) => (values) =>
+  values.reduce((left, right, index) => {
+    if (index > 0 && right === 0) {
+      throw new Error(`${label} by zero (operand ${index + 1})`);
+    }
+    return operation(left, right);
+  });
+
+const division = foldWithZeroCheck("Division");
+const modulo = foldWithZeroCheck("Modulo");
+
+// Unary operations take exactly one value, so the output stays a number
+const singleValue = (label, operation) => (values) => {
+  if (values.length !== 1) {
+    throw new Error(`${label} takes a single value (got ${values.length})`);
+  }
+  return operation(values[0]);
+};
+
+export const MATH_OPERATIONS = {
+  add: { label: "Add (+)", apply: sum },
+  subtract: { label: "Subtract (−)", apply: (values) => values.reduce((a, b) => a - b) },
+  multiply: { label: "Multiply (×)", apply: (values) => values.reduce((a, b) => a * b) },
+  divide: { label: "Divide (÷)", apply: division((a, b) => a / b) },
+  pow: { label: "Power (^)", apply: (values) => values.reduce((a, b) => a ** b) },
+  mod: { label: "Modulo (%)", apply: modulo((a, b) => a % b) },
+  min: { label: "Minimum", apply: (values) => Math.min(...values) },
+  max: { label: "Maximum", apply: (values) => Math.max(...values) },
+  avg: { label: "Average", apply: (values) => sum(values) / values.length },
+  round: { label: "Round", apply: singleValue("Round", Math.round) },
+  abs: { label: "Absolute", apply: singleValue("Absolute", Math.abs) },
+};
+
+export const DEFAULT_OPERANDS = [
+  { name: "a", constant: "" },
+  { name: "b", constant: "" },
+];
+
+/**
+ * createOperand
+ * Next unused single-letter name (a, b, c, ...), then `x1`, `x2`, ...
+ */
+export const createOperand = (operands = []) => {
+  const used = new Set(operands.map((operand) => operand.name));
+  const letter = "abcdefghijklmnopqrstuvwxyz".split("").find((name) => !used.has(name));
+  if (letter) return { name: letter, constant: "" };
+
+  let index = 1;
+  while (used.has(`x${index}`)) index += 1;
+  return { name: `x${index}`, constant: "" };
+};
+
+// -----------------------------------------------------------------------------
+// Operand values
+// -----------------------------------------------------------------------------
+const toNumber = (value, name) => {
+  const number = typeof value === "string" && value.trim() === "" ? NaN : Number(value);
+  if (typeof value === "boolean" || Number.isNaN(number)) {
+    throw new Error(`Operand "${name}" is not a number (got ${JSON.stringify(value)})`);
+  }
+  return number;
+};
+
+// Arrays (e.g. from a Filter node) are kept so `avg` / `sum` can use them
+const toNumbers = (value, name) =>
+  Array.isArray(value)
+    ? value.map((item, index) => toNumber(item, `${name}[${index}]`))
+    : toNumber(value, name);
+
+const operandValue = ({ name, constant = "" }, inputs) => {
+  if (inputs[name] !== undefined) return toNumbers(inputs[name], name);
+  if (String(constant).trim() !== "") return toNumber(constant, name);
+  return undefined;
+};
+
+/**
+ * computeMath
+ * Runs the node's operation or formula over the incoming operand values.
+ */
+export const computeMath = (data = {}, inputs = {}) => {
+  const operands = data.operands || DEFAULT_OPERANDS;
+
+  if (data.mode === "formula") {
+    const formula = data.formula || "";
+    const scope = {};
+    operands.forEach((operand) => {
+      const value = operandValue(operand, inputs);
+      if (value !== undefined) scope[operand.name] = value;
+    });
+
+    const missing = collectNames(parseExpression(formula)).find(
+      (name) => !Object.keys(scope).includes(name)
+    );
+    if (missing) {
+      throw new Error(`Operand "${missing}" has no input or constant`);
+    }
+
+    const result = evaluateExpression(formula, scope);
+    if (typeof result !== "number" || !Number.isFinite(result)) {
+      const shown = typeof result === "number" ? result : JSON.stringify(result);
+      throw new Error(`Formula result is not a finite number (got ${shown})`);
+    }
+    return result;
+  }
+
+  const operation = MATH_OPERATIONS[data.operation || "add"];
+  if (!operation) {
+    throw new Error(`Unknown math operation "${data.operation}"`);
+  }
+
+  const values = [
+    ...[].concat(inputs.input ?? []).map((value) => toNumber(value, "input")),
+    ...operands.flatMap((operand) => [].concat(operandValue(operand, inputs) ?? [])),
+  ];
+  if (values.length === 0) {
+    throw new Error("Math node received no input");
+  }
+  return operation.apply(values);
+};
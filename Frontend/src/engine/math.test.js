@@ -0,0 +1,79 @@
+import { computeMath, createOperand } from "./math";
+
+describe("computeMath: operations", () => {
+  test("applies the operation across the operands", () => {
+    expect(computeMath({ operation: "add" }, { a: 2, b: 3 })).toBe(5);
+    expect(computeMath({ operation: "subtract" }, { a: 2, b: 3 })).toBe(-1);
+    expect(computeMath({ operation: "pow" }, { a: 2, b: 3 })).toBe(8);
+    expect(computeMath({ operation: "max" }, { a: 2, b: 3 })).toBe(3);
+  });
+
+  test("uses constants when nothing arrived on a handle", () => {
+    const data = { operation: "multiply", operands: [{ name: "a" }, { name: "b", constant: "4" }] };
+    expect(computeMath(data, { a: "2.5" })).toBe(10);
+  });
+
+  test("spreads arrays, e.g. an average over a list", () => {
+    expect(computeMath({ operation: "avg" }, { a: [1, 2, 3], b: 6 })).toBe(3);
+  });
+
+  test("prepends values from the legacy input handle", () => {
+    expect(computeMath({ operation: "subtract" }, { input: 10, a: 4 })).toBe(6);
+  });
+
+  test("fails on division or modulo by zero", () => {
+    expect(() => computeMath({ operation: "divide" }, { a: 1, b: 0 })).toThrow(
+      "Division by zero (operand 2)"
+    );
+    expect(() => computeMath({ operation: "mod" }, { a: 1, b: 0 })).toThrow(/Modulo by zero/);
+  });
+
+  test("round and abs take a single value", () => {
+    expect(computeMath({ operation: "round", operands: [{ name: "a" }] }, { a: 2.6 })).toBe(3);
+    expect(computeMath({ operation: "abs" }, { a: -4 })).toBe(4);
+    expect(() => computeMath({ operation: "abs" }, { a: -4, b: 2 })).toThrow(
+      "Absolute takes a single value (got 2)"
+    );
+  });
+
+  test("reports bad or missing values", () => {
+    expect(() => computeMath({}, { a: "ten" })).toThrow('Operand "a" is not a number (got "ten")');
+    expect(() => computeMath({}, { a: [1, true] })).toThrow(/Operand "a\[1\]"/);
+    expect(() => computeMath({}, {})).toThrow("Math node received no input");
+    expect(() => computeMath({ operation: "root" }, { a: 1 })).toThrow(/Unknown math operation/);
+  });
+});
+
+describe("computeMath: formulas", () => {
+  const data = (formula) => ({
+    mode: "formula",
+    formula,
+    operands: [{ name: "a" }, { name: "b" }, { name: "c", constant: "2" }],
+  });
+
+  test("evaluates the formula over the operands", () => {
+    expect(computeMath(data("(a + b) / c"), { a: 3, b: 5 })).toBe(4);
+    expect(computeMath(data("sum(a) * c"), { a: [1, 2] })).toBe(6);
+  });
+
+  test("names operands that have no value", () => {
+    expect(() => computeMath(data("a + b"), { a: 1 })).toThrow(
+      'Operand "b" has no input or constant'
+    );
+  });
+
+  test("rejects results that are not finite numbers", () => {
+    expect(() => computeMath(data("a / b"), { a: 1, b: 0 })).toThrow(
+      "Formula result is not a finite number (got Infinity)"
+    );
+    expect(() => computeMath(data("a > b"), { a: 1, b: 0 })).toThrow(/got true/);
+  });
+});
+
+describe("createOperand", () => {
+  test("picks the next free letter, then x1, x2, …", () => {
+    expect(createOperand([{ name: "a" }, { name: "c" }])).toEqual({ name: "b", constant: "" });
+    const letters = "abcdefghijklmnopqrstuvwxyz".split("").map((name) => ({ name }));
+    expect(createOperand([...letters, { name: "x1" }]).name).toBe("x2");
+  });
+});
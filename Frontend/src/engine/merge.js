@@ -0,0 +1,105 @@
+// merge.js
+// -----------------------------------------------------------------------------
+// Combining logic for the Merge node.
+//
+// Node data shape:
+//   inputs: [{ name }]   one target handle per entry (`${nodeId}-${name}`)
+//   mode: key of MERGE_MODES
+//   waitForAll: true to fail unless every handle received a value;
+//               false to merge whatever arrived
+//   separator: text placed between values in `concat` mode (`\n` and `\t`
+//              are written as escapes)
+//
+// `first` passes on the value that arrived first, i.e. from the upstream
+// node that finished earliest (see `arrivalOrder` in runPipeline.js). The
+// engine runs the node as soon as that value is published, without
+// waiting for the other branches.
+// -----------------------------------------------------------------------------
+
+import { stringifyValue } from "./template";
+
+export const MERGE_MODES = {
+  concat: { label: "Concatenate text" },
+  object: { label: "Object keyed by handle" },
+  zip: { label: "Zip arrays" },
+  first: { label: "First arrived" },
+};
+
+export const DEFAULT_MERGE_INPUTS = [{ name: "in1" }, { name: "in2" }];
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * createMergeInput
+ * Next unused `inN` name.
+ */
+export const createMergeInput = (inputs = []) => {
+  const used = new Set(inputs.map((input) => input.name));
+  let index = 1;
+  while (used.has(`in${index}`)) index += 1;
+  return { name: `in${index}` };
+};
+
+/**
+ * validateInputName
+ * Returns an error message, or null when `name` can be used as a handle
+ * name (and object key) next to the other inputs.
+ */
+export const validateInputName = (name, inputs = []) => {
+  if (!NAME_PATTERN.test(name)) {
+    return "Use letters, digits and underscores, not starting with a digit";
+  }
+  if (inputs.some((input) => input.name === name)) {
+    return `"${name}" is already used`;
+  }
+  return null;
+};
+
+const unescapeSeparator = (separator) =>
+  separator.replace(/\\n/g, "\n").replace(/\\t/g, "\t");
+
+/**
+ * mergeValues
+ * Combines the values received on the node's handles. `arrivalOrder` lists
+ * the handle names that received a value, earliest first.
+ */
+export const mergeValues = (data, inputs, arrivalOrder = []) => {
+  const names = (data.inputs || DEFAULT_MERGE_INPUTS).map((input) => input.name);
+  const mode = data.mode || "concat";
+
+  if (mode === "first") {
+    const first = arrivalOrder.find((name) => names.includes(name));
+    return first === undefined ? undefined : inputs[first];
+  }
+
+  const received = names.filter((name) => inputs[name] !== undefined);
+  const missing = names.filter((name) => inputs[name] === undefined);
+  if ((data.waitForAll ?? true) && missing.length > 0) {
+    throw new Error(`Waiting for all inputs: nothing arrived on ${missing.join(", ")}`);
+  }
+
+  switch (mode) {
+    case "concat":
+      return received
+        .map((name) => stringifyValue(inputs[name]))
+        .join(unescapeSeparator(data.separator ?? "\\n"));
+
+    case "object":
+      return Object.fromEntries(received.map((name) => [name, inputs[name]]));
+
+    case "zip": {
+      received.forEach((name) => {
+        if (!Array.isArray(inputs[name])) {
+          throw new Error(`Zip needs arrays, but "${name}" is not a list`);
+        }
+      });
+      const length = Math.min(...received.map((name) => inputs[name].length));
+      return Array.from({ length: received.length > 0 ? length : 0 }, (_, index) =>
+        Object.fromEntries(received.map((name) => [name, inputs[name][index]]))
+      );
+    }
+
+    default:
+      throw new Error(`Unknown merge mode "${mode}"`);
+  }
+};
@@ -0,0 +1,106 @@
+import { mergeValues, createMergeInput, validateInputName } from "./merge";
+import { createFakeClock } from "./clock";
+import { runPipeline } from "./runPipeline";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}->${target}-${targetHandle}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`,
+});
+
+describe("mergeValues", () => {
+  const inputs = { in1: "a", in2: "b" };
+
+  test("concatenates with the separator", () => {
+    expect(mergeValues({}, inputs)).toBe("a\nb");
+    expect(mergeValues({ separator: ", " }, inputs)).toBe("a, b");
+  });
+
+  test("keys values by handle name", () => {
+    expect(mergeValues({ mode: "object" }, inputs)).toEqual({ in1: "a", in2: "b" });
+  });
+
+  test("zips arrays to the shortest length", () => {
+    expect(mergeValues({ mode: "zip" }, { in1: [1, 2, 3], in2: ["x", "y"] })).toEqual([
+      { in1: 1, in2: "x" },
+      { in1: 2, in2: "y" },
+    ]);
+    expect(() => mergeValues({ mode: "zip" }, inputs)).toThrow(/needs arrays/);
+  });
+
+  test("waits for all inputs unless told otherwise", () => {
+    expect(() => mergeValues({}, { in1: "a" })).toThrow(/nothing arrived on in2/);
+    expect(mergeValues({ waitForAll: false }, { in1: "a" })).toBe("a");
+  });
+
+  test("first passes the earliest arrival", () => {
+    expect(mergeValues({ mode: "first" }, inputs, ["in2", "in1"])).toBe("b");
+    expect(mergeValues({ mode: "first" }, {}, [])).toBeUndefined();
+  });
+});
+
+describe("merge inputs", () => {
+  test("createMergeInput picks the next free name", () => {
+    expect(createMergeInput([{ name: "in1" }, { name: "in3" }])).toEqual({ name: "in2" });
+  });
+
+  test("validateInputName rejects bad and duplicate names", () => {
+    expect(validateInputName("total", [{ name: "in1" }])).toBeNull();
+    expect(validateInputName("2nd")).toMatch(/letters/);
+    expect(validateInputName("in1", [{ name: "in1" }])).toMatch(/already used/);
+  });
+});
+
+describe("Merge node in a run", () => {
+  // Two inputs race to the merge: one direct, one held by a Delay node
+  const racePipeline = (mode) => ({
+    nodes: [
+      node("customInput-1", "customInput", { value: "slow" }),
+      node("delay-1", "delay", { duration: 5000 }),
+      node("customInput-2", "customInput", { value: "fast" }),
+      node("delay-2", "delay", { duration: 1000 }),
+      node("merge-1", "merge", { mode }),
+      node("customOutput-1", "customOutput"),
+    ],
+    edges: [
+      edge("customInput-1", "value", "delay-1", "input"),
+      edge("delay-1", "output", "merge-1", "in1"),
+      edge("customInput-2", "value", "delay-2", "input"),
+      edge("delay-2", "output", "merge-1", "in2"),
+      edge("merge-1", "output", "customOutput-1", "value"),
+    ],
+  });
+
+  test("first mode passes the branch that finished first", async () => {
+    const clock = createFakeClock();
+    const completed = [];
+    const run = runPipeline(racePipeline("first"), {
+      clock,
+      onNodeComplete: (nodeId, result) => completed.push({ nodeId, at: clock.now(), result }),
+    });
+
+    await clock.advance(1000);
+    const merged = completed.find(({ nodeId }) => nodeId === "merge-1");
+    expect(merged).toMatchObject({ at: 1000, result: { outputs: { output: "fast" } } });
+    expect(completed.map(({ nodeId }) => nodeId)).toContain("customOutput-1");
+    expect(completed.map(({ nodeId }) => nodeId)).not.toContain("delay-1");
+
+    await clock.advance(4000);
+    const { results } = await run;
+    expect(results["customOutput-1"].outputs.value).toBe("fast");
+    expect(results["delay-1"].status).toBe("success");
+  });
+
+  test("other modes wait for every branch", async () => {
+    const clock = createFakeClock();
+    const run = runPipeline(racePipeline("object"), { clock });
+
+    await clock.advance(5000);
+    const { results } = await run;
+    expect(results["merge-1"].startedAt).toBe(5000);
+    expect(results["merge-1"].outputs.output).toEqual({ in1: "slow", in2: "fast" });
+  });
+});
@@ -0,0 +1,30 @@
+// path.js
+// -----------------------------------------------------------------------------
+// Field path lookup for nested data.
+// Accepts dotted paths (`user.address.city`), array indexes (`items[0].id`
+// or `items.0.id`) and JSONPath-style roots (`$.user.email`).
+// -----------------------------------------------------------------------------
+
+/**
+ * parsePath
+ * Splits a path into its property / index segments.
+ */
+export const parsePath = (path = "") =>
+  path
+    .trim()
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+|'[^']*'|"[^"]*")\]/g, (_, key) => `.${key.replace(/^['"]|['"]$/g, "")}`)
+    .split(".")
+    .filter((segment) => segment !== "");
+
+/**
+ * getPath
+ * Returns the value at `path` inside `value`, or undefined when any segment
+ * is missing. An empty path returns the value itself.
+ */
+export const getPath = (value, path) =>
+  parsePath(path).reduce(
+    (current, segment) =>
+      current === undefined || current === null ? undefined : current[segment],
+    value
+  );
@@ -0,0 +1,329 @@
+// pattern.js
+// -----------------------------------------------------------------------------
+// Regular expressions from user input (`matches()` in expressions, the
+// Filter node's regex rule), matched without backtracking.
+//
+// The browser's RegExp backtracks, so patterns like `(a+)+$` or `(a|a)*$`
+// take exponential time and freeze the tab. Here a pattern is compiled into
+// a state machine that is run over the text once, trying every possibility
+// side by side (Thompson's construction): a match costs at most
+// text length × number of states, whatever the pattern.
+//
+// Supported: literals and escapes, `.`, classes (`[a-z]`, `[^…]`, `\d`,
+// `\w`, `\s` and their negations), groups (`(…)`, `(?:…)`, `(?<name>…)`),
+// `|`, quantifiers (`* + ? {n} {n,} {n,m}`, lazy or not), anchors `^` `$`
+// and `\b` `\B`. Backreferences and lookaround need backtracking and are
+// refused. Patterns take no flags, like `new RegExp(pattern)`.
+// -----------------------------------------------------------------------------
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_STATES = 2000;
+const MAX_CACHED = 100;
+
+const isWordChar = (char) => char !== undefined && /[A-Za-z0-9_]/.test(char);
+const isLineTerminator = (char) => /[\n\r\u2028\u2029]/.test(char);
+
+const CLASS_ESCAPES = {
+  d: (char) => char >= "0" && char <= "9",
+  w: isWordChar,
+  s: (char) => /\s/.test(char),
+};
+
+const CONTROL_ESCAPES = { n: "\n", r: "\r", t: "\t", f: "\f", v: "\v", 0: "\0" };
+
+const unsupported = (what) => new Error(`${what} are not supported in patterns`);
+
+// -----------------------------------------------------------------------------
+// Parser → syntax tree
+// `char` nodes carry a `test(char)` function; the source has already been
+// checked by the browser's RegExp, so only supported syntax is handled here.
+// -----------------------------------------------------------------------------
+const parsePattern = (source) => {
+  let i = 0;
+
+  const literal = (value) => (char) => char === value;
+
+  // `\x41`, `A`, `\n`, `\cJ`, `\.`; `i` sits after the backslash
+  const readCharEscape = () => {
+    const letter = source[i];
+    i += 1;
+    if (letter in CONTROL_ESCAPES && !(letter === "0" && /[0-9]/.test(source[i] || ""))) {
+      return CONTROL_ESCAPES[letter];
+    }
+    if (/[1-9]/.test(letter) || (letter === "0" && /[0-9]/.test(source[i] || ""))) {
+      throw unsupported("Backreferences and octal escapes");
+    }
+    const hex = { x: 2, u: 4 }[letter];
+    if (hex && /^[0-9a-fA-F]+$/.test(source.slice(i, i + hex)) && source.length >= i + hex) {
+      const code = parseInt(source.slice(i, i + hex), 16);
+      i += hex;
+      return String.fromCharCode(code);
+    }
+    if (letter === "c" && /[A-Za-z]/.test(source[i] || "")) {
+      i += 1;
+      return String.fromCharCode(source.charCodeAt(i - 1) % 32);
+    }
+    if (letter === "c") {
+      // A lone `\c` stands for a backslash followed by `c`
+      i -= 1;
+      return "\\";
+    }
+    if (letter === "k" && source[i] === "<") {
+      throw unsupported("Backreferences");
+    }
+    return letter;
+  };
+
+  // `\d`, `\W`, … as a test, or null for any other escape
+  const readClassEscape = () => {
+    const letter = source[i];
+    const base = CLASS_ESCAPES[letter.toLowerCase()];
+    if (!base) return null;
+    i += 1;
+    return letter === letter.toLowerCase() ? base : (char) => !base(char);
+  };
+
+  const parseClass = () => {
+    const negate = source[i] === "^";
+    if (negate) i += 1;
+
+    const tests = [];
+    const readMember = () => {
+      if (source[i] !== "\\") {
+        i += 1;
+        return { char: source[i - 1] };
+      }
+      i += 1;
+      if (source[i] === "b") {
+        i += 1;
+        return { char: "\b" };
+      }
+      const classTest = readClassEscape();
+      return classTest ? { test: classTest } : { char: readCharEscape() };
+    };
+
+    while (source[i] !== "]") {
+      const from = readMember();
+      if (from.char !== undefined && source[i] === "-" && source[i + 1] !== "]") {
+        i += 1;
+        const to = readMember();
+        if (to.char !== undefined) {
+          const [low, high] = [from.char, to.char];
+          tests.push((char) => char >= low && char <= high);
+        } else {
+          tests.push(literal(from.char), literal("-"), to.test);
+        }
+      } else {
+        tests.push(from.test || literal(from.char));
+      }
+    }
+    i += 1;
+
+    const inClass = (char) => tests.some((test) => test(char));
+    return { type: "char", test: negate ? (char) => !inClass(char) : inClass };
+  };
+
+  const parseAtom = () => {
+    const char = source[i];
+    i += 1;
+
+    switch (char) {
+      case "(": {
+        if (/^\?(=|!|<=|<!)/.test(source.slice(i))) throw unsupported("Lookarounds");
+        if (source.startsWith("?:", i)) {
+          i += 2;
+        } else if (source.startsWith("?<", i)) {
+          i = source.indexOf(">", i) + 1;
+        }
+        const inner = parseAlternation();
+        i += 1; // ")"
+        return inner;
+      }
+      case "[":
+        return parseClass();
+      case ".":
+        return { type: "char", test: (c) => !isLineTerminator(c) };
+      case "^":
+        return { type: "assert", check: (text, position) => position === 0 };
+      case "$":
+        return { type: "assert", check: (text, position) => position === text.length };
+      case "\\": {
+        if (source[i] === "b" || source[i] === "B") {
+          const negate = source[i] === "B";
+          i += 1;
+          const check = (text, position) =>
+            isWordChar(text[position - 1]) !== isWordChar(text[position]);
+          return { type: "assert", check: negate ? (...args) => !check(...args) : check };
+        }
+        const classTest = readClassEscape();
+        return { type: "char", test: classTest || literal(readCharEscape()) };
+      }
+      default:
+        return { type: "char", test: literal(char) };
+    }
+  };
+
+  const parseQuantifier = (atom) => {
+    let min;
+    let max;
+    const counted = source.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+    if (source[i] === "*") [min, max] = [0, Infinity];
+    else if (source[i] === "+") [min, max] = [1, Infinity];
+    else if (source[i] === "?") [min, max] = [0, 1];
+    else if (counted) {
+      min = Number(counted[1]);
+      max = counted[2] === undefined ? min : counted[3] === "" ? Infinity : Number(counted[3]);
+    } else {
+      return atom;
+    }
+
+    i += counted ? counted[0].length : 1;
+    if (source[i] === "?") i += 1; // lazy: same answer for a yes / no match
+    return { type: "repeat", node: atom, min, max };
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (i < source.length && source[i] !== "|" && source[i] !== ")") {
+      items.push(parseQuantifier(parseAtom()));
+    }
+    return { type: "seq", items };
+  };
+
+  const parseAlternation = () => {
+    const options = [parseSequence()];
+    while (source[i] === "|") {
+      i += 1;
+      options.push(parseSequence());
+    }
+    return options.length === 1 ? options[0] : { type: "alt", options };
+  };
+
+  return parseAlternation();
+};
+
+// -----------------------------------------------------------------------------
+// Compiler → states
+//   { kind: 'char', test, next }    consumes one matching character
+//   { kind: 'split', outs }         continues on every branch at once
+//   { kind: 'assert', check, next } continues only where `check` holds
+//   { kind: 'match' }
+// Each node is compiled in front of the state that follows it.
+// -----------------------------------------------------------------------------
+const compileStates = (tree) => {
+  const states = [{ kind: "match" }];
+  const add = (state) => {
+    if (states.length >= MAX_STATES) {
+      throw new Error("Pattern is too complex (too many repetitions)");
+    }
+    states.push(state);
+    return states.length - 1;
+  };
+
+  const compile = (node, next) => {
+    switch (node.type) {
+      case "char":
+        return add({ kind: "char", test: node.test, next });
+      case "assert":
+        return add({ kind: "assert", check: node.check, next });
+      case "seq":
+        return node.items.reduceRight((following, item) => compile(item, following), next);
+      case "alt":
+        return add({ kind: "split", outs: node.options.map((option) => compile(option, next)) });
+      case "repeat": {
+        let start = next;
+        if (node.max === Infinity) {
+          const loop = add({ kind: "split", outs: [] });
+          states[loop].outs = [compile(node.node, loop), next];
+          start = loop;
+        } else {
+          for (let count = node.min; count < node.max; count += 1) {
+            start = add({ kind: "split", outs: [compile(node.node, start), next] });
+          }
+        }
+        for (let count = 0; count < node.min; count += 1) {
+          start = compile(node.node, start);
+        }
+        return start;
+      }
+      default:
+        throw new Error(`Unsupported pattern node "${node.type}"`);
+    }
+  };
+
+  const start = compile(tree, 0);
+  return { states, start };
+};
+
+// -----------------------------------------------------------------------------
+// Matching
+// -----------------------------------------------------------------------------
+
+/**
+ * enterState
+ * Follows the non-consuming states from `index` at `position`, collecting
+ * the character states reached into `list`. True when the match state is
+ * reached. `seen` marks states already entered at this position.
+ */
+const enterState = (states, index, text, position, seen, list) => {
+  const stack = [index];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (seen[current] !== position) {
+      seen[current] = position;
+      const state = states[current];
+      if (state.kind === "match") return true;
+      if (state.kind === "char") list.push(current);
+      if (state.kind === "split") stack.push(...state.outs);
+      if (state.kind === "assert" && state.check(text, position)) stack.push(state.next);
+    }
+  }
+  return false;
+};
+
+const runStates = ({ states, start }, text) => {
+  const seen = new Int32Array(states.length).fill(-1);
+  let targets = [];
+
+  for (let position = 0; ; position += 1) {
+    // A match may also begin at any position
+    const list = [];
+    const entered = [...targets, start].some((index) =>
+      enterState(states, index, text, position, seen, list)
+    );
+    if (entered) return true;
+    if (position === text.length) return false;
+
+    const char = text[position];
+    targets = list.filter((index) => states[index].test(char)).map((index) => states[index].next);
+  }
+};
+
+// Expressions evaluated once per item compile the same few patterns again
+const cache = new Map();
+
+/**
+ * compilePattern
+ * Compiles a user pattern into `{ test(text) }`, answering like
+ * `new RegExp(pattern).test(text)`. Throws a readable Error for invalid,
+ * overlong or unsupported patterns.
+ */
+export const compilePattern = (pattern) => {
+  const source = String(pattern ?? "");
+  if (cache.has(source)) return cache.get(source);
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  try {
+    // Syntax errors read the same as anywhere else in the browser
+    new RegExp(source); // eslint-disable-line no-new
+  } catch (error) {
+    throw new Error(error.message);
+  }
+
+  const machine = compileStates(parsePattern(source));
+  const compiled = { test: (text) => runStates(machine, String(text)) };
+  if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+  cache.set(source, compiled);
+  return compiled;
+};
@@ -0,0 +1,57 @@
+import { compilePattern } from "./pattern";
+
+// [pattern, text] pairs checked against the browser's own RegExp
+const AGREES_WITH_REGEXP = [
+  ["abc", "xabcx"],
+  ["^abc$", "abcd"],
+  ["a.c", "a\nc"],
+  ["colou?r", "color"],
+  ["^a{2,3}$", "aaaa"],
+  ["^a{2,}$", "aaaa"],
+  ["^(ab){2}$", "abab"],
+  ["^x{1}?y", "xy"],
+  ["a{,2}", "a{,2}"],
+  ["^(cat|dog)s?$", "dogs"],
+  ["^[a-c]+[^0-9]$", "abcx"],
+  ["^[a-c]+[^0-9]$", "abc1"],
+  ["^[\\w-]+@[\\w.]+$", "ada-l@example.com"],
+  ["\\d\\s\\D\\S\\W", "1 a!."],
+  ["[\\d-z]", "-"],
+  ["\\bcat\\b", "the cat sat"],
+  ["\\bcat\\b", "concatenate"],
+  ["\\Bcat", "concatenate"],
+  ["^\\x41\\u0042\\t\\.$", "AB\t."],
+  ["(?:ab)+(?<last>c)", "ababc"],
+  ["^$", ""],
+  ["a|", "zzz"],
+  ["[]", "a"],
+  ["[^]", "\n"],
+  ["^\\cJ$", "\n"],
+  ["^(a*)*b$", "aaab"],
+];
+
+describe("compilePattern", () => {
+  test.each(AGREES_WITH_REGEXP)("/%s/ agrees with RegExp on %j", (pattern, text) => {
+    expect(compilePattern(pattern).test(text)).toBe(new RegExp(pattern).test(text));
+  });
+
+  test("stays linear on patterns that make RegExp backtrack", () => {
+    const text = `${"a".repeat(5000)}!`;
+    const started = Date.now();
+    expect(compilePattern("((a+))+$").test(text)).toBe(false);
+    expect(compilePattern("^(a|a)*$").test(text)).toBe(false);
+    expect(compilePattern("^(a|aa)+$").test(text)).toBe(false);
+    expect(compilePattern("(.*a){12}").test(text)).toBe(true);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+
+  test("refuses what needs backtracking, and oversized patterns", () => {
+    expect(() => compilePattern("(a)\\1")).toThrow(/Backreferences/);
+    expect(() => compilePattern("(?<x>a)\\k<x>")).toThrow(/Backreferences/);
+    expect(() => compilePattern("a(?=b)")).toThrow("Lookarounds are not supported in patterns");
+    expect(() => compilePattern("(?<!a)b")).toThrow("Lookarounds are not supported in patterns");
+    expect(() => compilePattern("(a{1000}){1000}")).toThrow(/too complex/);
+    expect(() => compilePattern("a".repeat(201))).toThrow(/longer than 200/);
+    expect(() => compilePattern("[")).toThrow(/Invalid regular expression/);
+  });
+});
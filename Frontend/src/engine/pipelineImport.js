@@ -0,0 +1,135 @@
+// pipelineImport.js
+// -----------------------------------------------------------------------------
+// Bringing an imported pipeline (see store/pipelineSchema.js) into the
+// current canvas:
+//   - node ids already on the canvas get the next free `${type}-${n}` id;
+//     edges, handles (`${nodeId}-${name}`), `parentNode` and `data.id`
+//     follow the new id
+//   - the `nodeIDs` counters move past every id in use, so nodes added
+//     later never collide with imported ones
+//   - when merging, the imported nodes are placed to the right of the
+//     existing ones
+// -----------------------------------------------------------------------------
+
+const DEFAULT_WIDTH = 220;
+const MERGE_GAP = 120;
+
+// Counter behind ids like `llm-3`; null for ids not made by getNodeID
+const idNumber = (node) => {
+  const match = node.id.match(/^(.*)-(\d+)$/);
+  return match && match[1] === node.type ? Number(match[2]) : null;
+};
+
+// Measured width, else a subflow's stored size
+const widthOf = (node) => node.width ?? node.data?.size?.width ?? DEFAULT_WIDTH;
+
+// Same id React Flow's addEdge gives a new edge
+const edgeIdOf = (edge) =>
+  `reactflow__edge-${edge.source}${edge.sourceHandle || ""}-${edge.target}${edge.targetHandle || ""}`;
+
+/**
+ * nextNodeIDs
+ * `nodeIDs` counters raised to the highest id number used by `nodes`.
+ */
+const nextNodeIDs = (nodeIDs, nodes) => {
+  const counters = { ...nodeIDs };
+  nodes.forEach((node) => {
+    const number = idNumber(node);
+    if (number !== null && number > (counters[node.type] || 0)) {
+      counters[node.type] = number;
+    }
+  });
+  return counters;
+};
+
+/**
+ * offsetBeside
+ * Moves the imported top-level nodes to the right of the existing ones.
+ * Grouped nodes are positioned relative to their subflow and stay put.
+ */
+const offsetBeside = (importedNodes, existingNodes) => {
+  const existing = existingNodes.filter((node) => !node.parentNode);
+  const imported = importedNodes.filter((node) => !node.parentNode);
+  if (existing.length === 0 || imported.length === 0) return importedNodes;
+
+  const rightEdge = Math.max(...existing.map((node) => node.position.x + widthOf(node)));
+  const dx = rightEdge + MERGE_GAP - Math.min(...imported.map((node) => node.position.x));
+  const top = Math.min(...existing.map((node) => node.position.y));
+  const dy = top - Math.min(...imported.map((node) => node.position.y));
+
+  return importedNodes.map((node) =>
+    node.parentNode
+      ? node
+      : { ...node, position: { x: node.position.x + dx, y: node.position.y + dy } }
+  );
+};
+
+/**
+ * remapImportedGraph
+ * The imported `{ nodes, edges }` made safe to add next to `current`
+ * (`{ nodes, edges, nodeIDs }`), with the counters to store afterwards.
+ * Pass an empty `nodes` / `edges` in `current` when replacing the canvas.
+ */
+export const remapImportedGraph = (imported, current) => {
+  const taken = new Set([...current.nodes, ...imported.nodes].map((node) => node.id));
+  const counters = nextNodeIDs(current.nodeIDs, [...current.nodes, ...imported.nodes]);
+
+  // Old id → new id, for imported nodes whose id is already on the canvas
+  const existingIds = new Set(current.nodes.map((node) => node.id));
+  const renamed = new Map();
+  imported.nodes.forEach((node) => {
+    if (!existingIds.has(node.id)) return;
+    let id;
+    do {
+      counters[node.type] = (counters[node.type] || 0) + 1;
+      id = `${node.type}-${counters[node.type]}`;
+    } while (taken.has(id));
+    taken.add(id);
+    renamed.set(node.id, id);
+  });
+
+  const idOf = (id) => renamed.get(id) || id;
+  const handleOf = (nodeId, handle) =>
+    handle && renamed.has(nodeId) && handle.startsWith(`${nodeId}-`)
+      ? `${idOf(nodeId)}${handle.slice(nodeId.length)}`
+      : handle;
+
+  const nodes = imported.nodes.map((node) => {
+    if (!renamed.has(node.id) && !renamed.has(node.parentNode)) return node;
+
+    const data = { ...node.data };
+    if (renamed.has(node.id) && "id" in data) data.id = idOf(node.id);
+    // An Input's default name comes from its id; keep the name callers use
+    if (renamed.has(node.id) && node.type === "customInput" && !data.inputName) {
+      data.inputName = node.id.replace("customInput-", "input_");
+    }
+
+    return {
+      ...node,
+      id: idOf(node.id),
+      data,
+      ...(node.parentNode && { parentNode: idOf(node.parentNode) }),
+    };
+  });
+
+  const edgeIds = new Set(current.edges.map((edge) => edge.id));
+  const edges = imported.edges.map((edge) => {
+    const remapped = {
+      ...edge,
+      source: idOf(edge.source),
+      sourceHandle: handleOf(edge.source, edge.sourceHandle),
+      target: idOf(edge.target),
+      targetHandle: handleOf(edge.target, edge.targetHandle),
+    };
+    const moved = renamed.has(edge.source) || renamed.has(edge.target);
+    const id = moved || !edge.id || edgeIds.has(edge.id) ? edgeIdOf(remapped) : edge.id;
+    edgeIds.add(id);
+    return { ...remapped, id };
+  });
+
+  return {
+    nodes: offsetBeside(nodes, current.nodes),
+    edges,
+    nodeIDs: counters,
+  };
+};
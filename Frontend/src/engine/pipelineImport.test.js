@@ -0,0 +1,86 @@
+import { remapImportedGraph } from "./pipelineImport";
+
+const node = (id, type, x = 0, extra = {}) => ({
+  id,
+  type,
+  position: { x, y: 0 },
+  data: { id },
+  ...extra,
+});
+
+const edge = (source, sourceName, target, targetName) => ({
+  id: `${source}-${target}`,
+  source,
+  sourceHandle: `${source}-${sourceName}`,
+  target,
+  targetHandle: `${target}-${targetName}`,
+});
+
+const imported = {
+  nodes: [
+    node("customInput-1", "customInput", 0),
+    node("text-1", "text", 300),
+    node("subflow-1", "subflow", 600, { data: { id: "subflow-1", size: { width: 400 } } }),
+    node("text-2", "text", 20, { parentNode: "subflow-1" }),
+  ],
+  edges: [
+    edge("customInput-1", "value", "text-1", "input"),
+    edge("text-1", "output", "text-2", "input"),
+  ],
+};
+
+describe("remapImportedGraph", () => {
+  test("keeps ids on an empty canvas and raises the id counters", () => {
+    const result = remapImportedGraph(imported, { nodes: [], edges: [], nodeIDs: { text: 1 } });
+    expect(result.nodes).toEqual(imported.nodes);
+    expect(result.edges).toEqual(imported.edges);
+    expect(result.nodeIDs).toEqual({ customInput: 1, text: 2, subflow: 1 });
+  });
+
+  test("renames clashing ids and everything that refers to them", () => {
+    const current = {
+      nodes: [node("customInput-1", "customInput"), node("text-1", "text"), node("text-3", "text")],
+      edges: [],
+      nodeIDs: { customInput: 1, text: 3 },
+    };
+    const result = remapImportedGraph(imported, current);
+    const ids = result.nodes.map((item) => item.id);
+
+    expect(ids).toEqual(["customInput-2", "text-4", "subflow-1", "text-2"]);
+    expect(result.nodes[1].data.id).toBe("text-4");
+    expect(result.nodes[0].data.inputName).toBe("input_1");
+    expect(result.edges[0]).toMatchObject({
+      source: "customInput-2",
+      sourceHandle: "customInput-2-value",
+      target: "text-4",
+      targetHandle: "text-4-input",
+      id: "reactflow__edge-customInput-2customInput-2-value-text-4text-4-input",
+    });
+    expect(result.edges[1]).toMatchObject({ source: "text-4", sourceHandle: "text-4-output" });
+    expect(result.nodeIDs).toEqual({ customInput: 2, text: 4, subflow: 1 });
+  });
+
+  test("follows a renamed subflow in its children", () => {
+    const current = { nodes: [node("subflow-1", "subflow")], edges: [], nodeIDs: {} };
+    const result = remapImportedGraph(imported, current);
+    expect(result.nodes[2].id).toBe("subflow-2");
+    expect(result.nodes[3].parentNode).toBe("subflow-2");
+  });
+
+  test("places merged nodes to the right of the existing ones", () => {
+    const current = {
+      nodes: [node("llm-1", "llm", 100, { width: 250, position: { x: 100, y: 40 } })],
+      edges: [],
+      nodeIDs: { llm: 1 },
+    };
+    const result = remapImportedGraph(imported, current);
+
+    // Right edge 350 plus the 120 gap; the grouped node keeps its offset
+    expect(result.nodes.map((item) => item.position)).toEqual([
+      { x: 470, y: 40 },
+      { x: 770, y: 40 },
+      { x: 1070, y: 40 },
+      { x: 20, y: 0 },
+    ]);
+  });
+});
@@ -0,0 +1,230 @@
+// portTypes.js
+// -----------------------------------------------------------------------------
+// Data types of node handles and the rules for connecting them.
+//
+// Every handle declares one of PORT_TYPES (a target may accept several).
+// Connecting two handles is either:
+//   ok        the value fits as is (same type, `Any` on either end,
+//             an Array into JSON)
+//   coerce    the value is converted on the way (Number / Boolean / JSON /
+//             Array into Text, see coerceValue)
+//   mismatch  anything else, e.g. Text into Number or File into Text
+//
+// Pass-through nodes (Filter, Delay, Condition branches) have no type of
+// their own: their output takes the type of whatever feeds their input.
+// -----------------------------------------------------------------------------
+
+import { getHandleName } from "./graph";
+import { getBranches } from "./condition";
+import { stringifyValue } from "./template";
+
+export const PORT_TYPES = {
+  Text: { color: "#6366f1" },
+  Number: { color: "#0ea5e9" },
+  Boolean: { color: "#f59e0b" },
+  JSON: { color: "#10b981" },
+  Array: { color: "#8b5cf6" },
+  File: { color: "#ec4899" },
+  Any: { color: "#94a3b8" },
+};
+
+// Source type → target types it can feed other than itself and Any
+const COMPATIBILITY = {
+  Text: {},
+  Number: { Text: "coerce" },
+  Boolean: { Text: "coerce" },
+  JSON: { Text: "coerce" },
+  Array: { Text: "coerce", JSON: "ok" },
+  File: {},
+};
+
+/**
+ * checkTypes
+ * How a `source` value reaches a target accepting `targetTypes` (a type or
+ * a list): `ok`, `coerce` or `mismatch`.
+ */
+export const checkTypes = (source, targetTypes) => {
+  const targets = [].concat(targetTypes);
+  const results = targets.map((target) => {
+    if (source === "Any" || target === "Any" || source === target) return "ok";
+    return COMPATIBILITY[source]?.[target] || "mismatch";
+  });
+  if (results.includes("ok")) return "ok";
+  return results.includes("coerce") ? "coerce" : "mismatch";
+};
+
+/**
+ * coerceValue
+ * Converts a value for a `coerce` connection into `target`.
+ */
+export const coerceValue = (value, target) =>
+  target === "Text" ? stringifyValue(value) : value;
+
+/**
+ * parsePortValue
+ * Reads a typed value from text, as typed into an Input node. Throws when
+ * the text is not a valid value of that type.
+ */
+export const parsePortValue = (text, type) => {
+  if (typeof text !== "string") return text;
+
+  switch (type) {
+    case "Number": {
+      const number = Number(text);
+      if (text.trim() === "" || Number.isNaN(number)) {
+        throw new Error(`"${text}" is not a number`);
+      }
+      return number;
+    }
+    case "Boolean":
+      if (!["true", "false"].includes(text.trim())) {
+        throw new Error(`"${text}" is not true or false`);
+      }
+      return text.trim() === "true";
+    case "JSON":
+    case "Array": {
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Value is not valid JSON: ${error.message}`);
+      }
+      if (type === "Array" && !Array.isArray(value)) {
+        throw new Error("Value is not a JSON array");
+      }
+      return value;
+    }
+    default:
+      return text;
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Declarations
+// `inputs` / `outputs` map handle names to a type, a list of accepted types
+// (inputs only) or `PASS_THROUGH`. `*` covers handles named by node data
+// (template variables, operands, merge inputs, …).
+// -----------------------------------------------------------------------------
+const PASS_THROUGH = { from: "input" };
+
+const MERGE_OUTPUT_TYPES = { concat: "Text", object: "JSON", zip: "Array", first: "Any" };
+
+const NODE_PORTS = {
+  customInput: (data) => ({ inputs: {}, outputs: { value: data.inputType || "Text" } }),
+  customOutput: (data) => ({ inputs: { value: data.outputType || "Text" }, outputs: {} }),
+  text: () => ({ inputs: { "*": "Any" }, outputs: { output: "Text" } }),
+  llm: () => ({ inputs: { "*": "Any" }, outputs: { output: "Text" } }),
+  api: () => ({ inputs: { "*": "Any" }, outputs: { output: "Any" } }),
+  filter: () => ({ inputs: { input: "Any" }, outputs: { output: PASS_THROUGH } }),
+  math: () => ({ inputs: { "*": ["Number", "Array"] }, outputs: { output: "Number" } }),
+  delay: () => ({ inputs: { input: "Any" }, outputs: { output: PASS_THROUGH } }),
+  condition: (data) => ({
+    inputs: { input: "Any" },
+    outputs: Object.fromEntries(getBranches(data).map(({ name }) => [name, PASS_THROUGH])),
+  }),
+  loop: () => ({
+    inputs: { input: "Array", result: "Any" },
+    outputs: { item: "Any", output: "Array", errors: "Array" },
+  }),
+  merge: (data) => ({
+    inputs: { "*": "Any" },
+    outputs: { output: MERGE_OUTPUT_TYPES[data.mode] || "Any" },
+  }),
+  code: () => ({ inputs: { input: "Any" }, outputs: { output: "Any" } }),
+};
+
+/**
+ * getNodePorts
+ * The raw declaration for a node; unknown node types are `Any` throughout.
+ */
+export const getNodePorts = (node) =>
+  NODE_PORTS[node.type]?.(node.data || {}) || {
+    inputs: { "*": "Any" },
+    outputs: { "*": "Any" },
+  };
+
+const lookup = (declared, name) => declared[name] ?? declared["*"] ?? "Any";
+
+/**
+ * getInputTypes
+ * Types the target handle `handleId` of `node` accepts, always a list.
+ */
+export const getInputTypes = (node, handleId) =>
+  [].concat(lookup(getNodePorts(node).inputs, getHandleName(node.id, handleId, "input")));
+
+/**
+ * getOutputType
+ * Type of the value leaving `handleId` of `node`. Pass-through outputs
+ * follow their input upstream; several differing sources make it `Any`.
+ */
+export const getOutputType = (node, handleId, nodes, edges, visited = new Set()) => {
+  const declared = lookup(getNodePorts(node).outputs, getHandleName(node.id, handleId, "output"));
+  if (declared !== PASS_THROUGH) return declared;
+  if (visited.has(node.id)) return "Any";
+  visited.add(node.id);
+
+  const sourceTypes = edges
+    .filter(
+      (edge) =>
+        edge.target === node.id &&
+        getHandleName(node.id, edge.targetHandle, "input") === declared.from
+    )
+    .map((edge) => {
+      const source = nodes.find((item) => item.id === edge.source);
+      return source
+        ? getOutputType(source, edge.sourceHandle, nodes, edges, new Set(visited))
+        : "Any";
+    });
+
+  const unique = [...new Set(sourceTypes)];
+  return unique.length === 1 ? unique[0] : "Any";
+};
+
+/**
+ * getEdgeTypeCheck
+ * `{ status, sourceType, targetTypes, coerceTo }` for an edge, `status` as
+ * checkTypes; `coerceTo` names the type a `coerce` edge converts into.
+ */
+export const getEdgeTypeCheck = (edge, nodes, edges) => {
+  const source = nodes.find((node) => node.id === edge.source);
+  const target = nodes.find((node) => node.id === edge.target);
+  if (!source || !target) return { status: "ok", sourceType: "Any", targetTypes: ["Any"] };
+
+  const sourceType = getOutputType(source, edge.sourceHandle, nodes, edges);
+  const targetTypes = getInputTypes(target, edge.targetHandle);
+  const status = checkTypes(sourceType, targetTypes);
+  const coerceTo =
+    status === "coerce"
+      ? targetTypes.find((type) => checkTypes(sourceType, type) === "coerce")
+      : undefined;
+  return { status, sourceType, targetTypes, coerceTo };
+};
+
+/**
+ * describeTypeCheck
+ * Edge label for a check, e.g. `File → Number or Array: incompatible types`.
+ */
+export const describeTypeCheck = ({ status, sourceType, targetTypes }) => {
+  const conversion = `${sourceType} → ${targetTypes.join(" or ")}`;
+  if (status === "mismatch") return `${conversion}: incompatible types`;
+  return status === "coerce" ? `${conversion} (converted)` : "";
+};
+
+/**
+ * getPortTypes
+ * Resolved types of a node's handles, flattened for cheap comparison:
+ * `{ "in:<name>": type, "out:<name>": type }` with `*` for named-by-data
+ * handles. Targets accepting several types report the first.
+ */
+export const getPortTypes = (node, nodes, edges) => {
+  const { inputs, outputs } = getNodePorts(node);
+  const types = {};
+  Object.entries(inputs).forEach(([name, type]) => {
+    types[`in:${name}`] = [].concat(type)[0];
+  });
+  Object.keys(outputs).forEach((name) => {
+    const handleId = name === "*" ? undefined : `${node.id}-${name}`;
+    types[`out:${name}`] = getOutputType(node, handleId, nodes, edges);
+  });
+  return types;
+};
@@ -0,0 +1,132 @@
+import {
+  PORT_TYPES,
+  checkTypes,
+  coerceValue,
+  parsePortValue,
+  getEdgeTypeCheck,
+  describeTypeCheck,
+} from "./portTypes";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, sourceName, target, targetName) => ({
+  source,
+  sourceHandle: `${source}-${sourceName}`,
+  target,
+  targetHandle: `${target}-${targetName}`,
+});
+
+// Rows are source types, columns target types
+const TYPES = ["Text", "Number", "Boolean", "JSON", "Array", "File", "Any"];
+const MATRIX = {
+  Text: ["ok", "mismatch", "mismatch", "mismatch", "mismatch", "mismatch", "ok"],
+  Number: ["coerce", "ok", "mismatch", "mismatch", "mismatch", "mismatch", "ok"],
+  Boolean: ["coerce", "mismatch", "ok", "mismatch", "mismatch", "mismatch", "ok"],
+  JSON: ["coerce", "mismatch", "mismatch", "ok", "mismatch", "mismatch", "ok"],
+  Array: ["coerce", "mismatch", "mismatch", "ok", "ok", "mismatch", "ok"],
+  File: ["mismatch", "mismatch", "mismatch", "mismatch", "mismatch", "ok", "ok"],
+  Any: ["ok", "ok", "ok", "ok", "ok", "ok", "ok"],
+};
+
+describe("checkTypes", () => {
+  test("the matrix covers every port type", () => {
+    expect(Object.keys(MATRIX).sort()).toEqual(Object.keys(PORT_TYPES).sort());
+  });
+
+  test.each(
+    TYPES.flatMap((source) =>
+      TYPES.map((target, column) => [source, target, MATRIX[source][column]])
+    )
+  )("%s → %s is %s", (source, target, status) => {
+    expect(checkTypes(source, target)).toBe(status);
+  });
+
+  test.each([
+    ["Text", ["Number", "Array"], "mismatch"],
+    ["Number", ["Number", "Array"], "ok"],
+    ["Array", ["Text", "JSON"], "ok"],
+    ["Boolean", ["Number", "Text"], "coerce"],
+  ])("%s into a handle accepting %j is %s", (source, targets, status) => {
+    expect(checkTypes(source, targets)).toBe(status);
+  });
+});
+
+describe("coerceValue", () => {
+  test.each([
+    [42, "42"],
+    [true, "true"],
+    [{ a: 1 }, '{"a":1}'],
+    [["x", 2], '["x",2]'],
+  ])("turns %j into the text %j", (value, text) => {
+    expect(coerceValue(value, "Text")).toBe(text);
+  });
+
+  test("leaves values for other targets alone", () => {
+    const value = [1, 2];
+    expect(coerceValue(value, "JSON")).toBe(value);
+  });
+});
+
+describe("parsePortValue", () => {
+  test.each([
+    ["Number", " 4.5 ", 4.5],
+    ["Boolean", "false", false],
+    ["JSON", '{"a": [1]}', { a: [1] }],
+    ["Array", "[1, 2]", [1, 2]],
+    ["Text", "as is", "as is"],
+  ])("reads %s from %j", (type, text, value) => {
+    expect(parsePortValue(text, type)).toEqual(value);
+  });
+
+  test.each([
+    ["Number", "", '"" is not a number'],
+    ["Number", "four", '"four" is not a number'],
+    ["Boolean", "yes", '"yes" is not true or false'],
+    ["JSON", "{", /Value is not valid JSON/],
+    ["Array", '{"a": 1}', "Value is not a JSON array"],
+  ])("refuses %s from %j", (type, text, message) => {
+    expect(() => parsePortValue(text, type)).toThrow(message);
+  });
+});
+
+describe("getEdgeTypeCheck", () => {
+  const nodes = [
+    node("customInput-1", "customInput", { inputType: "Number" }),
+    node("customInput-2", "customInput", { inputType: "File" }),
+    node("filter-1", "filter"),
+    node("text-1", "text"),
+    node("customOutput-1", "customOutput"),
+    node("math-1", "math"),
+  ];
+
+  test("names the type a coercing edge converts into", () => {
+    const check = getEdgeTypeCheck(
+      edge("customInput-1", "value", "customOutput-1", "value"),
+      nodes,
+      []
+    );
+    expect(check).toEqual({
+      status: "coerce",
+      sourceType: "Number",
+      targetTypes: ["Text"],
+      coerceTo: "Text",
+    });
+    expect(describeTypeCheck(check)).toBe("Number → Text (converted)");
+  });
+
+  test("pass-through outputs take the type feeding them", () => {
+    const edges = [edge("customInput-1", "value", "filter-1", "input")];
+    const check = getEdgeTypeCheck(edge("filter-1", "output", "math-1", "a"), nodes, edges);
+    expect(check).toMatchObject({ status: "ok", sourceType: "Number" });
+  });
+
+  test("reports mismatches against every accepted type", () => {
+    const check = getEdgeTypeCheck(edge("customInput-2", "value", "math-1", "a"), nodes, []);
+    expect(check.status).toBe("mismatch");
+    expect(describeTypeCheck(check)).toBe("File → Number or Array: incompatible types");
+  });
+
+  test("template inputs accept anything", () => {
+    const check = getEdgeTypeCheck(edge("customInput-2", "value", "text-1", "name"), nodes, []);
+    expect(check).toMatchObject({ status: "ok", targetTypes: ["Any"] });
+  });
+});
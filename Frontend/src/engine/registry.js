@@ -0,0 +1,22 @@
+// registry.js
+// -----------------------------------------------------------------------------
+// Executor registry for the in-browser execution engine.
+//
+// Every node type is run through a registered executor function:
+//
+//   async ({ node, data, inputs, context }) => outputs
+//
+//  - inputs:  values received on target handles, keyed by handle name
+//             (e.g. `input`, or `city` for a TextNode `{{city}}` handle)
+//  - outputs: values to emit, keyed by source handle name (e.g. `output`).
+//             Handles left out of the object emit nothing, so nodes wired to
+//             them are skipped.
+// -----------------------------------------------------------------------------
+
+const executors = {};
+
+export const registerExecutor = (type, executor) => {
+  executors[type] = executor;
+};
+
+export const getExecutor = (type) => executors[type];
@@ -0,0 +1,454 @@
+// runPipeline.js
+// -----------------------------------------------------------------------------
+// In-browser pipeline execution engine.
+//
+// Flow:
+//  1. Topologically order the nodes (cycles are rejected up front)
+//  2. Start each node once every node upstream of it has finished, so
+//     independent branches run side by side and a waiting node (Delay,
+//     slow API) only holds up its own branch
+//  3. Gather the values that reached the node's target handles, and skip
+//     nodes whose upstream branches emitted nothing
+//  4. Run the registered executor and publish its outputs by handle id
+//
+// A Merge node in `first` mode starts as soon as any of its inputs has a
+// value; the slower branches still run to the end.
+//
+// Debug runs go one node at a time in topological order so the debugger
+// can step through them.
+//
+// Values travel along edges by handle id: whatever an executor returns under
+// `output` is published on `${id}-output` and delivered to every target
+// handle connected to it (e.g. `${otherId}-input`).
+//
+// Loop node bodies are left out of the main order; the Loop executor runs
+// them once per element through `context.runBody` (see graph.js).
+// -----------------------------------------------------------------------------
+
+import {
+  topologicalSort,
+  getHandleName,
+  isLoopReturnEdge,
+  findLoopBody,
+} from "./graph";
+import { getExecutor } from "./registry";
+import { abortReason, throwIfAborted } from "./abort";
+import { systemClock } from "./clock";
+import { getRetryPolicy, backoffDelay } from "./delay";
+import { SUBFLOW_TYPE } from "./subflow";
+import { getEdgeTypeCheck, coerceValue } from "./portTypes";
+import "./executors";
+
+/**
+ * collectInputs
+ * Builds the `inputs` object for a node from the values published upstream.
+ * A handle fed by several edges receives an array of their values.
+ * Values on coercing edges arrive converted to the handle's type.
+ */
+const collectInputs = (nodeId, incoming, published) => {
+  const edgesByHandle = {};
+  incoming.forEach((edge) => {
+    const name = getHandleName(nodeId, edge.targetHandle, "input");
+    edgesByHandle[name] = [...(edgesByHandle[name] || []), edge];
+  });
+
+  const inputs = {};
+  Object.entries(edgesByHandle).forEach(([name, handleEdges]) => {
+    const values = handleEdges
+      .filter((edge) => published.has(edge.sourceHandle))
+      .map((edge) => {
+        const value = published.get(edge.sourceHandle);
+        return edge.coerceTo ? coerceValue(value, edge.coerceTo) : value;
+      });
+
+    if (values.length > 0) {
+      inputs[name] = handleEdges.length > 1 ? values : values[0];
+    }
+  });
+
+  return inputs;
+};
+
+// [matching, rest] of a list
+const partition = (items, predicate) => [
+  items.filter(predicate),
+  items.filter((item) => !predicate(item)),
+];
+
+/**
+ * orderByArrival
+ * Names of the node's handles that received a value, ordered by when that
+ * value was published. `publishedAt` holds `{ at, sequence }` per source
+ * handle; the sequence breaks ties between values published in the same
+ * millisecond.
+ */
+const compareArrivals = (a, b) => a.at - b.at || a.sequence - b.sequence;
+
+const orderByArrival = (nodeId, incoming, publishedAt) => {
+  const arrivedAt = {};
+  incoming.forEach((edge) => {
+    const arrival = publishedAt.get(edge.sourceHandle);
+    if (!arrival) return;
+    const name = getHandleName(nodeId, edge.targetHandle, "input");
+    if (!arrivedAt[name] || compareArrivals(arrival, arrivedAt[name]) < 0) {
+      arrivedAt[name] = arrival;
+    }
+  });
+  return Object.keys(arrivedAt).sort((a, b) => compareArrivals(arrivedAt[a], arrivedAt[b]));
+};
+
+// Merge nodes in `first` mode start with the first value that reaches them
+// instead of waiting for every upstream branch
+const startsOnFirstValue = (node) => node.type === "merge" && node.data?.mode === "first";
+
+/**
+ * findRetryPolicy
+ * A node feeding a Delay node in retry mode is retried with backoff when it
+ * fails. With several such Delay nodes, the most generous policy wins.
+ */
+const findRetryPolicy = (nodeId, edges, nodeById) =>
+  edges
+    .filter((edge) => edge.source === nodeId)
+    .map((edge) => nodeById.get(edge.target))
+    .filter((target) => target.type === "delay" && target.data?.mode === "retry")
+    .map((target) => getRetryPolicy(target.data))
+    .sort((a, b) => b.retries - a.retries)[0];
+
+/**
+ * planScope
+ * Execution order for a set of node ids, and the ids each node waits for
+ * (`upstreamOf`). Loop bodies inside the scope are
+ * set aside: edges into a body count as edges into its loop, so values the
+ * body reads from outside are ready before the loop starts.
+ */
+const planScope = (scopeIds, edges, nodeById) => {
+  const bodies = scopeIds
+    .filter((id) => nodeById.get(id).type === "loop")
+    .map((loopId) => ({ loopId, body: findLoopBody(loopId, edges) }));
+
+  const topLevel = scopeIds.filter((id) => !bodies.some(({ body }) => body.has(id)));
+  const ownerOf = (id) => {
+    if (topLevel.includes(id)) return id;
+    return bodies.find(({ loopId, body }) => topLevel.includes(loopId) && body.has(id))
+      ?.loopId;
+  };
+
+  const orderEdges = edges
+    .filter((edge) => !isLoopReturnEdge(edge, nodeById))
+    .map((edge) => ({ source: ownerOf(edge.source), target: ownerOf(edge.target) }))
+    .filter(({ source, target }) => source && target && source !== target);
+
+  const upstreamOf = new Map(topLevel.map((id) => [id, new Set()]));
+  orderEdges.forEach(({ source, target }) => upstreamOf.get(target).add(source));
+
+  const bodyOf = new Map(bodies.map(({ loopId, body }) => [loopId, body]));
+  return {
+    order: topologicalSort(
+      topLevel.map((id) => ({ id })),
+      orderEdges
+    ),
+    upstreamOf,
+    bodyOf,
+  };
+};
+
+/**
+ * runPipeline
+ * Executes the graph and returns `{ order, results }` where `results` maps
+ * each node id to `{ status, inputs, outputs, error, startedAt, duration }`.
+ *
+ * Options:
+ *  - inputs:         values for customInput nodes, keyed by `inputName`
+ *  - signal:         AbortSignal that cancels the run
+ *  - providers:      configured LLM providers (see llmProviders.js)
+ *  - credentials:    API auth secrets keyed by credential id (see
+ *                    httpRequest.js)
+ *  - useFixtures:    API nodes answer with their recorded fixture instead
+ *                    of calling the network
+ *  - beforeNode:     async (nodeId, inputs) => void, awaited before a node
+ *                    runs (the debugger pauses here)
+ *  - onNodeStart:    (nodeId, inputs, cancel) => void; calling `cancel`
+ *                    aborts just that node, which then fails
+ *  - onNodeProgress: (nodeId, partial) => void, for executors that report
+ *                    intermediate output (e.g. streamed LLM tokens)
+ *  - onNodeWait:     (nodeId, wait) => void while a node waits (Delay node,
+ *                    retry backoff); `wait` is `{ until, label }`, then null
+ *  - onNodeComplete: (nodeId, result) => void
+ *  - clock:          time source for waits and timings (see clock.js)
+ *
+ * Lines an executor writes through `context.log` (e.g. the Code node's
+ * console output) are kept on its result as `logs`.
+ *
+ * Nodes inside a Loop body report through the same callbacks once per
+ * element (breakpoints do not apply there); `results` keeps their last run.
+ */
+export const runPipeline = async ({ nodes, edges }, options = {}) => {
+  const {
+    inputs = {},
+    signal,
+    providers = [],
+    credentials = {},
+    useFixtures = false,
+    beforeNode,
+    onNodeStart,
+    onNodeProgress,
+    onNodeWait,
+    onNodeComplete,
+    clock = systemClock,
+  } = options;
+
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+
+  // Normalize edges so every one names its source handle explicitly
+  const namedEdges = edges
+    .filter((edge) => nodeById.has(edge.source) && nodeById.has(edge.target))
+    .map((edge) => ({
+      ...edge,
+      sourceHandle: edge.sourceHandle || `${edge.source}-output`,
+    }));
+
+  // Edges between compatible but different port types convert their value
+  // on arrival (see portTypes.js)
+  const validEdges = namedEdges.map((edge) => ({
+    ...edge,
+    coerceTo: getEdgeTypeCheck(edge, nodes, namedEdges).coerceTo,
+  }));
+
+  const results = {};
+  // `nodeState` keeps per-node values for the whole run, across Loop
+  // elements (e.g. the Delay node's debounce)
+  const context = {
+    inputs,
+    providers,
+    credentials,
+    useFixtures,
+    clock,
+    nodeState: new Map(),
+  };
+  let publishSequence = 0;
+
+  /**
+   * runScope
+   * Runs the given nodes, reading and publishing values through
+   * `published` (and when each arrived through `publishedAt`). Returns
+   * `{ order, results }` for this scope only.
+   */
+  const runScope = async (scopeIds, published, publishedAt, scopeSignal, isTopLevel) => {
+    const { order, upstreamOf, bodyOf } = planScope(scopeIds, validEdges, nodeById);
+    const scopeResults = {};
+
+    // Nodes waiting for the first value on any of their source handles
+    let firstValueWaiters = [];
+
+    const publish = (handleId, value) => {
+      published.set(handleId, value);
+      publishedAt.set(handleId, { at: clock.now(), sequence: (publishSequence += 1) });
+
+      const [ready, waiting] = partition(firstValueWaiters, ({ handles }) => handles.has(handleId));
+      firstValueWaiters = waiting;
+      ready.forEach(({ resolve }) => resolve());
+    };
+
+    const firstValue = (nodeId) => {
+      const handles = new Set(
+        validEdges.filter((edge) => edge.target === nodeId).map((edge) => edge.sourceHandle)
+      );
+      if (Array.from(handles).some((handle) => published.has(handle))) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => firstValueWaiters.push({ handles, resolve }));
+    };
+
+    const complete = (nodeId, result) => {
+      scopeResults[nodeId] = result;
+      results[nodeId] = result;
+      onNodeComplete?.(nodeId, result);
+    };
+
+    const runNode = async (nodeId) => {
+      throwIfAborted(scopeSignal);
+
+      const node = nodeById.get(nodeId);
+      const incoming = validEdges.filter(
+        (edge) => edge.target === nodeId && !isLoopReturnEdge(edge, nodeById)
+      );
+      const nodeInputs = collectInputs(nodeId, incoming, published);
+
+      // A node downstream of branches that emitted nothing does not run
+      const received = incoming.some((edge) => published.has(edge.sourceHandle));
+      if (incoming.length > 0 && !received) {
+        complete(nodeId, {
+          status: "skipped",
+          inputs: {},
+          outputs: {},
+          startedAt: clock.now(),
+          duration: 0,
+        });
+        return;
+      }
+
+      if (isTopLevel) {
+        await beforeNode?.(nodeId, nodeInputs);
+        throwIfAborted(scopeSignal);
+      }
+
+      // Each node gets its own signal: aborted with the run, or on its own
+      const nodeController = new AbortController();
+      const abortNode = () => nodeController.abort(abortReason(scopeSignal));
+      scopeSignal?.addEventListener("abort", abortNode, { once: true });
+
+      const startedAt = clock.now();
+      const logs = [];
+      onNodeStart?.(nodeId, nodeInputs, () => nodeController.abort());
+
+      // Announces the wait so the node can show a countdown
+      const wait = async (ms, label) => {
+        onNodeWait?.(nodeId, { until: clock.now() + ms, label });
+        try {
+          await clock.sleep(ms, nodeController.signal);
+        } finally {
+          onNodeWait?.(nodeId, null);
+        }
+      };
+
+      // Loop nodes: run the body for one element in a copy of the current
+      // values, then read what reached the `result` handle
+      const runBody = async (item, index, bodySignal) => {
+        const bodyPublished = new Map(published);
+        const bodyPublishedAt = new Map(publishedAt);
+        bodyPublished.set(`${nodeId}-item`, item);
+        bodyPublished.set(`${nodeId}-index`, index);
+
+        const { results: bodyResults } = await runScope(
+          Array.from(bodyOf.get(nodeId) || []),
+          bodyPublished,
+          bodyPublishedAt,
+          bodySignal,
+          false
+        );
+
+        const failed = Object.values(bodyResults).find(
+          (result) => result.status === "error"
+        );
+        const returned = validEdges
+          .filter((edge) => edge.target === nodeId && isLoopReturnEdge(edge, nodeById))
+          .filter((edge) => bodyPublished.has(edge.sourceHandle))
+          .map((edge) => bodyPublished.get(edge.sourceHandle));
+
+        return {
+          error: failed?.error,
+          emitted: returned.length > 0,
+          value: returned[0],
+        };
+      };
+
+      const retryPolicy = findRetryPolicy(nodeId, validEdges, nodeById);
+      let attempts = 0;
+
+      try {
+        const executor = getExecutor(node.type);
+        if (!executor) {
+          throw new Error(`No executor registered for node type "${node.type}"`);
+        }
+
+        let outputs;
+        for (;;) {
+          attempts += 1;
+          try {
+            outputs =
+              (await executor({
+                node,
+                data: node.data || {},
+                inputs: nodeInputs,
+                context: {
+                  ...context,
+                  signal: nodeController.signal,
+                  arrivalOrder: orderByArrival(nodeId, incoming, publishedAt),
+                  wait,
+                  runBody,
+                  reportProgress: (partial) => onNodeProgress?.(nodeId, partial),
+                  log: (line) => logs.push(line),
+                },
+              })) || {};
+            break;
+          } catch (error) {
+            const retriesLeft = retryPolicy && attempts <= retryPolicy.retries;
+            if (!retriesLeft || nodeController.signal.aborted) throw error;
+            await wait(
+              backoffDelay(retryPolicy, attempts),
+              `Retry ${attempts}/${retryPolicy.retries}`
+            );
+          }
+        }
+
+        Object.entries(outputs).forEach(([name, value]) => {
+          if (value !== undefined) {
+            publish(`${nodeId}-${name}`, value);
+          }
+        });
+
+        complete(nodeId, {
+          status: "success",
+          inputs: nodeInputs,
+          outputs,
+          startedAt,
+          duration: clock.now() - startedAt,
+          ...(attempts > 1 && { attempts }),
+          ...(logs.length > 0 && { logs }),
+        });
+      } catch (error) {
+        throwIfAborted(scopeSignal);
+
+        complete(nodeId, {
+          status: "error",
+          inputs: nodeInputs,
+          outputs: {},
+          error: nodeController.signal.aborted ? "Cancelled" : error.message,
+          startedAt,
+          duration: clock.now() - startedAt,
+          ...(attempts > 1 && { attempts }),
+          ...(logs.length > 0 && { logs }),
+        });
+      } finally {
+        scopeSignal?.removeEventListener("abort", abortNode);
+      }
+    };
+
+    if (isTopLevel && beforeNode) {
+      for (const nodeId of order) {
+        await runNode(nodeId);
+      }
+      return { order, results: scopeResults };
+    }
+
+    // Each node starts when its upstream nodes have settled. The scope only
+    // returns once every node has, so nothing keeps running after a failure.
+    const started = new Map();
+    const start = (nodeId) => {
+      if (!started.has(nodeId)) {
+        const upstream = Promise.all(Array.from(upstreamOf.get(nodeId), start));
+        const ready = startsOnFirstValue(nodeById.get(nodeId))
+          ? Promise.race([upstream, firstValue(nodeId)])
+          : upstream;
+        started.set(nodeId, ready.then(() => runNode(nodeId)));
+      }
+      return started.get(nodeId);
+    };
+
+    const outcomes = await Promise.allSettled(order.map(start));
+    const failure = outcomes.find((outcome) => outcome.status === "rejected");
+    if (failure) throw failure.reason;
+
+    return { order, results: scopeResults };
+  };
+
+  // Subflow containers only group nodes on the canvas; they never run
+  const { order } = await runScope(
+    nodes.filter((node) => node.type !== SUBFLOW_TYPE).map((node) => node.id),
+    new Map(),
+    new Map(),
+    signal,
+    true
+  );
+  return { order, results };
+};
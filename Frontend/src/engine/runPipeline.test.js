@@ -0,0 +1,237 @@
+import { runPipeline } from "./runPipeline";
+import { registerExecutor } from "./registry";
+import { createFakeClock } from "./clock";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}-${sourceHandle}->${target}-${targetHandle}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`,
+});
+
+// Hands back whatever reached its handles
+registerExecutor("testEcho", async ({ inputs }) => ({ output: inputs }));
+registerExecutor("testFail", async () => {
+  throw new Error("Boom");
+});
+
+describe("runPipeline", () => {
+  test("runs nodes in order and passes values along edges", async () => {
+    const { order, results } = await runPipeline({
+      nodes: [
+        node("customOutput-1", "customOutput"),
+        node("text-1", "text", { text: "Hello {{input}}" }),
+        node("customInput-1", "customInput", { value: "Ada" }),
+      ],
+      edges: [
+        edge("customInput-1", "value", "text-1", "input"),
+        edge("text-1", "output", "customOutput-1", "value"),
+      ],
+    });
+
+    expect(order).toEqual(["customInput-1", "text-1", "customOutput-1"]);
+    expect(results["customOutput-1"]).toMatchObject({
+      status: "success",
+      inputs: { value: "Hello Ada" },
+      outputs: { value: "Hello Ada" },
+    });
+  });
+
+  test("reads run inputs by input name", async () => {
+    const { results } = await runPipeline(
+      {
+        nodes: [
+          node("customInput-1", "customInput", { value: "default" }),
+          node("customInput-2", "customInput", { inputName: "count", inputType: "Number" }),
+        ],
+        edges: [],
+      },
+      { inputs: { input_1: "given", count: "3" } }
+    );
+    expect(results["customInput-1"].outputs.value).toBe("given");
+    expect(results["customInput-2"].outputs.value).toBe(3);
+  });
+
+  test("collects several edges into one handle and converts on coercing edges", async () => {
+    const { results } = await runPipeline({
+      nodes: [
+        node("customInput-1", "customInput", { value: "a" }),
+        node("customInput-2", "customInput", { value: "b" }),
+        node("customInput-3", "customInput", { inputType: "Number", value: "42" }),
+        node("testEcho-1", "testEcho"),
+        node("customOutput-1", "customOutput"),
+      ],
+      edges: [
+        edge("customInput-1", "value", "testEcho-1", "items"),
+        edge("customInput-2", "value", "testEcho-1", "items"),
+        edge("customInput-3", "value", "customOutput-1", "value"),
+      ],
+    });
+    expect(results["testEcho-1"].outputs.output).toEqual({ items: ["a", "b"] });
+    expect(results["customOutput-1"].outputs.value).toBe("42");
+  });
+
+  test("skips the branches a Condition did not take", async () => {
+    const { results } = await runPipeline({
+      nodes: [
+        node("customInput-1", "customInput", { value: "" }),
+        node("condition-1", "condition", { conditionType: "empty" }),
+        node("customOutput-1", "customOutput"),
+        node("customOutput-2", "customOutput"),
+      ],
+      edges: [
+        edge("customInput-1", "value", "condition-1", "input"),
+        edge("condition-1", "true", "customOutput-1", "value"),
+        edge("condition-1", "false", "customOutput-2", "value"),
+      ],
+    });
+    expect(results["customOutput-1"].status).toBe("success");
+    expect(results["customOutput-2"].status).toBe("skipped");
+  });
+
+  test("records failures and skips what depends on them", async () => {
+    const { results } = await runPipeline({
+      nodes: [
+        node("testFail-1", "testFail"),
+        node("customOutput-1", "customOutput"),
+        node("unknown-1", "unknown"),
+      ],
+      edges: [edge("testFail-1", "output", "customOutput-1", "value")],
+    });
+    expect(results["testFail-1"]).toMatchObject({ status: "error", error: "Boom" });
+    expect(results["customOutput-1"].status).toBe("skipped");
+    expect(results["unknown-1"].error).toBe('No executor registered for node type "unknown"');
+  });
+
+  test("rejects cycles before running anything", async () => {
+    const onNodeStart = jest.fn();
+    await expect(
+      runPipeline(
+        {
+          nodes: [node("text-1", "text"), node("text-2", "text")],
+          edges: [
+            edge("text-1", "output", "text-2", "input"),
+            edge("text-2", "output", "text-1", "input"),
+          ],
+        },
+        { onNodeStart }
+      )
+    ).rejects.toThrow("Pipeline contains a cycle and cannot be executed");
+    expect(onNodeStart).not.toHaveBeenCalled();
+  });
+
+  test("runs a Loop body once per element", async () => {
+    const { order, results } = await runPipeline({
+      nodes: [
+        node("customInput-1", "customInput", { inputType: "Array", value: '["a", "b"]' }),
+        node("loop-1", "loop"),
+        node("text-1", "text", { text: "{{input}}!" }),
+        node("customOutput-1", "customOutput", { outputType: "Array" }),
+      ],
+      edges: [
+        edge("customInput-1", "value", "loop-1", "input"),
+        edge("loop-1", "item", "text-1", "input"),
+        edge("text-1", "output", "loop-1", "result"),
+        edge("loop-1", "output", "customOutput-1", "value"),
+      ],
+    });
+    expect(order).toEqual(["customInput-1", "loop-1", "customOutput-1"]);
+    expect(results["customOutput-1"].outputs.value).toEqual(["a!", "b!"]);
+    expect(results["text-1"].outputs.output).toBe("b!");
+  });
+
+  test("debug runs go one node at a time through beforeNode", async () => {
+    const events = [];
+    await runPipeline(
+      {
+        nodes: [
+          node("customInput-1", "customInput", { value: "x" }),
+          node("customInput-2", "customInput", { value: "y" }),
+          node("testEcho-1", "testEcho"),
+        ],
+        edges: [
+          edge("customInput-1", "value", "testEcho-1", "a"),
+          edge("customInput-2", "value", "testEcho-1", "b"),
+        ],
+      },
+      {
+        beforeNode: async (nodeId, inputs) => events.push(["pause", nodeId, inputs]),
+        onNodeComplete: (nodeId) => events.push(["done", nodeId]),
+      }
+    );
+    expect(events).toEqual([
+      ["pause", "customInput-1", {}],
+      ["done", "customInput-1"],
+      ["pause", "customInput-2", {}],
+      ["done", "customInput-2"],
+      ["pause", "testEcho-1", { a: "x", b: "y" }],
+      ["done", "testEcho-1"],
+    ]);
+  });
+
+  test("cancelling one node fails only that node", async () => {
+    const clock = createFakeClock();
+    const { results } = await runPipeline(
+      {
+        nodes: [
+          node("delay-1", "delay", { duration: 1000 }),
+          node("customInput-1", "customInput", { value: "x" }),
+        ],
+        edges: [],
+      },
+      {
+        clock,
+        onNodeStart: (nodeId, inputs, cancel) => nodeId === "delay-1" && cancel(),
+      }
+    );
+    expect(results["delay-1"]).toMatchObject({ status: "error", error: "Cancelled" });
+    expect(results["customInput-1"].status).toBe("success");
+    expect(clock.pendingTimers()).toBe(0);
+  });
+
+  test("never runs subflow containers", async () => {
+    const { order } = await runPipeline({
+      nodes: [node("subflow-1", "subflow"), node("customInput-1", "customInput")],
+      edges: [],
+    });
+    expect(order).toEqual(["customInput-1"]);
+  });
+});
+
+describe("API nodes", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const apiPipeline = (data) => ({
+    nodes: [node("api-1", "api", { url: "https://api.example.com/items", ...data })],
+    edges: [],
+  });
+
+  test("send the stored credentials with the request", async () => {
+    global.fetch = jest.fn(async () => ({
+      status: 200,
+      statusText: "OK",
+      headers: new Map([["content-type", "application/json"]]),
+      text: async () => '{"items": [1]}',
+    }));
+
+    const { results } = await runPipeline(
+      apiPipeline({ auth: { type: "bearer", credentialId: "credential-1" } }),
+      { credentials: { "credential-1": { token: "secret" } } }
+    );
+    expect(results["api-1"].outputs.output).toEqual({ items: [1] });
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe("Bearer secret");
+  });
+
+  test("answer with their fixture when runs replay fixtures", async () => {
+    global.fetch = jest.fn();
+    const fixture = { status: 200, headers: {}, body: { ok: true } };
+
+    const { results } = await runPipeline(apiPipeline({ fixture }), { useFixtures: true });
+    expect(results["api-1"].outputs.output).toEqual({ ok: true });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,221 @@
+// subflow.js
+// -----------------------------------------------------------------------------
+// Pure helpers for subflows: groups of nodes shown as one node on the canvas.
+//
+// A subflow is a `subflow` node acting as React Flow parent of its members
+// (`parentNode`, positions relative to it). It only affects layout: edges
+// stay between the real nodes, so the execution engine and the backend see
+// the same graph whether a subflow is collapsed or open.
+//
+// Subflow node data shape:
+//   label:     shown in the header
+//   collapsed: true while it is shown as a single node
+//   size:      { width, height } of the container when open
+//
+// While collapsed, edges crossing its boundary are drawn to port handles on
+// the subflow node, named after the inner handle they stand for:
+//   `${subflowId}-in-${innerTargetHandle}`
+//   `${subflowId}-out-${innerSourceHandle}`
+// -----------------------------------------------------------------------------
+
+export const SUBFLOW_TYPE = "subflow";
+
+// Space between the members and the open container's edges
+const PADDING = 40;
+const HEADER_HEIGHT = 44;
+
+// Fallback size for nodes React Flow has not measured yet
+const DEFAULT_WIDTH = 260;
+const DEFAULT_HEIGHT = 200;
+
+const inputPortId = (subflowId, handle) => `${subflowId}-in-${handle}`;
+const outputPortId = (subflowId, handle) => `${subflowId}-out-${handle}`;
+
+const targetHandleOf = (edge) => edge.targetHandle || `${edge.target}-input`;
+const sourceHandleOf = (edge) => edge.sourceHandle || `${edge.source}-output`;
+
+/**
+ * canGroup
+ * Only top-level, non-subflow nodes can be grouped (no nesting).
+ */
+export const canGroup = (node) => !node.parentNode && node.type !== SUBFLOW_TYPE;
+
+/**
+ * groupNodes
+ * Returns the node list with `nodeIds` moved into a new collapsed subflow.
+ * The subflow is placed before its members, as React Flow requires.
+ */
+export const groupNodes = (nodes, nodeIds, subflowId) => {
+  const members = nodes.filter((node) => nodeIds.includes(node.id) && canGroup(node));
+  if (members.length < 2) return nodes;
+
+  const minX = Math.min(...members.map((node) => node.position.x));
+  const minY = Math.min(...members.map((node) => node.position.y));
+  const maxX = Math.max(...members.map((node) => node.position.x + (node.width ?? DEFAULT_WIDTH)));
+  const maxY = Math.max(...members.map((node) => node.position.y + (node.height ?? DEFAULT_HEIGHT)));
+
+  const position = { x: minX - PADDING, y: minY - PADDING - HEADER_HEIGHT };
+  const subflow = {
+    id: subflowId,
+    type: SUBFLOW_TYPE,
+    position,
+    data: {
+      id: subflowId,
+      label: "Subflow",
+      collapsed: true,
+      size: {
+        width: maxX - minX + PADDING * 2,
+        height: maxY - minY + PADDING * 2 + HEADER_HEIGHT,
+      },
+    },
+  };
+
+  const memberIds = new Set(members.map((node) => node.id));
+  return [
+    ...nodes.filter((node) => !memberIds.has(node.id)),
+    subflow,
+    ...members.map((node) => ({
+      ...node,
+      selected: false,
+      parentNode: subflowId,
+      extent: "parent",
+      position: { x: node.position.x - position.x, y: node.position.y - position.y },
+    })),
+  ];
+};
+
+/**
+ * ungroupNodes
+ * Returns the node list with the subflow removed and its members put back
+ * on the canvas where they are currently drawn.
+ */
+export const ungroupNodes = (nodes, subflowId) => {
+  const subflow = nodes.find((node) => node.id === subflowId);
+  if (!subflow) return nodes;
+
+  return nodes
+    .filter((node) => node.id !== subflowId)
+    .map((node) => {
+      if (node.parentNode !== subflowId) return node;
+      const { parentNode, extent, ...rest } = node;
+      return {
+        ...rest,
+        position: {
+          x: node.position.x + subflow.position.x,
+          y: node.position.y + subflow.position.y,
+        },
+      };
+    });
+};
+
+/**
+ * getSubflowPorts
+ * The edges crossing a subflow's boundary, one port per inner handle:
+ * `{ inputs: [{ id, handle, label }], outputs: [...] }`.
+ */
+export const getSubflowPorts = (subflowId, nodes, edges) => {
+  const memberIds = new Set(
+    nodes.filter((node) => node.parentNode === subflowId).map((node) => node.id)
+  );
+
+  const inputs = new Map();
+  const outputs = new Map();
+  edges.forEach((edge) => {
+    const sourceInside = memberIds.has(edge.source);
+    const targetInside = memberIds.has(edge.target);
+
+    if (targetInside && !sourceInside) {
+      const handle = targetHandleOf(edge);
+      inputs.set(handle, {
+        id: inputPortId(subflowId, handle),
+        handle,
+        label: `${edge.target}.${handle.slice(edge.target.length + 1)}`,
+      });
+    }
+    if (sourceInside && !targetInside) {
+      const handle = sourceHandleOf(edge);
+      outputs.set(handle, {
+        id: outputPortId(subflowId, handle),
+        handle,
+        label: `${edge.source}.${handle.slice(edge.source.length + 1)}`,
+      });
+    }
+  });
+
+  return { inputs: Array.from(inputs.values()), outputs: Array.from(outputs.values()) };
+};
+
+/**
+ * getDisplayGraph
+ * What the canvas draws: members of collapsed subflows are hidden, edges
+ * inside them too, and edges crossing their boundary are redrawn to the
+ * subflow's ports. Edge ids are kept so deleting a redrawn edge deletes
+ * the real one.
+ */
+export const getDisplayGraph = (nodes, edges) => {
+  const collapsed = new Set(
+    nodes
+      .filter((node) => node.type === SUBFLOW_TYPE && node.data?.collapsed)
+      .map((node) => node.id)
+  );
+  if (collapsed.size === 0) return { nodes, edges };
+
+  const hiddenIn = new Map(
+    nodes
+      .filter((node) => collapsed.has(node.parentNode))
+      .map((node) => [node.id, node.parentNode])
+  );
+
+  const displayNodes = nodes.map((node) =>
+    hiddenIn.has(node.id) ? { ...node, hidden: true } : node
+  );
+
+  const displayEdges = edges.map((edge) => {
+    const sourceSubflow = hiddenIn.get(edge.source);
+    const targetSubflow = hiddenIn.get(edge.target);
+    if (!sourceSubflow && !targetSubflow) return edge;
+    if (sourceSubflow === targetSubflow) return { ...edge, hidden: true };
+
+    return {
+      ...edge,
+      ...(sourceSubflow && {
+        source: sourceSubflow,
+        sourceHandle: outputPortId(sourceSubflow, sourceHandleOf(edge)),
+      }),
+      ...(targetSubflow && {
+        target: targetSubflow,
+        targetHandle: inputPortId(targetSubflow, targetHandleOf(edge)),
+      }),
+    };
+  });
+
+  return { nodes: displayNodes, edges: displayEdges };
+};
+
+/**
+ * resolveSubflowConnection
+ * Maps a connection made to a collapsed subflow's port onto the inner
+ * handle it stands for.
+ */
+export const resolveSubflowConnection = (connection, nodes) => {
+  const resolved = { ...connection };
+
+  const resolve = (nodeKey, handleKey, direction) => {
+    const node = nodes.find((n) => n.id === resolved[nodeKey]);
+    const prefix = `${resolved[nodeKey]}-${direction}-`;
+    if (node?.type !== SUBFLOW_TYPE || !resolved[handleKey]?.startsWith(prefix)) return;
+
+    const handle = resolved[handleKey].slice(prefix.length);
+    const inner = nodes.find(
+      (n) => n.parentNode === node.id && handle.startsWith(`${n.id}-`)
+    );
+    if (inner) {
+      resolved[nodeKey] = inner.id;
+      resolved[handleKey] = handle;
+    }
+  };
+
+  resolve("source", "sourceHandle", "out");
+  resolve("target", "targetHandle", "in");
+  return resolved;
+};
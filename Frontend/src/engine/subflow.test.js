@@ -0,0 +1,173 @@
+import {
+  canGroup,
+  groupNodes,
+  ungroupNodes,
+  getSubflowPorts,
+  getDisplayGraph,
+  resolveSubflowConnection,
+} from "./subflow";
+import reducer, { groupIntoSubflow, ungroupSubflow, onConnect } from "../store/nodesSlice";
+
+const node = (id, type, x, y, extra = {}) => ({
+  id,
+  type,
+  position: { x, y },
+  data: { id },
+  width: 200,
+  height: 100,
+  ...extra,
+});
+const edge = (source, sourceName, target, targetName) => ({
+  id: `${source}-${sourceName}->${target}-${targetName}`,
+  source,
+  sourceHandle: `${source}-${sourceName}`,
+  target,
+  targetHandle: `${target}-${targetName}`,
+});
+
+// customInput-1 → [text-1 → text-2] → customOutput-1, with the brackets grouped
+const nodes = [
+  node("customInput-1", "customInput", 0, 0),
+  node("text-1", "text", 300, 100),
+  node("text-2", "text", 600, 200),
+  node("customOutput-1", "customOutput", 900, 0),
+];
+const edges = [
+  edge("customInput-1", "value", "text-1", "input"),
+  edge("text-1", "output", "text-2", "input"),
+  edge("text-2", "output", "customOutput-1", "value"),
+];
+const grouped = groupNodes(nodes, ["text-1", "text-2"], "subflow-1");
+
+describe("groupNodes / ungroupNodes", () => {
+  test("moves the members into a collapsed subflow placed before them", () => {
+    expect(grouped.map((item) => item.id)).toEqual([
+      "customInput-1",
+      "customOutput-1",
+      "subflow-1",
+      "text-1",
+      "text-2",
+    ]);
+
+    const subflow = grouped[2];
+    // 40 padding all round, plus the 44 header on top
+    expect(subflow.position).toEqual({ x: 260, y: 16 });
+    expect(subflow.data).toMatchObject({
+      collapsed: true,
+      size: { width: 580, height: 324 },
+    });
+    expect(grouped[3]).toMatchObject({
+      parentNode: "subflow-1",
+      extent: "parent",
+      position: { x: 40, y: 84 },
+    });
+  });
+
+  test("needs two groupable nodes and never nests subflows", () => {
+    expect(groupNodes(nodes, ["text-1"], "subflow-2")).toBe(nodes);
+    expect(canGroup(grouped[2])).toBe(false);
+    expect(canGroup(grouped[3])).toBe(false);
+    expect(groupNodes(grouped, ["subflow-1", "text-1"], "subflow-2")).toBe(grouped);
+  });
+
+  test("ungrouping puts the members back where they were", () => {
+    const restored = ungroupNodes(grouped, "subflow-1");
+    expect(restored.map((item) => item.id)).not.toContain("subflow-1");
+    expect(restored.find((item) => item.id === "text-2")).toEqual({
+      ...nodes[2],
+      selected: false,
+    });
+    expect(ungroupNodes(nodes, "subflow-9")).toBe(nodes);
+  });
+});
+
+describe("collapsed subflows", () => {
+  test("expose a port per edge crossing the boundary", () => {
+    expect(getSubflowPorts("subflow-1", grouped, edges)).toEqual({
+      inputs: [
+        { id: "subflow-1-in-text-1-input", handle: "text-1-input", label: "text-1.input" },
+      ],
+      outputs: [
+        { id: "subflow-1-out-text-2-output", handle: "text-2-output", label: "text-2.output" },
+      ],
+    });
+  });
+
+  test("hide their members and route crossing edges through the container", () => {
+    const display = getDisplayGraph(grouped, edges);
+
+    expect(display.nodes.filter((item) => item.hidden).map((item) => item.id)).toEqual([
+      "text-1",
+      "text-2",
+    ]);
+    expect(display.edges[0]).toMatchObject({
+      id: edges[0].id,
+      source: "customInput-1",
+      target: "subflow-1",
+      targetHandle: "subflow-1-in-text-1-input",
+    });
+    expect(display.edges[1].hidden).toBe(true);
+    expect(display.edges[2]).toMatchObject({
+      source: "subflow-1",
+      sourceHandle: "subflow-1-out-text-2-output",
+      target: "customOutput-1",
+    });
+  });
+
+  test("draw the real graph once opened", () => {
+    const opened = grouped.map((item) =>
+      item.id === "subflow-1" ? { ...item, data: { ...item.data, collapsed: false } } : item
+    );
+    expect(getDisplayGraph(opened, edges)).toEqual({ nodes: opened, edges });
+  });
+
+  test("connections to a port land on the inner handle", () => {
+    const connection = {
+      source: "customInput-1",
+      sourceHandle: "customInput-1-value",
+      target: "subflow-1",
+      targetHandle: "subflow-1-in-text-1-input",
+    };
+    expect(resolveSubflowConnection(connection, grouped)).toEqual({
+      ...connection,
+      target: "text-1",
+      targetHandle: "text-1-input",
+    });
+  });
+});
+
+describe("nodesSlice subflow actions", () => {
+  const state = reducer(undefined, { type: "init" });
+  const withGraph = { ...state, nodes, edges: edges.slice(1) };
+
+  test("group and ungroup as undoable steps", () => {
+    const groupedState = reducer(
+      withGraph,
+      groupIntoSubflow({ id: "subflow-1", nodeIds: ["text-1", "text-2"] })
+    );
+    expect(groupedState.nodes.map((item) => item.id)).toContain("subflow-1");
+    expect(groupedState.past).toHaveLength(1);
+
+    const ungrouped = reducer(groupedState, ungroupSubflow("subflow-1"));
+    expect(ungrouped.nodes.map((item) => item.id)).not.toContain("subflow-1");
+    expect(ungrouped.past).toHaveLength(2);
+  });
+
+  test("a connection drawn to a port is stored on the inner node", () => {
+    const groupedState = { ...withGraph, nodes: grouped };
+    const next = reducer(
+      groupedState,
+      onConnect({
+        source: "customInput-1",
+        sourceHandle: "customInput-1-value",
+        target: "subflow-1",
+        targetHandle: "subflow-1-in-text-1-input",
+      })
+    );
+    expect(next.edges[next.edges.length - 1]).toMatchObject({
+      source: "customInput-1",
+      target: "text-1",
+      targetHandle: "text-1-input",
+    });
+  });
+});
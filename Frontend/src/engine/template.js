@@ -0,0 +1,360 @@
+// template.js
+// -----------------------------------------------------------------------------
+// `{{variable}}` templates.
+//
+// Plain placeholders (`extractVariables` / `interpolate`) are used by the
+// API node. TextNode and the LLM prompts use the full template language:
+//
+//   {{user.email}}                      dotted / indexed access
+//   {{name | upper}}                    filters, chained left to right
+//   {{items | join(", ")}}              filters with arguments
+//   {{#if score > 0.5}}…{{else}}…{{/if}}
+//   {{#each items as item, i}}…{{else}}…{{/each}}
+//
+// Tag expressions use the sandboxed expression language (expression.js).
+// In `#each`, the item is `this` unless named with `as`; the optional second
+// name holds the index (or the key, when iterating an object). `{{else}}`
+// renders when the condition is falsy or the list is empty.
+//
+// A tag that is not valid syntax (`{{ some words }}`, pasted code, an
+// unclosed block…) is kept as plain text, as before the template language
+// existed; `findTemplateProblems` says which tags were kept and why.
+// -----------------------------------------------------------------------------
+
+import { parseExpression, evaluateTree, collectNames } from "./expression";
+
+const VARIABLE_REGEX = /\{\{\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\}\}/g;
+
+/**
+ * extractVariables
+ * Returns the unique variable names referenced in `text`, in order of
+ * first appearance.
+ */
+export const extractVariables = (text = "") => {
+  const found = new Set();
+  for (const match of text.matchAll(VARIABLE_REGEX)) {
+    found.add(match[1]);
+  }
+  return Array.from(found);
+};
+
+/**
+ * stringifyValue
+ * Converts an upstream value to text for interpolation.
+ */
+export const stringifyValue = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * interpolate
+ * Replaces every `{{variable}}` placeholder with the matching value.
+ * `format(value, offset)` turns each value into text; the offset of the
+ * placeholder lets callers format by context (see httpRequest.js).
+ */
+export const interpolate = (text = "", values = {}, format = stringifyValue) =>
+  text.replace(VARIABLE_REGEX, (_, name, offset) => format(values[name], offset));
+
+// -----------------------------------------------------------------------------
+// Template language
+// -----------------------------------------------------------------------------
+const TAG_REGEX = /\{\{([\s\S]*?)\}\}/g;
+const EACH_REGEX = /^([\s\S]+?)\s+as\s+([a-zA-Z_$][\w$]*)(?:\s*,\s*([a-zA-Z_$][\w$]*))?$/;
+const FILTER_REGEX = /^([a-zA-Z_$][\w$]*)\s*(?:\(([\s\S]*)\))?$/;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+export const TEMPLATE_FILTERS = {
+  upper: (value) => stringifyValue(value).toUpperCase(),
+  lower: (value) => stringifyValue(value).toLowerCase(),
+  trim: (value) => stringifyValue(value).trim(),
+  capitalize: (value) => {
+    const text = stringifyValue(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  default: (value, fallback = "") => (isEmpty(value) ? fallback : value),
+  join: (value, separator = ", ") =>
+    Array.isArray(value) ? value.map(stringifyValue).join(separator) : stringifyValue(value),
+  json: (value, indent = 0) => JSON.stringify(value, null, indent) ?? "",
+  length: (value) => {
+    if (value === undefined || value === null) return 0;
+    if (typeof value === "object" && !Array.isArray(value)) return Object.keys(value).length;
+    return (Array.isArray(value) ? value : stringifyValue(value)).length;
+  },
+  first: (value) => (Array.isArray(value) ? value[0] : stringifyValue(value).charAt(0)),
+  last: (value) =>
+    Array.isArray(value) ? value[value.length - 1] : stringifyValue(value).slice(-1),
+  truncate: (value, length = 50, suffix = "…") => {
+    const text = stringifyValue(value);
+    return text.length > length ? text.slice(0, length) + suffix : text;
+  },
+  replace: (value, search, replacement = "") =>
+    stringifyValue(value).split(String(search)).join(String(replacement)),
+  round: (value, digits = 0) => Math.round(Number(value) * 10 ** digits) / 10 ** digits,
+};
+
+/**
+ * splitFilters
+ * Splits `expr | filter | filter(args)` on pipes that are not part of `||`
+ * and not inside strings or brackets.
+ */
+const splitFilters = (source) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quote) {
+      if (char === "\\") i += 1;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      depth += 1;
+    } else if (char === ")" || char === "]") {
+      depth -= 1;
+    } else if (char === "|" && depth === 0) {
+      if (source[i + 1] === "|") {
+        i += 1;
+      } else {
+        parts.push(source.slice(start, i));
+        start = i + 1;
+      }
+    }
+  }
+
+  parts.push(source.slice(start));
+  return parts.map((part) => part.trim());
+};
+
+const parseFilter = (source) => {
+  const match = source.match(FILTER_REGEX);
+  if (!match) throw new Error(`Invalid filter "${source}"`);
+  const [, name, args] = match;
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATE_FILTERS, name)) {
+    throw new Error(`Unknown filter "${name}"`);
+  }
+  return { name, args: args?.trim() ? parseExpression(`[${args}]`) : null };
+};
+
+/**
+ * parseTag
+ * Classifies the content of one `{{ … }}` tag. Throws on invalid syntax.
+ */
+const parseTag = (content) => {
+  const source = content.trim();
+
+  if (source === "else") return { type: "else" };
+  if (source === "/if" || source === "/each") return { type: "close", block: source.slice(1) };
+
+  if (source.startsWith("#if ")) {
+    return { type: "if", test: parseExpression(source.slice(4)) };
+  }
+
+  if (source.startsWith("#each ")) {
+    const rest = source.slice(6).trim();
+    const match = rest.match(EACH_REGEX);
+    return {
+      type: "each",
+      items: parseExpression(match ? match[1] : rest),
+      alias: match ? match[2] : "this",
+      indexAlias: match ? match[3] : undefined,
+    };
+  }
+
+  if (source.startsWith("#") || source.startsWith("/")) {
+    throw new Error(`Unknown block "${source.split(/\s/)[0]}"`);
+  }
+
+  const [expression, ...filters] = splitFilters(source);
+  return {
+    type: "output",
+    expression: parseExpression(expression),
+    filters: filters.map(parseFilter),
+  };
+};
+
+/**
+ * parseTemplate
+ * Parses `text` into a tree of text, output, `if` and `each` nodes. Invalid
+ * tags become text; `problems` on the root lists them.
+ */
+export const parseTemplate = (text = "") => {
+  const root = { type: "root", children: [], problems: [] };
+  const stack = [{ node: root, target: root.children }];
+  let last = 0;
+
+  const keepAsText = (target, raw, problem) => {
+    target.push({ type: "text", value: raw });
+    root.problems.push(problem);
+  };
+
+  for (const match of text.matchAll(TAG_REGEX)) {
+    const top = stack[stack.length - 1];
+    if (match.index > last) {
+      top.target.push({ type: "text", value: text.slice(last, match.index) });
+    }
+    last = match.index + match[0].length;
+
+    let tag;
+    try {
+      tag = parseTag(match[1]);
+    } catch (error) {
+      keepAsText(top.target, match[0], `${error.message} in ${match[0]}`);
+      continue;
+    }
+
+    if (tag.type === "if" || tag.type === "each") {
+      const node = { ...tag, raw: match[0], body: [], otherwise: [] };
+      top.target.push(node);
+      stack.push({ node, target: node.body });
+    } else if (tag.type === "else") {
+      if (stack.length === 1 || top.target === top.node.otherwise) {
+        keepAsText(top.target, match[0], "Unexpected {{else}}");
+      } else {
+        top.node.elseRaw = match[0];
+        top.target = top.node.otherwise;
+      }
+    } else if (tag.type === "close") {
+      if (top.node.type !== tag.block) {
+        keepAsText(top.target, match[0], `Unexpected {{/${tag.block}}}`);
+      } else {
+        stack.pop();
+      }
+    } else {
+      top.target.push(tag);
+    }
+  }
+
+  if (last < text.length) {
+    stack[stack.length - 1].target.push({ type: "text", value: text.slice(last) });
+  }
+
+  // Unclosed blocks: their tags become text, their contents stay in place
+  while (stack.length > 1) {
+    const { node } = stack.pop();
+    const { target } = stack[stack.length - 1];
+    target.splice(
+      target.indexOf(node),
+      1,
+      { type: "text", value: node.raw },
+      ...node.body,
+      ...(node.elseRaw ? [{ type: "text", value: node.elseRaw }, ...node.otherwise] : [])
+    );
+    root.problems.push(`Missing {{/${node.type}}}`);
+  }
+  return root;
+};
+
+/**
+ * findTemplateProblems
+ * Why tags in `text` are kept as plain text; empty when all are valid.
+ */
+export const findTemplateProblems = (text = "") => parseTemplate(text).problems;
+
+/**
+ * extractTemplateVariables
+ * Root variable names a template reads (one TextNode handle each), in order
+ * of first appearance. Names come from the parsed tree, so a loop alias is
+ * left out only inside an `each` block that is actually closed, just as
+ * rendering binds it. Tags that do not parse yet (e.g. while typing) are
+ * plain text and read nothing.
+ */
+export const extractTemplateVariables = (text = "") => {
+  const found = new Set();
+
+  const addNames = (tree, bound) =>
+    collectNames(tree).forEach((name) => {
+      if (!bound.includes(name)) found.add(name);
+    });
+
+  const visit = (nodes, bound) =>
+    nodes.forEach((node) => {
+      if (node.type === "output") {
+        addNames(node.expression, bound);
+        node.filters.forEach((filter) => filter.args && addNames(filter.args, bound));
+      }
+      if (node.type === "if") {
+        addNames(node.test, bound);
+        visit(node.body, bound);
+      }
+      if (node.type === "each") {
+        addNames(node.items, bound);
+        visit(node.body, [...bound, node.alias, node.indexAlias].filter(Boolean));
+      }
+      if (node.type === "if" || node.type === "each") visit(node.otherwise, bound);
+    });
+
+  visit(parseTemplate(text).children, []);
+  return Array.from(found);
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const renderNodes = (nodes, scope) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case "text":
+          return node.value;
+
+        case "output":
+          return stringifyValue(
+            node.filters.reduce(
+              (value, filter) =>
+                TEMPLATE_FILTERS[filter.name](
+                  value,
+                  ...(filter.args ? evaluateTree(filter.args, scope) : [])
+                ),
+              evaluateTree(node.expression, scope)
+            )
+          );
+
+        case "if":
+          return renderNodes(
+            isTruthy(evaluateTree(node.test, scope)) ? node.body : node.otherwise,
+            scope
+          );
+
+        case "each": {
+          const items = evaluateTree(node.items, scope);
+          const entries = Array.isArray(items)
+            ? items.map((item, index) => [index, item])
+            : items && typeof items === "object"
+              ? Object.entries(items)
+              : [];
+          if (entries.length === 0) return renderNodes(node.otherwise, scope);
+
+          return entries
+            .map(([key, item]) =>
+              renderNodes(node.body, {
+                ...scope,
+                [node.alias]: item,
+                ...(node.indexAlias && { [node.indexAlias]: key }),
+              })
+            )
+            .join("");
+        }
+
+        default:
+          return "";
+      }
+    })
+    .join("");
+
+/**
+ * renderTemplate
+ * Renders a template with the given variable values. Variables without a
+ * value render as empty text.
+ */
+export const renderTemplate = (text = "", values = {}) => {
+  const scope = Object.fromEntries(
+    extractTemplateVariables(text).map((name) => [name, values[name]])
+  );
+  return renderNodes(parseTemplate(text).children, scope);
+};
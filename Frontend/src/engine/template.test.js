@@ -0,0 +1,126 @@
+import {
+  extractVariables,
+  interpolate,
+  extractTemplateVariables,
+  findTemplateProblems,
+  renderTemplate,
+} from "./template";
+
+describe("placeholders", () => {
+  test("extractVariables lists each name once, in order", () => {
+    expect(extractVariables("{{b}} {{ a }} {{b}}")).toEqual(["b", "a"]);
+  });
+
+  test("interpolate formats each value", () => {
+    expect(interpolate("{{a}}-{{b}}", { a: 1, b: { x: 2 } })).toBe('1-{"x":2}');
+  });
+});
+
+describe("filters", () => {
+  test.each([
+    ["{{name | upper}}", { name: "ada" }, "ADA"],
+    ["{{name | lower | capitalize}}", { name: "ADA" }, "Ada"],
+    ["{{name | trim}}", { name: "  ada " }, "ada"],
+    ['{{missing | default("n/a")}}', {}, "n/a"],
+    ['{{items | join(" + ")}}', { items: [1, 2, 3] }, "1 + 2 + 3"],
+    ["{{items | length}}", { items: [1, 2, 3] }, "3"],
+    ["{{items | first}}-{{items | last}}", { items: ["a", "b", "c"] }, "a-c"],
+    ["{{text | truncate(3)}}", { text: "abcdef" }, "abc…"],
+    ['{{text | replace("-", "_")}}', { text: "a-b-c" }, "a_b_c"],
+    ["{{score | round(1)}}", { score: 0.456 }, "0.5"],
+    ["{{user | json}}", { user: { id: 1 } }, '{"id":1}'],
+  ])("%s", (template, values, expected) => {
+    expect(renderTemplate(template, values)).toBe(expected);
+  });
+
+  test("filters may use pipeline values as arguments", () => {
+    expect(renderTemplate("{{items | join(sep)}}", { items: ["a", "b"], sep: "/" })).toBe("a/b");
+  });
+
+  test("|| stays a logical operator", () => {
+    expect(renderTemplate('{{name || "anon" | upper}}', {})).toBe("ANON");
+  });
+});
+
+describe("#if", () => {
+  const template = "{{#if score > 0.5}}pass{{else}}fail{{/if}}";
+
+  test("renders the branch matching the condition", () => {
+    expect(renderTemplate(template, { score: 0.9 })).toBe("pass");
+    expect(renderTemplate(template, { score: 0.1 })).toBe("fail");
+  });
+
+  test("treats empty lists as false", () => {
+    expect(renderTemplate("{{#if items}}some{{else}}none{{/if}}", { items: [] })).toBe("none");
+  });
+
+  test("nests", () => {
+    const nested = "{{#if a}}A{{#if b}}B{{/if}}{{/if}}";
+    expect(renderTemplate(nested, { a: true, b: true })).toBe("AB");
+    expect(renderTemplate(nested, { a: true, b: false })).toBe("A");
+  });
+});
+
+describe("#each", () => {
+  test("binds `this` by default", () => {
+    expect(renderTemplate("{{#each items}}[{{this}}]{{/each}}", { items: [1, 2] })).toBe("[1][2]");
+  });
+
+  test("binds a named item and index", () => {
+    const template = "{{#each users as user, i}}{{i}}:{{user.name}} {{/each}}";
+    expect(renderTemplate(template, { users: [{ name: "a" }, { name: "b" }] })).toBe("0:a 1:b ");
+  });
+
+  test("iterates object entries by key", () => {
+    const template = "{{#each scores as score, key}}{{key}}={{score}};{{/each}}";
+    expect(renderTemplate(template, { scores: { a: 1, b: 2 } })).toBe("a=1;b=2;");
+  });
+
+  test("renders {{else}} for an empty list", () => {
+    expect(renderTemplate("{{#each items}}x{{else}}empty{{/each}}", { items: [] })).toBe("empty");
+  });
+
+  test("loop aliases are not template variables", () => {
+    const template = "{{#each items as item}}{{item}}{{prefix}}{{/each}}";
+    expect(extractTemplateVariables(template)).toEqual(["items", "prefix"]);
+  });
+
+  test("an alias counts as a variable outside its block", () => {
+    // Unclosed, the tag stays text and `{{item}}` renders from the node's inputs
+    expect(extractTemplateVariables("{{#each items as item}} {{item}}")).toEqual(["item"]);
+    expect(
+      extractTemplateVariables("{{#each items as item}}{{item}}{{else}}{{item}}{{/each}}{{item}}")
+    ).toEqual(["items", "item"]);
+    expect(extractTemplateVariables("{{#each items as item}}{{item}}{{/each}}")).toEqual(["items"]);
+  });
+});
+
+describe("invalid tags", () => {
+  test.each([
+    "{{ some words }}",
+    "function f() {{ return 1; }}",
+    "{{name | nope}}",
+    "{{}}",
+    "a {{else}} b",
+    "a {{/if}} b",
+    "{{#if a}}open",
+  ])("%s is kept as text", (template) => {
+    expect(renderTemplate(template, { a: true, name: "x" })).toBe(template);
+    expect(findTemplateProblems(template)).toHaveLength(1);
+  });
+
+  test("valid tags around an invalid one still render", () => {
+    expect(renderTemplate("{{a}} {{ b c }} {{a}}", { a: 1 })).toBe("1 {{ b c }} 1");
+  });
+
+  test("an unclosed block keeps its contents rendering", () => {
+    expect(renderTemplate("{{#each items}}{{a}}{{else}}none", { a: 1, items: [] })).toBe(
+      "{{#each items}}1{{else}}none"
+    );
+    expect(findTemplateProblems("{{#each items}}x")).toEqual(["Missing {{/each}}"]);
+  });
+
+  test("valid templates have no problems", () => {
+    expect(findTemplateProblems("{{#if a}}{{b | upper}}{{/if}}")).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+// variables.js
+// -----------------------------------------------------------------------------
+// Template variables a node can reference: the `{{` autocomplete offers one
+// per source handle of every node that may feed it.
+//
+// Naming:
+//   Input node:   its `inputName` (e.g. `input_1`)
+//   Other nodes:  the node id with underscores (`llm_1`), plus the handle
+//                 name unless it is `output` (`condition_1_true`)
+// A source already wired into the node keeps the variable name of the
+// handle it is connected to.
+// -----------------------------------------------------------------------------
+
+import { getBranches } from "./condition";
+
+/**
+ * getSourceHandles
+ * The source handles a node exposes: `[{ name, label }]`.
+ */
+export const getSourceHandles = (node) => {
+  switch (node.type) {
+    case "customInput":
+      return [{ name: "value", label: "value" }];
+    case "customOutput":
+    case "subflow":
+      return [];
+    case "condition":
+      return getBranches(node.data);
+    case "loop":
+      return [
+        { name: "output", label: "output" },
+        { name: "errors", label: "errors" },
+      ];
+    default:
+      return [{ name: "output", label: "output" }];
+  }
+};
+
+const defaultVariableName = (node, handle) => {
+  if (node.type === "customInput") {
+    return node.data?.inputName || node.id.replace("customInput-", "input_");
+  }
+  const base = node.id.replace(/-/g, "_");
+  return handle === "output" ? base : `${base}_${handle}`;
+};
+
+// Nodes reachable from `nodeId`; wiring them in would close a cycle
+const findDownstream = (nodeId, edges) => {
+  const found = new Set([nodeId]);
+  const queue = [nodeId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    edges
+      .filter((edge) => edge.source === current && !found.has(edge.target))
+      .forEach((edge) => {
+        found.add(edge.target);
+        queue.push(edge.target);
+      });
+  }
+  return found;
+};
+
+/**
+ * getVariableSuggestions
+ * `[{ name, label, source, sourceHandle, connected }]` for every value that
+ * can reach `nodeId`, sources already connected to it first.
+ */
+export const getVariableSuggestions = (nodeId, nodes, edges) => {
+  const downstream = findDownstream(nodeId, edges);
+
+  const suggestions = nodes
+    .filter((node) => !downstream.has(node.id))
+    .flatMap((node) =>
+      getSourceHandles(node).map(({ name, label }) => {
+        const sourceHandle = `${node.id}-${name}`;
+        const edge = edges.find(
+          (item) => item.target === nodeId && item.sourceHandle === sourceHandle
+        );
+        return {
+          name: edge?.targetHandle
+            ? edge.targetHandle.slice(nodeId.length + 1)
+            : defaultVariableName(node, name),
+          label: name === "output" ? node.id : `${node.id} · ${label}`,
+          source: node.id,
+          sourceHandle,
+          connected: Boolean(edge),
+        };
+      })
+    );
+
+  return [
+    ...suggestions.filter((item) => item.connected),
+    ...suggestions.filter((item) => !item.connected),
+  ];
+};
@@ -0,0 +1,82 @@
+import { getVariableSuggestions, getSourceHandles } from "./variables";
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, sourceName, target, targetName) => ({
+  source,
+  sourceHandle: `${source}-${sourceName}`,
+  target,
+  targetHandle: `${target}-${targetName}`,
+});
+
+const names = (suggestions) => suggestions.map((item) => item.name);
+
+describe("getVariableSuggestions", () => {
+  test("names inputs by input name and other handles by node id", () => {
+    const nodes = [
+      node("customInput-1", "customInput"),
+      node("customInput-2", "customInput", { inputName: "city" }),
+      node("llm-1", "llm"),
+      node("condition-1", "condition"),
+      node("text-1", "text"),
+    ];
+    expect(getVariableSuggestions("text-1", nodes, [])).toEqual([
+      expect.objectContaining({ name: "input_1", label: "customInput-1 · value" }),
+      expect.objectContaining({ name: "city", label: "customInput-2 · value" }),
+      expect.objectContaining({ name: "llm_1", label: "llm-1", sourceHandle: "llm-1-output" }),
+      expect.objectContaining({ name: "condition_1_true", label: "condition-1 · true" }),
+      expect.objectContaining({ name: "condition_1_false", label: "condition-1 · false" }),
+    ]);
+  });
+
+  test("leaves out the node itself and everything downstream of it", () => {
+    const nodes = [
+      node("customInput-1", "customInput"),
+      node("text-1", "text"),
+      node("llm-1", "llm"),
+      node("text-2", "text"),
+      node("llm-2", "llm"),
+    ];
+    const edges = [
+      edge("customInput-1", "value", "text-1", "input"),
+      edge("text-1", "output", "llm-1", "prompt"),
+      edge("llm-1", "output", "text-2", "answer"),
+    ];
+    expect(names(getVariableSuggestions("text-1", nodes, edges))).toEqual(["input", "llm_2"]);
+  });
+
+  test("lists connected sources first, under the handle they are wired to", () => {
+    const nodes = [
+      node("customInput-1", "customInput"),
+      node("llm-1", "llm"),
+      node("text-1", "text"),
+    ];
+    const edges = [edge("llm-1", "output", "text-1", "summary")];
+    expect(getVariableSuggestions("text-1", nodes, edges)).toEqual([
+      expect.objectContaining({ name: "summary", source: "llm-1", connected: true }),
+      expect.objectContaining({ name: "input_1", source: "customInput-1", connected: false }),
+    ]);
+  });
+
+  test("offers switch cases by id and nothing from outputs or subflows", () => {
+    const nodes = [
+      node("condition-1", "condition", { mode: "switch", cases: [{ id: "case1", value: "a" }] }),
+      node("customOutput-1", "customOutput"),
+      node("subflow-1", "subflow"),
+      node("loop-1", "loop"),
+      node("text-1", "text"),
+    ];
+    expect(names(getVariableSuggestions("text-1", nodes, []))).toEqual([
+      "condition_1_case1",
+      "condition_1_default",
+      "loop_1",
+      "loop_1_errors",
+    ]);
+  });
+});
+
+test("getSourceHandles lists condition branches in display order", () => {
+  expect(getSourceHandles(node("condition-1", "condition"))).toEqual([
+    { name: "true", label: "true" },
+    { name: "false", label: "false" },
+  ]);
+});
@@ -0,0 +1,42 @@
+// importDialog.js
+// -----------------------------------------------------------------------------
+// Modal asking how to bring an imported pipeline onto a non-empty canvas.
+// Purpose:
+// - Replace: the canvas becomes the imported pipeline (name included).
+// - Merge: the imported nodes are added beside the current ones; clashing
+//   node ids are renamed.
+// Either way the import can be undone.
+// -----------------------------------------------------------------------------
+
+/**
+ * ImportDialog Component
+ * Rendered by PipelineUI after a pipeline file has been read and checked.
+ */
+export const ImportDialog = ({ pipeline, fileName, onReplace, onMerge, onClose }) => (
+  <div className="modal-overlay" onClick={onClose}>
+    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+      <div className="modal-header">
+        <span>Import "{pipeline.pipelineName}"</span>
+        <span onClick={onClose} style={{ cursor: "pointer", fontSize: 18 }}>✕</span>
+      </div>
+
+      <div className="modal-body">
+        <div style={{ fontSize: 12, color: "#64748b" }}>
+          {fileName}: {pipeline.nodes.length} nodes, {pipeline.edges.length} edges
+        </div>
+        <div className="modal-option-card" onClick={onReplace}>
+          <div className="modal-option-title">Replace Canvas</div>
+          <div className="modal-option-desc">
+            Open the imported pipeline in place of the current one.
+          </div>
+        </div>
+        <div className="modal-option-card" onClick={onMerge}>
+          <div className="modal-option-title">Merge Into Canvas</div>
+          <div className="modal-option-desc">
+            Add the imported nodes next to the current ones. Nodes whose ids are taken get new ids.
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+);
@@ -0,0 +1,106 @@
+// lintPanel.js
+// -----------------------------------------------------------------------------
+// Side panel listing the pipeline's lint problems (see engine/lint.js).
+// Purpose:
+// - Re-checks the graph on every edit, errors listed before warnings.
+// - Clicking a problem selects its node and brings it into view.
+// -----------------------------------------------------------------------------
+
+import { useSelector } from "react-redux";
+import { selectDiagnostics } from "./store/nodesSlice";
+
+const SEVERITY_STYLES = {
+  error: { icon: "✖", color: "#ef4444" },
+  warning: { icon: "⚠", color: "#b45309" },
+};
+
+/**
+ * LintPanel Component
+ * Rendered by PipelineUI below the header when the Problems toggle is on.
+ */
+export const LintPanel = ({ top, onClose, onSelectNode }) => {
+  const diagnostics = useSelector(selectDiagnostics);
+  const errorCount = diagnostics.filter((item) => item.severity === "error").length;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top,
+        left: 20,
+        bottom: 20,
+        width: 320,
+        zIndex: 1100,
+        background: "#fff",
+        border: "1px solid #e2e8f0",
+        borderRadius: 12,
+        boxShadow: "0 12px 24px -6px rgba(0,0,0,0.15)",
+        display: "flex",
+        flexDirection: "column",
+        overflow: "hidden",
+      }}
+    >
+      {/* Panel Header */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          padding: "12px 16px",
+          borderBottom: "1px solid #e2e8f0",
+          fontWeight: 600,
+          fontSize: 14,
+          color: "#1e293b",
+        }}
+      >
+        <span>
+          Problems
+          <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 500, color: "#64748b" }}>
+            {errorCount} errors · {diagnostics.length - errorCount} warnings
+          </span>
+        </span>
+        <span onClick={onClose} style={{ cursor: "pointer", fontSize: 16 }}>
+          ✕
+        </span>
+      </div>
+
+      {/* Problem List */}
+      <div style={{ overflowY: "auto", padding: 12, display: "flex", flexDirection: "column", gap: 6 }}>
+        {diagnostics.length === 0 && (
+          <div style={{ fontSize: 12, color: "#94a3b8", padding: 8 }}>
+            No problems found.
+          </div>
+        )}
+
+        {diagnostics.map((item) => {
+          const { icon, color } = SEVERITY_STYLES[item.severity];
+          return (
+            <div
+              key={item.id}
+              onClick={() => item.nodeId && onSelectNode(item.nodeId)}
+              style={{
+                display: "flex",
+                gap: 8,
+                border: "1px solid #e2e8f0",
+                borderRadius: 8,
+                padding: "8px 10px",
+                cursor: item.nodeId ? "pointer" : "default",
+                fontSize: 12,
+              }}
+              onMouseEnter={(e) => (e.currentTarget.style.background = "#f8fafc")}
+              onMouseLeave={(e) => (e.currentTarget.style.background = "#fff")}
+            >
+              <span style={{ color, fontWeight: 600 }}>{icon}</span>
+              <div>
+                {item.nodeId && (
+                  <div style={{ fontWeight: 600, color: "#1e293b" }}>{item.nodeId}</div>
+                )}
+                <div style={{ color: "#475569" }}>{item.message}</div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
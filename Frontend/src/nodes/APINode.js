@@ -1,100 +1,364 @@
 // APINode.js
 // -----------------------------------------------------------------------------
 // APINode represents an external HTTP call in the pipeline.
-// Users can configure the API endpoint and HTTP method.
+// Users build the full request: URL and method, query params, headers, body
+// (JSON / form / raw), authentication, and which part of the response flows
+// out of `${id}-output`.
 //
 // Redux responsibilities:
-// - Persist URL and method in global pipeline state
-// - Allow downstream nodes to read API configuration
+// - Persist the request configuration in global pipeline state
+// - Keep auth secrets in the apiCredentials slice, referenced by
+//   `auth.credentialId`, so they stay out of exports and run history
+// - Allow the execution engine to render and send the request
+//
+// Any `{{variable}}` used in the request creates a target handle, so values
+// from upstream nodes can be interpolated into it. Secrets are the
+// exception: they are sent as typed, and the Auth tab says so when one holds
+// a placeholder.
+//
+// The request can be tried from the node itself and its response saved as a
+// fixture for offline runs (see ApiTester).
 // -----------------------------------------------------------------------------
 
-import { useState, useEffect } from "react";
-import { useDispatch } from "react-redux";
+import { useState, useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
+import { KeyValueTable } from "./KeyValueTable";
+import { ApiTester } from "./ApiTester";
 import { updateNodeField } from "../store/nodesSlice";
+import { createCredentialId, setCredentialField } from "../store/apiCredentialsSlice";
+import {
+  AUTH_SECRET_FIELDS,
+  DEFAULT_API_URL,
+  extractRequestVariables,
+  hasSecretVariables,
+  withCredentials,
+} from "../engine/httpRequest";
 import apiIcon from "../assets/api-icon.png";
 
-export const APINode = ({ id, data }) => {
+const TABS = ["Params", "Headers", "Body", "Auth", "Response"];
+
+const fieldStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const selectStyle = { ...fieldStyle, cursor: "pointer" };
+
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+const FieldLabel = ({ label, kind }) => (
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    }}
+  >
+    <span style={{ fontSize: 12, color: "#64748b" }}>{label} ⓘ</span>
+    <span style={{ fontSize: 11, color: "#6366f1" }}>{kind}</span>
+  </div>
+);
+
+export const APINode = ({ id }) => {
   const dispatch = useDispatch();
 
   // -------------------------------------------------------------------------
-  // Local UI state
-  // - Kept local for fast and responsive typing
-  // - Synced to Redux when changes occur
+  // Redux is the single source of truth for the request configuration
   // -------------------------------------------------------------------------
-
-  const [url, setUrl] = useState(
-    data?.url || "https://api.example.com"
+  const storedData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
   );
-
-  const [method, setMethod] = useState(
-    data?.method || "GET"
+  const credentials = useSelector((state) => state.apiCredentials.credentials);
+  const nodeData = useMemo(
+    () => storedData && withCredentials(storedData, credentials),
+    [storedData, credentials]
   );
+  const portColor = usePortColor(id);
+
+  const url = nodeData?.url ?? DEFAULT_API_URL;
+  const method = nodeData?.method || "GET";
+  const queryParams = nodeData?.queryParams || [];
+  const headers = nodeData?.headers || [];
+  const bodyType = nodeData?.bodyType || "none";
+  const body = nodeData?.body || "";
+  const formFields = nodeData?.formFields || [];
+  const auth = nodeData?.auth || { type: "none" };
+  const responseMapping = nodeData?.responseMapping || { source: "body", path: "" };
+
+  // Local UI-only state
+  const [activeTab, setActiveTab] = useState("Params");
 
   // -------------------------------------------------------------------------
   // Sync defaults to Redux on first render
   // Ensures pipeline state is always complete
   // -------------------------------------------------------------------------
   useEffect(() => {
-    if (!data?.url) {
-      dispatch(updateNodeField({ id, field: "url", value: url }));
+    if (nodeData?.url === undefined) {
+      dispatch(updateNodeField({ id, field: "url", value: DEFAULT_API_URL }));
     }
-    if (!data?.method) {
-      dispatch(updateNodeField({ id, field: "method", value: method }));
+    if (!nodeData?.method) {
+      dispatch(updateNodeField({ id, field: "method", value: "GET" }));
     }
-  }, [id, data, url, method, dispatch]);
+  }, [id, nodeData, dispatch]);
+
+  // `{{variables}}` used anywhere in the request; `input` already has a handle
+  const variables = useMemo(
+    () => extractRequestVariables(nodeData).filter((name) => name !== "input"),
+    [nodeData]
+  );
 
   // -------------------------------------------------------------------------
-  // Handlers → update local UI + Redux store
+  // Handlers → update Redux store
   // -------------------------------------------------------------------------
+  const setField = (field, value) => {
+    dispatch(updateNodeField({ id, field, value }));
+  };
 
-  const handleUrlChange = (e) => {
-    const value = e.target.value;
-    setUrl(value);
-    dispatch(updateNodeField({ id, field: "url", value }));
+  // Secrets go to the credentials store; the node keeps only their id
+  const setAuthField = (field, value) => {
+    const stored = storedData?.auth || { type: "none" };
+    if (!AUTH_SECRET_FIELDS.includes(field)) {
+      setField("auth", { ...stored, [field]: value });
+      return;
+    }
+    const credentialId = stored.credentialId || createCredentialId();
+    if (!stored.credentialId) {
+      setField("auth", { ...stored, credentialId });
+    }
+    dispatch(setCredentialField({ id: credentialId, field, value }));
   };
 
-  const handleMethodChange = (e) => {
-    const value = e.target.value;
-    setMethod(value);
-    dispatch(updateNodeField({ id, field: "method", value }));
+  const setMappingField = (field, value) => {
+    setField("responseMapping", { ...responseMapping, [field]: value });
   };
 
   // -------------------------------------------------------------------------
   // React Flow Handles
+  // - `input` plus one target handle per request variable
   // -------------------------------------------------------------------------
   const handles = (
     <>
-      <Handle
-        type="target"
-        position={Position.Left}
-        id={`${id}-input`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          left: -4,
-        }}
-      />
+      {["input", ...variables].map((name, index) => (
+        <Handle
+          key={`${id}-${name}`}
+          type="target"
+          position={Position.Left}
+          id={`${id}-${name}`}
+          title={name}
+          style={{
+            ...handleStyle,
+            borderColor: portColor(name, "target"),
+            top: variables.length > 0 ? `${20 + index * 15}%` : undefined,
+            left: -4,
+          }}
+        />
+      ))}
 
       <Handle
         type="source"
         position={Position.Right}
         id={`${id}-output`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          right: -4,
-        }}
+        style={{ ...handleStyle, borderColor: portColor("output", "source"), right: -4 }}
       />
     </>
   );
+
+  // -------------------------------------------------------------------------
+  // Tab contents
+  // -------------------------------------------------------------------------
+  const renderTab = () => {
+    switch (activeTab) {
+      case "Params":
+        return (
+          <KeyValueTable
+            rows={queryParams}
+            onChange={(rows) => setField("queryParams", rows)}
+            keyPlaceholder="param"
+            valuePlaceholder="value or {{var}}"
+          />
+        );
+
+      case "Headers":
+        return (
+          <KeyValueTable
+            rows={headers}
+            onChange={(rows) => setField("headers", rows)}
+            keyPlaceholder="Header"
+            valuePlaceholder="value or {{var}}"
+          />
+        );
+
+      case "Body":
+        return (
+          <>
+            <select
+              style={selectStyle}
+              value={bodyType}
+              onChange={(e) => setField("bodyType", e.target.value)}
+            >
+              <option value="none">No body</option>
+              <option value="json">JSON</option>
+              <option value="form">Form (urlencoded)</option>
+              <option value="raw">Raw text</option>
+            </select>
+
+            {(bodyType === "json" || bodyType === "raw") && (
+              <textarea
+                value={body}
+                onChange={(e) => setField("body", e.target.value)}
+                placeholder={
+                  bodyType === "json"
+                    ? '{ "query": "{{question}}", "tags": {{tags}} }'
+                    : "Body text, {{variables}} allowed"
+                }
+                style={{ ...fieldStyle, minHeight: 80, fontFamily: "monospace", fontSize: 12 }}
+              />
+            )}
+
+            {bodyType === "form" && (
+              <KeyValueTable
+                rows={formFields}
+                onChange={(rows) => setField("formFields", rows)}
+                keyPlaceholder="field"
+                valuePlaceholder="value or {{var}}"
+              />
+            )}
+
+            {bodyType !== "none" && method === "GET" && (
+              <div style={{ fontSize: 11, color: "#b45309" }}>
+                GET requests are sent without a body.
+              </div>
+            )}
+          </>
+        );
+
+      case "Auth":
+        return (
+          <>
+            <select
+              style={selectStyle}
+              value={auth.type}
+              onChange={(e) => setAuthField("type", e.target.value)}
+            >
+              <option value="none">No auth</option>
+              <option value="bearer">Bearer token</option>
+              <option value="basic">Basic auth</option>
+              <option value="apiKey">API key</option>
+            </select>
+
+            {auth.type === "bearer" && (
+              <input
+                style={fieldStyle}
+                type="password"
+                placeholder="Token"
+                value={auth.token || ""}
+                onChange={(e) => setAuthField("token", e.target.value)}
+              />
+            )}
+
+            {auth.type === "basic" && (
+              <>
+                <input
+                  style={fieldStyle}
+                  placeholder="Username"
+                  value={auth.username || ""}
+                  onChange={(e) => setAuthField("username", e.target.value)}
+                />
+                <input
+                  style={fieldStyle}
+                  type="password"
+                  placeholder="Password"
+                  value={auth.password || ""}
+                  onChange={(e) => setAuthField("password", e.target.value)}
+                />
+              </>
+            )}
+
+            {auth.type === "apiKey" && (
+              <>
+                <input
+                  style={fieldStyle}
+                  placeholder="Key name (e.g. X-API-Key)"
+                  value={auth.keyName || ""}
+                  onChange={(e) => setAuthField("keyName", e.target.value)}
+                />
+                <input
+                  style={fieldStyle}
+                  type="password"
+                  placeholder="Key value"
+                  value={auth.keyValue || ""}
+                  onChange={(e) => setAuthField("keyValue", e.target.value)}
+                />
+                <select
+                  style={selectStyle}
+                  value={auth.keyIn || "header"}
+                  onChange={(e) => setAuthField("keyIn", e.target.value)}
+                >
+                  <option value="header">Send as header</option>
+                  <option value="query">Send as query param</option>
+                </select>
+              </>
+            )}
+
+            {hasSecretVariables(auth) && (
+              <div style={{ fontSize: 11, color: "#b45309" }}>
+                Variables are not filled into secrets; they are sent exactly as typed.
+              </div>
+            )}
+          </>
+        );
+
+      case "Response":
+        return (
+          <>
+            <FieldLabel label="Output" kind="Dropdown" />
+            <select
+              style={selectStyle}
+              value={responseMapping.source}
+              onChange={(e) => setMappingField("source", e.target.value)}
+            >
+              <option value="body">Response body</option>
+              <option value="status">Status code</option>
+              <option value="headers">Response headers</option>
+              <option value="full">Full response</option>
+            </select>
+
+            {responseMapping.source !== "status" && (
+              <>
+                <FieldLabel label="Path" kind="Text" />
+                <input
+                  style={fieldStyle}
+                  placeholder="e.g. data.items[0].name (empty = all)"
+                  value={responseMapping.path || ""}
+                  onChange={(e) => setMappingField("path", e.target.value)}
+                />
+              </>
+            )}
+          </>
+        );
+
+      default:
+        return null;
+    }
+  };
+
   return (
     // ---------------------------------------------------------------------
     // BaseNode usage
@@ -128,79 +392,68 @@ export const APINode = ({ id, data }) => {
       {/* -----------------------------------------------------------------
                 URL Input
                 - Allows users to configure the API endpoint
-                - Controlled input ensures predictable updates
+                - Supports {{variables}} from upstream nodes
                ----------------------------------------------------------------- */}
       <div style={{ marginBottom: 10 }}>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>URL ⓘ</span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Text</span>
-        </div>
-
+        <FieldLabel label="URL" kind="Text" />
         <input
           type="text"
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            boxSizing: "border-box",
-          }}
+          style={fieldStyle}
           value={url}
-          onChange={(e) => setUrl(e.target.value)}
+          onChange={(e) => setField("url", e.target.value)}
         />
       </div>
 
       {/* -----------------------------------------------------------------
                 HTTP Method Selection
                 - Defines how the API request is made
-                - Dropdown keeps the configuration simple and explicit
                ----------------------------------------------------------------- */}
-      <div>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>Method ⓘ</span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Dropdown</span>
-        </div>
-
+      <div style={{ marginBottom: 10 }}>
+        <FieldLabel label="Method" kind="Dropdown" />
         <select
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            cursor: "pointer",
-            boxSizing: "border-box",
-          }}
+          style={selectStyle}
           value={method}
-          onChange={(e) => setMethod(e.target.value)}
+          onChange={(e) => setField("method", e.target.value)}
         >
           <option value="GET">GET</option>
           <option value="POST">POST</option>
           <option value="PUT">PUT</option>
+          <option value="PATCH">PATCH</option>
           <option value="DELETE">DELETE</option>
         </select>
       </div>
+
+      {/* -----------------------------------------------------------------
+                Request Builder Tabs
+               ----------------------------------------------------------------- */}
+      <div style={{ display: "flex", gap: 2, borderBottom: "1px solid #e2e8f0", marginBottom: 8 }}>
+        {TABS.map((tab) => (
+          <span
+            key={tab}
+            onClick={() => setActiveTab(tab)}
+            style={{
+              padding: "4px 5px",
+              fontSize: 11,
+              cursor: "pointer",
+              color: activeTab === tab ? "#6366f1" : "#64748b",
+              borderBottom: activeTab === tab ? "2px solid #6366f1" : "2px solid transparent",
+              fontWeight: activeTab === tab ? 600 : 400,
+            }}
+          >
+            {tab}
+          </span>
+        ))}
+      </div>
+
+      {renderTab()}
+
+      {variables.length > 0 && (
+        <div style={{ marginTop: 8, fontSize: 11 }}>
+          <strong>Variables:</strong> {variables.join(", ")}
+        </div>
+      )}
+
+      <ApiTester id={id} data={nodeData || {}} />
     </BaseNode>
   );
 };
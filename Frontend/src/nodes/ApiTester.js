@@ -0,0 +1,149 @@
+// ApiTester.js
+// -----------------------------------------------------------------------------
+// "Send test request" panel rendered inside APINode.
+// Sends the configured request straight from the node and shows status,
+// timing, headers and body inline. The response can be saved on the node as
+// a fixture, which runs replay when fixture mode is on (see runSlice).
+//
+// `{{variables}}` are filled with the inputs this node received in the last
+// run, so a test matches what the pipeline would send.
+// -----------------------------------------------------------------------------
+
+import { useState, useRef, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { updateNodeField } from "../store/nodesSlice";
+import { sendRequest, isSuccessStatus } from "../engine/httpRequest";
+import { stringifyValue } from "../engine/template";
+
+const linkStyle = { fontSize: 12, color: "#6366f1", cursor: "pointer" };
+
+const preStyle = {
+  margin: "4px 0 0",
+  padding: 6,
+  maxHeight: 140,
+  overflow: "auto",
+  background: "#f8fafc",
+  border: "1px solid #e2e8f0",
+  borderRadius: 4,
+  fontSize: 11,
+  whiteSpace: "pre-wrap",
+  wordBreak: "break-word",
+};
+
+const formatBody = (body) =>
+  typeof body === "object" && body !== null
+    ? JSON.stringify(body, null, 2)
+    : stringifyValue(body);
+
+export const ApiTester = ({ id, data }) => {
+  const dispatch = useDispatch();
+  const lastInputs = useSelector((state) => state.run.results[id]?.inputs);
+
+  const [sending, setSending] = useState(false);
+  const [response, setResponse] = useState(null);
+  const [error, setError] = useState(null);
+  const [showHeaders, setShowHeaders] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Abandon an in-flight test when the node goes away
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // ---- Handlers
+  const handleSend = async () => {
+    controllerRef.current = new AbortController();
+    setSending(true);
+    setError(null);
+    setResponse(null);
+    try {
+      setResponse(
+        await sendRequest(data, lastInputs || {}, controllerRef.current.signal)
+      );
+    } catch (err) {
+      if (!controllerRef.current.signal.aborted) {
+        setError(err.message);
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSaveFixture = () => {
+    dispatch(
+      updateNodeField({
+        id,
+        field: "fixture",
+        value: { ...response, recordedAt: Date.now() },
+      })
+    );
+  };
+
+  const handleDeleteFixture = () => {
+    dispatch(updateNodeField({ id, field: "fixture", value: undefined }));
+  };
+
+  const statusColor = response && isSuccessStatus(response.status) ? "#10b981" : "#ef4444";
+
+  return (
+    <div style={{ marginTop: 10, paddingTop: 8, borderTop: "1px solid #e2e8f0" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <span
+          style={{ ...linkStyle, opacity: sending ? 0.6 : 1 }}
+          onClick={sending ? undefined : handleSend}
+          title={lastInputs ? "Variables use the inputs from the last run" : undefined}
+        >
+          {sending ? "Sending…" : "▶ Send test request"}
+        </span>
+        {response && (
+          <span style={linkStyle} onClick={handleSaveFixture}>
+            💾 Save as fixture
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ marginTop: 6, fontSize: 11, color: "#ef4444" }}>{error}</div>
+      )}
+
+      {response && (
+        <div style={{ marginTop: 6, fontSize: 11, color: "#64748b" }}>
+          <div style={{ display: "flex", gap: 8 }}>
+            <strong style={{ color: statusColor }}>
+              {response.status} {response.statusText}
+            </strong>
+            <span>{response.duration} ms</span>
+            <span
+              style={{ marginLeft: "auto", cursor: "pointer" }}
+              onClick={() => setShowHeaders((open) => !open)}
+            >
+              {showHeaders ? "▾" : "▸"} Headers ({Object.keys(response.headers).length})
+            </span>
+          </div>
+          {showHeaders && (
+            <pre style={preStyle}>
+              {Object.entries(response.headers)
+                .map(([key, value]) => `${key}: ${value}`)
+                .join("\n")}
+            </pre>
+          )}
+          <pre style={preStyle}>{formatBody(response.body)}</pre>
+        </div>
+      )}
+
+      {data.fixture && (
+        <div style={{ marginTop: 6, fontSize: 11, color: "#64748b", display: "flex", gap: 6 }}>
+          <span>
+            📼 Fixture: {data.fixture.status} · recorded{" "}
+            {new Date(data.fixture.recordedAt).toLocaleString()}
+          </span>
+          <span
+            title="Delete fixture"
+            style={{ marginLeft: "auto", cursor: "pointer", color: "#94a3b8", fontWeight: "bold" }}
+            onClick={handleDeleteFixture}
+          >
+            ×
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -4,14 +4,19 @@
 //
 // Responsibilities:
 //  - Consistent layout and styling
-//  - Header with icon, title, minimize/maximize, delete
+//  - Header with icon, title, minimize/maximize, breakpoint, delete
 //  - Confirmation dialog for safe deletion
 //  - Minimize behavior while keeping handles active
+//  - Latest run result footer (via NodeRunStatus)
+//  - Lint problem badge in the header (via DiagnosticsBadge)
 //  - Composition-based design (children + handles)
 // -----------------------------------------------------------------------------
 import { useState } from "react";
 import { useDispatch } from "react-redux";
 import { removeNode } from "../store/nodesSlice";
+import { NodeRunStatus } from "./NodeRunStatus";
+import { BreakpointToggle } from "./BreakpointToggle";
+import { DiagnosticsBadge } from "./DiagnosticsBadge";
 
 import maximizeIcon from "../assets/maximize-icon.png";
 import minimizeIcon from "../assets/minimize-icon.png";
@@ -86,6 +91,9 @@ export const BaseNode = ({ id, title, icon, children, handles }) => {
           >
             {title}
           </span>
+
+          {/* Lint problems */}
+          <DiagnosticsBadge id={id} />
         </div>
 
         {/* Actions */}
@@ -107,16 +115,8 @@ export const BaseNode = ({ id, title, icon, children, handles }) => {
             onClick={toggleMinimize}
           />
 
-          {/* Settings placeholder */}
-          <span
-            style={{
-              cursor: "pointer",
-              fontSize: 12,
-              color: "#64748b",
-            }}
-          >
-            ⚙
-          </span>
+          {/* Debugger breakpoint */}
+          <BreakpointToggle id={id} />
 
           {/* Delete */}
           <span
@@ -214,6 +214,11 @@ export const BaseNode = ({ id, title, icon, children, handles }) => {
         </div>
       )}
 
+      {/* ---------------------------------------------------------------------
+          Run Result
+         --------------------------------------------------------------------- */}
+      {!isMinimized && <NodeRunStatus id={id} />}
+
       {/* ---------------------------------------------------------------------
           Handles (always rendered)
          --------------------------------------------------------------------- */}
@@ -0,0 +1,28 @@
+// BreakpointToggle.js
+// -----------------------------------------------------------------------------
+// Header control rendered by BaseNode for setting a debugger breakpoint.
+// Debug runs pause before a node with a breakpoint executes.
+// -----------------------------------------------------------------------------
+
+import { useDispatch, useSelector } from "react-redux";
+import { toggleBreakpoint } from "../store/runSlice";
+
+export const BreakpointToggle = ({ id }) => {
+  const dispatch = useDispatch();
+  const isSet = useSelector((state) => Boolean(state.run.breakpoints[id]));
+
+  return (
+    <span
+      title={isSet ? "Remove Breakpoint" : "Set Breakpoint"}
+      style={{
+        cursor: "pointer",
+        fontSize: 12,
+        color: isSet ? "#ef4444" : "#64748b",
+        lineHeight: 1,
+      }}
+      onClick={() => dispatch(toggleBreakpoint(id))}
+    >
+      {isSet ? "●" : "○"}
+    </span>
+  );
+};
@@ -0,0 +1,183 @@
+// CodeNode.js
+// -----------------------------------------------------------------------------
+// CodeNode is an escape hatch for small data-shaping steps: a JavaScript
+// function body that receives the upstream value and returns the output.
+//
+// Key concepts:
+// - `input` is the value on the input handle, `inputs` every handle's value
+// - Runs in a Web Worker with a timeout and no DOM access (engine/code.js)
+// - console.log output and thrown errors appear in the run footer
+//
+// Redux responsibilities:
+// - Persist code and timeout in global pipeline state
+// -----------------------------------------------------------------------------
+
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Handle, Position } from "reactflow";
+import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
+import { updateNodeField } from "../store/nodesSlice";
+import { DEFAULT_CODE_TIMEOUT_MS } from "../engine/code";
+
+const DEFAULT_CODE = "// `input` holds the upstream value\nreturn input;";
+
+const fieldStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+const FieldLabel = ({ label, kind }) => (
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    }}
+  >
+    <span style={{ fontSize: 12, color: "#64748b" }}>{label} ⓘ</span>
+    <span style={{ fontSize: 11, color: "#6366f1" }}>{kind}</span>
+  </div>
+);
+
+export const CodeNode = ({ id }) => {
+  const dispatch = useDispatch();
+
+  const nodeData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
+  );
+  const portColor = usePortColor(id);
+
+  const code = nodeData?.code ?? DEFAULT_CODE;
+  const timeoutMs = nodeData?.timeoutMs ?? DEFAULT_CODE_TIMEOUT_MS;
+
+  // -------------------------------------------------------------------------
+  // Initialize Redux state on first render
+  // Ensures pipeline definition is always complete
+  // -------------------------------------------------------------------------
+  useEffect(() => {
+    if (nodeData?.code === undefined) {
+      dispatch(updateNodeField({ id, field: "code", value: DEFAULT_CODE }));
+    }
+    if (nodeData?.timeoutMs === undefined) {
+      dispatch(updateNodeField({ id, field: "timeoutMs", value: DEFAULT_CODE_TIMEOUT_MS }));
+    }
+  }, [id, nodeData, dispatch]);
+
+  const setField = (field, value) => {
+    dispatch(updateNodeField({ id, field, value }));
+  };
+
+  // Tab indents instead of leaving the editor
+  const handleKeyDown = (e) => {
+    if (e.key !== "Tab") return;
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    setField("code", `${code.slice(0, selectionStart)}  ${code.slice(selectionEnd)}`);
+    requestAnimationFrame(() => {
+      e.target.selectionStart = e.target.selectionEnd = selectionStart + 2;
+    });
+  };
+
+  // -------------------------------------------------------------------------
+  // React Flow Handles
+  // -------------------------------------------------------------------------
+  const handles = (
+    <>
+      <Handle
+        type="target"
+        position={Position.Left}
+        id={`${id}-input`}
+        style={{ ...handleStyle, borderColor: portColor("input", "target"), left: -4 }}
+      />
+
+      <Handle
+        type="source"
+        position={Position.Right}
+        id={`${id}-output`}
+        style={{ ...handleStyle, borderColor: portColor("output", "source"), right: -4 }}
+      />
+    </>
+  );
+
+  return (
+    <BaseNode id={id} title="Code" handles={handles}>
+      {/* -----------------------------------------------------------------
+                Description
+               ----------------------------------------------------------------- */}
+      <div
+        style={{
+          padding: "8px 10px",
+          background: "#f8fafc",
+          borderRadius: 4,
+          marginBottom: 10,
+        }}
+      >
+        <div
+          style={{
+            fontSize: 12,
+            color: "#64748b",
+            lineHeight: 1.4,
+          }}
+        >
+          Shape data with JavaScript. The returned value is passed on; runs in a
+          sandboxed worker without DOM access
+        </div>
+      </div>
+
+      {/* -----------------------------------------------------------------
+                Function body
+                - Called as `async (input, inputs) => { ... }`
+               ----------------------------------------------------------------- */}
+      <div style={{ marginBottom: 10 }}>
+        <FieldLabel label="Function Body" kind="JavaScript" />
+        <textarea
+          rows={8}
+          spellCheck={false}
+          style={{
+            ...fieldStyle,
+            fontFamily: "monospace",
+            fontSize: 12,
+            resize: "vertical",
+            whiteSpace: "pre",
+          }}
+          value={code}
+          onChange={(e) => setField("code", e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+      </div>
+
+      {/* -----------------------------------------------------------------
+                Timeout
+               ----------------------------------------------------------------- */}
+      <div>
+        <FieldLabel label="Timeout (ms)" kind="Number" />
+        <input
+          type="number"
+          min="1"
+          style={fieldStyle}
+          value={timeoutMs}
+          onChange={(e) =>
+            setField("timeoutMs", e.target.value === "" ? "" : Number(e.target.value))
+          }
+        />
+      </div>
+    </BaseNode>
+  );
+};
@@ -1,30 +1,93 @@
 // ConditionNode.js
 // -----------------------------------------------------------------------------
 // ConditionNode represents a decision point in the pipeline.
-// It evaluates incoming data and routes execution based on a selected condition.
+// It evaluates incoming data and routes it to exactly one output:
+// - Check mode:  `true` / `false` handles
+// - Switch mode: one handle per named case, plus `default`
+// Downstream branches that are not chosen are skipped by the engine.
 //
 // Redux responsibilities:
-// - Persist conditionType in global pipeline state
-// - Allow execution engine to evaluate routing logic
+// - Persist mode, conditionType, expression and switch cases in global
+//   pipeline state
+// - Allow execution engine to evaluate routing logic (see engine/condition.js)
 // -----------------------------------------------------------------------------
 
-import { useState, useEffect } from "react";
-import { useDispatch } from "react-redux";
+import { useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
 import { updateNodeField } from "../store/nodesSlice";
+import { createSwitchCase, getBranches } from "../engine/condition";
+import { validateExpression } from "../engine/expression";
 import conditionIcon from "../assets/condition-icon.png";
 
-export const ConditionNode = ({ id, data }) => {
+const fieldStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+// Small caption drawn just inside the card, next to its output handle
+const handleLabelStyle = {
+  position: "absolute",
+  right: 10,
+  top: -5,
+  fontSize: 10,
+  color: "#64748b",
+  whiteSpace: "nowrap",
+  pointerEvents: "none",
+};
+
+const FieldLabel = ({ label, kind }) => (
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    }}
+  >
+    <span style={{ fontSize: 12, color: "#64748b" }}>{label} ⓘ</span>
+    <span style={{ fontSize: 11, color: "#6366f1" }}>{kind}</span>
+  </div>
+);
+
+export const ConditionNode = ({ id }) => {
   const dispatch = useDispatch();
 
   // -------------------------------------------------------------------------
-  // Local UI state
-  // - conditionType controls how incoming data is evaluated
-  // - Stored locally for fast UI interaction
+  // Redux is the single source of truth for the routing configuration
   // -------------------------------------------------------------------------
-  const [conditionType, setConditionType] = useState(
-    data?.conditionType || "boolean"
+  const nodeData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
+  );
+  const portColor = usePortColor(id);
+
+  const mode = nodeData?.mode || "check";
+  const conditionType = nodeData?.conditionType || "boolean";
+  const switchField = nodeData?.switchField || "";
+  const cases = nodeData?.cases || [];
+  const expression = nodeData?.expression || "";
+
+  // Live syntax check while typing (evaluation happens at run time)
+  const expressionError = useMemo(
+    () => (expression.trim() ? validateExpression(expression) : null),
+    [expression]
   );
 
   // -------------------------------------------------------------------------
@@ -32,66 +95,71 @@ export const ConditionNode = ({ id, data }) => {
   // Ensures pipeline definition is always complete
   // -------------------------------------------------------------------------
   useEffect(() => {
-    if (!data?.conditionType) {
-      dispatch(
-        updateNodeField({
-          id,
-          field: "conditionType",
-          value: conditionType,
-        })
-      );
+    if (!nodeData?.mode) {
+      dispatch(updateNodeField({ id, field: "mode", value: "check" }));
+    }
+    if (!nodeData?.conditionType) {
+      dispatch(updateNodeField({ id, field: "conditionType", value: "boolean" }));
     }
-  }, [id, data, conditionType, dispatch]);
+  }, [id, nodeData, dispatch]);
 
   // -------------------------------------------------------------------------
-  // Handle condition type change
-  // - Updates local UI
-  // - Syncs configuration to Redux store
+  // Handlers → update Redux store
   // -------------------------------------------------------------------------
-  const handleConditionChange = (e) => {
+  const setField = (field, value) => {
+    dispatch(updateNodeField({ id, field, value }));
+  };
+
+  const handleModeChange = (e) => {
     const value = e.target.value;
-    setConditionType(value);
-    dispatch(
-      updateNodeField({
-        id,
-        field: "conditionType",
-        value,
-      })
+    setField("mode", value);
+    if (value === "switch" && cases.length === 0) {
+      setField("cases", [createSwitchCase()]);
+    }
+  };
+
+  const updateCase = (caseId, value) => {
+    setField(
+      "cases",
+      cases.map((item) => (item.id === caseId ? { ...item, value } : item))
     );
   };
 
+  const removeCase = (caseId) => {
+    setField("cases", cases.filter((item) => item.id !== caseId));
+  };
+
   // -------------------------------------------------------------------------
   // React Flow Handles
+  // - One target, one source per branch (spread evenly down the right edge)
   // -------------------------------------------------------------------------
+  const branches = getBranches({ mode, cases });
+
   const handles = (
     <>
       <Handle
         type="target"
         position={Position.Left}
         id={`${id}-input`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          left: -4,
-        }}
+        style={{ ...handleStyle, borderColor: portColor("input", "target"), left: -4 }}
       />
 
-      <Handle
-        type="source"
-        position={Position.Right}
-        id={`${id}-output`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          right: -4,
-        }}
-      />
+      {branches.map((branch, index) => (
+        <Handle
+          key={`${id}-${branch.name}`}
+          type="source"
+          position={Position.Right}
+          id={`${id}-${branch.name}`}
+          style={{
+            ...handleStyle,
+            borderColor: portColor(branch.name, "source"),
+            top: `${((index + 1) / (branches.length + 1)) * 100}%`,
+            right: -4,
+          }}
+        >
+          <span style={handleLabelStyle}>{branch.label}</span>
+        </Handle>
+      ))}
     </>
   );
 
@@ -125,48 +193,114 @@ export const ConditionNode = ({ id, data }) => {
         </div>
       </div>
 
+      {/* -----------------------------------------------------------------
+                Mode Selection
+                - Check: two-way true / false routing
+                - Switch: N named cases plus a default
+               ----------------------------------------------------------------- */}
+      <div style={{ marginBottom: 10, paddingRight: 40 }}>
+        <FieldLabel label="Mode" kind="Dropdown" />
+        <select
+          style={{ ...fieldStyle, cursor: "pointer" }}
+          value={mode}
+          onChange={handleModeChange}
+        >
+          <option value="check">True / False</option>
+          <option value="switch">Switch</option>
+        </select>
+      </div>
+
       {/* -----------------------------------------------------------------
                 Condition Type Selection
                 - Determines how the node evaluates incoming data
                 - Dropdown keeps configuration simple and explicit
                ----------------------------------------------------------------- */}
-      <div>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>
-            Condition Type ⓘ
-          </span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Dropdown</span>
+      {mode === "check" && (
+        <div style={{ paddingRight: 40 }}>
+          <FieldLabel label="Condition Type" kind="Dropdown" />
+          <select
+            style={{ ...fieldStyle, cursor: "pointer" }}
+            value={conditionType}
+            onChange={(e) => setField("conditionType", e.target.value)}
+          >
+            <option value="boolean">Boolean Check</option>
+            <option value="exists">Value Exists</option>
+            <option value="empty">Is Empty</option>
+            <option value="expression">Custom Expression</option>
+          </select>
         </div>
+      )}
 
-        <select
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            cursor: "pointer",
-            boxSizing: "border-box",
-          }}
-          value={conditionType}
-          onChange={(e) => setConditionType(e.target.value)}
-        >
-          <option value="boolean">Boolean Check</option>
-          <option value="exists">Value Exists</option>
-          <option value="empty">Is Empty</option>
-          <option value="expression">Custom Expression</option>
-        </select>
-      </div>
+      {/* -----------------------------------------------------------------
+                Custom Expression
+                - Sandboxed language, the incoming value is `input`
+               ----------------------------------------------------------------- */}
+      {mode === "check" && conditionType === "expression" && (
+        <div style={{ marginTop: 10, paddingRight: 40 }}>
+          <FieldLabel label="Expression" kind="Code" />
+          <textarea
+            value={expression}
+            onChange={(e) => setField("expression", e.target.value)}
+            placeholder={'input.status == "active" && input.score > 0.7'}
+            spellCheck={false}
+            style={{
+              ...fieldStyle,
+              minHeight: 56,
+              fontFamily: "monospace",
+              fontSize: 12,
+              borderColor: expressionError ? "#ef4444" : "#e2e8f0",
+            }}
+          />
+          {expressionError && (
+            <div style={{ marginTop: 4, fontSize: 11, color: "#ef4444" }}>
+              {expressionError}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* -----------------------------------------------------------------
+                Switch Cases
+                - The first case equal to the switch value wins
+               ----------------------------------------------------------------- */}
+      {mode === "switch" && (
+        <div style={{ paddingRight: 40 }}>
+          <div style={{ marginBottom: 10 }}>
+            <FieldLabel label="Switch On" kind="Text" />
+            <input
+              style={fieldStyle}
+              placeholder="field path, empty = whole input"
+              value={switchField}
+              onChange={(e) => setField("switchField", e.target.value)}
+            />
+          </div>
+
+          <FieldLabel label="Cases" kind="List" />
+          {cases.map((item) => (
+            <div key={item.id} style={{ display: "flex", gap: 4, marginBottom: 4, alignItems: "center" }}>
+              <input
+                style={{ ...fieldStyle, padding: "4px 6px", fontSize: 12 }}
+                placeholder={`${item.id} value`}
+                value={item.value}
+                onChange={(e) => updateCase(item.id, e.target.value)}
+              />
+              <span
+                title="Remove case"
+                style={{ cursor: "pointer", color: "#94a3b8", fontWeight: "bold" }}
+                onClick={() => removeCase(item.id)}
+              >
+                ×
+              </span>
+            </div>
+          ))}
+          <span
+            style={{ fontSize: 12, color: "#6366f1", cursor: "pointer" }}
+            onClick={() => setField("cases", [...cases, createSwitchCase(cases)])}
+          >
+            + Add case
+          </span>
+        </div>
+      )}
     </BaseNode>
   );
 };
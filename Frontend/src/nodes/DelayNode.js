@@ -1,89 +1,127 @@
 // DelayNode.js
 // -----------------------------------------------------------------------------
 // DelayNode introduces a time-based pause in the pipeline execution.
-// It allows users to delay the flow before passing data to the next node.
+// It allows users to delay the flow before passing data to the next node:
+// - Wait:        a fixed duration
+// - Wait until:  a specific date and time
+// - Jitter:      a random duration within a range
+// - Debounce:    waits like Wait, but a newer value arriving meanwhile
+//                replaces the waiting one (flagged inside Loop bodies, where
+//                it would drop elements)
+// - Retry:       retries the upstream node with exponential backoff when it
+//                fails, then passes its value on
+// While a run waits, the node footer shows a countdown.
 //
 // Redux responsibilities:
-// - Persist delay configuration (duration + unit) in global pipeline state
+// - Persist delay configuration in global pipeline state
 // - Enable execution engine to apply correct delay at runtime
+//   (see engine/delay.js)
 // -----------------------------------------------------------------------------
 
-import { useState, useEffect } from "react";
-import { useDispatch } from "react-redux";
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
 import { updateNodeField } from "../store/nodesSlice";
+import { getRetryPolicy, backoffDelay } from "../engine/delay";
 
-export const DelayNode = ({ id, data }) => {
+const fieldStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const selectStyle = { ...fieldStyle, cursor: "pointer" };
+
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+const FieldLabel = ({ label, kind }) => (
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    }}
+  >
+    <span style={{ fontSize: 12, color: "#64748b" }}>{label} ⓘ</span>
+    <span style={{ fontSize: 11, color: "#6366f1" }}>{kind}</span>
+  </div>
+);
+
+const NumberField = ({ label, value, onChange, min = 0, step }) => (
+  <div style={{ marginBottom: 10 }}>
+    <FieldLabel label={label} kind="Number" />
+    <input
+      type="number"
+      min={min}
+      step={step}
+      style={fieldStyle}
+      value={value}
+      onChange={(e) => onChange(e.target.value === "" ? "" : Number(e.target.value))}
+    />
+  </div>
+);
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(ms % 1000 ? 1 : 0)}s` : `${ms}ms`);
+
+export const DelayNode = ({ id }) => {
   const dispatch = useDispatch();
 
   // -------------------------------------------------------------------------
-  // Local UI state
-  // - duration: numeric delay value
-  // - unit: time unit (ms / s / m)
-  // Local state ensures responsive UI while Redux stores pipeline definition
+  // Redux is the single source of truth for the delay configuration
   // -------------------------------------------------------------------------
-  const [duration, setDuration] = useState(data?.duration || 1000);
-  const [unit, setUnit] = useState(data?.unit || "ms");
+  const nodeData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
+  );
+  const portColor = usePortColor(id);
+
+  const mode = nodeData?.mode || "wait";
+  const duration = nodeData?.duration ?? 1000;
+  const unit = nodeData?.unit || "ms";
 
   // -------------------------------------------------------------------------
   // Initialize Redux state on mount
   // Ensures delay config always exists in pipeline state
   // -------------------------------------------------------------------------
   useEffect(() => {
-    if (!data?.duration) {
-      dispatch(
-        updateNodeField({
-          id,
-          field: "duration",
-          value: duration,
-        })
-      );
+    if (!nodeData?.mode) {
+      dispatch(updateNodeField({ id, field: "mode", value: "wait" }));
     }
-
-    if (!data?.unit) {
-      dispatch(
-        updateNodeField({
-          id,
-          field: "unit",
-          value: unit,
-        })
-      );
+    if (nodeData?.duration === undefined) {
+      dispatch(updateNodeField({ id, field: "duration", value: 1000 }));
     }
-  }, [id, data, duration, unit, dispatch]);
+    if (!nodeData?.unit) {
+      dispatch(updateNodeField({ id, field: "unit", value: "ms" }));
+    }
+  }, [id, nodeData, dispatch]);
 
   // -------------------------------------------------------------------------
-  // Handle duration change
-  // - Updates local UI
-  // - Syncs value to Redux store
+  // Handlers → update Redux store
   // -------------------------------------------------------------------------
-  const handleDurationChange = (e) => {
-    const value = Number(e.target.value);
-    setDuration(value);
-
-    dispatch(
-      updateNodeField({
-        id,
-        field: "duration",
-        value,
-      })
-    );
+  const setField = (field, value) => {
+    dispatch(updateNodeField({ id, field, value }));
   };
 
-  // -------------------------------------------------------------------------
-  // Handle unit change
-  // -------------------------------------------------------------------------
-  const handleUnitChange = (e) => {
-    const value = e.target.value;
-    setUnit(value);
-
-    dispatch(
-      updateNodeField({
-        id,
-        field: "unit",
-        value,
-      })
-    );
+  // Backoff schedule shown under the retry settings, e.g. "1s → 2s → 4s"
+  const retrySchedule = () => {
+    const policy = getRetryPolicy(nodeData);
+    return Array.from({ length: Math.min(policy.retries, 6) }, (_, i) =>
+      formatMs(backoffDelay(policy, i + 1))
+    ).join(" → ") + (policy.retries > 6 ? " …" : "");
   };
 
   // -------------------------------------------------------------------------
@@ -95,31 +133,29 @@ export const DelayNode = ({ id, data }) => {
         type="target"
         position={Position.Left}
         id={`${id}-input`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          left: -4,
-        }}
+        style={{ ...handleStyle, borderColor: portColor("input", "target"), left: -4 }}
       />
 
       <Handle
         type="source"
         position={Position.Right}
         id={`${id}-output`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          right: -4,
-        }}
+        style={{ ...handleStyle, borderColor: portColor("output", "source"), right: -4 }}
       />
     </>
   );
+
+  const unitSelect = (
+    <div style={{ marginBottom: 10 }}>
+      <FieldLabel label="Unit" kind="Dropdown" />
+      <select style={selectStyle} value={unit} onChange={(e) => setField("unit", e.target.value)}>
+        <option value="ms">Milliseconds</option>
+        <option value="s">Seconds</option>
+        <option value="m">Minutes</option>
+      </select>
+    </div>
+  );
+
   return (
     // ---------------------------------------------------------------------
     // BaseNode usage
@@ -151,81 +187,92 @@ export const DelayNode = ({ id, data }) => {
       </div>
 
       {/* -----------------------------------------------------------------
-                Duration Input
-                - Numeric value representing how long to delay
-                - Minimum enforced to avoid negative delays
+                Mode Selection
                ----------------------------------------------------------------- */}
       <div style={{ marginBottom: 10 }}>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>Duration ⓘ</span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Number</span>
-        </div>
-
-        <input
-          type="number"
-          min="0"
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            boxSizing: "border-box",
-          }}
-          value={duration}
-          onChange={(e) => setDuration(e.target.value)}
-        />
+        <FieldLabel label="Mode" kind="Dropdown" />
+        <select style={selectStyle} value={mode} onChange={(e) => setField("mode", e.target.value)}>
+          <option value="wait">Wait</option>
+          <option value="until">Wait until</option>
+          <option value="jitter">Random jitter</option>
+          <option value="debounce">Debounce</option>
+          <option value="retry">Retry upstream with backoff</option>
+        </select>
       </div>
 
       {/* -----------------------------------------------------------------
-                Unit Selection
-                - Determines the time unit for the delay
-                - Dropdown keeps configuration simple and explicit
+                Mode settings
+                - Durations are in the selected unit
                ----------------------------------------------------------------- */}
-      <div>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>Unit ⓘ</span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Dropdown</span>
+      {(mode === "wait" || mode === "debounce") && (
+        <>
+          <NumberField label="Duration" value={duration} onChange={(v) => setField("duration", v)} />
+          {unitSelect}
+        </>
+      )}
+
+      {mode === "until" && (
+        <div style={{ marginBottom: 10 }}>
+          <FieldLabel label="Until" kind="Date & Time" />
+          <input
+            type="datetime-local"
+            style={fieldStyle}
+            value={nodeData?.until || ""}
+            onChange={(e) => setField("until", e.target.value)}
+          />
         </div>
+      )}
 
-        <select
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            cursor: "pointer",
-            boxSizing: "border-box",
-          }}
-          value={unit}
-          onChange={(e) => setUnit(e.target.value)}
-        >
-          <option value="ms">Milliseconds</option>
-          <option value="s">Seconds</option>
-          <option value="m">Minutes</option>
-        </select>
-      </div>
+      {mode === "jitter" && (
+        <>
+          <div style={{ display: "flex", gap: 8 }}>
+            <NumberField
+              label="Min"
+              value={nodeData?.minDuration ?? 0}
+              onChange={(v) => setField("minDuration", v)}
+            />
+            <NumberField
+              label="Max"
+              value={nodeData?.maxDuration ?? 1000}
+              onChange={(v) => setField("maxDuration", v)}
+            />
+          </div>
+          {unitSelect}
+        </>
+      )}
+
+      {mode === "retry" && (
+        <>
+          <div style={{ display: "flex", gap: 8 }}>
+            <NumberField
+              label="Retries"
+              value={nodeData?.retries ?? 3}
+              onChange={(v) => setField("retries", v)}
+            />
+            <NumberField
+              label="Factor"
+              step="0.5"
+              min={1}
+              value={nodeData?.factor ?? 2}
+              onChange={(v) => setField("factor", v)}
+            />
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <NumberField
+              label="First wait"
+              value={duration}
+              onChange={(v) => setField("duration", v)}
+            />
+            <NumberField
+              label="Max wait"
+              value={nodeData?.maxDuration ?? ""}
+              onChange={(v) => setField("maxDuration", v)}
+            />
+          </div>
+          {unitSelect}
+          <div style={{ fontSize: 11, color: "#64748b" }}>Backoff: {retrySchedule() || "none"}</div>
+        </>
+      )}
     </BaseNode>
   );
 };
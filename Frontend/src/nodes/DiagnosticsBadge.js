@@ -0,0 +1,41 @@
+// DiagnosticsBadge.js
+// -----------------------------------------------------------------------------
+// Header badge rendered by BaseNode counting this node's lint problems
+// (see engine/lint.js). Hovering lists them; red when any is an error.
+// -----------------------------------------------------------------------------
+
+import { useSelector } from "react-redux";
+import { selectDiagnostics } from "../store/nodesSlice";
+
+export const DiagnosticsBadge = ({ id }) => {
+  // Selected as text so the node only re-renders when its problems change
+  const summary = useSelector((state) =>
+    selectDiagnostics(state)
+      .filter((item) => item.nodeId === id)
+      .map((item) => `${item.severity === "error" ? "✖" : "⚠"} ${item.message}`)
+      .join("\n")
+  );
+
+  if (!summary) return null;
+
+  const lines = summary.split("\n");
+  const hasError = lines.some((line) => line.startsWith("✖"));
+
+  return (
+    <span
+      title={summary}
+      style={{
+        padding: "1px 6px",
+        borderRadius: 10,
+        fontSize: 11,
+        fontWeight: 600,
+        lineHeight: 1.4,
+        color: hasError ? "#ef4444" : "#b45309",
+        background: hasError ? "#fee2e2" : "#fef3c7",
+        cursor: "default",
+      }}
+    >
+      {hasError ? "✖" : "⚠"} {lines.length}
+    </span>
+  );
+};
@@ -1,73 +1,239 @@
 // FilterNode.js
 // -----------------------------------------------------------------------------
 // FilterNode represents a data filtering step in the pipeline.
-// It evaluates incoming data based on a field, operator, and value,
-// and only passes data that matches the condition.
+// It evaluates incoming data against AND / OR groups of rules (field path,
+// operator, value) and only passes data that matches. Arrays are filtered
+// item by item; a single value passes through or emits nothing.
 //
 // Redux responsibilities:
 // - Persist filter configuration in the global pipeline definition
 // - Enable backend / execution engine to evaluate filters deterministically
+//
+// The preview counts how many sample items pass: either pasted sample JSON
+// or the input this node received in the last run.
 // -----------------------------------------------------------------------------
 
 import { useState, useEffect } from "react";
-import { useDispatch } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
 import { updateNodeField } from "../store/nodesSlice";
+import {
+  FILTER_OPERATORS,
+  operatorNeedsValue,
+  createFilterRule,
+  createFilterGroup,
+  isFilterGroup,
+  getFilterGroup,
+  filterItems,
+} from "../engine/filter";
 import filterIcon from "../assets/filter-icon.png";
 
-export const FilterNode = ({ id, data }) => {
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "4px 6px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 12,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const linkStyle = { fontSize: 12, color: "#6366f1", cursor: "pointer" };
+
+const removeStyle = { cursor: "pointer", color: "#94a3b8", fontWeight: "bold" };
+
+// -----------------------------------------------------------------------------
+// Rule editing
+// -----------------------------------------------------------------------------
+const RuleRow = ({ rule, onChange, onRemove }) => (
+  <div style={{ marginBottom: 6 }}>
+    <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+      <input
+        style={inputStyle}
+        placeholder="field, e.g. user.age"
+        value={rule.field}
+        onChange={(e) => onChange({ ...rule, field: e.target.value })}
+      />
+      <select
+        style={{ ...inputStyle, cursor: "pointer" }}
+        value={rule.operator}
+        onChange={(e) => onChange({ ...rule, operator: e.target.value })}
+      >
+        {FILTER_OPERATORS.map((op) => (
+          <option key={op.id} value={op.id}>
+            {op.label}
+          </option>
+        ))}
+      </select>
+      <span title="Remove rule" style={removeStyle} onClick={onRemove}>
+        ×
+      </span>
+    </div>
+    {operatorNeedsValue(rule.operator) && (
+      <input
+        style={{ ...inputStyle, width: "100%", marginTop: 4 }}
+        placeholder={rule.operator === "in" ? "a, b, c" : "value"}
+        value={rule.value}
+        onChange={(e) => onChange({ ...rule, value: e.target.value })}
+      />
+    )}
+  </div>
+);
+
+// Sub-groups are one level deep, which covers `(a AND b) OR c`
+const RuleGroup = ({ group, onChange, onRemove, nested = false }) => {
+  const setRules = (rules) => onChange({ ...group, rules });
+
+  const updateRule = (index, rule) =>
+    setRules(group.rules.map((current, i) => (i === index ? rule : current)));
+
+  const removeRule = (index) => setRules(group.rules.filter((_, i) => i !== index));
+
+  return (
+    <div
+      style={
+        nested
+          ? { padding: 6, marginBottom: 6, border: "1px dashed #cbd5e1", borderRadius: 4 }
+          : undefined
+      }
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 6 }}>
+        <span style={{ fontSize: 12, color: "#64748b" }}>Match</span>
+        <select
+          style={{ ...inputStyle, flex: "none", cursor: "pointer" }}
+          value={group.combinator}
+          onChange={(e) => onChange({ ...group, combinator: e.target.value })}
+        >
+          <option value="and">all (AND)</option>
+          <option value="or">any (OR)</option>
+        </select>
+        <span style={{ fontSize: 12, color: "#64748b" }}>of</span>
+        {nested && (
+          <span title="Remove group" style={{ ...removeStyle, marginLeft: "auto" }} onClick={onRemove}>
+            ×
+          </span>
+        )}
+      </div>
+
+      {group.rules.map((rule, index) =>
+        isFilterGroup(rule) ? (
+          <RuleGroup
+            key={index}
+            nested
+            group={rule}
+            onChange={(next) => updateRule(index, next)}
+            onRemove={() => removeRule(index)}
+          />
+        ) : (
+          <RuleRow
+            key={index}
+            rule={rule}
+            onChange={(next) => updateRule(index, next)}
+            onRemove={() => removeRule(index)}
+          />
+        )
+      )}
+
+      <div style={{ display: "flex", gap: 12 }}>
+        <span style={linkStyle} onClick={() => setRules([...group.rules, createFilterRule()])}>
+          + Rule
+        </span>
+        {!nested && (
+          <span
+            style={linkStyle}
+            onClick={() =>
+              setRules([
+                ...group.rules,
+                createFilterGroup(group.combinator === "and" ? "or" : "and"),
+              ])
+            }
+          >
+            + Group
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// -----------------------------------------------------------------------------
+// Preview
+// Runs a moment after the last edit rather than on every keystroke, so
+// typing into the rules or a large sample stays responsive.
+// -----------------------------------------------------------------------------
+const PREVIEW_DELAY = 300;
+
+const previewFilter = (sampleText, lastInput, data) => {
+  let items = lastInput;
+  if (sampleText.trim()) {
+    try {
+      items = JSON.parse(sampleText);
+    } catch (error) {
+      return { error: "Sample is not valid JSON" };
+    }
+  }
+  if (items === undefined) return null;
+
+  try {
+    const list = [].concat(items);
+    return { passed: filterItems(list, data).length, total: list.length };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+export const FilterNode = ({ id }) => {
   const dispatch = useDispatch();
 
   // -------------------------------------------------------------------------
-  // Local UI state
-  // - field: property name to evaluate
-  // - operator: comparison logic
-  // - value: value to compare against
-  // Local state ensures smooth UI interaction
-  // Redux stores the authoritative pipeline definition
+  // Redux is the single source of truth for the filter rules
   // -------------------------------------------------------------------------
-  const [field, setField] = useState(data?.field || "");
-  const [operator, setOperator] = useState(data?.operator || "equals");
-  const [value, setValue] = useState(data?.value || "");
+  const nodeData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
+  );
+  const portColor = usePortColor(id);
+  const lastInput = useSelector((state) => state.run.results[id]?.inputs?.input);
+
+  const group = getFilterGroup(nodeData);
+  const sample = nodeData?.sample || "";
+
+  // Local UI-only state
+  const [isPreviewOpen, setIsPreviewOpen] = useState(false);
 
   // -------------------------------------------------------------------------
   // Initialize Redux state on mount
-  // Ensures filter configuration always exists in global state
+  // Ensures filter configuration always exists in global state (and moves
+  // a legacy single rule into the group structure)
   // -------------------------------------------------------------------------
   useEffect(() => {
-    if (!data?.field) {
-      dispatch(updateNodeField({ id, field: "field", value: field }));
+    if (!nodeData?.filter) {
+      dispatch(updateNodeField({ id, field: "filter", value: getFilterGroup(nodeData) }));
     }
+  }, [id, nodeData, dispatch]);
 
-    if (!data?.operator) {
-      dispatch(updateNodeField({ id, field: "operator", value: operator }));
-    }
-
-    if (!data?.value) {
-      dispatch(updateNodeField({ id, field: "value", value }));
-    }
-  }, [id, data, field, operator, value, dispatch]);
+  const [preview, setPreview] = useState(null);
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setPreview(previewFilter(sample, lastInput, nodeData)),
+      PREVIEW_DELAY
+    );
+    return () => clearTimeout(timer);
+  }, [sample, lastInput, nodeData]);
 
   // -------------------------------------------------------------------------
-  // Handlers — update local UI + sync to Redux
+  // Handlers → update Redux store
   // -------------------------------------------------------------------------
-  const handleFieldChange = (e) => {
-    const val = e.target.value;
-    setField(val);
-    dispatch(updateNodeField({ id, field: "field", value: val }));
-  };
-
-  const handleOperatorChange = (e) => {
-    const val = e.target.value;
-    setOperator(val);
-    dispatch(updateNodeField({ id, field: "operator", value: val }));
+  const handleGroupChange = (next) => {
+    dispatch(updateNodeField({ id, field: "filter", value: next }));
   };
 
-  const handleValueChange = (e) => {
-    const val = e.target.value;
-    setValue(val);
-    dispatch(updateNodeField({ id, field: "value", value: val }));
+  const handleSampleChange = (e) => {
+    dispatch(updateNodeField({ id, field: "sample", value: e.target.value }));
   };
 
   // -------------------------------------------------------------------------
@@ -83,7 +249,7 @@ export const FilterNode = ({ id, data }) => {
           width: 8,
           height: 8,
           background: "#fff",
-          border: "2px solid #6366f1",
+          border: `2px solid ${portColor("input", "target")}`,
           borderRadius: "50%",
           left: -4,
         }}
@@ -97,7 +263,7 @@ export const FilterNode = ({ id, data }) => {
           width: 8,
           height: 8,
           background: "#fff",
-          border: "2px solid #6366f1",
+          border: `2px solid ${portColor("output", "source")}`,
           borderRadius: "50%",
           right: -4,
         }}
@@ -136,116 +302,48 @@ export const FilterNode = ({ id, data }) => {
       </div>
 
       {/* -----------------------------------------------------------------
-                Field Input
-                - Specifies which field/property of the data to evaluate
+                Rules
+                - Field paths support `a.b`, `items[0]` and `$.a.b`
                ----------------------------------------------------------------- */}
       <div style={{ marginBottom: 10 }}>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>Field ⓘ</span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Text</span>
-        </div>
-
-        <input
-          type="text"
-          placeholder="e.g., status"
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            boxSizing: "border-box",
-          }}
-          value={field}
-          onChange={(e) => setField(e.target.value)}
-        />
+        <RuleGroup group={group} onChange={handleGroupChange} />
       </div>
 
       {/* -----------------------------------------------------------------
-                Operator Selection
-                - Defines how the field and value should be compared
+                Preview
+                - How many sample items pass the current rules
                ----------------------------------------------------------------- */}
-      <div style={{ marginBottom: 10 }}>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>Operator ⓘ</span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Dropdown</span>
+      <div style={{ paddingTop: 8, borderTop: "1px solid #e2e8f0", fontSize: 12 }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <span style={linkStyle} onClick={() => setIsPreviewOpen((open) => !open)}>
+            {isPreviewOpen ? "▾" : "▸"} Preview
+          </span>
+          {preview && (
+            <span style={{ color: preview.error ? "#ef4444" : "#64748b" }}>
+              {preview.error || `${preview.passed} of ${preview.total} items pass`}
+            </span>
+          )}
         </div>
 
-        <select
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            cursor: "pointer",
-            boxSizing: "border-box",
-          }}
-          value={operator}
-          onChange={(e) => setOperator(e.target.value)}
-        >
-          <option value="equals">Equals</option>
-          <option value="notEquals">Not Equals</option>
-          <option value="contains">Contains</option>
-          <option value="greaterThan">Greater Than</option>
-          <option value="lessThan">Less Than</option>
-        </select>
-      </div>
-
-      {/* -----------------------------------------------------------------
-                Value Input
-                - Value to compare the field against
-               ----------------------------------------------------------------- */}
-      <div>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>Value ⓘ</span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Text</span>
-        </div>
-
-        <input
-          type="text"
-          placeholder="e.g., active"
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            boxSizing: "border-box",
-          }}
-          value={value}
-          onChange={(e) => setValue(e.target.value)}
-        />
+        {isPreviewOpen && (
+          <textarea
+            value={sample}
+            onChange={handleSampleChange}
+            placeholder={
+              lastInput === undefined
+                ? 'Sample JSON, e.g. [{"status": "active"}]'
+                : "Using the last run's input; paste JSON to override"
+            }
+            style={{
+              ...inputStyle,
+              width: "100%",
+              minHeight: 60,
+              marginTop: 6,
+              fontFamily: "monospace",
+              fontSize: 11,
+            }}
+          />
+        )}
       </div>
     </BaseNode>
   );
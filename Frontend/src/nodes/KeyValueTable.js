@@ -0,0 +1,71 @@
+// KeyValueTable.js
+// -----------------------------------------------------------------------------
+// Editable list of key/value rows (headers, query params, form fields).
+// Controlled: rows come in as `[{ key, value }]` and every edit reports the
+// complete new array through `onChange`.
+// -----------------------------------------------------------------------------
+
+const cellStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "4px 6px",
+  margin: 0,
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 12,
+  boxSizing: "border-box",
+};
+
+export const KeyValueTable = ({
+  rows = [],
+  onChange,
+  keyPlaceholder = "Key",
+  valuePlaceholder = "Value",
+}) => {
+  const updateRow = (index, field, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const removeRow = (index) => {
+    onChange(rows.filter((_, i) => i !== index));
+  };
+
+  const addRow = () => {
+    onChange([...rows, { key: "", value: "" }]);
+  };
+
+  return (
+    <div>
+      {rows.map((row, index) => (
+        <div key={index} style={{ display: "flex", gap: 4, marginBottom: 4, alignItems: "center" }}>
+          <input
+            style={cellStyle}
+            value={row.key}
+            placeholder={keyPlaceholder}
+            onChange={(e) => updateRow(index, "key", e.target.value)}
+          />
+          <input
+            style={cellStyle}
+            value={row.value}
+            placeholder={valuePlaceholder}
+            onChange={(e) => updateRow(index, "value", e.target.value)}
+          />
+          <span
+            title="Remove"
+            style={{ cursor: "pointer", color: "#94a3b8", fontWeight: "bold" }}
+            onClick={() => removeRow(index)}
+          >
+            ×
+          </span>
+        </div>
+      ))}
+
+      <span
+        style={{ fontSize: 12, color: "#6366f1", cursor: "pointer" }}
+        onClick={addRow}
+      >
+        + Add row
+      </span>
+    </div>
+  );
+};
@@ -0,0 +1,193 @@
+// LoopNode.js
+// -----------------------------------------------------------------------------
+// LoopNode runs part of the pipeline once per element of an array.
+//
+// Wiring:
+// - `input`  (left):   the array to iterate
+// - `item`   (right):  each element, sent into the loop body
+// - `result` (left):   what the body hands back for that element
+// - `output` (right):  all results, in input order
+// - `errors` (right):  `[{ index, error }]` when failures are continued past
+//
+// Everything downstream of `item` is the body; it runs once per element,
+// with the configured concurrency (see engine/loop.js).
+//
+// Redux responsibilities:
+// - Persist concurrency and failure policy in global pipeline state
+// -----------------------------------------------------------------------------
+
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Handle, Position } from "reactflow";
+import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
+import { updateNodeField } from "../store/nodesSlice";
+
+const fieldStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+const labelStyle = {
+  position: "absolute",
+  top: -5,
+  fontSize: 10,
+  color: "#64748b",
+  whiteSpace: "nowrap",
+  pointerEvents: "none",
+};
+
+const FieldLabel = ({ label, kind }) => (
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    }}
+  >
+    <span style={{ fontSize: 12, color: "#64748b" }}>{label} ⓘ</span>
+    <span style={{ fontSize: 11, color: "#6366f1" }}>{kind}</span>
+  </div>
+);
+
+// Target handles on the left, source handles on the right
+const HANDLES = [
+  { name: "input", type: "target", top: "35%" },
+  { name: "result", type: "target", top: "70%" },
+  { name: "item", type: "source", top: "35%" },
+  { name: "output", type: "source", top: "55%" },
+  { name: "errors", type: "source", top: "75%" },
+];
+
+export const LoopNode = ({ id }) => {
+  const dispatch = useDispatch();
+
+  const nodeData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
+  );
+  const portColor = usePortColor(id);
+
+  const concurrency = nodeData?.concurrency ?? 1;
+  const onError = nodeData?.onError || "stop";
+
+  // -------------------------------------------------------------------------
+  // Initialize Redux state on first render
+  // Ensures pipeline definition is always complete
+  // -------------------------------------------------------------------------
+  useEffect(() => {
+    if (nodeData?.concurrency === undefined) {
+      dispatch(updateNodeField({ id, field: "concurrency", value: 1 }));
+    }
+    if (!nodeData?.onError) {
+      dispatch(updateNodeField({ id, field: "onError", value: "stop" }));
+    }
+  }, [id, nodeData, dispatch]);
+
+  const setField = (field, value) => {
+    dispatch(updateNodeField({ id, field, value }));
+  };
+
+  // -------------------------------------------------------------------------
+  // React Flow Handles
+  // -------------------------------------------------------------------------
+  const handles = (
+    <>
+      {HANDLES.map(({ name, type, top }) => {
+        const isTarget = type === "target";
+        return (
+          <Handle
+            key={name}
+            type={type}
+            position={isTarget ? Position.Left : Position.Right}
+            id={`${id}-${name}`}
+            style={{
+              ...handleStyle,
+              borderColor: portColor(name, type),
+              top,
+              [isTarget ? "left" : "right"]: -4,
+            }}
+          >
+            <span style={{ ...labelStyle, [isTarget ? "left" : "right"]: 10 }}>{name}</span>
+          </Handle>
+        );
+      })}
+    </>
+  );
+
+  return (
+    <BaseNode id={id} title="Loop" handles={handles}>
+      {/* -----------------------------------------------------------------
+                Description
+               ----------------------------------------------------------------- */}
+      <div
+        style={{
+          padding: "8px 10px",
+          background: "#f8fafc",
+          borderRadius: 4,
+          marginBottom: 10,
+        }}
+      >
+        <div
+          style={{
+            fontSize: 12,
+            color: "#64748b",
+            lineHeight: 1.4,
+          }}
+        >
+          Run the nodes connected to <strong>item</strong> for every element,
+          collecting what reaches <strong>result</strong>
+        </div>
+      </div>
+
+      <div style={{ padding: "0 40px" }}>
+        {/* ---------------------------------------------------------------
+                  Concurrency
+                  - How many elements are processed at the same time
+                 --------------------------------------------------------------- */}
+        <div style={{ marginBottom: 10 }}>
+          <FieldLabel label="Concurrency" kind="Number" />
+          <input
+            type="number"
+            min="1"
+            style={fieldStyle}
+            value={concurrency}
+            onChange={(e) =>
+              setField("concurrency", e.target.value === "" ? "" : Number(e.target.value))
+            }
+          />
+        </div>
+
+        {/* ---------------------------------------------------------------
+                  Failure policy
+                 --------------------------------------------------------------- */}
+        <div>
+          <FieldLabel label="On Item Failure" kind="Dropdown" />
+          <select
+            style={{ ...fieldStyle, cursor: "pointer" }}
+            value={onError}
+            onChange={(e) => setField("onError", e.target.value)}
+          >
+            <option value="stop">Stop the loop</option>
+            <option value="continue">Continue, collect errors</option>
+          </select>
+        </div>
+      </div>
+    </BaseNode>
+  );
+};
@@ -1,63 +1,170 @@
 // MathNode.js
 // -----------------------------------------------------------------------------
 // MathNode represents a transformation step in the pipeline.
-// It applies a mathematical operation to incoming numeric data
-// before passing the result to downstream nodes.
+// It applies a mathematical operation (or a free-form formula such as
+// `(a + b) / c`) to its operands before passing the result downstream.
 //
 // Key concepts demonstrated:
 // - Extension of the BaseNode abstraction
-// - Simple, explicit configuration for transformations
-// - Controlled inputs for predictable behavior
+// - One named target handle per operand, with an optional constant used
+//   when nothing is connected
+// - Configuration persisted in Redux (included in Export JSON)
 // - Handles always visible to preserve graph connectivity
 // -----------------------------------------------------------------------------
 
-import { useState } from "react";
+import { useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
+import { updateNodeField } from "../store/nodesSlice";
+import { MATH_OPERATIONS, DEFAULT_OPERANDS, createOperand } from "../engine/math";
+import { validateExpression } from "../engine/expression";
 import mathIcon from "../assets/math-icon.png";
 
-export const MathNode = ({ id, data }) => {
+const fieldStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+// Operand name drawn just inside the card, next to its handle
+const handleLabelStyle = {
+  position: "absolute",
+  left: 10,
+  top: -5,
+  fontSize: 10,
+  color: "#64748b",
+  pointerEvents: "none",
+};
+
+const FieldLabel = ({ label, kind }) => (
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    }}
+  >
+    <span style={{ fontSize: 12, color: "#64748b" }}>{label} ⓘ</span>
+    <span style={{ fontSize: 11, color: "#6366f1" }}>{kind}</span>
+  </div>
+);
+
+export const MathNode = ({ id }) => {
+  const dispatch = useDispatch();
+
   // -------------------------------------------------------------------------
-  // Local state for math configuration
-  // - operation determines how incoming data is transformed
-  // - Kept local since it only affects this node’s behavior
+  // Redux is the single source of truth for the math configuration
   // -------------------------------------------------------------------------
-  const [operation, setOperation] = useState(data?.operation || "add");
+  const nodeData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
+  );
+  const portColor = usePortColor(id);
+  // Pipelines saved before operands existed connect to a single `input`
+  const hasLegacyInput = useSelector((state) =>
+    state.nodes.edges.some((edge) => edge.target === id && edge.targetHandle === `${id}-input`)
+  );
+
+  const mode = nodeData?.mode || "operation";
+  const operation = nodeData?.operation || "add";
+  const formula = nodeData?.formula || "";
+  const operands = nodeData?.operands || DEFAULT_OPERANDS;
+
+  // -------------------------------------------------------------------------
+  // Initialize Redux state on first render
+  // Ensures pipeline definition is always complete
+  // -------------------------------------------------------------------------
+  useEffect(() => {
+    if (!nodeData?.mode) {
+      dispatch(updateNodeField({ id, field: "mode", value: "operation" }));
+    }
+    if (!nodeData?.operation) {
+      dispatch(updateNodeField({ id, field: "operation", value: "add" }));
+    }
+    if (!nodeData?.operands) {
+      dispatch(updateNodeField({ id, field: "operands", value: DEFAULT_OPERANDS }));
+    }
+  }, [id, nodeData, dispatch]);
+
+  // Live formula check: syntax plus references to unknown operands
+  const formulaError = useMemo(
+    () =>
+      mode === "formula" && formula.trim()
+        ? validateExpression(formula, operands.map((operand) => operand.name))
+        : null,
+    [mode, formula, operands]
+  );
+
+  // -------------------------------------------------------------------------
+  // Handlers → update Redux store
+  // -------------------------------------------------------------------------
+  const setField = (field, value) => {
+    dispatch(updateNodeField({ id, field, value }));
+  };
+
+  const updateConstant = (name, constant) => {
+    setField(
+      "operands",
+      operands.map((operand) => (operand.name === name ? { ...operand, constant } : operand))
+    );
+  };
+
+  const removeOperand = (name) => {
+    setField("operands", operands.filter((operand) => operand.name !== name));
+  };
 
   // -------------------------------------------------------------------------
   // React Flow Handles
-  // - Target handle (left): receives numeric input
-  // - Source handle (right): outputs transformed value
+  // - One target handle per operand (left), labelled with its name, plus
+  //   the legacy `input` handle while an edge still uses it
+  // - Source handle (right): outputs the result
   // Handles are always rendered, even when the node is minimized.
   // -------------------------------------------------------------------------
+  const targetNames = [
+    ...(hasLegacyInput ? ["input"] : []),
+    ...operands.map((operand) => operand.name),
+  ];
+
   const handles = (
     <>
-      <Handle
-        type="target"
-        position={Position.Left}
-        id={`${id}-input`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          left: -4,
-        }}
-      />
+      {targetNames.map((name, index) => (
+        <Handle
+          key={`${id}-${name}`}
+          type="target"
+          position={Position.Left}
+          id={`${id}-${name}`}
+          style={{
+            ...handleStyle,
+            borderColor: portColor(name, "target"),
+            top: `${((index + 1) / (targetNames.length + 1)) * 100}%`,
+            left: -4,
+          }}
+        >
+          <span style={handleLabelStyle}>{name}</span>
+        </Handle>
+      ))}
 
       <Handle
         type="source"
         position={Position.Right}
         id={`${id}-output`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          right: -4,
-        }}
+        style={{ ...handleStyle, borderColor: portColor("output", "source"), right: -4 }}
       />
     </>
   );
@@ -92,45 +199,109 @@ export const MathNode = ({ id, data }) => {
         </div>
       </div>
 
-      {/* -----------------------------------------------------------------
-                Operation Selection
-                - Defines which mathematical transformation to apply
-                - Dropdown keeps configuration simple and explicit
-               ----------------------------------------------------------------- */}
-      <div>
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 4,
-          }}
-        >
-          <span style={{ fontSize: 12, color: "#64748b" }}>Operation ⓘ</span>
-          <span style={{ fontSize: 11, color: "#6366f1" }}>Dropdown</span>
+      <div style={{ paddingLeft: 16 }}>
+        {/* ---------------------------------------------------------------
+                  Mode Selection
+                  - Operation: one operation over all operands
+                  - Formula: free-form expression over operand names
+                 --------------------------------------------------------------- */}
+        <div style={{ marginBottom: 10 }}>
+          <FieldLabel label="Mode" kind="Dropdown" />
+          <select
+            style={{ ...fieldStyle, cursor: "pointer" }}
+            value={mode}
+            onChange={(e) => setField("mode", e.target.value)}
+          >
+            <option value="operation">Operation</option>
+            <option value="formula">Formula</option>
+          </select>
         </div>
 
-        <select
-          style={{
-            width: "100%",
-            padding: "8px 10px",
-            borderRadius: 4,
-            border: "1px solid #e2e8f0",
-            fontSize: 13,
-            color: "#1e293b",
-            background: "#fff",
-            outline: "none",
-            cursor: "pointer",
-            boxSizing: "border-box",
-          }}
-          value={operation}
-          onChange={(e) => setOperation(e.target.value)}
+        {/* ---------------------------------------------------------------
+                  Operation Selection
+                  - Defines which mathematical transformation to apply
+                  - Dropdown keeps configuration simple and explicit
+                 --------------------------------------------------------------- */}
+        {mode === "operation" && (
+          <div style={{ marginBottom: 10 }}>
+            <FieldLabel label="Operation" kind="Dropdown" />
+            <select
+              style={{ ...fieldStyle, cursor: "pointer" }}
+              value={operation}
+              onChange={(e) => setField("operation", e.target.value)}
+            >
+              {Object.entries(MATH_OPERATIONS).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* ---------------------------------------------------------------
+                  Formula Input
+                  - e.g. `(a + b) / c`, `pow(a, 2)`, `avg(a)`
+                 --------------------------------------------------------------- */}
+        {mode === "formula" && (
+          <div style={{ marginBottom: 10 }}>
+            <FieldLabel label="Formula" kind="Code" />
+            <input
+              type="text"
+              placeholder="(a + b) / c"
+              spellCheck={false}
+              style={{
+                ...fieldStyle,
+                fontFamily: "monospace",
+                borderColor: formulaError ? "#ef4444" : "#e2e8f0",
+              }}
+              value={formula}
+              onChange={(e) => setField("formula", e.target.value)}
+            />
+            {formulaError && (
+              <div style={{ marginTop: 4, fontSize: 11, color: "#ef4444" }}>
+                {formulaError}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* ---------------------------------------------------------------
+                  Operands
+                  - Constant is used when the handle receives nothing
+                 --------------------------------------------------------------- */}
+        <FieldLabel label="Operands" kind="List" />
+        {operands.map((operand) => (
+          <div
+            key={operand.name}
+            style={{ display: "flex", gap: 4, marginBottom: 4, alignItems: "center" }}
+          >
+            <span style={{ width: 20, fontSize: 12, fontFamily: "monospace", color: "#1e293b" }}>
+              {operand.name}
+            </span>
+            <input
+              style={{ ...fieldStyle, padding: "4px 6px", fontSize: 12 }}
+              placeholder="constant (optional)"
+              value={operand.constant}
+              onChange={(e) => updateConstant(operand.name, e.target.value)}
+            />
+            {operands.length > 1 && (
+              <span
+                title="Remove operand"
+                style={{ cursor: "pointer", color: "#94a3b8", fontWeight: "bold" }}
+                onClick={() => removeOperand(operand.name)}
+              >
+                ×
+              </span>
+            )}
+          </div>
+        ))}
+        <span
+          style={{ fontSize: 12, color: "#6366f1", cursor: "pointer" }}
+          onClick={() => setField("operands", [...operands, createOperand(operands)])}
         >
-          <option value="add">Add (+)</option>
-          <option value="subtract">Subtract (−)</option>
-          <option value="multiply">Multiply (×)</option>
-          <option value="divide">Divide (÷)</option>
-        </select>
+          + Add operand
+        </span>
       </div>
     </BaseNode>
   );
@@ -0,0 +1,306 @@
+// MergeNode.js
+// -----------------------------------------------------------------------------
+// MergeNode gathers the results of parallel branches into one value.
+//
+// Key concepts:
+// - A growing list of named target handles, one per upstream source
+// - Modes: concatenate text, object keyed by handle name, zip arrays,
+//   or pass on the first value to arrive
+// - Wait for all handles, or merge whatever arrived
+// - Renaming a handle keeps its edges attached
+//
+// Redux responsibilities:
+// - Persist handle list and merge settings in global pipeline state
+//   (combined at runtime by engine/merge.js)
+// -----------------------------------------------------------------------------
+
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Handle, Position } from "reactflow";
+import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
+import { updateNodeField, renameHandle } from "../store/nodesSlice";
+import {
+  MERGE_MODES,
+  DEFAULT_MERGE_INPUTS,
+  createMergeInput,
+  validateInputName,
+} from "../engine/merge";
+
+const fieldStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+// Handle name drawn just inside the card, next to its handle
+const handleLabelStyle = {
+  position: "absolute",
+  left: 10,
+  top: -5,
+  fontSize: 10,
+  color: "#64748b",
+  pointerEvents: "none",
+};
+
+const FieldLabel = ({ label, kind }) => (
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    }}
+  >
+    <span style={{ fontSize: 12, color: "#64748b" }}>{label} ⓘ</span>
+    <span style={{ fontSize: 11, color: "#6366f1" }}>{kind}</span>
+  </div>
+);
+
+/**
+ * InputRow
+ * Editable handle name, committed on blur / Enter so edges are only
+ * re-attached once per rename. Invalid names are reverted.
+ */
+const InputRow = ({ name, others, onRename, onRemove }) => {
+  const [draft, setDraft] = useState(name);
+  const error = draft === name ? null : validateInputName(draft, others);
+
+  useEffect(() => setDraft(name), [name]);
+
+  const commit = () => {
+    if (draft !== name && !error) onRename(draft);
+    else setDraft(name);
+  };
+
+  return (
+    <div style={{ marginBottom: 4 }}>
+      <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+        <input
+          style={{
+            ...fieldStyle,
+            padding: "4px 6px",
+            fontSize: 12,
+            fontFamily: "monospace",
+            borderColor: error ? "#ef4444" : "#e2e8f0",
+          }}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+        />
+        {onRemove && (
+          <span
+            title="Remove input"
+            style={{ cursor: "pointer", color: "#94a3b8", fontWeight: "bold" }}
+            onClick={onRemove}
+          >
+            ×
+          </span>
+        )}
+      </div>
+      {error && <div style={{ marginTop: 2, fontSize: 11, color: "#ef4444" }}>{error}</div>}
+    </div>
+  );
+};
+
+export const MergeNode = ({ id }) => {
+  const dispatch = useDispatch();
+
+  const nodeData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
+  );
+  const portColor = usePortColor(id);
+
+  const inputs = nodeData?.inputs || DEFAULT_MERGE_INPUTS;
+  const mode = nodeData?.mode || "concat";
+  const waitForAll = nodeData?.waitForAll ?? true;
+  const separator = nodeData?.separator ?? "\\n";
+
+  // -------------------------------------------------------------------------
+  // Initialize Redux state on first render
+  // Ensures pipeline definition is always complete
+  // -------------------------------------------------------------------------
+  useEffect(() => {
+    if (!nodeData?.inputs) {
+      dispatch(updateNodeField({ id, field: "inputs", value: DEFAULT_MERGE_INPUTS }));
+    }
+    if (!nodeData?.mode) {
+      dispatch(updateNodeField({ id, field: "mode", value: "concat" }));
+    }
+    if (nodeData?.waitForAll === undefined) {
+      dispatch(updateNodeField({ id, field: "waitForAll", value: true }));
+    }
+  }, [id, nodeData, dispatch]);
+
+  const setField = (field, value) => {
+    dispatch(updateNodeField({ id, field, value }));
+  };
+
+  const renameInput = (from, to) => {
+    setField(
+      "inputs",
+      inputs.map((input) => (input.name === from ? { ...input, name: to } : input))
+    );
+    dispatch(renameHandle({ id, from, to }));
+  };
+
+  const removeInput = (name) => {
+    setField("inputs", inputs.filter((input) => input.name !== name));
+  };
+
+  // -------------------------------------------------------------------------
+  // React Flow Handles
+  // - One target handle per input (left), labelled with its name
+  // - Source handle (right): the merged value
+  // -------------------------------------------------------------------------
+  const handles = (
+    <>
+      {inputs.map((input, index) => (
+        <Handle
+          key={`${id}-${input.name}`}
+          type="target"
+          position={Position.Left}
+          id={`${id}-${input.name}`}
+          style={{
+            ...handleStyle,
+            borderColor: portColor(input.name, "target"),
+            top: `${((index + 1) / (inputs.length + 1)) * 100}%`,
+            left: -4,
+          }}
+        >
+          <span style={handleLabelStyle}>{input.name}</span>
+        </Handle>
+      ))}
+
+      <Handle
+        type="source"
+        position={Position.Right}
+        id={`${id}-output`}
+        style={{ ...handleStyle, borderColor: portColor("output", "source"), right: -4 }}
+      />
+    </>
+  );
+
+  return (
+    <BaseNode id={id} title="Merge" handles={handles}>
+      {/* -----------------------------------------------------------------
+                Description
+               ----------------------------------------------------------------- */}
+      <div
+        style={{
+          padding: "8px 10px",
+          background: "#f8fafc",
+          borderRadius: 4,
+          marginBottom: 10,
+        }}
+      >
+        <div
+          style={{
+            fontSize: 12,
+            color: "#64748b",
+            lineHeight: 1.4,
+          }}
+        >
+          Combine values from several branches into one
+        </div>
+      </div>
+
+      <div style={{ paddingLeft: 16 }}>
+        {/* ---------------------------------------------------------------
+                  Mode Selection
+                 --------------------------------------------------------------- */}
+        <div style={{ marginBottom: 10 }}>
+          <FieldLabel label="Mode" kind="Dropdown" />
+          <select
+            style={{ ...fieldStyle, cursor: "pointer" }}
+            value={mode}
+            onChange={(e) => setField("mode", e.target.value)}
+          >
+            {Object.entries(MERGE_MODES).map(([key, { label }]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* ---------------------------------------------------------------
+                  Separator
+                  - `\n` and `\t` are written as escapes
+                 --------------------------------------------------------------- */}
+        {mode === "concat" && (
+          <div style={{ marginBottom: 10 }}>
+            <FieldLabel label="Separator" kind="Text" />
+            <input
+              type="text"
+              style={{ ...fieldStyle, fontFamily: "monospace" }}
+              value={separator}
+              onChange={(e) => setField("separator", e.target.value)}
+            />
+          </div>
+        )}
+
+        {/* ---------------------------------------------------------------
+                  Arrival
+                  - Wait for all: fail unless every input received a value
+                 --------------------------------------------------------------- */}
+        {mode !== "first" && (
+          <label
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 6,
+              marginBottom: 10,
+              fontSize: 12,
+              color: "#64748b",
+              cursor: "pointer",
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={waitForAll}
+              onChange={(e) => setField("waitForAll", e.target.checked)}
+            />
+            Wait for all inputs
+          </label>
+        )}
+
+        {/* ---------------------------------------------------------------
+                  Inputs
+                  - Each name is a handle (and the key in object / zip mode)
+                 --------------------------------------------------------------- */}
+        <FieldLabel label="Inputs" kind="List" />
+        {inputs.map((input) => (
+          <InputRow
+            key={input.name}
+            name={input.name}
+            others={inputs.filter((other) => other.name !== input.name)}
+            onRename={(to) => renameInput(input.name, to)}
+            onRemove={inputs.length > 1 ? () => removeInput(input.name) : undefined}
+          />
+        ))}
+        <span
+          style={{ fontSize: 12, color: "#6366f1", cursor: "pointer" }}
+          onClick={() => setField("inputs", [...inputs, createMergeInput(inputs)])}
+        >
+          + Add input
+        </span>
+      </div>
+    </BaseNode>
+  );
+};
@@ -0,0 +1,155 @@
+// NodeRunStatus.js
+// -----------------------------------------------------------------------------
+// Footer strip rendered by BaseNode showing this node's latest run result.
+// Kept as its own component so BaseNode itself stays subscription-free.
+// -----------------------------------------------------------------------------
+
+import { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { stringifyValue } from "../engine/template";
+import { cancelNodeRun } from "../store/runSlice";
+
+const STATUS_COLORS = {
+  running: "#6366f1",
+  paused: "#f59e0b",
+  success: "#16a34a",
+  error: "#ef4444",
+  skipped: "#94a3b8",
+};
+
+const PREVIEW_LENGTH = 120;
+
+/**
+ * StreamingText
+ * Partial output of a node that is still running, shown in full and kept
+ * scrolled to the newest text. Also used by OutputNode for its live preview.
+ */
+export const StreamingText = ({ text }) => (
+  <div
+    ref={(el) => el && (el.scrollTop = el.scrollHeight)}
+    style={{
+      marginTop: 4,
+      maxHeight: 120,
+      overflowY: "auto",
+      color: "#1e293b",
+      fontFamily: "monospace",
+      fontSize: 11,
+      whiteSpace: "pre-wrap",
+      wordBreak: "break-word",
+    }}
+  >
+    {text}
+    <span style={{ color: "#6366f1" }}>▍</span>
+  </div>
+);
+
+/**
+ * Countdown
+ * Time left on a Delay node's wait (or a retry backoff), ticking locally.
+ */
+const Countdown = ({ wait }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, []);
+
+  const seconds = Math.max(0, (wait.until - now) / 1000);
+  return (
+    <div style={{ marginTop: 4, color: "#6366f1", fontFamily: "monospace" }}>
+      ⏳ {wait.label} · {seconds.toFixed(1)}s
+    </div>
+  );
+};
+
+export const NodeRunStatus = ({ id }) => {
+  const dispatch = useDispatch();
+  const result = useSelector((state) => state.run.results[id]);
+
+  if (!result) return null;
+
+  const color = STATUS_COLORS[result.status] || "#64748b";
+  const outputs = Object.values(result.outputs || {});
+  // A paused node has no outputs yet: preview what it is about to receive
+  const preview =
+    result.status === "paused"
+      ? `Inputs: ${stringifyValue(result.inputs)}`
+      : result.error || (outputs.length > 0 ? stringifyValue(outputs[0]) : "");
+
+  return (
+    <div
+      style={{
+        borderTop: "1px solid #e2e8f0",
+        padding: "6px 12px",
+        fontSize: 11,
+        color: "#475569",
+        background: "#f8fafc",
+        borderRadius: "0 0 8px 8px",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between" }}>
+        <span style={{ color, fontWeight: 600, textTransform: "capitalize" }}>
+          {result.status}
+        </span>
+        {result.duration !== undefined && (
+          <span>
+            {result.duration} ms
+            {result.attempts > 1 && ` · ${result.attempts} attempts`}
+          </span>
+        )}
+        {result.status === "running" && (
+          <span
+            title="Abort this node's request"
+            style={{ color: "#ef4444", cursor: "pointer", fontWeight: 600 }}
+            onClick={() => dispatch(cancelNodeRun(id))}
+          >
+            ■ Cancel
+          </span>
+        )}
+      </div>
+
+      {result.status === "running" && result.wait && <Countdown wait={result.wait} />}
+
+      {result.status === "running" && result.partial !== undefined && (
+        <StreamingText text={result.partial} />
+      )}
+
+      {preview && (
+        <div
+          title={preview}
+          style={{
+            marginTop: 4,
+            color: result.error ? "#ef4444" : "#1e293b",
+            fontFamily: "monospace",
+            wordBreak: "break-word",
+          }}
+        >
+          {preview.length > PREVIEW_LENGTH
+            ? `${preview.slice(0, PREVIEW_LENGTH)}…`
+            : preview}
+        </div>
+      )}
+
+      {/* Console output (Code node) */}
+      {result.logs && result.status !== "running" && (
+        <div
+          style={{
+            marginTop: 4,
+            maxHeight: 80,
+            overflowY: "auto",
+            color: "#64748b",
+            fontFamily: "monospace",
+            fontSize: 10,
+            whiteSpace: "pre-wrap",
+            wordBreak: "break-word",
+          }}
+        >
+          {result.logs.map((line, index) => (
+            <div key={index}>› {line}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
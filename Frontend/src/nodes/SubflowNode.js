@@ -0,0 +1,238 @@
+// SubflowNode.js
+// -----------------------------------------------------------------------------
+// SubflowNode stands in for a group of nodes (see engine/subflow.js).
+//
+// Views:
+// - Collapsed: a single node whose handles are the edges crossing the
+//   group's boundary; connecting to one of them wires the inner node
+// - Open:      a container drawn around the member nodes, edited in place
+//
+// Ungrouping puts the members back on the canvas and removes the subflow.
+//
+// Redux responsibilities:
+// - Persist label and collapsed state in global pipeline state
+// -----------------------------------------------------------------------------
+
+import { useEffect, useMemo } from "react";
+import { useDispatch, useSelector, shallowEqual } from "react-redux";
+import { Handle, Position, useUpdateNodeInternals } from "reactflow";
+import { BaseNode } from "./BaseNode";
+import { updateNodeField, ungroupSubflow } from "../store/nodesSlice";
+import { getSubflowPorts } from "../engine/subflow";
+
+const fieldStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  color: "#1e293b",
+  background: "#fff",
+  outline: "none",
+  boxSizing: "border-box",
+};
+
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+const labelStyle = {
+  position: "absolute",
+  top: -5,
+  fontSize: 10,
+  color: "#64748b",
+  whiteSpace: "nowrap",
+  pointerEvents: "none",
+};
+
+const buttonStyle = {
+  padding: "4px 10px",
+  fontSize: 12,
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  background: "#fff",
+  color: "#6366f1",
+  cursor: "pointer",
+};
+
+const FieldLabel = ({ label, kind }) => (
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    }}
+  >
+    <span style={{ fontSize: 12, color: "#64748b" }}>{label} ⓘ</span>
+    <span style={{ fontSize: 11, color: "#6366f1" }}>{kind}</span>
+  </div>
+);
+
+// Spreads a side's ports evenly down the node
+const portTop = (index, count) => `${((index + 1) * 100) / (count + 1)}%`;
+
+export const SubflowNode = ({ id }) => {
+  const dispatch = useDispatch();
+  const updateNodeInternals = useUpdateNodeInternals();
+
+  const nodeData = useSelector(
+    (state) => state.nodes.nodes.find((node) => node.id === id)?.data
+  );
+  // Only this subflow's members and the edges crossing its boundary, so
+  // edits elsewhere on the canvas don't re-render it
+  const members = useSelector(
+    (state) => state.nodes.nodes.filter((node) => node.parentNode === id),
+    shallowEqual
+  );
+  const crossingEdges = useSelector((state) => {
+    const inside = new Set(
+      state.nodes.nodes.filter((node) => node.parentNode === id).map((node) => node.id)
+    );
+    return state.nodes.edges.filter((edge) => inside.has(edge.source) !== inside.has(edge.target));
+  }, shallowEqual);
+
+  const collapsed = nodeData?.collapsed ?? true;
+  const label = nodeData?.label ?? "Subflow";
+  const size = nodeData?.size || { width: 300, height: 200 };
+
+  const ports = useMemo(
+    () => getSubflowPorts(id, members, crossingEdges),
+    [id, members, crossingEdges]
+  );
+
+  // React Flow has to re-measure handles whenever the ports change
+  const portKey = [...ports.inputs, ...ports.outputs].map((port) => port.id).join("|");
+  useEffect(() => {
+    updateNodeInternals(id);
+  }, [id, collapsed, portKey, updateNodeInternals]);
+
+  const setField = (field, value) => {
+    dispatch(updateNodeField({ id, field, value }));
+  };
+
+  const actions = (
+    <div style={{ display: "flex", gap: 6 }}>
+      <button style={buttonStyle} onClick={() => setField("collapsed", !collapsed)}>
+        {collapsed ? "Open" : "Collapse"}
+      </button>
+      <button
+        style={{ ...buttonStyle, color: "#64748b" }}
+        title="Put the nodes back on the canvas"
+        onClick={() => dispatch(ungroupSubflow(id))}
+      >
+        Ungroup
+      </button>
+    </div>
+  );
+
+  // -------------------------------------------------------------------------
+  // Open: a container around the members
+  // -------------------------------------------------------------------------
+  if (!collapsed) {
+    return (
+      <div
+        style={{
+          width: size.width,
+          height: size.height,
+          border: "1px dashed #6366f1",
+          borderRadius: 8,
+          background: "rgba(238, 242, 255, 0.4)",
+          boxSizing: "border-box",
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            padding: "8px 12px",
+            background: "#eef2ff",
+            borderBottom: "1px solid #c7d2fe",
+            borderRadius: "8px 8px 0 0",
+          }}
+        >
+          <span style={{ fontWeight: 600, fontSize: 14, color: "#1e293b" }}>{label}</span>
+          {actions}
+        </div>
+      </div>
+    );
+  }
+
+  // -------------------------------------------------------------------------
+  // Collapsed: one handle per edge crossing the boundary
+  // -------------------------------------------------------------------------
+  const handles = (
+    <>
+      {ports.inputs.map((port, index) => (
+        <Handle
+          key={port.id}
+          type="target"
+          position={Position.Left}
+          id={port.id}
+          style={{ ...handleStyle, top: portTop(index, ports.inputs.length), left: -4 }}
+        >
+          <span style={{ ...labelStyle, left: 10 }}>{port.label}</span>
+        </Handle>
+      ))}
+      {ports.outputs.map((port, index) => (
+        <Handle
+          key={port.id}
+          type="source"
+          position={Position.Right}
+          id={port.id}
+          style={{ ...handleStyle, top: portTop(index, ports.outputs.length), right: -4 }}
+        >
+          <span style={{ ...labelStyle, right: 10 }}>{port.label}</span>
+        </Handle>
+      ))}
+    </>
+  );
+
+  return (
+    <BaseNode id={id} title={label} handles={handles}>
+      {/* -----------------------------------------------------------------
+                Description
+               ----------------------------------------------------------------- */}
+      <div
+        style={{
+          padding: "8px 10px",
+          background: "#f8fafc",
+          borderRadius: 4,
+          marginBottom: 10,
+        }}
+      >
+        <div
+          style={{
+            fontSize: 12,
+            color: "#64748b",
+            lineHeight: 1.4,
+          }}
+        >
+          {members.length} grouped nodes: {members.map((node) => node.id).join(", ")}
+        </div>
+      </div>
+
+      <div style={{ padding: "0 40px" }}>
+        {/* ---------------------------------------------------------------
+                  Name
+                 --------------------------------------------------------------- */}
+        <div style={{ marginBottom: 10 }}>
+          <FieldLabel label="Name" kind="Text" />
+          <input
+            type="text"
+            style={fieldStyle}
+            value={label}
+            onChange={(e) => setField("label", e.target.value)}
+          />
+        </div>
+
+        {actions}
+      </div>
+    </BaseNode>
+  );
+};
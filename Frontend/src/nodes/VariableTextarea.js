@@ -0,0 +1,190 @@
+// VariableTextarea.js
+// -----------------------------------------------------------------------------
+// Textarea with `{{` autocomplete, used for TextNode and LLMNode prompts.
+//
+// Typing `{{` opens a dropdown of the values upstream nodes can provide
+// (see engine/variables.js). Choosing one inserts `{{name}}` and, when the
+// node turns variables into handles (`connectVariables`), wires an edge
+// from that source to the new handle.
+//
+// Keys: ↑ / ↓ move, Enter / Tab insert, Esc closes.
+// -----------------------------------------------------------------------------
+
+import { useMemo, useRef, useState } from "react";
+import { useDispatch, useSelector, shallowEqual } from "react-redux";
+import { onConnect } from "../store/nodesSlice";
+import { getVariableSuggestions } from "../engine/variables";
+
+const MAX_SUGGESTIONS = 8;
+
+// The partially typed name right after an open `{{`, if the caret is there
+const findTrigger = (text, caret) => {
+  const match = text.slice(0, caret).match(/\{\{\s*([\w$]*)$/);
+  return match ? { query: match[1], start: caret - match[1].length } : null;
+};
+
+export const VariableTextarea = ({
+  nodeId,
+  value,
+  onChange,
+  connectVariables = false,
+  style,
+  ...props
+}) => {
+  const dispatch = useDispatch();
+  const textareaRef = useRef(null);
+
+  // Open dropdown: `{ query, start, active }`
+  const [menu, setMenu] = useState(null);
+
+  const nodes = useSelector((state) => state.nodes.nodes, shallowEqual);
+  const edges = useSelector((state) => state.nodes.edges, shallowEqual);
+
+  const suggestions = useMemo(() => {
+    if (!menu) return [];
+    const query = menu.query.toLowerCase();
+    return getVariableSuggestions(nodeId, nodes, edges)
+      .filter(
+        (item) =>
+          item.name.toLowerCase().includes(query) || item.label.toLowerCase().includes(query)
+      )
+      .slice(0, MAX_SUGGESTIONS);
+  }, [menu, nodeId, nodes, edges]);
+
+  const updateMenu = (text, caret) => {
+    const trigger = findTrigger(text, caret);
+    setMenu(trigger && { ...trigger, active: 0 });
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateMenu(e.target.value, e.target.selectionStart);
+  };
+
+  // -------------------------------------------------------------------------
+  // Insert the chosen reference (closing `}}` only if not already typed)
+  // and wire its source in
+  // -------------------------------------------------------------------------
+  const choose = (suggestion) => {
+    const caret = textareaRef.current.selectionStart;
+    const after = value.slice(caret);
+    const closing = /^\s*\}\}/.test(after) ? "" : "}}";
+    const inserted = `${suggestion.name}${closing}`;
+
+    onChange(`${value.slice(0, menu.start)}${inserted}${after}`);
+    setMenu(null);
+
+    if (connectVariables && !suggestion.connected) {
+      dispatch(
+        onConnect({
+          source: suggestion.source,
+          sourceHandle: suggestion.sourceHandle,
+          target: nodeId,
+          targetHandle: `${nodeId}-${suggestion.name}`,
+        })
+      );
+    }
+
+    const position = menu.start + inserted.length;
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!menu) return;
+    if (e.key === "Escape") {
+      setMenu(null);
+      return;
+    }
+    if (suggestions.length === 0) return;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setMenu({
+        ...menu,
+        active: (menu.active + step + suggestions.length) % suggestions.length,
+      });
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      choose(suggestions[Math.min(menu.active, suggestions.length - 1)]);
+    }
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <textarea
+        {...props}
+        ref={textareaRef}
+        value={value}
+        style={style}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateMenu(value, e.target.selectionStart)}
+        onBlur={() => setMenu(null)}
+      />
+
+      {/* -----------------------------------------------------------------
+                Suggestions
+                - Sources already wired into this node come first
+               ----------------------------------------------------------------- */}
+      {menu && (
+        <div
+          className="nowheel"
+          style={{
+            position: "absolute",
+            left: 0,
+            right: 0,
+            top: "100%",
+            marginTop: -6,
+            zIndex: 20,
+            background: "#fff",
+            border: "1px solid #e2e8f0",
+            borderRadius: 6,
+            boxShadow: "0 4px 12px rgba(0,0,0,0.1)",
+            maxHeight: 180,
+            overflowY: "auto",
+            fontSize: 12,
+          }}
+        >
+          {suggestions.length === 0 && (
+            <div style={{ padding: "6px 10px", color: "#94a3b8" }}>
+              No upstream values{menu.query && ` matching "${menu.query}"`}
+            </div>
+          )}
+          {suggestions.map((suggestion, index) => (
+            <div
+              key={suggestion.sourceHandle}
+              // Keep focus in the textarea so the caret position survives
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(suggestion);
+              }}
+              onMouseEnter={() => setMenu({ ...menu, active: index })}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                gap: 8,
+                padding: "6px 10px",
+                cursor: "pointer",
+                background: index === menu.active ? "#eef2ff" : "#fff",
+              }}
+            >
+              <span style={{ fontFamily: "monospace", color: "#1e293b" }}>
+                {suggestion.name}
+              </span>
+              <span style={{ color: suggestion.connected ? "#6366f1" : "#64748b" }}>
+                {suggestion.connected ? "● " : ""}
+                {suggestion.label}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
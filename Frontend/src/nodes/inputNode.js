@@ -1,7 +1,8 @@
 // inputNode.js
 // -----------------------------------------------------------------------------
 // InputNode represents an entry point into the pipeline.
-// It allows users to inject data (Text / File) into the workflow.
+// It allows users to inject typed data (Text, Number, Boolean, JSON, Array,
+// File) into the workflow; the value is parsed as that type when it runs.
 //
 // Key concepts demonstrated:
 // - Redux as the single source of truth for node data
@@ -13,7 +14,12 @@
 import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
 import { updateNodeField } from "../store/nodesSlice";
+import { PORT_TYPES } from "../engine/portTypes";
+
+// Every port type except `Any`: an input always knows what it provides
+const INPUT_TYPES = Object.keys(PORT_TYPES).filter((type) => type !== "Any");
 
 export const InputNode = ({ id }) => {
   // ---------------------------------------------------------------------------
@@ -26,6 +32,7 @@ export const InputNode = ({ id }) => {
   const nodeData = useSelector(
     (state) => state.nodes.nodes.find((node) => node.id === id)?.data
   );
+  const portColor = usePortColor(id);
 
   // ---------------------------------------------------------------------------
   // Derived values from Redux state
@@ -37,6 +44,8 @@ export const InputNode = ({ id }) => {
 
   const inputType = nodeData?.inputType || "Text";
 
+  const value = nodeData?.value || "";
+
   // ---------------------------------------------------------------------------
   // Handlers
   // - Dispatch updates directly to Redux
@@ -62,6 +71,16 @@ export const InputNode = ({ id }) => {
     );
   };
 
+  const handleValueChange = (e) => {
+    dispatch(
+      updateNodeField({
+        id,
+        field: "value",
+        value: e.target.value,
+      })
+    );
+  };
+
   // ---------------------------------------------------------------------------
   // React Flow Handle
   // - Source handle emits data from this input node
@@ -76,7 +95,7 @@ export const InputNode = ({ id }) => {
         width: 8,
         height: 8,
         background: "#fff",
-        border: "2px solid #6366f1",
+        border: `2px solid ${portColor("value", "source")}`,
         borderRadius: "50%",
         right: -4,
       }}
@@ -199,9 +218,42 @@ export const InputNode = ({ id }) => {
         value={inputType}
         onChange={handleTypeChange}
       >
-        <option value="Text">Text</option>
-        <option value="File">File</option>
+        {INPUT_TYPES.map((type) => (
+          <option key={type} value={type}>
+            {type}
+          </option>
+        ))}
       </select>
+
+      {/* ---------------------------------------------------------------------
+          Run Value
+          - Value emitted by this node when the pipeline runs in the browser
+         --------------------------------------------------------------------- */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 4,
+        }}
+      >
+        <span style={{ fontSize: 12, color: "#64748b" }}>Value ⓘ</span>
+        <span style={{ fontSize: 11, color: "#6366f1" }}>{inputType}</span>
+      </div>
+
+      <textarea
+        value={value}
+        onChange={handleValueChange}
+        placeholder="Value used when running the pipeline"
+        style={{
+          width: "100%",
+          minHeight: 40,
+          boxSizing: "border-box",
+          padding: 8,
+          borderRadius: 4,
+          border: "1px solid #e2e8f0",
+        }}
+      />
     </BaseNode>
   );
 };
@@ -2,14 +2,46 @@
 // -----------------------------------------------------------------------------
 // LLMNode represents an AI processing unit in the pipeline.
 // Redux is used as the single source of truth for prompts and model selection.
+// Available models come from the configured LLM providers.
+// Prompts offer `{{` autocomplete of upstream values (VariableTextarea), and
+// every variable they use gets its own labelled target handle.
 // -----------------------------------------------------------------------------
 
+import { useMemo } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
+import { VariableTextarea } from "./VariableTextarea";
 import { updateNodeField } from "../store/nodesSlice";
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  getModelOptions,
+  parseModelOption,
+  resolveProvider,
+} from "../engine/llmProviders";
+import { extractTemplateVariables } from "../engine/template";
 import llmIcon from "../assets/llm-icon.png";
 
+const handleStyle = {
+  width: 8,
+  height: 8,
+  background: "#fff",
+  border: "2px solid #6366f1",
+  borderRadius: "50%",
+};
+
+// Variable name drawn just outside the card, so it never covers the prompts
+const handleLabelStyle = {
+  position: "absolute",
+  right: 12,
+  top: -5,
+  fontSize: 10,
+  color: "#64748b",
+  whiteSpace: "nowrap",
+  pointerEvents: "none",
+};
+
 export const LLMNode = ({ id }) => {
   const dispatch = useDispatch();
 
@@ -19,77 +51,95 @@ export const LLMNode = ({ id }) => {
   const nodeData = useSelector(
     (state) => state.nodes.nodes.find((node) => node.id === id)?.data
   );
+  const portColor = usePortColor(id);
+
+  const providers = useSelector((state) => state.llmProviders.providers);
 
-  const systemPrompt =
-    nodeData?.systemPrompt ||
-    "Answer the Question based on Context in a professional manner.";
+  const systemPrompt = nodeData?.systemPrompt || DEFAULT_SYSTEM_PROMPT;
 
   const userPrompt = nodeData?.userPrompt || "";
   const model = nodeData?.model || "gpt-4";
 
+  // Model dropdown is filled from whichever providers are configured
+  const modelOptions = useMemo(() => getModelOptions(providers), [providers]);
+  const provider = resolveProvider(providers, {
+    provider: nodeData?.provider,
+    model,
+  });
+  const selectedOption = provider ? `${provider.id}/${model}` : "";
+
+  // Variables from both prompts (same extraction as TextNode), after `input`
+  const targetHandles = useMemo(
+    () =>
+      Array.from(
+        new Set([
+          "input",
+          ...extractTemplateVariables(systemPrompt),
+          ...extractTemplateVariables(userPrompt),
+        ])
+      ),
+    [systemPrompt, userPrompt]
+  );
+
   // ---------------------------------------------------------------------------
   // Handlers → dispatch updates to Redux
   // ---------------------------------------------------------------------------
-  const handleSystemPromptChange = (e) => {
+  const handleSystemPromptChange = (value) => {
     dispatch(
       updateNodeField({
         id,
         field: "systemPrompt",
-        value: e.target.value,
+        value,
       })
     );
   };
 
-  const handleUserPromptChange = (e) => {
+  const handleUserPromptChange = (value) => {
     dispatch(
       updateNodeField({
         id,
         field: "userPrompt",
-        value: e.target.value,
+        value,
       })
     );
   };
 
+  // The selected option carries both the provider and the model name
   const handleModelChange = (e) => {
-    dispatch(
-      updateNodeField({
-        id,
-        field: "model",
-        value: e.target.value,
-      })
-    );
+    const { provider, model } = parseModelOption(e.target.value);
+    dispatch(updateNodeField({ id, field: "provider", value: provider }));
+    dispatch(updateNodeField({ id, field: "model", value: model }));
   };
 
   // ---------------------------------------------------------------------------
   // React Flow Handles
+  // - `input` (the value sent when there is no user prompt) plus one target
+  //   handle per variable used in either prompt, each labelled
+  // - Source handle (right): the model's answer
   // ---------------------------------------------------------------------------
   const handles = (
     <>
-      <Handle
-        type="target"
-        position={Position.Left}
-        id={`${id}-input`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          left: -4,
-        }}
-      />
+      {targetHandles.map((name, index) => (
+        <Handle
+          key={`${id}-${name}`}
+          type="target"
+          position={Position.Left}
+          id={`${id}-${name}`}
+          style={{
+            ...handleStyle,
+            borderColor: portColor(name, "target"),
+            top: `${((index + 1) / (targetHandles.length + 1)) * 100}%`,
+            left: -4,
+          }}
+        >
+          <span style={handleLabelStyle}>{name}</span>
+        </Handle>
+      ))}
       <Handle
         type="source"
         position={Position.Right}
         id={`${id}-output`}
-        style={{
-          width: 8,
-          height: 8,
-          background: "#fff",
-          border: "2px solid #6366f1",
-          borderRadius: "50%",
-          right: -4,
-        }}
+        style={{ ...handleStyle, borderColor: portColor("output", "source"), right: -4 }}
       />
     </>
   );
@@ -111,7 +161,9 @@ export const LLMNode = ({ id }) => {
       </div>
 
       {/* System Prompt */}
-      <textarea
+      <VariableTextarea
+        nodeId={id}
+        connectVariables
         value={systemPrompt}
         onChange={handleSystemPromptChange}
         placeholder="System instructions"
@@ -127,7 +179,9 @@ export const LLMNode = ({ id }) => {
       />
 
       {/* User Prompt */}
-      <textarea
+      <VariableTextarea
+        nodeId={id}
+        connectVariables
         value={userPrompt}
         onChange={handleUserPromptChange}
         placeholder='Type "{{" to use variables'
@@ -143,10 +197,23 @@ export const LLMNode = ({ id }) => {
       />
 
       {/* Model Selection */}
-      <select value={model} onChange={handleModelChange}>
-        <option value="gpt-4">gpt-4</option>
-        <option value="gpt-3.5-turbo">gpt-3.5-turbo</option>
-        <option value="gpt-4-turbo">gpt-4-turbo</option>
+      <select value={selectedOption} onChange={handleModelChange}>
+        {!provider && (
+          <option value="" disabled>
+            {model} (no provider configured)
+          </option>
+        )}
+        {providers.map((p) => (
+          <optgroup key={p.id} label={p.name}>
+            {modelOptions
+              .filter((option) => option.providerId === p.id)
+              .map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+          </optgroup>
+        ))}
       </select>
     </BaseNode>
   );
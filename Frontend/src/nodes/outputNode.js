@@ -13,7 +13,10 @@
 import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
+import { usePortColor } from "./usePortColor";
 import { updateNodeField } from "../store/nodesSlice";
+import { StreamingText } from "./NodeRunStatus";
+import { PORT_TYPES } from "../engine/portTypes";
 
 export const OutputNode = ({ id }) => {
   // ---------------------------------------------------------------------------
@@ -24,6 +27,7 @@ export const OutputNode = ({ id }) => {
   const nodeData = useSelector(
     (state) => state.nodes.nodes.find((node) => node.id === id)?.data
   );
+  const portColor = usePortColor(id);
 
   // ---------------------------------------------------------------------------
   // Derived values from Redux state
@@ -34,6 +38,17 @@ export const OutputNode = ({ id }) => {
 
   const outputType = nodeData?.outputType || "Text";
 
+  // ---------------------------------------------------------------------------
+  // Live preview
+  // While a directly connected upstream node streams (e.g. an LLM), show its
+  // partial text here before the final value arrives
+  // ---------------------------------------------------------------------------
+  const liveText = useSelector((state) => {
+    const edge = state.nodes.edges.find((e) => e.target === id);
+    const upstream = edge && state.run.results[edge.source];
+    return upstream?.status === "running" ? upstream.partial : undefined;
+  });
+
   // ---------------------------------------------------------------------------
   // Handlers
   // - Dispatch updates directly to Redux
@@ -72,7 +87,7 @@ export const OutputNode = ({ id }) => {
         width: 8,
         height: 8,
         background: "#fff",
-        border: "2px solid #6366f1",
+        border: `2px solid ${portColor("value", "target")}`,
         borderRadius: "50%",
         left: -4,
       }}
@@ -142,6 +157,8 @@ export const OutputNode = ({ id }) => {
       {/* ---------------------------------------------------------------------
           Output Type Selection
           - Stored in Redux for downstream consumers
+          - Number / Boolean / JSON / Array values arriving at a Text output
+            are converted to text (see engine/portTypes.js)
          --------------------------------------------------------------------- */}
       <div
         style={{
@@ -171,9 +188,31 @@ export const OutputNode = ({ id }) => {
         value={outputType}
         onChange={handleTypeChange}
       >
-        <option value="Text">Text</option>
-        <option value="File">File</option>
+        {Object.keys(PORT_TYPES).map((type) => (
+          <option key={type} value={type}>
+            {type}
+          </option>
+        ))}
       </select>
+
+      {/* ---------------------------------------------------------------------
+          Streaming Preview
+         --------------------------------------------------------------------- */}
+      {liveText !== undefined && (
+        <div
+          style={{
+            padding: "8px 10px",
+            background: "#f5f3ff",
+            border: "1px solid #c7d2fe",
+            borderRadius: 4,
+          }}
+        >
+          <span style={{ fontSize: 11, color: "#4338ca", fontWeight: 600 }}>
+            Receiving…
+          </span>
+          <StreamingText text={liveText} />
+        </div>
+      )}
     </BaseNode>
   );
 };
@@ -1,13 +1,44 @@
 // textNode.js
 // -----------------------------------------------------------------------------
 // TextNode with Redux-backed text state and dynamic variable handles
+//
+// The text is a template (see engine/template.js): `{{user.email}}`,
+// `{{name | upper}}`, `{{#if}}` / `{{#each}}` blocks. Every root variable
+// gets its own target handle. The preview renders the template with sample
+// values: pasted JSON, or the inputs this node received in the last run.
+// Typing `{{` offers the values upstream nodes provide (VariableTextarea).
 // -----------------------------------------------------------------------------
 
-import { useMemo } from "react";
+import { useMemo, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { Handle, Position } from "reactflow";
 import { BaseNode } from "./BaseNode";
 import { updateNodeField } from "../store/nodesSlice";
+import { VariableTextarea } from "./VariableTextarea";
+import { usePortColor } from "./usePortColor";
+import { extractTemplateVariables, findTemplateProblems, renderTemplate } from "../engine/template";
+
+const linkStyle = { fontSize: 12, color: "#6366f1", cursor: "pointer" };
+
+// -----------------------------------------------------------------------------
+// Preview
+// -----------------------------------------------------------------------------
+const previewTemplate = (text, sampleText, lastInputs) => {
+  let values = lastInputs;
+  if (sampleText.trim()) {
+    try {
+      values = JSON.parse(sampleText);
+    } catch (error) {
+      return { error: "Sample is not valid JSON" };
+    }
+  }
+
+  try {
+    return { output: renderTemplate(text, values || {}) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
 
 export const TextNode = ({ id }) => {
   const dispatch = useDispatch();
@@ -15,34 +46,44 @@ export const TextNode = ({ id }) => {
   const nodeData = useSelector(
     (state) => state.nodes.nodes.find((node) => node.id === id)?.data
   );
+  const lastInputs = useSelector((state) => state.run.results[id]?.inputs);
+  const portColor = usePortColor(id);
 
   const text = nodeData?.text || "";
+  const sample = nodeData?.sample || "";
+
+  // Local UI-only state
+  const [isPreviewOpen, setIsPreviewOpen] = useState(false);
 
   // ---------------------------------------------------------------------------
-  // Extract variables using {{variableName}} syntax
+  // Extract root variables from the template's tags
   // ---------------------------------------------------------------------------
-  const variables = useMemo(() => {
-    const regex = /\{\{\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\}\}/g;
-    const found = new Set();
-    let match;
+  // (shared with the execution engine so handle names always line up)
+  const variables = useMemo(() => extractTemplateVariables(text), [text]);
 
-    while ((match = regex.exec(text))) {
-      found.add(match[1]);
-    }
+  // Tags kept as plain text (unknown filter, unclosed block, …), shown
+  // under the text
+  const templateProblems = useMemo(() => findTemplateProblems(text), [text]);
 
-    return Array.from(found);
-  }, [text]);
+  const preview = useMemo(
+    () => (isPreviewOpen ? previewTemplate(text, sample, lastInputs) : null),
+    [isPreviewOpen, text, sample, lastInputs]
+  );
 
-  const handleTextChange = (e) => {
+  const handleTextChange = (value) => {
     dispatch(
       updateNodeField({
         id,
         field: "text",
-        value: e.target.value,
+        value,
       })
     );
   };
 
+  const handleSampleChange = (e) => {
+    dispatch(updateNodeField({ id, field: "sample", value: e.target.value }));
+  };
+
   const handles = (
     <>
       {variables.map((varName, index) => (
@@ -55,7 +96,7 @@ export const TextNode = ({ id }) => {
             top: `${30 + index * 25}%`,
             width: 8,
             height: 8,
-            border: "2px solid #6366f1",
+            border: `2px solid ${portColor(varName, "target")}`,
             borderRadius: "50%",
             left: -4,
           }}
@@ -69,7 +110,7 @@ export const TextNode = ({ id }) => {
         style={{
           width: 8,
           height: 8,
-          border: "2px solid #6366f1",
+          border: `2px solid ${portColor("output", "source")}`,
           borderRadius: "50%",
           right: -4,
         }}
@@ -79,18 +120,83 @@ export const TextNode = ({ id }) => {
 
   return (
     <BaseNode id={id} title="Text" handles={handles}>
-      <textarea
+      <VariableTextarea
+        nodeId={id}
+        connectVariables
         value={text}
         onChange={handleTextChange}
-        placeholder="Use {{variableName}} to create input handles"
-        style={{ width: "100%", minHeight: 80 }}
+        placeholder='Type "{{" to insert an upstream value'
+        style={{
+          width: "100%",
+          minHeight: 80,
+          borderColor: templateProblems.length > 0 ? "#f59e0b" : undefined,
+        }}
       />
 
+      {templateProblems.map((problem, index) => (
+        <div key={index} style={{ marginTop: 4, fontSize: 11, color: "#b45309" }}>
+          Shown as text: {problem}
+        </div>
+      ))}
+
       {variables.length > 0 && (
         <div style={{ marginTop: 8, fontSize: 11 }}>
           <strong>Variables:</strong> {variables.join(", ")}
         </div>
       )}
+
+      {/* -----------------------------------------------------------------
+                Preview
+                - The rendered text for sample values
+               ----------------------------------------------------------------- */}
+      <div
+        style={{ marginTop: 8, paddingTop: 8, borderTop: "1px solid #e2e8f0", fontSize: 12 }}
+      >
+        <span style={linkStyle} onClick={() => setIsPreviewOpen((open) => !open)}>
+          {isPreviewOpen ? "▾" : "▸"} Preview
+        </span>
+
+        {isPreviewOpen && (
+          <>
+            <textarea
+              value={sample}
+              onChange={handleSampleChange}
+              placeholder={
+                lastInputs === undefined
+                  ? 'Sample values, e.g. {"name": "Ada", "items": ["a", "b"]}'
+                  : "Using the last run's inputs; paste JSON to override"
+              }
+              style={{
+                width: "100%",
+                minHeight: 50,
+                marginTop: 6,
+                fontFamily: "monospace",
+                fontSize: 11,
+                boxSizing: "border-box",
+              }}
+            />
+            {preview && (
+              <div
+                style={{
+                  marginTop: 4,
+                  padding: "6px 8px",
+                  background: "#f8fafc",
+                  borderRadius: 4,
+                  maxHeight: 120,
+                  overflowY: "auto",
+                  fontSize: 11,
+                  fontFamily: "monospace",
+                  whiteSpace: "pre-wrap",
+                  wordBreak: "break-word",
+                  color: preview.error ? "#ef4444" : "#1e293b",
+                }}
+              >
+                {preview.error || preview.output || "(empty)"}
+              </div>
+            )}
+          </>
+        )}
+      </div>
     </BaseNode>
   );
 };
@@ -0,0 +1,25 @@
+// usePortColor.js
+// -----------------------------------------------------------------------------
+// Handle colours by data type (see engine/portTypes.js).
+//
+// Returns `(name, kind) => color` for the node's handles, `kind` being
+// "target" or "source". The selector hands back a flat map of types, so the
+// node only re-renders when one of its handle types actually changes.
+// -----------------------------------------------------------------------------
+
+import { useSelector, shallowEqual } from "react-redux";
+import { getPortTypes, PORT_TYPES } from "../engine/portTypes";
+
+export const usePortColor = (id) => {
+  const types = useSelector((state) => {
+    const { nodes, edges } = state.nodes;
+    const node = nodes.find((item) => item.id === id);
+    return node ? getPortTypes(node, nodes, edges) : {};
+  }, shallowEqual);
+
+  return (name, kind) => {
+    const prefix = kind === "target" ? "in" : "out";
+    const type = types[`${prefix}:${name}`] ?? types[`${prefix}:*`] ?? "Any";
+    return PORT_TYPES[type].color;
+  };
+};
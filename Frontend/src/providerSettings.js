@@ -0,0 +1,137 @@
+// providerSettings.js
+// -----------------------------------------------------------------------------
+// Modal for configuring the LLM providers used by LLM nodes.
+// Purpose:
+// - Edits OpenAI-compatible endpoints (name, base URL, API key, model list).
+// - Keeps the offline mock provider available for tests and demos.
+// - Changes flow straight into every LLMNode's model dropdown.
+// -----------------------------------------------------------------------------
+
+import { useDispatch, useSelector } from "react-redux";
+import {
+  addProvider,
+  updateProvider,
+  removeProvider,
+} from "./store/llmProvidersSlice";
+import { MOCK_PROVIDER } from "./engine/llmProviders";
+
+const fieldStyle = {
+  width: "100%",
+  padding: "6px 8px",
+  borderRadius: 4,
+  border: "1px solid #e2e8f0",
+  fontSize: 13,
+  boxSizing: "border-box",
+};
+
+const labelStyle = { fontSize: 12, color: "#64748b" };
+
+/**
+ * ProviderSettings Component
+ * Rendered by PipelineUI when the Providers header button is clicked.
+ */
+export const ProviderSettings = ({ onClose }) => {
+  const dispatch = useDispatch();
+  const providers = useSelector((state) => state.llmProviders.providers);
+
+  const handleChange = (id, field, value) => {
+    dispatch(updateProvider({ id, changes: { [field]: value } }));
+  };
+
+  // Models are edited as a comma-separated list
+  const handleModelsChange = (id, value) => {
+    const models = value
+      .split(",")
+      .map((model) => model.trim())
+      .filter(Boolean);
+    dispatch(updateProvider({ id, changes: { models } }));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <span>LLM Providers</span>
+          <span onClick={onClose} style={{ cursor: "pointer", fontSize: 18 }}>✕</span>
+        </div>
+
+        <div className="modal-body">
+          {providers.map((provider) => {
+            const isMock = provider.id === MOCK_PROVIDER.id;
+
+            return (
+              <div key={provider.id} className="modal-option-card" style={{ cursor: "default" }}>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                  <div className="modal-option-title">{provider.name}</div>
+                  {!isMock && (
+                    <span
+                      style={{ fontSize: 12, color: "#ef4444", cursor: "pointer" }}
+                      onClick={() => dispatch(removeProvider(provider.id))}
+                    >
+                      Remove
+                    </span>
+                  )}
+                </div>
+
+                {isMock ? (
+                  <div className="modal-option-desc">
+                    Deterministic offline responses ({provider.models.join(", ")}).
+                    Use it for tests and demos without network access.
+                  </div>
+                ) : (
+                  <>
+                    <label style={labelStyle}>Name</label>
+                    <input
+                      style={fieldStyle}
+                      value={provider.name}
+                      onChange={(e) => handleChange(provider.id, "name", e.target.value)}
+                    />
+
+                    <label style={labelStyle}>Base URL (OpenAI-compatible)</label>
+                    <input
+                      style={fieldStyle}
+                      value={provider.baseUrl}
+                      placeholder="https://api.openai.com/v1"
+                      onChange={(e) => handleChange(provider.id, "baseUrl", e.target.value)}
+                    />
+
+                    <label style={labelStyle}>API Key</label>
+                    <input
+                      type="password"
+                      style={fieldStyle}
+                      value={provider.apiKey}
+                      placeholder="Stored in this browser only"
+                      onChange={(e) => handleChange(provider.id, "apiKey", e.target.value)}
+                    />
+
+                    <label style={labelStyle}>Models (comma-separated)</label>
+                    <input
+                      style={fieldStyle}
+                      defaultValue={provider.models.join(", ")}
+                      onBlur={(e) => handleModelsChange(provider.id, e.target.value)}
+                    />
+                  </>
+                )}
+              </div>
+            );
+          })}
+
+          <button
+            onClick={() => dispatch(addProvider({ name: "Custom Provider" }))}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 6,
+              border: "1px dashed #6366f1",
+              background: "#fff",
+              color: "#6366f1",
+              fontSize: 13,
+              cursor: "pointer",
+            }}
+          >
+            + Add OpenAI-compatible Provider
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
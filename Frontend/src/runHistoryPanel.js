@@ -0,0 +1,187 @@
+// runHistoryPanel.js
+// -----------------------------------------------------------------------------
+// Side panel listing past pipeline runs.
+// Purpose:
+// - Shows each run's time, status, duration and per-node results.
+// - Clicking a run replays its recorded values onto the canvas, so a flow
+//   does not have to be re-run just to see what happened last time.
+// -----------------------------------------------------------------------------
+
+import { useDispatch, useSelector } from "react-redux";
+import { replayRun, clearRunResults } from "./store/runSlice";
+import { clearRunHistory, deleteRunRecord } from "./store/runHistorySlice";
+import { stringifyValue } from "./engine/template";
+
+const STATUS_COLORS = {
+  completed: "#16a34a",
+  failed: "#ef4444",
+  cancelled: "#94a3b8",
+  success: "#16a34a",
+  error: "#ef4444",
+  skipped: "#94a3b8",
+};
+
+/**
+ * RunHistoryPanel Component
+ * Rendered by PipelineUI below the header when the History toggle is on.
+ */
+export const RunHistoryPanel = ({ top, onClose }) => {
+  const dispatch = useDispatch();
+  const runs = useSelector((state) => state.runHistory.runs);
+  const replayRunId = useSelector((state) => state.run.replayRunId);
+
+  /**
+   * handleSelectRun
+   * Toggles the replay of a run on the canvas.
+   */
+  const handleSelectRun = (run) => {
+    if (run.id === replayRunId) {
+      dispatch(clearRunResults());
+    } else {
+      dispatch(replayRun(run));
+    }
+  };
+
+  const handleDeleteRun = (e, run) => {
+    e.stopPropagation();
+    if (run.id === replayRunId) {
+      dispatch(clearRunResults());
+    }
+    dispatch(deleteRunRecord(run.id));
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top,
+        right: 20,
+        bottom: 20,
+        width: 320,
+        zIndex: 1100,
+        background: "#fff",
+        border: "1px solid #e2e8f0",
+        borderRadius: 12,
+        boxShadow: "0 12px 24px -6px rgba(0,0,0,0.15)",
+        display: "flex",
+        flexDirection: "column",
+        overflow: "hidden",
+      }}
+    >
+      {/* Panel Header */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          padding: "12px 16px",
+          borderBottom: "1px solid #e2e8f0",
+          fontWeight: 600,
+          fontSize: 14,
+          color: "#1e293b",
+        }}
+      >
+        <span>Run History</span>
+        <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+          {runs.length > 0 && (
+            <span
+              style={{ fontSize: 12, color: "#ef4444", cursor: "pointer", fontWeight: 500 }}
+              onClick={() => {
+                dispatch(clearRunResults());
+                dispatch(clearRunHistory());
+              }}
+            >
+              Clear
+            </span>
+          )}
+          <span onClick={onClose} style={{ cursor: "pointer", fontSize: 16 }}>
+            ✕
+          </span>
+        </div>
+      </div>
+
+      {/* Run List */}
+      <div style={{ overflowY: "auto", padding: 12, display: "flex", flexDirection: "column", gap: 8 }}>
+        {runs.length === 0 && (
+          <div style={{ fontSize: 12, color: "#94a3b8", padding: 8 }}>
+            No runs yet. Use ▶ Run to execute the pipeline.
+          </div>
+        )}
+
+        {runs.map((run) => {
+          const isSelected = run.id === replayRunId;
+          const nodeResults = Object.entries(run.results);
+
+          return (
+            <div
+              key={run.id}
+              onClick={() => handleSelectRun(run)}
+              style={{
+                border: `1px solid ${isSelected ? "#6366f1" : "#e2e8f0"}`,
+                background: isSelected ? "#eef2ff" : "#fff",
+                borderRadius: 8,
+                padding: "8px 10px",
+                cursor: "pointer",
+                fontSize: 12,
+              }}
+            >
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <span style={{ fontWeight: 600, color: "#1e293b" }}>
+                  {new Date(run.startedAt).toLocaleString()}
+                </span>
+                <span
+                  title="Delete Run"
+                  style={{ color: "#94a3b8", cursor: "pointer" }}
+                  onClick={(e) => handleDeleteRun(e, run)}
+                >
+                  ×
+                </span>
+              </div>
+
+              <div style={{ display: "flex", gap: 8, marginTop: 4, color: "#64748b" }}>
+                <span style={{ color: STATUS_COLORS[run.status], fontWeight: 600, textTransform: "capitalize" }}>
+                  {run.status}
+                </span>
+                <span>{run.duration} ms</span>
+                <span>{run.pipeline.nodes.length} nodes</span>
+                <span title={run.pipeline.pipelineName}>{run.pipeline.pipelineName}</span>
+              </div>
+
+              {run.error && (
+                <div style={{ marginTop: 4, color: "#ef4444" }}>{run.error}</div>
+              )}
+
+              {/* Per-node breakdown for the replayed run */}
+              {isSelected && nodeResults.length > 0 && (
+                <table style={{ width: "100%", marginTop: 8, borderCollapse: "collapse", fontSize: 11 }}>
+                  <tbody>
+                    {nodeResults.map(([nodeId, result]) => (
+                      <tr key={nodeId} style={{ borderTop: "1px solid #e2e8f0" }}>
+                        <td style={{ padding: "4px 0", color: "#1e293b" }}>{nodeId}</td>
+                        <td style={{ color: STATUS_COLORS[result.status] }}>{result.status}</td>
+                        <td style={{ textAlign: "right", color: "#64748b" }}>{result.duration} ms</td>
+                        <td
+                          title={result.error || stringifyValue(result.outputs)}
+                          style={{
+                            maxWidth: 90,
+                            overflow: "hidden",
+                            textOverflow: "ellipsis",
+                            whiteSpace: "nowrap",
+                            paddingLeft: 6,
+                            color: result.error ? "#ef4444" : "#475569",
+                          }}
+                        >
+                          {result.error || stringifyValue(result.outputs)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,123 @@
+// src/store/analysisSlice.js
+// -----------------------------------------------------------------------------
+// Redux slice holding the latest backend analysis (`/pipelines/parse`):
+// counts, DAG status, the cycles, topological order, entry / exit nodes and
+// unreachable nodes. Shown by AnalysisReport; while the report is open the
+// canvas highlights the edges of every cycle.
+// A report describes the graph it was made for, so it is dropped (and a
+// pending one ignored) as soon as nodes or edges are added or removed.
+// Not persisted.
+// -----------------------------------------------------------------------------
+
+import { createSlice, createAsyncThunk, isAnyOf } from "@reduxjs/toolkit";
+import {
+  onNodesChange,
+  onEdgesChange,
+  addNode,
+  removeNode,
+  groupIntoSubflow,
+  ungroupSubflow,
+  renameHandle,
+  onConnect,
+  undo,
+  redo,
+  importPipeline,
+  clearCanvas,
+} from "./nodesSlice";
+
+const initialState = {
+  status: "idle", // 'idle' | 'loading' | 'done' | 'failed'
+  isOpen: false,
+  report: null,
+  error: null,
+  requestId: null, // the request whose answer is still wanted
+};
+
+// Edits that change the graph's structure; moving or selecting nodes doesn't
+const STRUCTURAL_CHANGES = new Set(["add", "remove", "reset"]);
+
+const changesGraph = isAnyOf(
+  addNode,
+  removeNode,
+  groupIntoSubflow,
+  ungroupSubflow,
+  renameHandle,
+  onConnect,
+  undo,
+  redo,
+  importPipeline,
+  clearCanvas
+);
+
+const changesStructure = (action) =>
+  isAnyOf(onNodesChange, onEdgesChange)(action) &&
+  action.payload.some((change) => STRUCTURAL_CHANGES.has(change.type));
+
+/**
+ * analyzePipeline
+ * Sends the current graph to the backend and stores its report.
+ */
+export const analyzePipeline = createAsyncThunk(
+  "analysis/analyzePipeline",
+  async (_, { getState }) => {
+    const { nodes, edges } = getState().nodes;
+
+    let response;
+    try {
+      response = await fetch("/pipelines/parse", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ nodes, edges }),
+      });
+    } catch (error) {
+      throw new Error(
+        "Could not connect to backend. Make sure it is running: cd backend && uvicorn main:app --reload"
+      );
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  }
+);
+
+const analysisSlice = createSlice({
+  name: "analysis",
+  initialState,
+  reducers: {
+    closeAnalysis: (state) => {
+      state.isOpen = false;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(analyzePipeline.pending, (state, action) => {
+        state.status = "loading";
+        state.isOpen = true;
+        state.error = null;
+        state.requestId = action.meta.requestId;
+      })
+      .addCase(analyzePipeline.fulfilled, (state, action) => {
+        if (action.meta.requestId !== state.requestId) return;
+        state.status = "done";
+        state.report = action.payload;
+        state.requestId = null;
+      })
+      .addCase(analyzePipeline.rejected, (state, action) => {
+        if (action.meta.requestId !== state.requestId) return;
+        state.status = "failed";
+        state.report = null;
+        state.error = action.error.message;
+        state.requestId = null;
+      })
+      .addMatcher(
+        (action) => changesGraph(action) || changesStructure(action),
+        () => initialState
+      );
+  },
+});
+
+export const { closeAnalysis } = analysisSlice.actions;
+
+export default analysisSlice.reducer;
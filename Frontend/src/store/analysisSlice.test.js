@@ -0,0 +1,41 @@
+import reducer, { analyzePipeline, closeAnalysis } from "./analysisSlice";
+import { onNodesChange, onEdgesChange, onConnect, undo, updateNodeField } from "./nodesSlice";
+
+const report = { is_dag: false, cycles: [{ nodes: ["a", "b"], edges: ["e1", "e2"] }] };
+
+const pending = (requestId) => analyzePipeline.pending(requestId, undefined);
+const fulfilled = (requestId) => analyzePipeline.fulfilled(report, requestId, undefined);
+
+const analyzed = () => [pending("r1"), fulfilled("r1")].reduce(reducer, undefined);
+
+describe("analysisSlice", () => {
+  test("opens with the report once the backend answers", () => {
+    expect(analyzed()).toMatchObject({ status: "done", isOpen: true, report });
+    expect(reducer(analyzed(), closeAnalysis())).toMatchObject({ isOpen: false, report });
+  });
+
+  test.each([
+    ["a connection", onConnect({ source: "a", target: "b" })],
+    ["removing a node", onNodesChange([{ type: "remove", id: "a" }])],
+    ["removing an edge", onEdgesChange([{ type: "remove", id: "e1" }])],
+    ["undo", undo()],
+  ])("drops the report and its cycle highlights after %s", (_, action) => {
+    expect(reducer(analyzed(), action)).toEqual(reducer(undefined, { type: "init" }));
+  });
+
+  test.each([
+    ["moving a node", onNodesChange([{ type: "position", id: "a", position: { x: 1, y: 1 } }])],
+    ["selecting an edge", onEdgesChange([{ type: "select", id: "e1", selected: true }])],
+    ["editing node data", updateNodeField({ id: "a", field: "text", value: "x" })],
+  ])("keeps the report when %s", (_, action) => {
+    expect(reducer(analyzed(), action).report).toBe(report);
+  });
+
+  test("ignores the answer for a graph that has changed since", () => {
+    const state = [pending("r1"), onConnect({ source: "a", target: "b" }), fulfilled("r1")].reduce(
+      reducer,
+      undefined
+    );
+    expect(state).toMatchObject({ status: "idle", report: null, isOpen: false });
+  });
+});
@@ -0,0 +1,60 @@
+// src/store/apiCredentialsSlice.js
+// -----------------------------------------------------------------------------
+// Redux slice holding the secret parts of API node authentication (bearer
+// token, basic auth password, API key value).
+// Nodes keep only `auth.credentialId` in their data and the API executor
+// looks the secrets up here (see engine/httpRequest.js). Persisted
+// separately from the graph so they never end up in Export JSON or in run
+// history snapshots (see store.js).
+// -----------------------------------------------------------------------------
+
+import { createSlice, nanoid } from "@reduxjs/toolkit";
+import { AUTH_SECRET_FIELDS } from "../engine/httpRequest";
+
+const initialState = {
+  credentials: {},
+};
+
+export const createCredentialId = () => `credential-${nanoid(6)}`;
+
+/**
+ * extractCredentials
+ * Moves secrets found in API node data (pipelines saved or exported before
+ * they were kept apart) into new credentials, ids from `idFor(node)`.
+ * Returns the cleaned nodes and the credentials to add, keyed by id.
+ */
+export const extractCredentials = (nodes, idFor = createCredentialId) => {
+  const credentials = {};
+  const cleaned = nodes.map((node) => {
+    const auth = node.data?.auth;
+    const secrets = AUTH_SECRET_FIELDS.filter((field) => auth?.[field] !== undefined);
+    if (secrets.length === 0) return node;
+
+    const id = auth.credentialId || idFor(node);
+    credentials[id] = Object.fromEntries(secrets.map((field) => [field, auth[field]]));
+    const rest = Object.fromEntries(
+      Object.entries(auth).filter(([field]) => !secrets.includes(field))
+    );
+    return { ...node, data: { ...node.data, auth: { ...rest, credentialId: id } } };
+  });
+  return { nodes: cleaned, credentials };
+};
+
+const apiCredentialsSlice = createSlice({
+  name: "apiCredentials",
+  initialState,
+  reducers: {
+    setCredentialField: (state, action) => {
+      const { id, field, value } = action.payload;
+      state.credentials[id] = { ...state.credentials[id], [field]: value };
+    },
+
+    credentialsAdded: (state, action) => {
+      Object.assign(state.credentials, action.payload);
+    },
+  },
+});
+
+export const { setCredentialField, credentialsAdded } = apiCredentialsSlice.actions;
+
+export default apiCredentialsSlice.reducer;
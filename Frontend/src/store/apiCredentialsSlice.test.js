@@ -0,0 +1,58 @@
+import reducer, {
+  extractCredentials,
+  setCredentialField,
+  credentialsAdded,
+} from "./apiCredentialsSlice";
+import { buildRequest, withCredentials } from "../engine/httpRequest";
+
+const apiNode = (id, auth) => ({ id, type: "api", data: { url: "https://example.com", auth } });
+
+describe("extractCredentials", () => {
+  test("moves secrets out of API node data", () => {
+    const { nodes, credentials } = extractCredentials(
+      [
+        apiNode("api-1", { type: "basic", username: "ada", password: "secret" }),
+        { id: "text-1", type: "text", data: { text: "hi" } },
+      ],
+      (node) => `credential-${node.id}`
+    );
+
+    expect(nodes[0].data.auth).toEqual({
+      type: "basic",
+      username: "ada",
+      credentialId: "credential-api-1",
+    });
+    expect(credentials).toEqual({ "credential-api-1": { password: "secret" } });
+    expect(JSON.stringify(nodes)).not.toContain("secret");
+  });
+
+  test("leaves nodes without secrets untouched", () => {
+    const nodes = [apiNode("api-1", { type: "bearer", credentialId: "credential-a" })];
+    expect(extractCredentials(nodes)).toEqual({ nodes, credentials: {} });
+  });
+});
+
+describe("apiCredentials reducer", () => {
+  test("sets fields and adds extracted credentials", () => {
+    let state = reducer(undefined, setCredentialField({ id: "c1", field: "token", value: "t" }));
+    state = reducer(state, setCredentialField({ id: "c1", field: "keyValue", value: "k" }));
+    state = reducer(state, credentialsAdded({ c2: { password: "p" } }));
+    expect(state.credentials).toEqual({
+      c1: { token: "t", keyValue: "k" },
+      c2: { password: "p" },
+    });
+  });
+});
+
+describe("withCredentials", () => {
+  test("fills the stored secrets into the request", () => {
+    const data = apiNode("api-1", { type: "bearer", credentialId: "c1" }).data;
+    const { init } = buildRequest(withCredentials(data, { c1: { token: "abc" } }));
+    expect(init.headers.Authorization).toBe("Bearer abc");
+  });
+
+  test("leaves data without a known credential as it is", () => {
+    const data = apiNode("api-1", { type: "bearer", credentialId: "gone" }).data;
+    expect(withCredentials(data, {})).toBe(data);
+  });
+});
@@ -0,0 +1,56 @@
+// src/store/llmProvidersSlice.js
+// -----------------------------------------------------------------------------
+// Redux slice holding the configured LLM providers.
+// LLMNode fills its model dropdown from here and the LLM executor resolves
+// the provider to call from it. Persisted separately from the graph so API
+// keys never end up in Export JSON (see store.js).
+// -----------------------------------------------------------------------------
+
+import { createSlice, nanoid } from "@reduxjs/toolkit";
+import { DEFAULT_PROVIDERS, MOCK_PROVIDER } from "../engine/llmProviders";
+
+const initialState = {
+  providers: DEFAULT_PROVIDERS,
+};
+
+const llmProvidersSlice = createSlice({
+  name: "llmProviders",
+  initialState,
+  reducers: {
+    addProvider: {
+      reducer: (state, action) => {
+        state.providers.push(action.payload);
+      },
+      prepare: (provider) => ({
+        payload: {
+          kind: "openai",
+          name: "Custom Provider",
+          baseUrl: "",
+          apiKey: "",
+          models: [],
+          ...provider,
+          id: `provider-${nanoid(6)}`,
+        },
+      }),
+    },
+
+    updateProvider: (state, action) => {
+      const { id, changes } = action.payload;
+      const provider = state.providers.find((p) => p.id === id);
+      if (provider) {
+        Object.assign(provider, changes);
+      }
+    },
+
+    // The offline mock is always available
+    removeProvider: (state, action) => {
+      if (action.payload === MOCK_PROVIDER.id) return;
+      state.providers = state.providers.filter((p) => p.id !== action.payload);
+    },
+  },
+});
+
+export const { addProvider, updateProvider, removeProvider } =
+  llmProvidersSlice.actions;
+
+export default llmProvidersSlice.reducer;
@@ -4,13 +4,21 @@
 // Acts as the single source of truth for graph structure and node configuration
 // -----------------------------------------------------------------------------
 
-import { createSlice } from "@reduxjs/toolkit";
+import { createSlice, createSelector } from "@reduxjs/toolkit";
 import {
   addEdge,
   applyNodeChanges,
   applyEdgeChanges,
   MarkerType,
 } from 'reactflow';
+import {
+  groupNodes,
+  ungroupNodes,
+  resolveSubflowConnection,
+} from "../engine/subflow";
+import { validateConnection } from "../engine/connections";
+import { lintPipeline } from "../engine/lint";
+import { remapImportedGraph } from "../engine/pipelineImport";
 
 const initialState = {
   nodes: [],
@@ -57,13 +65,37 @@ const nodesSlice = createSlice({
       state.past.push({ nodes: state.nodes, edges: state.edges });
       state.future = [];
 
+      // Removing a subflow removes the nodes grouped inside it too
       const nodeId = action.payload;
-      state.nodes = state.nodes.filter((node) => node.id !== nodeId);
+      const removed = new Set(
+        state.nodes
+          .filter((node) => node.id === nodeId || node.parentNode === nodeId)
+          .map((node) => node.id)
+      );
+      state.nodes = state.nodes.filter((node) => !removed.has(node.id));
       state.edges = state.edges.filter(
-        (edge) => edge.source !== nodeId && edge.target !== nodeId
+        (edge) => !removed.has(edge.source) && !removed.has(edge.target)
       );
     },
 
+    // -------------------------------------------------------------------------
+    // Subflows (see engine/subflow.js)
+    // -------------------------------------------------------------------------
+    groupIntoSubflow: (state, action) => {
+      const { id, nodeIds } = action.payload;
+      state.past.push({ nodes: state.nodes, edges: state.edges });
+      state.future = [];
+
+      state.nodes = groupNodes(state.nodes, nodeIds, id);
+    },
+
+    ungroupSubflow: (state, action) => {
+      state.past.push({ nodes: state.nodes, edges: state.edges });
+      state.future = [];
+
+      state.nodes = ungroupNodes(state.nodes, action.payload);
+    },
+
     // -------------------------------------------------------------------------
     // Update Node Field
     // -------------------------------------------------------------------------
@@ -75,39 +107,44 @@ const nodesSlice = createSlice({
       }
     },
 
+    // -------------------------------------------------------------------------
+    // Rename Handle
+    // Keeps edges attached when a node renames one of its handles
+    // (`${id}-${from}` becomes `${id}-${to}`)
+    // -------------------------------------------------------------------------
+    renameHandle: (state, action) => {
+      const { id, from, to } = action.payload;
+      state.edges.forEach((edge) => {
+        if (edge.source === id && edge.sourceHandle === `${id}-${from}`) {
+          edge.sourceHandle = `${id}-${to}`;
+        }
+        if (edge.target === id && edge.targetHandle === `${id}-${from}`) {
+          edge.targetHandle = `${id}-${to}`;
+        }
+      });
+    },
+
     // -------------------------------------------------------------------------
     // Connections (addEdge)
     // -------------------------------------------------------------------------
     onConnect: (state, action) => {
+      // Connections made to a collapsed subflow's ports land on the inner node
+      const connection = resolveSubflowConnection(action.payload, state.nodes);
+
+      // Cycles, type conflicts, duplicates… are refused (the canvas already
+      // explains why while dragging, see engine/connections.js)
+      if (validateConnection(connection, state.nodes, state.edges)) return;
+
       state.past.push({ nodes: state.nodes, edges: state.edges });
       state.future = [];
 
-      const connection = action.payload;
-      const { source, target } = connection;
-
-      // Find nodes for type checking
-      // Note: In Redux reducer, accessing state directly is fine since it's synchronous
-      // However, we need to be careful with proxies. state.nodes is a proxy.
-      const sourceNode = state.nodes.find((node) => node.id === source);
-      const targetNode = state.nodes.find((node) => node.id === target);
-
-      const sourceType = sourceNode?.data?.inputType || sourceNode?.data?.outputType || 'Text';
-      const targetType = targetNode?.data?.inputType || targetNode?.data?.outputType || 'Text';
-      const isTypeMismatch = sourceType !== targetType;
-
-      const edgeOptions = isTypeMismatch
-        ? {
-          type: 'custom',
-          label: "Data Types don't match",
-          style: { stroke: "red" },
-          labelStyle: { fill: "red", fontWeight: 700 },
-          markerEnd: { type: MarkerType.Arrow, color: "red" },
-        }
-        : {
-          type: 'custom',
-          animated: true,
-          markerEnd: { type: MarkerType.Arrow, height: "20px", width: "20px" },
-        };
+      // Port types are checked when the canvas draws the edge (see
+      // engine/portTypes.js), so later type changes recolour it too
+      const edgeOptions = {
+        type: 'custom',
+        animated: true,
+        markerEnd: { type: MarkerType.Arrow, height: "20px", width: "20px" },
+      };
 
       state.edges = addEdge({ ...connection, ...edgeOptions }, state.edges);
     },
@@ -152,6 +189,32 @@ const nodesSlice = createSlice({
       state.future = newFuture;
     },
 
+    // -------------------------------------------------------------------------
+    // Import
+    // `pipeline` comes from parsePipelineFile; `mode` is 'replace' or 'merge'.
+    // Colliding node ids are renamed (see engine/pipelineImport.js).
+    // -------------------------------------------------------------------------
+    importPipeline: (state, action) => {
+      const { pipeline, mode } = action.payload;
+      state.past.push({ nodes: state.nodes, edges: state.edges });
+      state.future = [];
+
+      const current = mode === "merge"
+        ? state
+        : { nodes: [], edges: [], nodeIDs: state.nodeIDs };
+      const imported = remapImportedGraph(pipeline, current);
+
+      if (mode === "merge") {
+        state.nodes = [...state.nodes, ...imported.nodes];
+        state.edges = [...state.edges, ...imported.edges];
+      } else {
+        state.nodes = imported.nodes;
+        state.edges = imported.edges;
+        state.pipelineName = pipeline.pipelineName;
+      }
+      state.nodeIDs = imported.nodeIDs;
+    },
+
     clearCanvas: (state) => {
       state.past.push({ nodes: state.nodes, edges: state.edges });
       state.future = [];
@@ -177,13 +240,24 @@ export const {
   onEdgesChange,
   addNode,
   removeNode,
+  groupIntoSubflow,
+  ungroupSubflow,
   updateNodeField,
+  renameHandle,
   onConnect,
   setPipelineName,
   undo,
   redo,
+  importPipeline,
   clearCanvas,
   incrementNodeID
 } = nodesSlice.actions;
 
+// Problems in the current graph (see engine/lint.js), recomputed only when
+// nodes or edges change
+export const selectDiagnostics = createSelector(
+  [(state) => state.nodes.nodes, (state) => state.nodes.edges],
+  lintPipeline
+);
+
 export default nodesSlice.reducer;
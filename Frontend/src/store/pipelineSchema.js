@@ -0,0 +1,300 @@
+// src/store/pipelineSchema.js
+// -----------------------------------------------------------------------------
+// Versioned shape of a saved pipeline, and the migrations that bring older
+// saves up to date. Applied to the state restored from localStorage
+// (store.js) and to imported pipeline files (parsePipelineFile).
+//
+// Pipeline document (version 4):
+//   {
+//     version: 4,
+//     pipelineName: string,
+//     nodes: [{ id, type, position, data, ... }]   React Flow nodes; each
+//            type's `data` fields are described in its engine module
+//            (filter.js, condition.js, math.js, …)
+//     edges: [{ id, source, sourceHandle, target, targetHandle, ... }]
+//            handle ids follow `${nodeId}-${name}`
+//   }
+//
+// Saved editor state (`vectorShift_state`): `{ version, nodes: <slice> }`.
+// The slice's graph and every undo / redo snapshot migrate like a document.
+//
+// Data without `version` predates versioning and counts as version 0.
+// To change a data shape: bump PIPELINE_SCHEMA_VERSION and append a
+// migration from the previous version.
+// -----------------------------------------------------------------------------
+
+import { MarkerType } from "reactflow";
+import { DEFAULT_OPERANDS, createOperand } from "../engine/math";
+import { findCycle } from "../engine/connections";
+
+export const PIPELINE_SCHEMA_VERSION = 4;
+
+const LEGACY_MISMATCH_LABEL = "Data Types don't match";
+
+// -----------------------------------------------------------------------------
+// Migrations
+// `MIGRATIONS[n]` upgrades a version n document to version n + 1. Each
+// receives `{ nodes, edges }` and returns the upgraded pair.
+// -----------------------------------------------------------------------------
+const MIGRATIONS = [
+  // 0 → 1: Condition nodes route through `true` / `false` handles; edges
+  // from the old single `output` handle (taken when the check held) now
+  // leave from `true`.
+  ({ nodes, edges }) => {
+    const conditionIds = new Set(
+      nodes.filter((node) => node.type === "condition").map((node) => node.id)
+    );
+    return {
+      nodes,
+      edges: edges.map((edge) =>
+        conditionIds.has(edge.source) && edge.sourceHandle === `${edge.source}-output`
+          ? { ...edge, sourceHandle: `${edge.source}-true` }
+          : edge
+      ),
+    };
+  },
+
+  // 1 → 2: Filter nodes keep their rules in a `filter` group; the single
+  // `field` / `operator` / `value` rule moves into it.
+  ({ nodes, edges }) => ({
+    nodes: nodes.map((node) => {
+      if (node.type !== "filter" || !node.data || node.data.filter) return node;
+      const { field, operator, value, ...data } = node.data;
+      return {
+        ...node,
+        data: {
+          ...data,
+          filter: {
+            combinator: "and",
+            rules: [{ field: field || "", operator: operator || "equals", value: value || "" }],
+          },
+        },
+      };
+    }),
+    edges,
+  }),
+
+  // 2 → 3: Port types are checked when edges are drawn; drop the mismatch
+  // label and red styling that used to be stored on the edge.
+  ({ nodes, edges }) => ({
+    nodes,
+    edges: edges.map((edge) => {
+      if (edge.label !== LEGACY_MISMATCH_LABEL) return edge;
+      const { label, labelStyle, style, ...rest } = edge;
+      return {
+        ...rest,
+        animated: true,
+        markerEnd: { type: MarkerType.Arrow, height: "20px", width: "20px" },
+      };
+    }),
+  }),
+
+  // 3 → 4: Math nodes take one handle per operand; edges into the old single
+  // `input` handle move to the first operand with no edge or constant of
+  // its own (a new operand when all are in use).
+  ({ nodes, edges }) => {
+    const targetHandles = {};
+    const upgradedNodes = nodes.map((node) => {
+      const legacyHandle = `${node.id}-input`;
+      if (
+        node.type !== "math" ||
+        !edges.some((edge) => edge.target === node.id && edge.targetHandle === legacyHandle)
+      ) {
+        return node;
+      }
+
+      let operands = node.data?.operands || DEFAULT_OPERANDS;
+      let free = operands.find(
+        (operand) =>
+          String(operand.constant ?? "").trim() === "" &&
+          !edges.some(
+            (edge) => edge.target === node.id && edge.targetHandle === `${node.id}-${operand.name}`
+          )
+      );
+      if (!free) {
+        free = createOperand(operands);
+        operands = [...operands, free];
+      }
+      targetHandles[legacyHandle] = `${node.id}-${free.name}`;
+      return { ...node, data: { ...node.data, operands } };
+    });
+
+    return {
+      nodes: upgradedNodes,
+      edges: edges.map((edge) =>
+        targetHandles[edge.targetHandle]
+          ? { ...edge, targetHandle: targetHandles[edge.targetHandle] }
+          : edge
+      ),
+    };
+  },
+];
+
+// -----------------------------------------------------------------------------
+// Validation
+// -----------------------------------------------------------------------------
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isPosition = (value) =>
+  isObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y);
+
+/**
+ * readVersion
+ * The document's schema version; throws for versions this app can't read.
+ */
+const readVersion = (document) => {
+  const version = document.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Unknown pipeline schema version "${version}"`);
+  }
+  if (version > PIPELINE_SCHEMA_VERSION) {
+    throw new Error(
+      `This pipeline was saved with schema version ${version}; this app reads ` +
+        `up to version ${PIPELINE_SCHEMA_VERSION}. Update the app to open it.`
+    );
+  }
+  return version;
+};
+
+/**
+ * checkGraph
+ * Throws a readable error when `{ nodes, edges }` is not a usable graph.
+ */
+const checkGraph = ({ nodes, edges }) => {
+  if (!Array.isArray(nodes)) throw new Error("`nodes` must be a list");
+  if (!Array.isArray(edges)) throw new Error("`edges` must be a list");
+
+  const ids = new Set();
+  nodes.forEach((node, index) => {
+    if (!isObject(node) || typeof node.id !== "string" || typeof node.type !== "string") {
+      throw new Error(`Node ${index + 1} needs a string \`id\` and \`type\``);
+    }
+    if (ids.has(node.id)) throw new Error(`Node id "${node.id}" is used twice`);
+    if (!isPosition(node.position)) {
+      throw new Error(`Node "${node.id}" needs a \`position\` with numeric \`x\` and \`y\``);
+    }
+    if (!isObject(node.data)) throw new Error(`Node "${node.id}" needs a \`data\` object`);
+    ids.add(node.id);
+  });
+
+  edges.forEach((edge, index) => {
+    if (!isObject(edge) || typeof edge.source !== "string" || typeof edge.target !== "string") {
+      throw new Error(`Edge ${index + 1} needs a string \`source\` and \`target\``);
+    }
+  });
+};
+
+/**
+ * upgradeGraph
+ * Runs the migrations from `version` up to the current one.
+ */
+const upgradeGraph = (graph, version) => {
+  checkGraph(graph);
+  let upgraded = { nodes: graph.nodes, edges: graph.edges };
+  for (let from = version; from < PIPELINE_SCHEMA_VERSION; from += 1) {
+    try {
+      upgraded = MIGRATIONS[from](upgraded);
+    } catch (error) {
+      throw new Error(`Upgrading from schema version ${from} failed: ${error.message}`);
+    }
+  }
+  return upgraded;
+};
+
+/**
+ * migratePipeline
+ * Brings a pipeline document (e.g. an imported file) to the current
+ * version: `{ version, pipelineName, nodes, edges }`. Throws with a message
+ * fit for the user when it can't.
+ */
+export const migratePipeline = (document) => {
+  if (!isObject(document)) {
+    throw new Error("A pipeline file must contain a JSON object");
+  }
+  const version = readVersion(document);
+  if (document.pipelineName != null && typeof document.pipelineName !== "string") {
+    throw new Error("`pipelineName` must be text");
+  }
+  const { nodes, edges } = upgradeGraph(document, version);
+
+  return {
+    ...document,
+    version: PIPELINE_SCHEMA_VERSION,
+    pipelineName: document.pipelineName || "Untitled Pipeline",
+    nodes,
+    edges,
+  };
+};
+
+/**
+ * checkReferences
+ * Throws when an imported pipeline uses node types this app doesn't have,
+ * points edges / groups at nodes it doesn't contain, or has a cycle the
+ * canvas would never let you draw.
+ */
+const checkReferences = ({ nodes, edges }, knownTypes) => {
+  const ids = new Set(nodes.map((node) => node.id));
+
+  nodes.forEach((node) => {
+    if (!knownTypes.includes(node.type)) {
+      throw new Error(`Node "${node.id}" has unknown type "${node.type}"`);
+    }
+    if (node.parentNode && !ids.has(node.parentNode)) {
+      throw new Error(`Node "${node.id}" belongs to missing subflow "${node.parentNode}"`);
+    }
+  });
+
+  edges.forEach((edge, index) => {
+    const missing = [edge.source, edge.target].find((id) => !ids.has(id));
+    if (missing) throw new Error(`Edge ${index + 1} connects missing node "${missing}"`);
+  });
+
+  const cycle = findCycle(nodes, edges);
+  if (cycle) {
+    throw new Error(
+      `The pipeline contains a cycle (${cycle.join(" → ")}). Only a Loop node's ` +
+        "result handle may lead back upstream."
+    );
+  }
+};
+
+/**
+ * parsePipelineFile
+ * Reads an exported pipeline file's text into a current-version document.
+ * `knownTypes` lists the node types the canvas can draw.
+ */
+export const parsePipelineFile = (text, knownTypes) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON (${error.message})`);
+  }
+
+  const pipeline = migratePipeline(document);
+  checkReferences(pipeline, knownTypes);
+  return pipeline;
+};
+
+/**
+ * migrateSavedState
+ * Upgrades the editor state restored from localStorage, undo / redo
+ * history included. Throws like migratePipeline.
+ */
+export const migrateSavedState = (saved) => {
+  if (!isObject(saved) || !isObject(saved.nodes)) {
+    throw new Error("Saved state has no pipeline");
+  }
+  const version = readVersion(saved);
+  const slice = saved.nodes;
+
+  return {
+    version: PIPELINE_SCHEMA_VERSION,
+    nodes: {
+      ...slice,
+      ...upgradeGraph(slice, version),
+      past: (slice.past || []).map((snapshot) => upgradeGraph(snapshot, version)),
+      future: (slice.future || []).map((snapshot) => upgradeGraph(snapshot, version)),
+    },
+  };
+};
@@ -0,0 +1,176 @@
+import {
+  PIPELINE_SCHEMA_VERSION,
+  migratePipeline,
+  migrateSavedState,
+  parsePipelineFile,
+} from "./pipelineSchema";
+
+const KNOWN_TYPES = ["customInput", "customOutput", "condition", "filter", "math", "text"];
+
+const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data: { id, ...data } });
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}-${target}-${targetHandle}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`,
+});
+
+describe("migratePipeline", () => {
+  test("upgrades an unversioned export step by step", () => {
+    const pipeline = migratePipeline({
+      nodes: [
+        node("customInput-1", "customInput"),
+        node("condition-1", "condition"),
+        node("filter-1", "filter", { field: "age", operator: "greater", value: "18" }),
+        node("math-1", "math", { operation: "add" }),
+      ],
+      edges: [
+        edge("condition-1", "output", "filter-1", "input"),
+        {
+          ...edge("filter-1", "output", "math-1", "input"),
+          label: "Data Types don't match",
+          style: { stroke: "red" },
+        },
+        edge("customInput-1", "value", "math-1", "input"),
+      ],
+    });
+
+    expect(pipeline.version).toBe(PIPELINE_SCHEMA_VERSION);
+    expect(pipeline.pipelineName).toBe("Untitled Pipeline");
+
+    // 0 → 1
+    expect(pipeline.edges[0].sourceHandle).toBe("condition-1-true");
+    // 1 → 2
+    expect(pipeline.nodes[2].data).toEqual({
+      id: "filter-1",
+      filter: { combinator: "and", rules: [{ field: "age", operator: "greater", value: "18" }] },
+    });
+    // 2 → 3
+    expect(pipeline.edges[1]).not.toHaveProperty("label");
+    expect(pipeline.edges[1]).not.toHaveProperty("style");
+    expect(pipeline.edges[1].animated).toBe(true);
+    // 3 → 4: both legacy edges land on the first operand
+    expect(pipeline.nodes[3].data.operands).toEqual([
+      { name: "a", constant: "" },
+      { name: "b", constant: "" },
+    ]);
+    expect(pipeline.edges.slice(1).map((item) => item.targetHandle)).toEqual(["math-1-a", "math-1-a"]);
+  });
+
+  test("moves legacy math edges to an operand that is not in use", () => {
+    const pipeline = migratePipeline({
+      version: 3,
+      nodes: [
+        node("text-1", "text"),
+        node("math-1", "math", {
+          operands: [
+            { name: "a", constant: "" },
+            { name: "b", constant: "2" },
+          ],
+        }),
+      ],
+      edges: [edge("text-1", "output", "math-1", "a"), edge("text-1", "output", "math-1", "input")],
+    });
+
+    expect(pipeline.nodes[1].data.operands.map((operand) => operand.name)).toEqual(["a", "b", "c"]);
+    expect(pipeline.edges[1].targetHandle).toBe("math-1-c");
+  });
+
+  test("leaves current documents unchanged", () => {
+    const document = {
+      version: PIPELINE_SCHEMA_VERSION,
+      pipelineName: "Current",
+      nodes: [node("math-1", "math")],
+      edges: [],
+    };
+    expect(migratePipeline(document)).toEqual(document);
+  });
+
+  test.each([
+    ["a non-object", [], /JSON object/],
+    ["a newer version", { version: PIPELINE_SCHEMA_VERSION + 1, nodes: [], edges: [] }, /Update the app/],
+    ["an invalid version", { version: "2", nodes: [], edges: [] }, /Unknown pipeline schema version/],
+    ["nodes that are not a list", { nodes: {}, edges: [] }, /`nodes` must be a list/],
+    ["a node without a type", { nodes: [{ id: "a" }], edges: [] }, /Node 1 needs a string `id` and `type`/],
+    ["duplicate node ids", { nodes: [node("a-1", "text"), node("a-1", "text")], edges: [] }, /used twice/],
+    ["an edge without a target", { nodes: [], edges: [{ source: "a" }] }, /Edge 1 needs a string `source` and `target`/],
+    ["a node without a position", { nodes: [{ id: "a-1", type: "text", data: {} }], edges: [] }, /"a-1" needs a `position`/],
+    [
+      "a position that is not numeric",
+      { nodes: [{ ...node("a-1", "text"), position: { x: "10", y: 0 } }], edges: [] },
+      /"a-1" needs a `position` with numeric `x` and `y`/,
+    ],
+    ["a node without data", { nodes: [{ ...node("a-1", "text"), data: null }], edges: [] }, /"a-1" needs a `data` object/],
+    ["a pipeline name that is not text", { pipelineName: 42, nodes: [], edges: [] }, /`pipelineName` must be text/],
+  ])("rejects %s", (_, document, message) => {
+    expect(() => migratePipeline(document)).toThrow(message);
+  });
+});
+
+describe("migrateSavedState", () => {
+  test("upgrades the graph and every history snapshot", () => {
+    const legacy = {
+      nodes: [node("condition-1", "condition"), node("text-1", "text")],
+      edges: [edge("condition-1", "output", "text-1", "input")],
+    };
+    const saved = migrateSavedState({
+      nodes: { ...legacy, nodeIDs: { condition: 1 }, past: [legacy], future: [legacy] },
+    });
+
+    expect(saved.version).toBe(PIPELINE_SCHEMA_VERSION);
+    expect(saved.nodes.nodeIDs).toEqual({ condition: 1 });
+    [saved.nodes, saved.nodes.past[0], saved.nodes.future[0]].forEach((graph) =>
+      expect(graph.edges[0].sourceHandle).toBe("condition-1-true")
+    );
+  });
+
+  test("rejects state without a pipeline", () => {
+    expect(() => migrateSavedState({ version: 1 })).toThrow(/no pipeline/);
+  });
+});
+
+describe("parsePipelineFile", () => {
+  test("reads a valid file", () => {
+    const text = JSON.stringify({ nodes: [node("text-1", "text")], edges: [] });
+    expect(parsePipelineFile(text, KNOWN_TYPES).nodes).toHaveLength(1);
+  });
+
+  test("accepts the edge back into a Loop node's result handle", () => {
+    const text = JSON.stringify({
+      nodes: [node("loop-1", "loop"), node("text-1", "text")],
+      edges: [edge("loop-1", "item", "text-1", "input"), edge("text-1", "output", "loop-1", "result")],
+    });
+    expect(parsePipelineFile(text, [...KNOWN_TYPES, "loop"]).edges).toHaveLength(2);
+  });
+
+  test.each([
+    ["invalid JSON", "{ not json", /not valid JSON/],
+    ["unknown node types", JSON.stringify({ nodes: [node("x-1", "x")], edges: [] }), /unknown type "x"/],
+    [
+      "nodes in a missing subflow",
+      JSON.stringify({ nodes: [{ ...node("text-1", "text"), parentNode: "subflow-1" }], edges: [] }),
+      /missing subflow "subflow-1"/,
+    ],
+    [
+      "edges to missing nodes",
+      JSON.stringify({ nodes: [node("text-1", "text")], edges: [edge("text-1", "output", "text-2", "input")] }),
+      /missing node "text-2"/,
+    ],
+    [
+      "cycles",
+      JSON.stringify({
+        nodes: [node("text-1", "text"), node("text-2", "text")],
+        edges: [edge("text-1", "output", "text-2", "input"), edge("text-2", "output", "text-1", "input")],
+      }),
+      /contains a cycle \(text-1 → text-2 → text-1\)/,
+    ],
+    [
+      "a node wired to itself",
+      JSON.stringify({ nodes: [node("text-1", "text")], edges: [edge("text-1", "output", "text-1", "input")] }),
+      /contains a cycle \(text-1 → text-1\)/,
+    ],
+  ])("rejects %s", (_, text, message) => {
+    expect(() => parsePipelineFile(text, KNOWN_TYPES)).toThrow(message);
+  });
+});
@@ -0,0 +1,62 @@
+// src/store/runHistorySlice.js
+// -----------------------------------------------------------------------------
+// Redux slice keeping a record of past pipeline runs.
+// Each record stores the pipeline snapshot that ran and every node's inputs,
+// outputs, duration and error, so a run can be inspected or replayed later.
+// Persisted separately from the graph (see store.js).
+// -----------------------------------------------------------------------------
+
+import { createSlice } from "@reduxjs/toolkit";
+
+export const MAX_RUN_RECORDS = 20;
+
+const initialState = {
+  runs: [], // newest first
+};
+
+/**
+ * createRunRecord
+ * Builds a history record from a finished (or aborted) run.
+ * Only the fields needed to redraw the pipeline are kept from each node.
+ */
+export const createRunRecord = ({ pipeline, startedAt, status, error, results }) => ({
+  id: `run-${startedAt}`,
+  startedAt,
+  duration: Date.now() - startedAt,
+  status,
+  error: error || null,
+  pipeline: {
+    pipelineName: pipeline.pipelineName,
+    nodes: pipeline.nodes.map(({ id, type, position, data }) => ({
+      id,
+      type,
+      position,
+      data,
+    })),
+    edges: pipeline.edges,
+  },
+  results,
+});
+
+const runHistorySlice = createSlice({
+  name: "runHistory",
+  initialState,
+  reducers: {
+    runRecorded: (state, action) => {
+      state.runs = [action.payload, ...state.runs].slice(0, MAX_RUN_RECORDS);
+    },
+
+    deleteRunRecord: (state, action) => {
+      state.runs = state.runs.filter((run) => run.id !== action.payload);
+    },
+
+    clearRunHistory: (state) => {
+      state.runs = [];
+    },
+  },
+});
+
+export const { runRecorded, deleteRunRecord, clearRunHistory } =
+  runHistorySlice.actions;
+
+export default runHistorySlice.reducer;
@@ -0,0 +1,96 @@
+import reducer, {
+  MAX_RUN_RECORDS,
+  createRunRecord,
+  runRecorded,
+  deleteRunRecord,
+  clearRunHistory,
+} from "./runHistorySlice";
+import runReducer, { replayRun, clearRunResults, runCurrentPipeline } from "./runSlice";
+
+const pipeline = {
+  pipelineName: "Greeter",
+  nodes: [
+    {
+      id: "text-1",
+      type: "text",
+      position: { x: 10, y: 20 },
+      data: { text: "Hi" },
+      selected: true,
+      width: 250,
+    },
+  ],
+  edges: [],
+};
+
+const record = (startedAt, status = "completed") =>
+  createRunRecord({
+    pipeline,
+    startedAt,
+    status,
+    results: { "text-1": { status: "success", outputs: { output: `Hi ${startedAt}` } } },
+  });
+
+describe("createRunRecord", () => {
+  test("keeps only what is needed to redraw and inspect the run", () => {
+    jest.spyOn(Date, "now").mockReturnValue(1500);
+    const run = createRunRecord({ pipeline, startedAt: 1000, status: "failed", error: "Boom", results: {} });
+    Date.now.mockRestore();
+
+    expect(run).toEqual({
+      id: "run-1000",
+      startedAt: 1000,
+      duration: 500,
+      status: "failed",
+      error: "Boom",
+      pipeline: {
+        pipelineName: "Greeter",
+        nodes: [{ id: "text-1", type: "text", position: { x: 10, y: 20 }, data: { text: "Hi" } }],
+        edges: [],
+      },
+      results: {},
+    });
+  });
+});
+
+describe("runHistorySlice", () => {
+  test("keeps the newest runs first, up to MAX_RUN_RECORDS", () => {
+    const state = Array.from({ length: MAX_RUN_RECORDS + 5 }, (_, index) =>
+      runRecorded(record(index + 1))
+    ).reduce(reducer, undefined);
+
+    expect(state.runs).toHaveLength(MAX_RUN_RECORDS);
+    expect(state.runs[0].id).toBe(`run-${MAX_RUN_RECORDS + 5}`);
+    expect(state.runs[MAX_RUN_RECORDS - 1].id).toBe("run-6");
+  });
+
+  test("deletes one record or all of them", () => {
+    const state = [runRecorded(record(1)), runRecorded(record(2))].reduce(reducer, undefined);
+    expect(reducer(state, deleteRunRecord("run-1")).runs.map((run) => run.id)).toEqual(["run-2"]);
+    expect(reducer(state, clearRunHistory()).runs).toEqual([]);
+  });
+});
+
+describe("replaying a run", () => {
+  test("shows the recorded results until cleared or a new run starts", () => {
+    const run = record(7, "failed");
+    const replaying = runReducer(undefined, replayRun({ ...run, error: "Boom" }));
+
+    expect(replaying).toMatchObject({
+      status: "replay",
+      replayRunId: "run-7",
+      results: run.results,
+      error: "Boom",
+    });
+    expect(runReducer(replaying, clearRunResults())).toMatchObject({
+      status: "idle",
+      replayRunId: null,
+      results: {},
+      error: null,
+    });
+    expect(runReducer(replaying, runCurrentPipeline.pending("request-1", undefined))).toMatchObject({
+      status: "running",
+      replayRunId: null,
+      results: {},
+    });
+  });
+});
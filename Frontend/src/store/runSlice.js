@@ -0,0 +1,300 @@
+// src/store/runSlice.js
+// -----------------------------------------------------------------------------
+// Redux slice tracking in-browser pipeline runs.
+// Holds the live status and the per-node result map produced by the engine
+// (or replayed from the run history), plus the step-through debugger state
+// (breakpoints and the paused node).
+// Not persisted: only the `nodes` slice is written to localStorage.
+// -----------------------------------------------------------------------------
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import { runPipeline } from "../engine/runPipeline";
+import { abortReason } from "../engine/abort";
+import { removeNode, clearCanvas } from "./nodesSlice";
+import { runRecorded, createRunRecord } from "./runHistorySlice";
+
+const initialState = {
+  status: "idle", // 'idle' | 'running' | 'paused' | 'completed' | 'failed' | 'cancelled' | 'replay'
+  activeNodeId: null,
+  replayRunId: null, // history record currently shown on the canvas
+  results: {},
+  error: null,
+  useFixtures: false, // API nodes replay their recorded fixtures
+
+  // Debugger
+  breakpoints: {}, // nodeId -> true
+  debug: {
+    enabled: false,
+    stepping: false, // pause before the next node regardless of breakpoints
+    pausedNodeId: null,
+    pausedInputs: null,
+  },
+};
+
+// -----------------------------------------------------------------------------
+// Debugger pause handling
+// The resolver of the current pause is a function, so it lives outside the
+// store. Stopping a paused run aborts the thunk, which rejects the pause.
+// -----------------------------------------------------------------------------
+let resumePaused = null;
+
+const waitForResume = (signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      resumePaused = null;
+      reject(abortReason(signal));
+    };
+    resumePaused = () => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * finishedResults
+ * Drops the placeholders left on nodes that were paused or still running
+ * when a run ended early.
+ */
+const finishedResults = (results) =>
+  Object.fromEntries(
+    Object.entries(results).filter(
+      ([, result]) => !["paused", "running"].includes(result.status)
+    )
+  );
+
+/**
+ * resumeDebugger
+ * Releases the paused node. `step` pauses again before the next node;
+ * `continue` runs until the next breakpoint.
+ */
+export const resumeDebugger = (mode) => (dispatch) => {
+  if (!resumePaused) return;
+
+  const resume = resumePaused;
+  resumePaused = null;
+  dispatch(debuggerResumed(mode));
+  resume();
+};
+
+// -----------------------------------------------------------------------------
+// Per-node cancellation
+// The engine hands out a cancel function for every running node; like the
+// debugger resolver it is kept outside the store.
+// -----------------------------------------------------------------------------
+const nodeCancellers = new Map();
+
+/**
+ * cancelNodeRun
+ * Aborts a single running node (e.g. a long LLM generation). The node fails
+ * with "Cancelled" and its downstream branch is skipped.
+ */
+export const cancelNodeRun = (nodeId) => () => {
+  nodeCancellers.get(nodeId)?.();
+};
+
+// -----------------------------------------------------------------------------
+// Thunk: run the graph currently on the canvas
+// Pass `{ debug: true }` to honor breakpoints and step controls.
+// -----------------------------------------------------------------------------
+export const runCurrentPipeline = createAsyncThunk(
+  "run/runCurrentPipeline",
+  async ({ debug = false, ...options } = {}, { getState, dispatch, signal }) => {
+    const { nodes, edges, pipelineName } = getState().nodes;
+    const startedAt = Date.now();
+
+    const beforeNode = async (nodeId, inputs) => {
+      const { run } = getState();
+      if (run.debug.stepping || run.breakpoints[nodeId]) {
+        dispatch(debuggerPaused({ nodeId, inputs }));
+        await waitForResume(signal);
+      }
+    };
+
+    // Every run, successful or not, lands in the run history
+    const record = (status, results, error) =>
+      dispatch(
+        runRecorded(
+          createRunRecord({
+            pipeline: { nodes, edges, pipelineName },
+            startedAt,
+            status,
+            error,
+            results,
+          })
+        )
+      );
+
+    try {
+      const result = await runPipeline(
+        { nodes, edges },
+        {
+          ...options,
+          signal,
+          providers: getState().llmProviders.providers,
+          credentials: getState().apiCredentials.credentials,
+          useFixtures: getState().run.useFixtures,
+          beforeNode: debug ? beforeNode : undefined,
+          onNodeStart: (nodeId, inputs, cancel) => {
+            nodeCancellers.set(nodeId, cancel);
+            dispatch(nodeStarted(nodeId));
+          },
+          onNodeProgress: (nodeId, partial) =>
+            dispatch(nodeProgress({ nodeId, partial })),
+          onNodeWait: (nodeId, wait) => dispatch(nodeWaiting({ nodeId, wait })),
+          onNodeComplete: (nodeId, nodeResult) => {
+            nodeCancellers.delete(nodeId);
+            dispatch(nodeCompleted({ nodeId, result: nodeResult }));
+          },
+        }
+      );
+      record("completed", result.results);
+      return result;
+    } catch (error) {
+      record(
+        signal.aborted ? "cancelled" : "failed",
+        finishedResults(getState().run.results),
+        error.message
+      );
+      throw error;
+    } finally {
+      nodeCancellers.clear();
+    }
+  }
+);
+
+const runSlice = createSlice({
+  name: "run",
+  initialState,
+  reducers: {
+    nodeStarted: (state, action) => {
+      state.activeNodeId = action.payload;
+      state.results[action.payload] = { status: "running" };
+    },
+
+    // Intermediate output while a node is still running (streamed tokens)
+    nodeProgress: (state, action) => {
+      const { nodeId, partial } = action.payload;
+      if (state.results[nodeId]) {
+        state.results[nodeId].partial = partial;
+      }
+    },
+
+    // Delay / retry backoff in progress: `{ until, label }`, or null when done
+    nodeWaiting: (state, action) => {
+      const { nodeId, wait } = action.payload;
+      if (state.results[nodeId]) {
+        state.results[nodeId].wait = wait;
+      }
+    },
+
+    nodeCompleted: (state, action) => {
+      const { nodeId, result } = action.payload;
+      state.results[nodeId] = result;
+    },
+
+    clearRunResults: (state) => {
+      state.status = "idle";
+      state.activeNodeId = null;
+      state.replayRunId = null;
+      state.results = {};
+      state.error = null;
+    },
+
+    // Shows a past run's values on the canvas (see RunHistoryPanel)
+    replayRun: (state, action) => {
+      const run = action.payload;
+      state.status = "replay";
+      state.activeNodeId = null;
+      state.replayRunId = run.id;
+      state.results = run.results;
+      state.error = run.error;
+    },
+
+    // Offline mode: runs use recorded API responses instead of the network
+    toggleFixtureReplay: (state) => {
+      state.useFixtures = !state.useFixtures;
+    },
+
+    // -------------------------------------------------------------------------
+    // Debugger
+    // -------------------------------------------------------------------------
+    toggleBreakpoint: (state, action) => {
+      const nodeId = action.payload;
+      if (state.breakpoints[nodeId]) {
+        delete state.breakpoints[nodeId];
+      } else {
+        state.breakpoints[nodeId] = true;
+      }
+    },
+
+    debuggerPaused: (state, action) => {
+      const { nodeId, inputs } = action.payload;
+      state.status = "paused";
+      state.activeNodeId = nodeId;
+      state.debug.pausedNodeId = nodeId;
+      state.debug.pausedInputs = inputs;
+      state.results[nodeId] = { status: "paused", inputs };
+    },
+
+    debuggerResumed: (state, action) => {
+      state.status = "running";
+      state.debug.stepping = action.payload === "step";
+      state.debug.pausedNodeId = null;
+      state.debug.pausedInputs = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(runCurrentPipeline.pending, (state, action) => {
+        const debug = Boolean(action.meta.arg?.debug);
+        state.status = "running";
+        state.activeNodeId = null;
+        state.replayRunId = null;
+        state.results = {};
+        state.error = null;
+        // Without breakpoints a debug run pauses before the first node
+        state.debug = {
+          enabled: debug,
+          stepping: debug && Object.keys(state.breakpoints).length === 0,
+          pausedNodeId: null,
+          pausedInputs: null,
+        };
+      })
+      .addCase(runCurrentPipeline.fulfilled, (state, action) => {
+        state.status = "completed";
+        state.activeNodeId = null;
+        state.results = action.payload.results;
+        state.debug = initialState.debug;
+      })
+      .addCase(runCurrentPipeline.rejected, (state, action) => {
+        state.status = action.meta.aborted ? "cancelled" : "failed";
+        state.activeNodeId = null;
+        state.error = action.error.message;
+        state.debug = initialState.debug;
+        state.results = finishedResults(state.results);
+      })
+      // Breakpoints follow the nodes they belong to
+      .addCase(removeNode, (state, action) => {
+        delete state.breakpoints[action.payload];
+      })
+      .addCase(clearCanvas, (state) => {
+        state.breakpoints = {};
+      });
+  },
+});
+
+export const {
+  nodeStarted,
+  nodeProgress,
+  nodeWaiting,
+  nodeCompleted,
+  clearRunResults,
+  replayRun,
+  toggleFixtureReplay,
+  toggleBreakpoint,
+  debuggerPaused,
+  debuggerResumed,
+} = runSlice.actions;
+
+export default runSlice.reducer;
@@ -0,0 +1,141 @@
+import { configureStore } from "@reduxjs/toolkit";
+import runReducer, {
+  runCurrentPipeline,
+  resumeDebugger,
+  toggleBreakpoint,
+} from "./runSlice";
+import nodesReducer, { removeNode } from "./nodesSlice";
+import runHistoryReducer from "./runHistorySlice";
+import llmProvidersReducer from "./llmProvidersSlice";
+import apiCredentialsReducer from "./apiCredentialsSlice";
+
+const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}-${target}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`,
+});
+
+// customInput-1 → text-1 → customOutput-1
+const createTestStore = () =>
+  configureStore({
+    reducer: {
+      nodes: nodesReducer,
+      run: runReducer,
+      runHistory: runHistoryReducer,
+      llmProviders: llmProvidersReducer,
+      apiCredentials: apiCredentialsReducer,
+    },
+    preloadedState: {
+      nodes: {
+        ...nodesReducer(undefined, { type: "init" }),
+        nodes: [
+          node("customInput-1", "customInput", { value: "Ada" }),
+          node("text-1", "text", { text: "Hi {{input}}" }),
+          node("customOutput-1", "customOutput"),
+        ],
+        edges: [
+          edge("customInput-1", "value", "text-1", "input"),
+          edge("text-1", "output", "customOutput-1", "value"),
+        ],
+      },
+    },
+  });
+
+// Resolves once the store reaches a state matching `predicate`
+const waitForState = (store, predicate) =>
+  new Promise((resolve) => {
+    if (predicate(store.getState())) return resolve();
+    const unsubscribe = store.subscribe(() => {
+      if (predicate(store.getState())) {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+
+const pausedAt = (store, nodeId) =>
+  waitForState(store, (state) => state.run.debug.pausedNodeId === nodeId);
+
+describe("step-through debugger", () => {
+  test("without breakpoints, pauses before every node while stepping", async () => {
+    const store = createTestStore();
+    const run = store.dispatch(runCurrentPipeline({ debug: true }));
+
+    await pausedAt(store, "customInput-1");
+    expect(store.getState().run.status).toBe("paused");
+
+    store.dispatch(resumeDebugger("step"));
+    await pausedAt(store, "text-1");
+    expect(store.getState().run.debug.pausedInputs).toEqual({ input: "Ada" });
+    expect(store.getState().run.results["text-1"]).toEqual({
+      status: "paused",
+      inputs: { input: "Ada" },
+    });
+
+    // Continue runs to the end: there are no breakpoints to stop at
+    store.dispatch(resumeDebugger("continue"));
+    await run;
+    const state = store.getState().run;
+    expect(state.status).toBe("completed");
+    expect(state.results["customOutput-1"].outputs.value).toBe("Hi Ada");
+    expect(state.debug).toEqual({
+      enabled: false,
+      stepping: false,
+      pausedNodeId: null,
+      pausedInputs: null,
+    });
+  });
+
+  test("with breakpoints, pauses only on them", async () => {
+    const store = createTestStore();
+    store.dispatch(toggleBreakpoint("customOutput-1"));
+    const run = store.dispatch(runCurrentPipeline({ debug: true }));
+
+    await pausedAt(store, "customOutput-1");
+    expect(store.getState().run.results["text-1"].status).toBe("success");
+
+    store.dispatch(resumeDebugger("continue"));
+    await run;
+    expect(store.getState().run.status).toBe("completed");
+  });
+
+  test("a normal run ignores breakpoints", async () => {
+    const store = createTestStore();
+    store.dispatch(toggleBreakpoint("text-1"));
+    await store.dispatch(runCurrentPipeline());
+    expect(store.getState().run.status).toBe("completed");
+  });
+
+  test("stopping a paused run cancels it and drops the pause placeholder", async () => {
+    const store = createTestStore();
+    store.dispatch(toggleBreakpoint("text-1"));
+    const run = store.dispatch(runCurrentPipeline({ debug: true }));
+
+    await pausedAt(store, "text-1");
+    run.abort();
+    await run;
+    expect(store.getState().run.status).toBe("cancelled");
+    expect(Object.keys(store.getState().run.results)).toEqual(["customInput-1"]);
+
+    // The engine unwinds after the thunk has settled, then records the run
+    await waitForState(store, (state) => state.runHistory.runs.length > 0);
+    expect(store.getState().runHistory.runs[0]).toMatchObject({
+      status: "cancelled",
+      results: { "customInput-1": { status: "success" } },
+    });
+  });
+
+  test("breakpoints toggle and follow their node", () => {
+    const store = createTestStore();
+    store.dispatch(toggleBreakpoint("text-1"));
+    store.dispatch(toggleBreakpoint("customOutput-1"));
+    store.dispatch(toggleBreakpoint("customOutput-1"));
+    expect(store.getState().run.breakpoints).toEqual({ "text-1": true });
+
+    store.dispatch(removeNode("text-1"));
+    expect(store.getState().run.breakpoints).toEqual({});
+  });
+});
@@ -1,12 +1,32 @@
 import { configureStore } from "@reduxjs/toolkit";
 import nodesReducer from "./nodesSlice";
+import runReducer from "./runSlice";
+import runHistoryReducer from "./runHistorySlice";
+import llmProvidersReducer from "./llmProvidersSlice";
+import apiCredentialsReducer, {
+    createCredentialId,
+    extractCredentials,
+} from "./apiCredentialsSlice";
+import analysisReducer from "./analysisSlice";
+import { PIPELINE_SCHEMA_VERSION, migrateSavedState } from "./pipelineSchema";
 
 // -----------------------------------------------------------------------------
 // Persistence Logic
 // -----------------------------------------------------------------------------
-const loadState = () => {
+const STATE_KEY = 'vectorShift_state';
+// Saved state that could not be migrated is moved here instead of discarded
+const UNREADABLE_STATE_KEY = 'vectorShift_state_unreadable';
+
+// Slices persisted under their own key, rewritten only when they change
+const SEPARATE_KEYS = {
+    runHistory: 'vectorShift_runHistory',
+    llmProviders: 'vectorShift_llmProviders',
+    apiCredentials: 'vectorShift_apiCredentials',
+};
+
+const loadState = (key) => {
     try {
-        const serializedState = localStorage.getItem('vectorShift_state');
+        const serializedState = localStorage.getItem(key);
         if (serializedState === null) {
             return undefined;
         }
@@ -16,35 +36,156 @@ const loadState = () => {
     }
 };
 
-const saveState = (state) => {
+const saveState = (key, state) => {
     try {
         const serializedState = JSON.stringify(state);
-        localStorage.setItem('vectorShift_state', serializedState);
+        localStorage.setItem(key, serializedState);
     } catch (err) {
         // Ignore write errors
     }
 };
 
-const preloadedState = loadState();
+// -----------------------------------------------------------------------------
+// Auth secrets saved inside API nodes (before they had their own slice) are
+// moved out of the graph, its undo history and run history records. A node
+// keeps one credential id throughout; the current graph's secrets win.
+// -----------------------------------------------------------------------------
+const legacyCredentialIds = new Map();
+const legacyCredentials = {};
+
+const legacyCredentialId = (node) => {
+    if (!legacyCredentialIds.has(node.id)) {
+        legacyCredentialIds.set(node.id, createCredentialId());
+    }
+    return legacyCredentialIds.get(node.id);
+};
+
+const withoutCredentials = (graph, { override = true } = {}) => {
+    const extracted = extractCredentials(graph.nodes || [], legacyCredentialId);
+    Object.entries(extracted.credentials).forEach(([id, secrets]) => {
+        if (override || !legacyCredentials[id]) legacyCredentials[id] = secrets;
+    });
+    return { ...graph, nodes: extracted.nodes };
+};
+
+const moveCredentials = (slice) => ({
+    ...slice,
+    past: (slice.past || []).map((snapshot) => withoutCredentials(snapshot)),
+    future: (slice.future || []).map((snapshot) => withoutCredentials(snapshot)),
+    ...withoutCredentials(slice),
+});
+
+/**
+ * loadPipelineState
+ * Restores the saved pipeline, upgraded to the current schema. Unreadable
+ * data is set aside so the app starts on an empty canvas with an error.
+ */
+const loadPipelineState = () => {
+    const saved = loadState(STATE_KEY);
+    if (saved === undefined) {
+        return { state: {}, error: null };
+    }
+    try {
+        const { nodes } = migrateSavedState(saved);
+        return { state: { nodes: moveCredentials(nodes) }, error: null };
+    } catch (err) {
+        saveState(UNREADABLE_STATE_KEY, saved);
+        return {
+            state: {},
+            error: `Your saved pipeline could not be restored: ${err.message}. ` +
+                `It was kept in localStorage under "${UNREADABLE_STATE_KEY}".`,
+        };
+    }
+};
+
+const restored = loadPipelineState();
+
+// Shown by PipelineUI when the saved pipeline could not be restored
+export const pipelineLoadError = restored.error;
+
+const preloadedState = { ...restored.state };
+
+Object.entries(SEPARATE_KEYS).forEach(([slice, key]) => {
+    const persisted = loadState(key);
+    if (persisted !== undefined) {
+        preloadedState[slice] = persisted;
+    }
+});
+
+if (preloadedState.runHistory?.runs) {
+    preloadedState.runHistory = {
+        ...preloadedState.runHistory,
+        runs: preloadedState.runHistory.runs.map((run) => ({
+            ...run,
+            pipeline: withoutCredentials(run.pipeline, { override: false }),
+        })),
+    };
+}
+
+// Rewritten right away so no copy of the secrets stays behind
+if (Object.keys(legacyCredentials).length > 0) {
+    if (preloadedState.nodes) {
+        saveState(STATE_KEY, { version: PIPELINE_SCHEMA_VERSION, nodes: preloadedState.nodes });
+    }
+    if (preloadedState.runHistory) {
+        saveState(SEPARATE_KEYS.runHistory, preloadedState.runHistory);
+    }
+    preloadedState.apiCredentials = {
+        credentials: {
+            ...preloadedState.apiCredentials?.credentials,
+            ...legacyCredentials,
+        },
+    };
+    saveState(SEPARATE_KEYS.apiCredentials, preloadedState.apiCredentials);
+}
 
 export const store = configureStore({
     reducer: {
         nodes: nodesReducer,
+        run: runReducer,
+        runHistory: runHistoryReducer,
+        llmProviders: llmProvidersReducer,
+        apiCredentials: apiCredentialsReducer,
+        analysis: analysisReducer,
     },
     preloadedState, // Initialize with persisted state
     middleware: (getDefaultMiddleware) =>
         getDefaultMiddleware({
             serializableCheck: {
-                ignoredActions: ['nodes/onNodesChange', 'nodes/onEdgesChange', 'nodes/onConnect'],
+                ignoredActions: [
+                    'nodes/onNodesChange',
+                    'nodes/onEdgesChange',
+                    'nodes/onConnect',
+                    'run/nodeCompleted',
+                    'run/runCurrentPipeline/fulfilled',
+                    'run/replayRun',
+                    'runHistory/runRecorded',
+                ],
                 ignoredActionPaths: ['payload.source', 'payload.target'],
-                ignoredPaths: ['nodes.nodes', 'nodes.edges'],
+                // Run results hold whatever executors produced (API responses etc.)
+                ignoredPaths: ['nodes.nodes', 'nodes.edges', 'run.results', 'runHistory.runs'],
             },
         }),
 });
 
 // Subscribe to store updates to save state
+const lastSaved = {};
+Object.keys(SEPARATE_KEYS).forEach((slice) => {
+    lastSaved[slice] = store.getState()[slice];
+});
+
 store.subscribe(() => {
-    saveState({
-        nodes: store.getState().nodes
+    const state = store.getState();
+
+    saveState(STATE_KEY, {
+        version: PIPELINE_SCHEMA_VERSION,
+        nodes: state.nodes
+    });
+
+    Object.entries(SEPARATE_KEYS).forEach(([slice, key]) => {
+        if (state[slice] !== lastSaved[slice]) {
+            lastSaved[slice] = state[slice];
+            saveState(key, state[slice]);
+        }
     });
 });
@@ -4,55 +4,31 @@
 // Purpose: 
 // - Aggregates the graph state (nodes/edges) from the global store.
 // - Transmits pipeline data to the FastAPI backend for validation.
-// - Parses and displays structural metrics (node count, edge count, DAG status).
+// - Opens the structural report (counts, DAG status, cycles, order, …) in a
+//   side panel; cycle edges are highlighted on the canvas.
 // - Provides a fixed-position action button with interactive hover effects.
 // -----------------------------------------------------------------------------
 
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
+import { analyzePipeline } from "./store/analysisSlice";
+import { AnalysisReport } from "./analysisReport";
 
 /**
  * SubmitButton Component
  * The primary interface for triggering the 'Analyze' workflow.
  */
 export const SubmitButton = () => {
-  // Extract graph structure from the centerized store
-  const nodes = useSelector((state) => state.nodes.nodes);
-  const edges = useSelector((state) => state.nodes.edges);
+  const dispatch = useDispatch();
+  const isReportOpen = useSelector((state) => state.analysis.isOpen);
+  const isAnalyzing = useSelector((state) => state.analysis.status === "loading");
 
   /**
    * handleSubmit
-   * Asynchronous handler for transmitting pipeline metadata to the backend.
+   * Sends the pipeline to the backend; the result opens in AnalysisReport
+   * without blocking the canvas.
    */
-  const handleSubmit = async () => {
-    try {
-      // POST request to the analysis endpoint
-      const response = await fetch("/pipelines/parse", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ nodes, edges }),
-      });
-
-      // Basic error handling for network or server issues
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      // Feedback Mechanism: Alert user with the results of the backend analysis
-      alert(
-        `Pipeline Analysis Results:\n\n` +
-        `📊 Number of Nodes: ${data.num_nodes}\n` +
-        `🔗 Number of Edges: ${data.num_edges}\n` +
-        `✅ Is a DAG: ${data.is_dag ? "Yes" : "No"}`
-      );
-    } catch (error) {
-      console.error("Error analyzing pipeline:", error);
-      // Helpful fallback message if the backend service is unreachable
-      alert(`Error: Could not connect to backend.\n\nMake sure the backend is running:\ncd backend && uvicorn main:app --reload`);
-    }
+  const handleSubmit = () => {
+    dispatch(analyzePipeline());
   };
 
   return (
@@ -96,9 +72,13 @@ export const SubmitButton = () => {
           e.target.style.color = "var(--vs-accent)";
         }}
         onClick={handleSubmit}
+        disabled={isAnalyzing}
       >
-        Analyze the Pipeline
+        {isAnalyzing ? "Analyzing…" : "Analyze the Pipeline"}
       </button>
+
+      {/* Analysis results (non-blocking) */}
+      {isReportOpen && <AnalysisReport />}
     </div>
   );
 };
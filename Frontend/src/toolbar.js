@@ -49,6 +49,9 @@ export const PipelineToolbar = () => {
     { type: "math", label: "Math", icon: mathIcon },
     { type: "delay", label: "Delay", icon: "⏱️" },
     { type: "condition", label: "Condition", icon: conditionIcon },
+    { type: "loop", label: "Loop", icon: "🔁" },
+    { type: "merge", label: "Merge", icon: "🔀" },
+    { type: "code", label: "Code", icon: "⌨️" },
   ];
 
   // Logic for search filtering
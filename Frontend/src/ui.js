@@ -9,20 +9,30 @@
 // - Manages local UI states like 'saving' status and modal visibility.
 // -----------------------------------------------------------------------------
 
-import { useCallback, useRef, useState, useEffect } from "react";
-import ReactFlow, { Background, Controls, MiniMap } from "reactflow";
+import { useCallback, useRef, useState, useEffect, useMemo } from "react";
+import ReactFlow, { Background, Controls, MiniMap, MarkerType } from "reactflow";
 import { useDispatch, useSelector, shallowEqual } from 'react-redux';
 import {
   addNode,
   onNodesChange,
   onEdgesChange,
   onConnect,
+  selectDiagnostics,
   setPipelineName,
   undo,
   redo,
   clearCanvas,
-  incrementNodeID
+  importPipeline,
+  incrementNodeID,
+  groupIntoSubflow
 } from './store/nodesSlice';
+import { canGroup, getDisplayGraph, resolveSubflowConnection } from './engine/subflow';
+import { validateConnection } from './engine/connections';
+import { getEdgeTypeCheck, describeTypeCheck } from './engine/portTypes';
+import { runCurrentPipeline, resumeDebugger, toggleFixtureReplay } from './store/runSlice';
+import { credentialsAdded, extractCredentials } from './store/apiCredentialsSlice';
+import { pipelineLoadError } from './store/store';
+import { PIPELINE_SCHEMA_VERSION, parsePipelineFile } from './store/pipelineSchema';
 
 // Import custom node components
 import { InputNode } from "./nodes/inputNode";
@@ -34,7 +44,16 @@ import { FilterNode } from "./nodes/FilterNode";
 import { MathNode } from "./nodes/MathNode";
 import { DelayNode } from "./nodes/DelayNode";
 import { ConditionNode } from "./nodes/ConditionNode";
+import { LoopNode } from "./nodes/LoopNode";
+import { MergeNode } from "./nodes/MergeNode";
+import { CodeNode } from "./nodes/CodeNode";
+import { SubflowNode } from "./nodes/SubflowNode";
 import { CustomEdge } from "./CustomEdge";
+import { ConnectionHint } from "./ConnectionHint";
+import { RunHistoryPanel } from "./runHistoryPanel";
+import { ProviderSettings } from "./providerSettings";
+import { LintPanel } from "./lintPanel";
+import { ImportDialog } from "./importDialog";
 
 // Core React Flow styling
 import "reactflow/dist/style.css";
@@ -56,6 +75,10 @@ const nodeTypes = {
   math: MathNode,
   delay: DelayNode,
   condition: ConditionNode,
+  loop: LoopNode,
+  merge: MergeNode,
+  code: CodeNode,
+  subflow: SubflowNode,
 };
 
 /**
@@ -66,6 +89,56 @@ const edgeTypes = {
   custom: CustomEdge,
 };
 
+/**
+ * withPortTypes
+ * Styles every edge by the port types it connects (see engine/portTypes.js):
+ * conflicting types draw it red and name both sides, converting edges say
+ * what they convert.
+ */
+const withPortTypes = (nodes, edges) =>
+  edges.map((edge) => {
+    const check = getEdgeTypeCheck(edge, nodes, edges);
+    const label = describeTypeCheck(check) || undefined;
+
+    if (check.status === "mismatch") {
+      return {
+        ...edge,
+        label,
+        animated: false,
+        style: { stroke: "#ef4444" },
+        labelStyle: { fill: "#ef4444", fontWeight: 700 },
+        markerEnd: { type: MarkerType.Arrow, color: "#ef4444" },
+      };
+    }
+    return {
+      ...edge,
+      label,
+      animated: true,
+      style: undefined,
+      labelStyle: undefined,
+      markerEnd: { type: MarkerType.Arrow, height: "20px", width: "20px" },
+    };
+  });
+
+/**
+ * withCycleHighlights
+ * Draws the edges of the cycles found by the backend analysis (see
+ * analysisReport.js) thick and red so the loop is easy to spot.
+ */
+const withCycleHighlights = (edges, cycleEdgeIds) =>
+  edges.map((edge) =>
+    cycleEdgeIds.has(edge.id)
+      ? {
+        ...edge,
+        label: "cycle",
+        animated: true,
+        style: { stroke: "#ef4444", strokeWidth: 3 },
+        labelStyle: { fill: "#ef4444", fontWeight: 700 },
+        markerEnd: { type: MarkerType.Arrow, color: "#ef4444" },
+      }
+      : edge
+  );
+
 /**
  * PipelineUI Component
  * The primary visual workspace for building pipelines.
@@ -75,6 +148,12 @@ export const PipelineUI = () => {
   const [rfInstance, setRfInstance] = useState(null); // Local storage for the React Flow project functions
   const [zoom, setZoom] = useState(1); // Tracks current viewport zoom for the overlay
   const [isModalOpen, setIsModalOpen] = useState(false); // Controls the central node selector modal
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false); // Controls the run history side panel
+  const [isLintOpen, setIsLintOpen] = useState(false); // Controls the lint problems side panel
+  const [isProvidersOpen, setIsProvidersOpen] = useState(false); // Controls the LLM provider settings modal
+  const [connectionHint, setConnectionHint] = useState(null); // Why the connection being dragged is refused
+  const [loadError, setLoadError] = useState(pipelineLoadError); // Why a saved or imported pipeline could not be opened
+  const [pendingImport, setPendingImport] = useState(null); // Checked import waiting for replace / merge
 
   const dispatch = useDispatch();
 
@@ -85,6 +164,32 @@ export const PipelineUI = () => {
   const nodeIDs = useSelector((state) => state.nodes.nodeIDs);
   const past = useSelector((state) => state.nodes.past);
   const future = useSelector((state) => state.nodes.future);
+  const runStatus = useSelector((state) => state.run.status);
+  const debugState = useSelector((state) => state.run.debug);
+  const useFixtures = useSelector((state) => state.run.useFixtures);
+  const problemCount = useSelector((state) => selectDiagnostics(state).length);
+  // Joined into a string so unrelated analysis updates don't redraw the graph
+  const cycleEdgeList = useSelector((state) =>
+    state.analysis.isOpen
+      ? (state.analysis.report?.cycles || []).flatMap((cycle) => cycle.edges).join("\n")
+      : ""
+  );
+  const isRunActive = runStatus === "running" || runStatus === "paused";
+
+  // Collapsed subflows are drawn as single nodes (see engine/subflow.js)
+  const displayGraph = useMemo(() => {
+    const cycleEdgeIds = new Set(cycleEdgeList.split("\n"));
+    return getDisplayGraph(nodes, withCycleHighlights(withPortTypes(nodes, edges), cycleEdgeIds));
+  }, [nodes, edges, cycleEdgeList]);
+  const groupableIds = nodes
+    .filter((node) => node.selected && canGroup(node))
+    .map((node) => node.id);
+
+  // Pending run thunk, kept so the header can cancel it
+  const runRef = useRef(null);
+
+  // Hidden file picker behind the Import button
+  const fileInputRef = useRef(null);
 
   // Helper to replicate getNodeID logic locally with Redux state
   const getNodeID = (type) => {
@@ -99,6 +204,49 @@ export const PipelineUI = () => {
   const handleNodesChange = useCallback((changes) => dispatch(onNodesChange(changes)), [dispatch]);
   const handleEdgesChange = useCallback((changes) => dispatch(onEdgesChange(changes)), [dispatch]);
   const handleConnect = useCallback((connection) => dispatch(onConnect(connection)), [dispatch]);
+
+  // Refuses connections that would close a cycle, conflict in type, …
+  // and keeps the reason for the tooltip at the cursor (ConnectionHint)
+  const isValidConnection = useCallback(
+    (connection) => {
+      const reason = validateConnection(
+        resolveSubflowConnection(connection, nodes),
+        nodes,
+        edges
+      );
+      const handleIds = [connection.sourceHandle, connection.targetHandle];
+      setConnectionHint((current) => {
+        if (!reason) return null;
+        const isSame =
+          current?.reason === reason && current.handleIds.join() === handleIds.join();
+        return isSame ? current : { reason, handleIds };
+      });
+      return !reason;
+    },
+    [nodes, edges]
+  );
+
+  /**
+   * handleFocusNode
+   * Selects a node and brings it into view (Problems panel). Nodes inside a
+   * collapsed subflow are shown through the subflow.
+   */
+  const handleFocusNode = useCallback(
+    (nodeId) => {
+      const node = nodes.find((item) => item.id === nodeId);
+      if (!node) return;
+      const parent = nodes.find((item) => item.id === node.parentNode);
+      const focusId = parent?.data?.collapsed ? parent.id : nodeId;
+
+      dispatch(
+        onNodesChange(
+          nodes.map((item) => ({ type: 'select', id: item.id, selected: item.id === focusId }))
+        )
+      );
+      rfInstance?.fitView({ nodes: [{ id: focusId }], duration: 400, maxZoom: 1.2 });
+    },
+    [nodes, rfInstance, dispatch]
+  );
   const handleUndo = useCallback(() => dispatch(undo()), [dispatch]);
   const handleRedo = useCallback(() => dispatch(redo()), [dispatch]);
   const handleClearCanvas = useCallback(() => dispatch(clearCanvas()), [dispatch]);
@@ -124,6 +272,50 @@ export const PipelineUI = () => {
     }
   }, [nodes, edges]);
 
+  /**
+   * applyImport
+   * Puts a checked pipeline on the canvas and brings it into view. Auth
+   * secrets in older files are moved to the credentials store.
+   */
+  const applyImport = useCallback(
+    (pipeline, mode) => {
+      const { nodes: importedNodes, credentials } = extractCredentials(pipeline.nodes);
+      dispatch(credentialsAdded(credentials));
+      dispatch(importPipeline({ pipeline: { ...pipeline, nodes: importedNodes }, mode }));
+      setPendingImport(null);
+      setTimeout(() => rfInstance?.fitView({ duration: 400 }), 0);
+    },
+    [dispatch, rfInstance]
+  );
+
+  /**
+   * importFile
+   * Reads and checks a pipeline file (see store/pipelineSchema.js). An empty
+   * canvas is replaced straight away; otherwise the user picks replace or
+   * merge.
+   */
+  const importFile = useCallback(
+    async (file) => {
+      if (!/\.json$/i.test(file.name) && file.type !== "application/json") {
+        setLoadError(`Could not import ${file.name}: only .json pipeline files can be imported.`);
+        return;
+      }
+
+      try {
+        const pipeline = parsePipelineFile(await file.text(), Object.keys(nodeTypes));
+        setLoadError(null);
+        if (nodes.length === 0) {
+          applyImport(pipeline, "replace");
+        } else {
+          setPendingImport({ pipeline, fileName: file.name });
+        }
+      } catch (error) {
+        setLoadError(`Could not import ${file.name}: ${error.message}`);
+      }
+    },
+    [nodes.length, applyImport]
+  );
+
   /**
    * onDrop
    * Native HTML Drag and Drop handler. Converts client coordinates to 
@@ -132,12 +324,18 @@ export const PipelineUI = () => {
   const onDrop = useCallback(
     (event) => {
       event.preventDefault();
-      if (!rfInstance || !wrapperRef.current) return;
 
-      const bounds = wrapperRef.current.getBoundingClientRect();
+      // A pipeline file dropped from the desktop
       const data = event.dataTransfer.getData("application/reactflow");
+      const file = event.dataTransfer.files?.[0];
+      if (!data && file) {
+        importFile(file);
+        return;
+      }
+
+      if (!rfInstance || !wrapperRef.current || !data) return;
 
-      if (!data) return;
+      const bounds = wrapperRef.current.getBoundingClientRect();
 
       const { nodeType } = JSON.parse(data);
 
@@ -156,7 +354,7 @@ export const PipelineUI = () => {
         data: { id },
       }));
     },
-    [rfInstance, dispatch, getNodeID]
+    [rfInstance, dispatch, getNodeID, importFile]
   );
 
   /**
@@ -164,7 +362,7 @@ export const PipelineUI = () => {
    * Serializes the current graph to a JSON file for local backup/portability.
    */
   const downloadPipeline = () => {
-    const data = { nodes, edges, pipelineName };
+    const data = { version: PIPELINE_SCHEMA_VERSION, nodes, edges, pipelineName };
     const jsonString = `data:text/json;chatset=utf-8,${encodeURIComponent(
       JSON.stringify(data, null, 2)
     )}`;
@@ -174,13 +372,30 @@ export const PipelineUI = () => {
     link.click();
   };
 
+  /**
+   * handleRun
+   * Executes the pipeline in the browser. Debug runs pause at breakpoints
+   * (or before the first node when none are set).
+   */
+  const handleRun = (debug = false) => {
+    runRef.current = dispatch(runCurrentPipeline({ debug }));
+  };
+
+  /**
+   * handleStopRun
+   * Cancels the run in progress, including a paused debug run.
+   */
+  const handleStopRun = () => {
+    runRef.current?.abort();
+  };
+
   /**
    * onDragOver
    * Required for native drag/drop compatibility.
    */
   const onDragOver = useCallback((event) => {
     event.preventDefault();
-    event.dataTransfer.dropEffect = "move";
+    event.dataTransfer.dropEffect = event.dataTransfer.types.includes("Files") ? "copy" : "move";
   }, []);
 
   /**
@@ -200,6 +415,14 @@ export const PipelineUI = () => {
     setIsModalOpen(false);
   };
 
+  /**
+   * handleGroupSelection
+   * Replaces the selected nodes with a collapsed subflow.
+   */
+  const handleGroupSelection = () => {
+    dispatch(groupIntoSubflow({ id: getNodeID("subflow"), nodeIds: groupableIds }));
+  };
+
   /**
    * headerBtnStyle
    * Shared styling generator for header action buttons.
@@ -288,10 +511,136 @@ export const PipelineUI = () => {
             >
               Redo ↪
             </button>
+            <button
+              onClick={handleGroupSelection}
+              disabled={groupableIds.length < 2}
+              style={headerBtnStyle(groupableIds.length < 2)}
+              title="Group into subflow (select two or more nodes)"
+            >
+              ▣ Group
+            </button>
           </div>
 
-          {/* Export & Cleanup */}
+          {/* Execution & Debugger */}
+          <div style={{ display: 'flex', gap: 8, borderRight: '1px solid #e2e8f0', paddingRight: 12, marginRight: 4 }}>
+            {!isRunActive && (
+              <>
+                <button
+                  onClick={() => handleRun(false)}
+                  style={{
+                    ...headerBtnStyle(nodes.length === 0),
+                    color: nodes.length === 0 ? '#94a3b8' : '#6366f1',
+                  }}
+                  disabled={nodes.length === 0}
+                  title="Run the pipeline in the browser"
+                >
+                  ▶ Run
+                </button>
+                <button
+                  onClick={() => handleRun(true)}
+                  style={headerBtnStyle(nodes.length === 0)}
+                  disabled={nodes.length === 0}
+                  title="Run node by node, pausing at breakpoints"
+                >
+                  🐞 Debug
+                </button>
+              </>
+            )}
+
+            {isRunActive && debugState.enabled && (
+              <>
+                <button
+                  onClick={() => dispatch(resumeDebugger("step"))}
+                  style={headerBtnStyle(runStatus !== "paused")}
+                  disabled={runStatus !== "paused"}
+                  title="Run the paused node and pause before the next one"
+                >
+                  ⤼ Step
+                </button>
+                <button
+                  onClick={() => dispatch(resumeDebugger("continue"))}
+                  style={headerBtnStyle(runStatus !== "paused")}
+                  disabled={runStatus !== "paused"}
+                  title="Run until the next breakpoint"
+                >
+                  ⏵ Continue
+                </button>
+              </>
+            )}
+
+            {isRunActive && (
+              <button
+                onClick={handleStopRun}
+                style={{ ...headerBtnStyle(false), color: '#ef4444' }}
+                title="Stop the current run"
+              >
+                ■ {debugState.enabled ? "Stop" : "Cancel Run"}
+              </button>
+            )}
+
+            <button
+              onClick={() => setIsLintOpen((open) => !open)}
+              style={{
+                ...headerBtnStyle(false),
+                background: isLintOpen ? '#eef2ff' : '#fff',
+                color: problemCount > 0 ? '#b45309' : headerBtnStyle(false).color,
+              }}
+              title="Show problems found in the pipeline"
+            >
+              ⚠ Problems{problemCount > 0 && ` (${problemCount})`}
+            </button>
+            <button
+              onClick={() => setIsHistoryOpen((open) => !open)}
+              style={{
+                ...headerBtnStyle(false),
+                background: isHistoryOpen ? '#eef2ff' : '#fff',
+              }}
+              title="Show past runs"
+            >
+              🕘 History
+            </button>
+            <button
+              onClick={() => dispatch(toggleFixtureReplay())}
+              style={{
+                ...headerBtnStyle(isRunActive),
+                background: useFixtures ? '#eef2ff' : '#fff',
+                color: useFixtures ? '#6366f1' : headerBtnStyle(isRunActive).color,
+              }}
+              disabled={isRunActive}
+              title={useFixtures
+                ? "Runs use recorded API fixtures (click to go live)"
+                : "Replay recorded API fixtures instead of calling the network"}
+            >
+              📼 {useFixtures ? "Fixtures On" : "Fixtures"}
+            </button>
+            <button
+              onClick={() => setIsProvidersOpen(true)}
+              style={headerBtnStyle(false)}
+              title="Configure LLM providers"
+            >
+              ⚙ Providers
+            </button>
+          </div>
+
+          {/* Import, Export & Cleanup */}
           <div style={{ display: 'flex', gap: 8 }}>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                if (e.target.files[0]) importFile(e.target.files[0]);
+                e.target.value = ""; // Lets the same file be picked again
+              }}
+            />
+            <button
+              onClick={() => fileInputRef.current.click()}
+              style={headerBtnStyle(false)}
+              title="Open a pipeline JSON file (or drop one on the canvas)"
+            >
+              📂 Import JSON
+            </button>
             <button
               onClick={downloadPipeline}
               style={headerBtnStyle(nodes.length === 0)}
@@ -376,6 +725,64 @@ export const PipelineUI = () => {
           `}
         </style>
 
+        {/* Debugger: inputs the paused node is about to receive */}
+        {runStatus === "paused" && debugState.pausedNodeId && (
+          <div
+            style={{
+              position: "fixed",
+              top: HEADER_HEIGHT + 32,
+              right: 32,
+              width: 280,
+              maxHeight: 320,
+              overflow: "auto",
+              zIndex: 1100,
+              background: "#fff",
+              border: "1px solid #f59e0b",
+              borderRadius: 8,
+              padding: "10px 12px",
+              boxShadow: "0 4px 12px rgba(0,0,0,0.1)",
+              fontSize: 12,
+            }}
+          >
+            <div style={{ fontWeight: 600, color: "#b45309", marginBottom: 6 }}>
+              ⏸ Paused before {debugState.pausedNodeId}
+            </div>
+            <div style={{ color: "#64748b", marginBottom: 4 }}>Incoming inputs</div>
+            <pre style={{ margin: 0, fontSize: 11, whiteSpace: "pre-wrap", wordBreak: "break-word" }}>
+              {JSON.stringify(debugState.pausedInputs, null, 2)}
+            </pre>
+          </div>
+        )}
+
+        {/* Pipeline load error */}
+        {loadError && (
+          <div
+            style={{
+              position: "fixed",
+              top: HEADER_HEIGHT + 32,
+              left: "50%",
+              transform: "translateX(-50%)",
+              maxWidth: 520,
+              zIndex: 1100,
+              display: "flex",
+              gap: 12,
+              alignItems: "flex-start",
+              background: "#fef2f2",
+              border: "1px solid #fecaca",
+              borderRadius: 8,
+              padding: "10px 12px",
+              boxShadow: "0 4px 12px rgba(0,0,0,0.1)",
+              fontSize: 12,
+              color: "#b91c1c",
+            }}
+          >
+            <span>{loadError}</span>
+            <span onClick={() => setLoadError(null)} style={{ cursor: "pointer", fontSize: 14 }}>
+              ✕
+            </span>
+          </div>
+        )}
+
         {/* Empty state CTA */}
         {nodes.length === 0 && (
           <div
@@ -405,11 +812,13 @@ export const PipelineUI = () => {
 
         {/* The React Flow Engine */}
         <ReactFlow
-          nodes={nodes}
-          edges={edges}
+          nodes={displayGraph.nodes}
+          edges={displayGraph.edges}
           onNodesChange={handleNodesChange}
           onEdgesChange={handleEdgesChange}
           onConnect={handleConnect}
+          isValidConnection={isValidConnection}
+          onConnectEnd={() => setConnectionHint(null)}
           onDrop={onDrop}
           onDragOver={onDragOver}
           onInit={setRfInstance}
@@ -421,9 +830,51 @@ export const PipelineUI = () => {
           <Background variant="dots" gap={24} size={1} color="#000000ff" />
           <Controls />
           <MiniMap />
+          <ConnectionHint hint={connectionHint} />
         </ReactFlow>
       </div>
 
+      {/* -----------------------------------------------------------------
+          Lint Problems Side Panel
+          ----------------------------------------------------------------- */}
+      {isLintOpen && (
+        <LintPanel
+          top={HEADER_HEIGHT + 20}
+          onClose={() => setIsLintOpen(false)}
+          onSelectNode={handleFocusNode}
+        />
+      )}
+
+      {/* -----------------------------------------------------------------
+          Run History Side Panel
+          ----------------------------------------------------------------- */}
+      {isHistoryOpen && (
+        <RunHistoryPanel
+          top={HEADER_HEIGHT + 20}
+          onClose={() => setIsHistoryOpen(false)}
+        />
+      )}
+
+      {/* -----------------------------------------------------------------
+          Import Replace / Merge Modal
+          ----------------------------------------------------------------- */}
+      {pendingImport && (
+        <ImportDialog
+          pipeline={pendingImport.pipeline}
+          fileName={pendingImport.fileName}
+          onReplace={() => applyImport(pendingImport.pipeline, "replace")}
+          onMerge={() => applyImport(pendingImport.pipeline, "merge")}
+          onClose={() => setPendingImport(null)}
+        />
+      )}
+
+      {/* -----------------------------------------------------------------
+          LLM Provider Settings Modal
+          ----------------------------------------------------------------- */}
+      {isProvidersOpen && (
+        <ProviderSettings onClose={() => setIsProvidersOpen(false)} />
+      )}
+
       {/* -----------------------------------------------------------------
           Node Selection Modal
           - Provides a card-based UI for discovering and adding nodes
@@ -468,6 +919,18 @@ export const PipelineUI = () => {
                 <div className="modal-option-title">Delay Node</div>
                 <div className="modal-option-desc">Add pauses or timeouts to your workflow execution.</div>
               </div>
+              <div className="modal-option-card" onClick={() => handleModalAddNode('loop')}>
+                <div className="modal-option-title">Loop Node</div>
+                <div className="modal-option-desc">Run a group of nodes once for every item in a list.</div>
+              </div>
+              <div className="modal-option-card" onClick={() => handleModalAddNode('merge')}>
+                <div className="modal-option-title">Merge Node</div>
+                <div className="modal-option-desc">Combine the results of several branches into one value.</div>
+              </div>
+              <div className="modal-option-card" onClick={() => handleModalAddNode('code')}>
+                <div className="modal-option-title">Code Node</div>
+                <div className="modal-option-desc">Shape data with a JavaScript function in a sandbox.</div>
+              </div>
             </div>
           </div>
         </div>
@@ -5,6 +5,7 @@
 # - Serves as the computational engine for the VectorShift Pipeline Builder.
 # - Provides a high-performance REST API for graph parsing and validation.
 # - Implements Kahn's Algorithm (Topological Sort) to detect cycles and ensure DAG integrity.
+# - Pinpoints each cycle (Tarjan's strongly connected components) for the report.
 # - Handles Cross-Origin Resource Sharing (CORS) for seamless frontend integration.
 # -----------------------------------------------------------------------------
 
@@ -57,9 +58,12 @@ def parse_pipeline(pipeline: PipelineRequest):
     1. Extracts nodes and edges from the payload.
     2. Calculates basic structural metrics (counts).
     3. Executes a topological sort to verify the graph is a Directed Acyclic Graph (DAG).
+    4. Locates every cycle and describes the graph's structure (see analyze_graph).
     
     Returns:
-        JSON containing node count, edge count, and DAG status.
+        JSON containing node count, edge count, DAG status, the cycles
+        (`[{"nodes": [...], "edges": [...]}]`, edge ids), the topological
+        order, entry / exit nodes and nodes no entry node leads to.
     """
     nodes = pipeline.nodes
     edges = pipeline.edges
@@ -73,13 +77,28 @@ def parse_pipeline(pipeline: PipelineRequest):
     return {
         "num_nodes": num_nodes,
         "num_edges": num_edges,
-        "is_dag": is_dag
+        "is_dag": is_dag,
+        **analyze_graph(nodes, edges),
     }
 
 # -----------------------------------------------------------------------------
 # Core Algorithm Logic
 # -----------------------------------------------------------------------------
 
+SUBFLOW_TYPE = "subflow"
+
+def is_loop_return_edge(edge: Dict, node_types: Dict[str, str]) -> bool:
+    """
+    Loop nodes receive each item's result back on their `result` handle.
+    That edge closes a cycle by design (the body runs once per item), so it
+    is not counted when checking for cycles.
+    """
+    target = edge.get("target")
+    return (
+        node_types.get(target) == "loop"
+        and edge.get("targetHandle") == f"{target}-result"
+    )
+
 def check_dag(nodes: List[Dict], edges: List[Dict]) -> bool:
     """
     Implements Kahn's Algorithm for Topological Sorting.
@@ -95,6 +114,7 @@ def check_dag(nodes: List[Dict], edges: List[Dict]) -> bool:
     
     # Phase 1: Initialize adjacency list and in-degree counts
     node_ids = {node["id"] for node in nodes}
+    node_types = {node["id"]: node.get("type") for node in nodes}
     in_degree = {node_id: 0 for node_id in node_ids}
     adjacency = {node_id: [] for node_id in node_ids}
     
@@ -103,6 +123,10 @@ def check_dag(nodes: List[Dict], edges: List[Dict]) -> bool:
         source = edge.get("source")
         target = edge.get("target")
         
+        # Loop result edges are intentional back edges, not cycles
+        if is_loop_return_edge(edge, node_types):
+            continue
+
         # Ensure we only process edges between nodes that actually exist in the payload
         if source in node_ids and target in node_ids:
             adjacency[source].append(target)
@@ -127,3 +151,147 @@ def check_dag(nodes: List[Dict], edges: List[Dict]) -> bool:
     # Result: If every node was visited, no cycles exist.
     return visited_count == len(node_ids)
 
+def build_graph(nodes: List[Dict], edges: List[Dict]):
+    """
+    Adjacency for the edges between known nodes, loop result edges left out.
+    Returns (node_ids in payload order, adjacency: id -> [(target, edge_id)]).
+    """
+    node_ids = [node["id"] for node in nodes]
+    node_types = {node["id"]: node.get("type") for node in nodes}
+    adjacency = {node_id: [] for node_id in node_ids}
+
+    for edge in edges:
+        source = edge.get("source")
+        target = edge.get("target")
+        if is_loop_return_edge(edge, node_types):
+            continue
+        if source in adjacency and target in adjacency:
+            adjacency[source].append((target, edge.get("id")))
+
+    return node_ids, adjacency
+
+def find_cycles(node_ids: List[str], adjacency: Dict[str, List]) -> List[Dict]:
+    """
+    Tarjan's algorithm: every strongly connected component with more than
+    one node (or a node feeding itself) is a cycle. Iterative, so large
+    graphs do not hit Python's recursion limit.
+
+    Returns [{"nodes": [...], "edges": [edge ids inside the component]}].
+    """
+    index_of: Dict[str, int] = {}
+    low_link: Dict[str, int] = {}
+    stack: List[str] = []
+    on_stack = set()
+    components = []
+
+    for root in node_ids:
+        if root in index_of:
+            continue
+
+        # Each frame: (node, iterator over its neighbors)
+        work = [(root, iter(adjacency[root]))]
+        index_of[root] = low_link[root] = len(index_of)
+        stack.append(root)
+        on_stack.add(root)
+
+        while work:
+            node, neighbors = work[-1]
+            advanced = False
+            for neighbor, _ in neighbors:
+                if neighbor not in index_of:
+                    index_of[neighbor] = low_link[neighbor] = len(index_of)
+                    stack.append(neighbor)
+                    on_stack.add(neighbor)
+                    work.append((neighbor, iter(adjacency[neighbor])))
+                    advanced = True
+                    break
+                if neighbor in on_stack:
+                    low_link[node] = min(low_link[node], index_of[neighbor])
+            if advanced:
+                continue
+
+            work.pop()
+            if work:
+                parent = work[-1][0]
+                low_link[parent] = min(low_link[parent], low_link[node])
+
+            if low_link[node] == index_of[node]:
+                component = []
+                while True:
+                    member = stack.pop()
+                    on_stack.discard(member)
+                    component.append(member)
+                    if member == node:
+                        break
+                components.append(component)
+
+    # Reported in payload order: components, their nodes, their edges
+    position = {node_id: index for index, node_id in enumerate(node_ids)}
+    cycles = []
+    for component in sorted(components, key=lambda members: min(map(position.get, members))):
+        members = set(component)
+        ordered = sorted(component, key=position.get)
+        cycle_edges = [
+            edge_id
+            for source in ordered
+            for target, edge_id in adjacency[source]
+            if target in members
+        ]
+        if len(component) > 1 or cycle_edges:
+            cycles.append({"nodes": ordered, "edges": cycle_edges})
+
+    return cycles
+
+def analyze_graph(nodes: List[Dict], edges: List[Dict]) -> Dict[str, Any]:
+    """
+    Structural report for the analysis panel:
+    - cycles: see find_cycles
+    - topological_order: Kahn's order of the nodes outside any cycle
+      (and not downstream of one)
+    - entry_nodes / exit_nodes: nodes without incoming / outgoing edges
+    - unreachable_nodes: nodes no entry node leads to, i.e. only reachable
+      through a cycle
+
+    Subflow containers only group nodes on the canvas (edges stay between
+    their members), so they are left out of the report.
+    """
+    pipeline_nodes = [node for node in nodes if node.get("type") != SUBFLOW_TYPE]
+    node_ids, adjacency = build_graph(pipeline_nodes, edges)
+
+    in_degree = {node_id: 0 for node_id in node_ids}
+    for node_id in node_ids:
+        for target, _ in adjacency[node_id]:
+            in_degree[target] += 1
+
+    entry_nodes = [node_id for node_id in node_ids if in_degree[node_id] == 0]
+    exit_nodes = [node_id for node_id in node_ids if not adjacency[node_id]]
+
+    # Kahn's algorithm, keeping the order this time
+    remaining = dict(in_degree)
+    queue = list(entry_nodes)
+    topological_order = []
+    while queue:
+        current = queue.pop(0)
+        topological_order.append(current)
+        for neighbor, _ in adjacency[current]:
+            remaining[neighbor] -= 1
+            if remaining[neighbor] == 0:
+                queue.append(neighbor)
+
+    # Reachability from the entry nodes
+    reached = set(entry_nodes)
+    queue = list(entry_nodes)
+    while queue:
+        current = queue.pop(0)
+        for neighbor, _ in adjacency[current]:
+            if neighbor not in reached:
+                reached.add(neighbor)
+                queue.append(neighbor)
+
+    return {
+        "cycles": find_cycles(node_ids, adjacency),
+        "topological_order": topological_order,
+        "entry_nodes": entry_nodes,
+        "exit_nodes": exit_nodes,
+        "unreachable_nodes": [node_id for node_id in node_ids if node_id not in reached],
+    }
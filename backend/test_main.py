@@ -0,0 +1,129 @@
+# test_main.py
+# -----------------------------------------------------------------------------
+# Tests for the graph analysis behind /pipelines/parse.
+# Run from this directory: python -m pytest
+# -----------------------------------------------------------------------------
+
+from main import PipelineRequest, analyze_graph, build_graph, find_cycles, parse_pipeline
+
+
+def node(node_id, node_type="text"):
+    return {"id": node_id, "type": node_type}
+
+
+def edge(source, target, target_handle="input"):
+    return {
+        "id": f"{source}->{target}",
+        "source": source,
+        "sourceHandle": f"{source}-output",
+        "target": target,
+        "targetHandle": f"{target}-{target_handle}",
+    }
+
+
+def cycles_of(nodes, edges):
+    return find_cycles(*build_graph(nodes, edges))
+
+
+# -----------------------------------------------------------------------------
+# Cycles (Tarjan)
+# -----------------------------------------------------------------------------
+
+def test_a_dag_has_no_cycles():
+    nodes = [node("a"), node("b"), node("c")]
+    assert cycles_of(nodes, [edge("a", "b"), edge("b", "c"), edge("a", "c")]) == []
+
+
+def test_reports_each_cycle_with_its_nodes_and_edges_in_payload_order():
+    nodes = [node("a"), node("b"), node("c"), node("d"), node("e")]
+    edges = [
+        edge("a", "b"),
+        edge("d", "e"),
+        edge("b", "c"),
+        edge("e", "d"),
+        edge("c", "b"),
+    ]
+    assert cycles_of(nodes, edges) == [
+        {"nodes": ["b", "c"], "edges": ["b->c", "c->b"]},
+        {"nodes": ["d", "e"], "edges": ["d->e", "e->d"]},
+    ]
+
+
+def test_a_node_feeding_itself_is_a_cycle():
+    assert cycles_of([node("a")], [edge("a", "a")]) == [{"nodes": ["a"], "edges": ["a->a"]}]
+
+
+def test_long_cycles_do_not_hit_the_recursion_limit():
+    count = 5000
+    nodes = [node(f"n{index}") for index in range(count)]
+    edges = [edge(f"n{index}", f"n{index + 1}") for index in range(count - 1)]
+    edges.append(edge(f"n{count - 1}", "n0"))
+
+    cycles = cycles_of(nodes, edges)
+    assert len(cycles) == 1
+    assert len(cycles[0]["nodes"]) == count
+    assert len(cycles[0]["edges"]) == count
+
+
+def test_edges_to_unknown_nodes_are_ignored():
+    assert cycles_of([node("a")], [edge("a", "ghost"), edge("ghost", "a")]) == []
+
+
+# -----------------------------------------------------------------------------
+# Loop return edges
+# -----------------------------------------------------------------------------
+
+LOOP_NODES = [node("input", "customInput"), node("loop", "loop"), node("body"), node("out", "customOutput")]
+LOOP_EDGES = [
+    edge("input", "loop"),
+    {**edge("loop", "body"), "sourceHandle": "loop-item"},
+    edge("body", "loop", target_handle="result"),
+    edge("loop", "out", target_handle="value"),
+]
+
+
+def test_the_edge_back_into_a_loop_result_is_not_a_cycle():
+    result = parse_pipeline(PipelineRequest(nodes=LOOP_NODES, edges=LOOP_EDGES))
+    assert result["is_dag"] is True
+    assert result["cycles"] == []
+    assert result["topological_order"] == ["input", "loop", "body", "out"]
+
+
+def test_other_edges_into_a_loop_still_close_cycles():
+    edges = LOOP_EDGES[:2] + [edge("body", "loop")]
+    result = parse_pipeline(PipelineRequest(nodes=LOOP_NODES, edges=edges))
+    assert result["is_dag"] is False
+    assert result["cycles"] == [{"nodes": ["loop", "body"], "edges": ["loop->body", "body->loop"]}]
+
+
+# -----------------------------------------------------------------------------
+# Structure report
+# -----------------------------------------------------------------------------
+
+def test_reports_order_entry_exit_and_unreachable_nodes():
+    # a → b → c, and d ⇄ e → f only reachable through the cycle
+    nodes = [node("a"), node("b"), node("c"), node("d"), node("e"), node("f")]
+    edges = [edge("a", "b"), edge("b", "c"), edge("d", "e"), edge("e", "d"), edge("e", "f")]
+    report = analyze_graph(nodes, edges)
+
+    assert report["topological_order"] == ["a", "b", "c"]
+    assert report["entry_nodes"] == ["a"]
+    assert report["exit_nodes"] == ["c", "f"]
+    assert report["unreachable_nodes"] == ["d", "e", "f"]
+
+
+def test_subflow_containers_are_left_out_of_the_report():
+    nodes = [node("subflow-1", "subflow"), node("a"), node("b")]
+    report = analyze_graph(nodes, [edge("a", "b")])
+
+    assert report["entry_nodes"] == ["a"]
+    assert report["exit_nodes"] == ["b"]
+    assert report["topological_order"] == ["a", "b"]
+    assert report["unreachable_nodes"] == []
+
+
+def test_parse_counts_every_node_and_edge():
+    result = parse_pipeline(PipelineRequest(nodes=[node("a"), node("b")], edges=[edge("a", "b")]))
+    assert result["num_nodes"] == 2
+    assert result["num_edges"] == 1
+    assert result["is_dag"] is True